@@ -158,8 +158,8 @@ function initializeRegistry() {
     description: 'Generate a general summary of the current page',
     platforms: ['any'],
     pageTypes: ['any'],
-    useBackend: false, // Keep as stub-only for now (experimental)
-    fallbackStrategy: 'stub-only',
+    useBackend: true, // Backend template action (Phase 12K)
+    fallbackStrategy: 'backend-then-stub',
     handler: (contextPayload) => {
       if (typeof window.RubiActionsStubs !== 'undefined') {
         return window.RubiActionsStubs.stubGenericSummary(contextPayload);
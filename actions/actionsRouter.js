@@ -12,9 +12,13 @@
  *
  * @param {string} actionId - ID of the action to run
  * @param {Object} contextPayload - Context data to pass to the action
+ * @param {Object} options - Optional stream handlers { onPartial(fields), onToken(delta) } (Phase 12A),
+ *                           bypassCache to skip the backend result cache (Phase 12E) and
+ *                           backendResponse, a result already fetched by runActions (Phase 12M),
+ *                           and onJobStatus(job) for actions run as async jobs (Phase 12N)
  * @returns {Promise} Promise that resolves with action result
  */
-async function runAction(actionId, contextPayload) {
+async function runAction(actionId, contextPayload, options = {}) {
   console.log(`[Rubi Actions Router] Running action: ${actionId}`);
   
   // Validate action exists
@@ -80,74 +84,44 @@ async function runAction(actionId, contextPayload) {
     console.log(`[Rubi Actions Router] Attempting backend execution for ${actionId}`);
     
     try {
-      // Check if backend is available
-      const backendAvailable = await window.RubiBackendClient.isBackendAvailable();
+      // Check if backend is available (a batch response means it already answered)
+      const backendAvailable = Boolean(options.backendResponse) ||
+        await window.RubiBackendClient.isBackendAvailable();
       
       if (backendAvailable) {
-        // PHASE 9C: Load identity for backend request
-        let identity = null;
-        if (window.RubiContextBridge?.getIdentity) {
-          identity = window.RubiContextBridge.getIdentity();
-        }
-        if (!identity && window.RubiSessionBridge?.getCurrentIdentity) {
-          try {
-            identity = await window.RubiSessionBridge.getCurrentIdentity();
-          } catch (error) {
-            console.warn('[Rubi Actions Router] Could not load identity:', error);
-          }
-        }
-        
-        // Phase 11B: Load org intelligence if available
-        let orgIntelligence = null;
-        if (window.orgIntelligence) {
-          try {
-            orgIntelligence = await window.orgIntelligence.getIntelligence();
-            console.log('[Rubi Actions Router] Loaded org intelligence for action');
-          } catch (error) {
-            console.warn('[Rubi Actions Router] Failed to load org intelligence:', error);
-          }
-        }
+        // Phase 12M: runActions may already have fetched this action's result in a batch
+        let backendResponse = options.backendResponse;
         
-        // Prepare payload for backend with identity and org intelligence
-        const backendPayload = {
-          source: contextPayload.source || 'browser-extension',
-          platform: contextPayload.platform || 'unknown',
-          pageType: contextPayload.pageType || 'unknown',
-          fields: contextPayload.fields || {},
-          // PHASE 9C: Include identity in payload
-          identity: identity || contextPayload.identity || null,
-          // Phase 11B: Include org intelligence
-          orgIntelligence: orgIntelligence ? {
-            companyName: orgIntelligence.companyIdentity?.companyName,
-            valueProps: orgIntelligence.valuePropositions,
-            icp: orgIntelligence.icp,
-            messagingRules: orgIntelligence.messagingRules,
-            differentiators: orgIntelligence.differentiators,
-            buyerPersonas: orgIntelligence.buyerPersonas
-          } : contextPayload.orgIntelligence || null,
-          extractionConfidence: contextPayload.extractionConfidence || 0,
-          requiredMissing: contextPayload.requiredMissing || [],
-          visibleText: contextPayload.visibleText || '',
-          url: contextPayload.url || window.location?.href || '',
-          title: contextPayload.title || document?.title || '',
-          timestamp: contextPayload.timestamp || new Date().toISOString()
-        };
-        
-        // Log identity inclusion
-        if (backendPayload.identity) {
-          console.log('[Rubi Actions Router] Including identity in backend call:', {
-            userId: backendPayload.identity.userId,
-            orgName: backendPayload.identity.orgName,
-            planTier: backendPayload.identity.planTier,
-            roles: backendPayload.identity.roles
-          });
-        } else {
-          console.log('[Rubi Actions Router] No identity available for backend call');
+        if (!backendResponse) {
+          const backendPayload = await buildBackendPayload(contextPayload);
+          
+          // Phase 12A: Stream when the caller can render partial results
+          const canStream = (options.onPartial || options.onToken) &&
+            typeof window.RubiBackendClient.executeActionStream === 'function' &&
+            window.RubiBackendClient.getConfig().streamingEnabled;
+          
+          // Phase 12E: Refreshes ask the backend to skip its result cache
+          const requestOptions = options.bypassCache ? { bypassCache: true } : {};
+          
+          // Phase 12N: Long analyses run as async jobs instead of one long-held request
+          const useJob = typeof window.RubiBackendClient.executeActionAsJob === 'function' &&
+            (window.RubiBackendClient.getConfig().jobActions || []).includes(actionId);
+          
+          // Call backend
+          backendResponse = useJob
+            ? await window.RubiBackendClient.executeActionAsJob(actionId, backendPayload, {
+                ...requestOptions,
+                onJobStatus: options.onJobStatus
+              })
+            : canStream
+            ? await window.RubiBackendClient.executeActionStream(actionId, backendPayload, {
+                onPartial: options.onPartial,
+                onToken: options.onToken,
+                onAttempt: options.onAttempt
+              }, requestOptions)
+            : await window.RubiBackendClient.executeAction(actionId, backendPayload, requestOptions);
         }
         
-        // Call backend
-        const backendResponse = await window.RubiBackendClient.executeAction(actionId, backendPayload);
-        
         if (backendResponse.success) {
           console.log(`[Rubi Actions Router] Backend execution successful for ${actionId}`);
           result = backendResponse.data;
@@ -164,7 +138,8 @@ async function runAction(actionId, contextPayload) {
               'org_daily_limit_exceeded': 'Your organization has reached today\'s Rubi AI usage limit.',
               'user_daily_limit_exceeded': 'You\'ve reached today\'s Rubi AI usage limit.',
               'domain_not_allowed': 'Rubi AI isn\'t enabled for this site.',
-              'action_not_allowed': 'This action has been disabled by your organization administrator.'
+              'action_not_allowed': 'This action has been disabled by your organization administrator.',
+              'spend_limit_exceeded': 'Your organization has used its Rubi AI spend budget.'
             };
             
             const message = policyMessages[reason] || backendResponse.error || 'This action is disabled for your organization.';
@@ -179,6 +154,18 @@ async function runAction(actionId, contextPayload) {
             };
           }
           
+          // Phase 12P: Rate limited; a stub result would hide when the action works again
+          if (backendResponse.code === 'ACTION_RATE_LIMITED') {
+            console.log(`[Rubi Actions Router] Rate limited: ${actionId}, retry in ${backendResponse.retryAfterSeconds}s`);
+            
+            return {
+              success: false,
+              error: backendResponse.error,
+              rateLimited: true,
+              retryAfterSeconds: backendResponse.retryAfterSeconds
+            };
+          }
+          
           // Check fallback strategy
           if (fallbackStrategy === 'backend-only') {
             throw new Error(`Backend failed: ${backendResponse.error}`);
@@ -283,6 +270,145 @@ async function runAction(actionId, contextPayload) {
   return result;
 }
 
+/**
+ * Phase 12M: Run several actions on one context payload
+ * Backend-enabled actions are sent in a single batch request, then each result goes
+ * through runAction so policy messages, stub fallbacks and history behave exactly as for
+ * a single action. Without batch support, or if the batch request fails, each action
+ * runs on its own.
+ *
+ * @param {string[]} actionIds - IDs of the actions to run
+ * @param {Object} contextPayload - Context data shared by every action
+ * @param {Object} options - bypassCache (Phase 12E), and optionsFor(actionId) returning the
+ *                           runAction options for an action that runs on its own
+ * @returns {Promise<Array>} Results in actionIds order, null for actions that threw
+ */
+async function runActions(actionIds, contextPayload, options = {}) {
+  const optionsFor = (actionId) => ({
+    ...(options.optionsFor ? options.optionsFor(actionId) : {}),
+    ...(options.bypassCache ? { bypassCache: true } : {})
+  });
+  
+  const run = (actionId, backendResponse) => {
+    const actionOptions = backendResponse ? { ...optionsFor(actionId), backendResponse } : optionsFor(actionId);
+    return runAction(actionId, contextPayload, actionOptions).catch(error => {
+      console.error(`[Rubi Actions Router] Action ${actionId} failed:`, error);
+      return null;
+    });
+  };
+  const runEach = () => Promise.all(actionIds.map(actionId => run(actionId)));
+  
+  const client = window.RubiBackendClient;
+  // Phase 12N: Job-mode actions run on their own so a long analysis doesn't hold up the batch
+  const jobActions = client?.getConfig?.().jobActions || [];
+  const batchIds = actionIds.filter(actionId => {
+    const action = window.RubiActionsRegistry?.getAction(actionId);
+    return action && action.useBackend !== false && !jobActions.includes(actionId);
+  });
+  
+  if (batchIds.length < 2 || typeof client?.executeBatch !== 'function' || !client.getConfig().batchEnabled) {
+    return runEach();
+  }
+  
+  let batchResponse;
+  try {
+    if (!(await client.isBackendAvailable())) {
+      return runEach();
+    }
+    
+    const backendPayload = await buildBackendPayload(contextPayload);
+    batchResponse = await client.executeBatch(batchIds, backendPayload, options.bypassCache ? { bypassCache: true } : {});
+  } catch (error) {
+    console.warn('[Rubi Actions Router] Batch request failed, running actions individually:', error);
+    return runEach();
+  }
+  
+  // An org-level policy block answers for every action; anything else is retried per action
+  const policyBlocked = batchResponse.code === 'ACTION_DISABLED_BY_POLICY';
+  if (!batchResponse.success && !policyBlocked) {
+    console.warn(`[Rubi Actions Router] Batch failed (${batchResponse.error}), running actions individually`);
+    return runEach();
+  }
+  
+  console.log(`[Rubi Actions Router] Batch answered ${batchIds.length} actions`);
+  
+  return Promise.all(actionIds.map(actionId =>
+    run(actionId, policyBlocked ? batchResponse : batchResponse.results[actionId])
+  ));
+}
+
+/**
+ * Build the backend request payload from a context payload, attaching the current
+ * identity (Phase 9C) and org intelligence (Phase 11B)
+ *
+ * @param {Object} contextPayload - Context data for the action
+ * @returns {Promise<Object>} Payload for the backend action endpoints
+ */
+async function buildBackendPayload(contextPayload) {
+  // PHASE 9C: Load identity for backend request
+  let identity = null;
+  if (window.RubiContextBridge?.getIdentity) {
+    identity = window.RubiContextBridge.getIdentity();
+  }
+  if (!identity && window.RubiSessionBridge?.getCurrentIdentity) {
+    try {
+      identity = await window.RubiSessionBridge.getCurrentIdentity();
+    } catch (error) {
+      console.warn('[Rubi Actions Router] Could not load identity:', error);
+    }
+  }
+  
+  // Phase 11B: Load org intelligence if available
+  let orgIntelligence = null;
+  if (window.orgIntelligence) {
+    try {
+      orgIntelligence = await window.orgIntelligence.getIntelligence();
+      console.log('[Rubi Actions Router] Loaded org intelligence for action');
+    } catch (error) {
+      console.warn('[Rubi Actions Router] Failed to load org intelligence:', error);
+    }
+  }
+  
+  // Prepare payload for backend with identity and org intelligence
+  const backendPayload = {
+    source: contextPayload.source || 'browser-extension',
+    platform: contextPayload.platform || 'unknown',
+    pageType: contextPayload.pageType || 'unknown',
+    fields: contextPayload.fields || {},
+    // PHASE 9C: Include identity in payload
+    identity: identity || contextPayload.identity || null,
+    // Phase 11B: Include org intelligence
+    orgIntelligence: orgIntelligence ? {
+      companyName: orgIntelligence.companyIdentity?.companyName,
+      valueProps: orgIntelligence.valuePropositions,
+      icp: orgIntelligence.icp,
+      messagingRules: orgIntelligence.messagingRules,
+      differentiators: orgIntelligence.differentiators,
+      buyerPersonas: orgIntelligence.buyerPersonas
+    } : contextPayload.orgIntelligence || null,
+    extractionConfidence: contextPayload.extractionConfidence || 0,
+    requiredMissing: contextPayload.requiredMissing || [],
+    visibleText: contextPayload.visibleText || '',
+    url: contextPayload.url || window.location?.href || '',
+    title: contextPayload.title || document?.title || '',
+    timestamp: contextPayload.timestamp || new Date().toISOString()
+  };
+  
+  // Log identity inclusion
+  if (backendPayload.identity) {
+    console.log('[Rubi Actions Router] Including identity in backend call:', {
+      userId: backendPayload.identity.userId,
+      orgName: backendPayload.identity.orgName,
+      planTier: backendPayload.identity.planTier,
+      roles: backendPayload.identity.roles
+    });
+  } else {
+    console.log('[Rubi Actions Router] No identity available for backend call');
+  }
+  
+  return backendPayload;
+}
+
 /**
  * Get menu of available actions for the given context
  *
@@ -344,6 +470,8 @@ function isActionAvailable(actionId, contextPayload) {
 if (typeof window !== 'undefined') {
   window.RubiActionsRouter = {
     runAction,
+    // Phase 12M: Several actions in one backend request
+    runActions,
     getMenuForContext,
     isActionAvailable
   };
@@ -363,9 +363,18 @@
             fields: payload?.fields || {}
         };
         
+        // Phase 12M: Accept a batch response ({ results: [...] }) as well as an array of results
+        const results = Array.isArray(actionResults) ? actionResults : actionResults?.results;
+        
         // Merge each action result
-        if (Array.isArray(actionResults)) {
-            actionResults.forEach(result => {
+        if (Array.isArray(results)) {
+            results.forEach(result => {
+                // Phase 12M: Failed batch entries report their error rather than merging partial data
+                if (result && result.actionName && result.success === false) {
+                    merged.actionErrors = merged.actionErrors || {};
+                    merged.actionErrors[result.actionName] = result.error;
+                    return;
+                }
                 if (result && result.stubData) {
                     // Merge stub data directly into root (local stubs)
                     Object.assign(merged, result.stubData);
@@ -1477,6 +1477,31 @@
             } else {
                 container.appendChild(newElement);
             }
+        },
+        
+        // Phase 12A: Re-render already placed sections in place as streamed fields arrive.
+        // Only components present in the container are touched, so layout order is preserved.
+        patchSections: function(container, viewModel, options) {
+            if (!container || !viewModel) return 0;
+            const streaming = !!(options && options.streaming);
+            let patched = 0;
+            
+            Object.keys(viewModel).forEach(componentName => {
+                const existing = container.querySelector('[data-component="' + componentName + '"]');
+                if (!existing) return;
+                
+                const newElement = renderSection(componentName, viewModel[componentName]);
+                if (!newElement) return;
+                
+                // Skip the fade-in so repeated patches don't flicker
+                newElement.style.opacity = '';
+                newElement.style.animation = '';
+                newElement.classList.toggle('rubi-streaming', streaming);
+                existing.replaceWith(newElement);
+                patched++;
+            });
+            
+            return patched;
         }
     };
 
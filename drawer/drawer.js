@@ -21,6 +21,9 @@ let drawerState = {
     error: null,
     latestPayload: null,
     lastActionResults: null,
+    // Phase 12A: Progressive rendering of streamed action results
+    streamingRenderId: 0,
+    streamingRenderTimer: null,
     // Phase 10B/10C: Track system status with full metadata
     systemStatus: {
         orgConfigSource: null,
@@ -29,7 +32,8 @@ let drawerState = {
         isFullMode: false,
         backendConnected: false,
         moodleConnected: false,
-        policy: null  // Phase 10C: Policy enforcement data
+        policy: null,  // Phase 10C: Policy enforcement data
+        quota: null  // Phase 12O: Usage and remaining quota from the backend
     }
 };
 
@@ -450,8 +454,10 @@ async function handleContextUpdate(payload) {
 
 /**
  * Render experience-based content with action integration
+ * @param {Object} payload - Context payload
+ * @param {Object} options - { bypassCache } to force fresh backend results (Phase 12E)
  */
-async function renderExperienceBasedContent(payload) {
+async function renderExperienceBasedContent(payload, options = {}) {
     if (!payload) {
         renderDefaultContent();
         return;
@@ -477,11 +483,23 @@ async function renderExperienceBasedContent(payload) {
     // Show loading state
     showLoading('Loading insights...');
     
+    // Phase 12A: Partial results streamed in by each default action, rendered as they arrive
+    const renderId = ++drawerState.streamingRenderId;
+    const partialResults = [];
+    const onActionPartial = (index, fields) => {
+        partialResults[index] = { success: true, data: fields, partial: true };
+        scheduleStreamingRender(renderId, experience, payload, partialResults);
+    };
+    
     try {
         // Execute default actions for this experience
-        const actionResults = await executeDefaultActions(experience, payload);
+        const actionResults = await executeDefaultActions(experience, payload, onActionPartial, options);
         drawerState.lastActionResults = actionResults;
         
+        // Final results supersede any pending partial render
+        clearTimeout(drawerState.streamingRenderTimer);
+        drawerState.streamingRenderId++;
+        
         // Transform data for components (now async to load history)
         const viewModel = await window.RubiActionComponentMapper.transformExperienceDataForComponents(
             experience,
@@ -508,10 +526,54 @@ async function renderExperienceBasedContent(payload) {
     }
 }
 
+/**
+ * Phase 12A: Throttle re-rendering of the experience while results stream in
+ */
+function scheduleStreamingRender(renderId, experience, payload, partialResults) {
+    if (drawerState.streamingRenderTimer) {
+        return;
+    }
+    
+    drawerState.streamingRenderTimer = setTimeout(async () => {
+        drawerState.streamingRenderTimer = null;
+        if (renderId !== drawerState.streamingRenderId) {
+            return;
+        }
+        
+        try {
+            const viewModel = await window.RubiActionComponentMapper.transformExperienceDataForComponents(
+                experience,
+                payload,
+                partialResults.filter(Boolean)
+            );
+            
+            // Final results may have landed while the view model was being built
+            if (renderId !== drawerState.streamingRenderId) {
+                return;
+            }
+            
+            const validatedViewModel = window.RubiActionComponentMapper.validateViewModel(viewModel, experience);
+            const container = elementsCache.drawerContent?.querySelector(
+                `.rubi-experience-container[data-experience="${experience.id}"]`
+            );
+            
+            if (container) {
+                window.RubiComponentRenderer.patchSections(container, validatedViewModel, { streaming: true });
+            } else {
+                // First partial: swap the loading card for the real layout
+                hideLoading();
+                renderExperienceLayout(experience, validatedViewModel, payload);
+            }
+        } catch (error) {
+            console.warn('[Rubi Experience] Failed to render streamed results:', error);
+        }
+    }, 150);
+}
+
 /**
  * Execute default actions for an experience
  */
-async function executeDefaultActions(experience, payload) {
+async function executeDefaultActions(experience, payload, onActionPartial, runOptions = {}) {
     if (!experience.defaultActions || experience.defaultActions.length === 0) {
         console.log('[Rubi Experience] No default actions for this experience');
         return [];
@@ -531,14 +593,38 @@ async function executeDefaultActions(experience, payload) {
         drawerState.activeActionPromises = [];
     }
     
-    const actionPromises = experience.defaultActions.map(actionId => {
-        return executeActionById(actionId, payload);
+    // Phase 12M: One batch request for all default actions; runActions falls back to one request
+    // (streamed when partial rendering is available) per action
+    if (typeof window.RubiActionsRouter.runActions === 'function') {
+        const batchPromise = window.RubiActionsRouter.runActions(experience.defaultActions, payload, {
+            bypassCache: runOptions.bypassCache,
+            optionsFor: (actionId) => {
+                const index = experience.defaultActions.indexOf(actionId);
+                return onActionPartial ? { onPartial: (fields) => onActionPartial(index, fields) } : {};
+            }
+        });
+        drawerState.activeActionPromises = [batchPromise];
+        
+        const results = await batchPromise;
+        results.forEach(updateSystemStatusFromResult);
+        refreshUsageQuota();
+        console.log('[Rubi Experience] All actions completed');
+        return results;
+    }
+    
+    const actionPromises = experience.defaultActions.map((actionId, index) => {
+        const options = onActionPartial ? { onPartial: (fields) => onActionPartial(index, fields) } : {};
+        if (runOptions.bypassCache) {
+            options.bypassCache = true;
+        }
+        return executeActionById(actionId, payload, options);
     });
     
     drawerState.activeActionPromises = actionPromises;
     
     try {
         const results = await Promise.all(actionPromises);
+        refreshUsageQuota();
         console.log('[Rubi Experience] All actions completed successfully');
         return results;
     } catch (error) {
@@ -551,7 +637,7 @@ async function executeDefaultActions(experience, payload) {
 /**
  * Execute a single action by ID
  */
-async function executeActionById(actionId, payload) {
+async function executeActionById(actionId, payload, options = {}) {
     try {
         if (!window.RubiActionsRouter) {
             console.error('[Rubi Experience] Actions router not available');
@@ -559,16 +645,8 @@ async function executeActionById(actionId, payload) {
         }
         
         console.log(`[Rubi Experience] Executing action: ${actionId}`);
-        const result = await window.RubiActionsRouter.runAction(actionId, payload);
-        
-        // Phase 10B/10C: Update system status from action metadata
-        if (result && result.metadata) {
-            updateSystemStatus(result.metadata);
-        }
-        // Phase 10C: Update policy status from execution metadata
-        if (result && result.executionMetadata) {
-            updateSystemStatus(result.executionMetadata);
-        }
+        const result = await window.RubiActionsRouter.runAction(actionId, payload, options);
+        updateSystemStatusFromResult(result);
         
         console.log(`[Rubi Experience] Action ${actionId} completed`);
         return result;
@@ -579,6 +657,20 @@ async function executeActionById(actionId, payload) {
     }
 }
 
+/**
+ * Update system and policy status from an action result's metadata
+ */
+function updateSystemStatusFromResult(result) {
+    // Phase 10B/10C: Update system status from action metadata
+    if (result && result.metadata) {
+        updateSystemStatus(result.metadata);
+    }
+    // Phase 10C: Update policy status from execution metadata
+    if (result && result.executionMetadata) {
+        updateSystemStatus(result.executionMetadata);
+    }
+}
+
 /**
  * Render experience layout with component data
  */
@@ -881,10 +973,10 @@ function refreshContext() {
         window.RubiContextBridge.requestExtraction();
     }
     
-    // Re-render with current payload
+    // Re-render with current payload; a manual refresh should not be answered from the result cache
     if (drawerState.latestPayload) {
         if (drawerState.currentExperience) {
-            renderExperienceBasedContent(drawerState.latestPayload);
+            renderExperienceBasedContent(drawerState.latestPayload, { bypassCache: true });
         } else {
             renderDrawerContent(drawerState.latestPayload);
         }
@@ -959,8 +1051,10 @@ async function executeAction(actionId) {
     disableActionButtons();
     
     try {
-        // Execute action via router
-        const result = await window.RubiActionsRouter.runAction(actionId, drawerState.currentContext);
+        // Execute action via router, streaming partial output into the loading card (Phase 12A)
+        const result = await window.RubiActionsRouter.runAction(actionId, drawerState.currentContext, {
+            onPartial: (fields) => updateLoadingProgress(fields)
+        });
         
         // Phase 10C: Check for policy blocks
         if (result && result.policyBlock) {
@@ -974,6 +1068,13 @@ async function executeAction(actionId) {
             return;
         }
         
+        // Phase 12P: Per-action rate limit; count down until it can run again
+        if (result && result.rateLimited) {
+            console.log(`[Rubi Drawer] Action ${actionId} rate limited for ${result.retryAfterSeconds}s`);
+            displayRateLimit(actionId, result);
+            return;
+        }
+        
         console.log(`[Rubi Drawer] Action ${actionId} completed successfully`);
         
         // Display result
@@ -1099,6 +1200,19 @@ function displayPolicyBlock(actionId, result) {
         }]
     };
     
+    // Phase 12J: Explain which spend budget ran out and when it resets
+    const spendLimit = result.executionMetadata?.policy?.spendLimit;
+    if (result.policyReason === 'spend_limit_exceeded' && spendLimit) {
+        const periodLabel = spendLimit.period === 'monthly' ? 'monthly' : 'daily';
+        const resetLabel = spendLimit.period === 'monthly' ? 'at the start of next month' : 'tomorrow';
+        policyData.notifications.push({
+            message: `Your organization has spent $${spendLimit.spentUsd.toFixed(2)} of its $${spendLimit.limitUsd.toFixed(2)} ${periodLabel} AI budget. ${actionLabel} will be available again ${resetLabel}, or sooner if an administrator raises the budget.`,
+            timestamp: new Date().toLocaleTimeString(),
+            type: 'info',
+            read: false
+        });
+    }
+    
     // Add additional context if available
     if (result.executionMetadata?.policy?.limitsApplied) {
         const limits = result.executionMetadata.policy.limitsApplied;
@@ -1130,6 +1244,50 @@ function displayPolicyBlock(actionId, result) {
     updateStatusDisplay();
 }
 
+/**
+ * Phase 12P: Display a rate limit notice with a live countdown to when the action can run again
+ */
+function displayRateLimit(actionId, result) {
+    const actionLabel = getActionLabel(actionId);
+    const formatWait = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    let remaining = result.retryAfterSeconds || 60;
+    
+    const rateLimitData = {
+        title: 'Slow Down',
+        notifications: [{
+            message: `${actionLabel} has been run too often. Try again in ${formatWait(remaining)}.`,
+            timestamp: new Date().toLocaleTimeString(),
+            type: 'warning',
+            read: false
+        }]
+    };
+    
+    if (!window.RubiComponentRenderer) {
+        return;
+    }
+    
+    const notificationCard = window.RubiComponentRenderer.renderSection('NotificationsCard', rateLimitData);
+    elementsCache.drawerContent.insertBefore(notificationCard, elementsCache.drawerContent.firstChild);
+    
+    const messageElement = notificationCard.querySelector('.rubi-notification-message');
+    if (!messageElement) {
+        return;
+    }
+    
+    const countdown = setInterval(() => {
+        remaining--;
+        // Stop once the card is gone or the wait is over
+        if (!notificationCard.isConnected || remaining <= 0) {
+            clearInterval(countdown);
+            if (notificationCard.isConnected) {
+                messageElement.textContent = `${actionLabel} is available again.`;
+            }
+            return;
+        }
+        messageElement.textContent = `${actionLabel} has been run too often. Try again in ${formatWait(remaining)}.`;
+    }, 1000);
+}
+
 /**
  * Add action result to history
  */
@@ -1332,6 +1490,32 @@ function showLoading(message = 'Loading...') {
     }
 }
 
+/**
+ * Phase 12A: Replace the loading card with a preview of streamed fields
+ */
+function updateLoadingProgress(fields) {
+    const loadingIndicator = document.getElementById('loading-indicator');
+    if (!loadingIndicator || !window.RubiComponentRenderer || !fields) {
+        return;
+    }
+    
+    const fieldCount = Object.keys(fields).length;
+    const preview = typeof fields.summary === 'string' && fields.summary
+        ? fields.summary
+        : `Receiving results (${fieldCount} ${fieldCount === 1 ? 'field' : 'fields'})...`;
+    
+    const progressCard = window.RubiComponentRenderer.renderSection('InsightCard', {
+        title: 'Processing',
+        content: preview,
+        icon: '⏳'
+    });
+    progressCard.id = 'loading-indicator';
+    progressCard.style.opacity = '';
+    progressCard.style.animation = '';
+    progressCard.classList.add('rubi-streaming');
+    loadingIndicator.replaceWith(progressCard);
+}
+
 /**
  * Hide loading state
  */
@@ -1499,6 +1683,40 @@ function updateSystemStatus(metadata) {
     statusEl.style.display = 'flex';
 }
 
+/**
+ * Phase 12O: Show how many actions are left today next to the system status
+ */
+async function refreshUsageQuota() {
+    if (typeof window.RubiBackendClient?.fetchUsage !== 'function') {
+        return;
+    }
+    
+    const usage = await window.RubiBackendClient.fetchUsage();
+    const statusEl = document.getElementById('system-status');
+    if (!usage || !statusEl) {
+        return;
+    }
+    drawerState.systemStatus.quota = usage;
+    
+    // The tighter of the org and user daily limits, when either is set
+    const remaining = [usage.actions?.org?.remaining, usage.actions?.user?.remaining]
+        .filter(value => typeof value === 'number');
+    let quotaEl = statusEl.querySelector('.status-quota');
+    
+    if (remaining.length === 0) {
+        quotaEl?.remove();
+        return;
+    }
+    
+    if (!quotaEl) {
+        quotaEl = document.createElement('span');
+        quotaEl.className = 'status-quota';
+        statusEl.appendChild(quotaEl);
+    }
+    quotaEl.textContent = ` · ${Math.min(...remaining)} left today`;
+    quotaEl.title = `Resets at ${new Date(usage.resetsAt).toLocaleTimeString()}`;
+}
+
 /**
  * Disable action buttons
  */
@@ -583,7 +583,8 @@ function updateResolutionInfo(metadata) {
                     'org_daily_limit_exceeded': 'Org Limit',
                     'user_daily_limit_exceeded': 'User Limit',
                     'domain_not_allowed': 'Domain Blocked',
-                    'action_not_allowed': 'Action Blocked'
+                    'action_not_allowed': 'Action Blocked',
+                    'spend_limit_exceeded': 'Spend Budget'
                 };
                 policyText += ` (${reasonMap[metadata.policy.reason] || metadata.policy.reason})`;
             }
@@ -596,6 +597,12 @@ function updateResolutionInfo(metadata) {
                 if (metadata.policy.limitsApplied.maxDailyUser) {
                     limits.push(`User: ${metadata.policy.limitsApplied.maxDailyUser}/day`);
                 }
+                if (metadata.policy.limitsApplied.maxDailySpendUsd !== undefined) {
+                    limits.push(`Spend: $${metadata.policy.limitsApplied.maxDailySpendUsd}/day`);
+                }
+                if (metadata.policy.limitsApplied.maxMonthlySpendUsd !== undefined) {
+                    limits.push(`Spend: $${metadata.policy.limitsApplied.maxMonthlySpendUsd}/month`);
+                }
                 if (limits.length > 0) {
                     policyText += ` [${limits.join(', ')}]`;
                 }
@@ -4,6 +4,14 @@ let authToken = null;
 let csrfToken = null;
 let currentOrgs = [];
 let editingOrgId = null;
+let editingOrgCacheTtls = {};
+let editingOrgRateLimits = {};
+let editingOrgPiiRedaction = {};
+let auditOffset = 0;
+let editingIntelligence = null;
+let adminSession = null;
+let editingUsername = null;
+let currentAdminUsers = [];
 
 // DOM Elements
 const loginScreen = document.getElementById('loginScreen');
@@ -21,6 +29,24 @@ const deleteModal = document.getElementById('deleteModal');
 const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
 const toast = document.getElementById('toast');
 const formTitle = document.getElementById('formTitle');
+const orgHistory = document.getElementById('orgHistory');
+const orgHistoryList = document.getElementById('orgHistoryList');
+const auditFilters = document.getElementById('auditFilters');
+const auditList = document.getElementById('auditList');
+const auditMoreBtn = document.getElementById('auditMoreBtn');
+const refreshAuditBtn = document.getElementById('refreshAuditBtn');
+const intelLoadForm = document.getElementById('intelLoadForm');
+const intelEditor = document.getElementById('intelEditor');
+const intelSections = document.getElementById('intelSections');
+const intelErrors = document.getElementById('intelErrors');
+const intelUploadInput = document.getElementById('intelUploadInput');
+const setPasswordForm = document.getElementById('setPasswordForm');
+const setPasswordError = document.getElementById('setPasswordError');
+const passwordModal = document.getElementById('passwordModal');
+const changePasswordForm = document.getElementById('changePasswordForm');
+const userForm = document.getElementById('userForm');
+const userLink = document.getElementById('userLink');
+const usersList = document.getElementById('usersList');
 
 // Navigation
 const navLinks = document.querySelectorAll('.nav-link');
@@ -34,6 +60,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Authentication
 async function checkAuth() {
+    // Invite and reset links carry a token for choosing a password
+    if (new URLSearchParams(location.search).get('token')) {
+        showLoginScreen();
+        loginForm.classList.add('permission-hidden');
+        setPasswordForm.classList.remove('permission-hidden');
+        return;
+    }
+
     const token = localStorage.getItem('adminToken');
     if (token) {
         authToken = token;
@@ -64,16 +98,38 @@ function showLoginScreen() {
     adminScreen.classList.remove('active');
     authToken = null;
     csrfToken = null;
+    adminSession = null;
     localStorage.removeItem('adminToken');
 }
 
 function showAdminScreen(session) {
+    adminSession = session;
+    csrfToken = session.csrfToken || csrfToken;
     loginScreen.classList.remove('active');
     adminScreen.classList.add('active');
-    adminInfo.textContent = `${session.userId} (${session.role})`;
+    adminInfo.textContent = `${session.userId} (${ROLE_LABELS[session.role] || session.role})`;
+    applyPermissions();
     loadOrganizations();
 }
 
+// Permissions
+const ROLE_LABELS = {
+    superadmin: 'Superadmin',
+    org_admin: 'Org admin',
+    viewer: 'Viewer'
+};
+
+function can(permission) {
+    return Boolean(adminSession?.permissions?.includes(permission));
+}
+
+// Hide controls the server would reject for this role; org scoping is applied by the API
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('permission-hidden', !can(element.dataset.permission));
+    });
+}
+
 // Event Listeners
 function setupEventListeners() {
     // Login form
@@ -82,6 +138,11 @@ function setupEventListeners() {
     // Logout
     logoutBtn.addEventListener('click', handleLogout);
 
+    // Passwords
+    setPasswordForm.addEventListener('submit', handleSetPassword);
+    document.getElementById('changePasswordBtn').addEventListener('click', () => passwordModal.classList.add('active'));
+    changePasswordForm.addEventListener('submit', handleChangePassword);
+
     // Navigation
     navLinks.forEach(link => {
         link.addEventListener('click', (e) => {
@@ -101,6 +162,29 @@ function setupEventListeners() {
 
     // Delete modal
     confirmDeleteBtn.addEventListener('click', handleConfirmDelete);
+
+    // Org intelligence
+    intelLoadForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadOrgIntelligence();
+    });
+    document.getElementById('intelSaveBtn').addEventListener('click', saveOrgIntelligence);
+    document.getElementById('intelValidateBtn').addEventListener('click', validateOrgIntelligence);
+    document.getElementById('intelDownloadBtn').addEventListener('click', downloadOrgIntelligence);
+    intelUploadInput.addEventListener('change', uploadOrgIntelligence);
+
+    // Audit log
+    auditFilters.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadAuditLog();
+    });
+    refreshAuditBtn.addEventListener('click', () => loadAuditLog());
+    auditMoreBtn.addEventListener('click', () => loadAuditLog(true));
+
+    // Admin users
+    userForm.addEventListener('submit', handleUserFormSubmit);
+    document.getElementById('userCancelBtn').addEventListener('click', resetUserForm);
+    document.getElementById('refreshUsersBtn').addEventListener('click', loadAdminUsers);
 }
 
 // Login/Logout
@@ -130,7 +214,9 @@ async function handleLogin(e) {
             
             showAdminScreen({
                 userId: username,
-                role: data.role
+                role: data.role,
+                orgIds: data.orgIds,
+                permissions: data.permissions
             });
             
             showToast('Login successful', 'success');
@@ -185,10 +271,27 @@ function switchView(viewName) {
             document.getElementById('createView').classList.add('active');
             resetOrgForm();
             break;
+        case 'edit':
+            // Same form as create, already filled in by editOrganization
+            document.getElementById('createView').classList.add('active');
+            loadOrgHistory(editingOrgId);
+            break;
         case 'stats':
             document.getElementById('statsView').classList.add('active');
             loadStatistics();
             break;
+        case 'intelligence':
+            document.getElementById('intelView').classList.add('active');
+            break;
+        case 'audit':
+            document.getElementById('auditView').classList.add('active');
+            loadAuditLog();
+            break;
+        case 'users':
+            document.getElementById('usersView').classList.add('active');
+            resetUserForm();
+            loadAdminUsers();
+            break;
     }
 }
 
@@ -252,8 +355,8 @@ function renderOrganizations(orgs) {
                 </div>
             </div>
             <div class="org-card-actions">
-                <button class="btn btn-primary" onclick="editOrganization('${org.orgId}')">Edit</button>
-                <button class="btn btn-danger" onclick="deleteOrganization('${org.orgId}', '${org.orgName.replace(/'/g, "\\'")}')">Delete</button>
+                <button class="btn btn-primary" onclick="editOrganization('${org.orgId}')">${can('org:write') ? 'Edit' : 'View'}</button>
+                ${can('org:delete') ? `<button class="btn btn-danger" onclick="deleteOrganization('${org.orgId}', '${org.orgName.replace(/'/g, "\\'")}')">Delete</button>` : ''}
             </div>
         </div>
     `).join('');
@@ -282,7 +385,7 @@ async function editOrganization(orgId) {
             const org = data.org;
             
             editingOrgId = orgId;
-            formTitle.textContent = 'Edit Organization';
+            formTitle.textContent = can('org:write') ? 'Edit Organization' : 'View Organization';
             
             // Populate form
             document.getElementById('orgId').value = org.orgId;
@@ -315,8 +418,31 @@ async function editOrganization(orgId) {
             document.getElementById('maxActionsPerPage').value = org.limits?.maxActionsPerPage || 10;
             document.getElementById('maxActionsPerSession').value = org.limits?.maxActionsPerSession || 100;
             document.getElementById('maxTokensPerAction').value = org.limits?.maxTokensPerAction || 4000;
+            document.getElementById('maxPromptTokensPerAction').value = org.limits?.maxPromptTokensPerAction ?? '';
+            // Per-action cache TTLs are not editable here; keep them when saving
+            editingOrgCacheTtls = { ...(org.limits?.resultCacheTtlSeconds || {}) };
+            document.getElementById('resultCacheTtlDefault').value = editingOrgCacheTtls.default ?? '';
+            // Per-action rate limits are not editable here either; keep them when saving
+            editingOrgRateLimits = { ...(org.limits?.actionRateLimits || {}) };
+            document.getElementById('rateLimitPerUser').value = editingOrgRateLimits.default?.maxPerUser ?? '';
+            document.getElementById('rateLimitPerOrg').value = editingOrgRateLimits.default?.maxPerOrg ?? '';
+            document.getElementById('maxDailySpendUsd').value = org.max_daily_spend_usd ?? '';
+            document.getElementById('maxMonthlySpendUsd').value = org.max_monthly_spend_usd ?? '';
+            document.getElementById('jobWebhookUrl').value = org.job_webhook_url || '';
+            document.getElementById('jobWebhookSecret').value = org.job_webhook_secret || '';
+            // Custom patterns and per-action overrides are not editable here; keep them when saving
+            editingOrgPiiRedaction = { ...(org.pii_redaction || {}) };
+            document.getElementById('piiRedactionEnabled').checked = editingOrgPiiRedaction.enabled === true;
+            const piiDetectors = editingOrgPiiRedaction.detectors || ['email', 'phone', 'address'];
+            document.querySelectorAll('input[name="piiDetectors"]').forEach(checkbox => {
+                checkbox.checked = piiDetectors.includes(checkbox.value);
+            });
             
-            switchView('create');
+            // Read-only roles see the form but can't change it
+            setOrgFormDisabled(!can('org:write'));
+            document.getElementById('orgId').disabled = true;
+            
+            switchView('edit');
         } else {
             showToast('Failed to load organization details', 'error');
         }
@@ -364,12 +490,57 @@ async function handleConfirmDelete() {
     }
 }
 
+// Result cache TTLs: the form edits the org-wide default, per-action values are carried over
+function buildResultCacheTtls(defaultValue) {
+    const ttls = { ...editingOrgCacheTtls };
+    delete ttls.default;
+    
+    if (defaultValue !== null && defaultValue !== '') {
+        ttls.default = parseInt(defaultValue);
+    }
+    
+    return Object.keys(ttls).length > 0 ? ttls : undefined;
+}
+
+// Action rate limits: the form edits the per-minute default, per-action overrides are carried over
+function buildActionRateLimits(perUser, perOrg) {
+    const limits = { ...editingOrgRateLimits };
+    delete limits.default;
+    
+    if (perUser || perOrg) {
+        limits.default = {
+            windowMs: 60000,
+            maxPerUser: perUser ? parseInt(perUser) : undefined,
+            maxPerOrg: perOrg ? parseInt(perOrg) : undefined
+        };
+    }
+    
+    return Object.keys(limits).length > 0 ? limits : undefined;
+}
+
+// PII redaction: the form edits the org-wide switch and detectors, custom patterns and
+// per-action overrides are carried over
+function buildPiiRedaction(enabled, detectors) {
+    const redaction = { ...editingOrgPiiRedaction, enabled, detectors };
+    
+    // Leave orgs that never turned redaction on without the setting
+    if (!enabled && Object.keys(editingOrgPiiRedaction).length === 0) {
+        return undefined;
+    }
+    
+    return redaction;
+}
+
 // Form Handling
 function resetOrgForm() {
     editingOrgId = null;
+    editingOrgCacheTtls = {};
+    editingOrgRateLimits = {};
+    editingOrgPiiRedaction = {};
     formTitle.textContent = 'Create New Organization';
     orgForm.reset();
-    document.getElementById('orgId').disabled = false;
+    orgHistory.classList.remove('show');
+    setOrgFormDisabled(false);
     
     // Set defaults
     document.getElementById('planTier').value = 'free';
@@ -377,6 +548,12 @@ function resetOrgForm() {
     document.getElementById('enableDebugPanel').checked = true;
 }
 
+function setOrgFormDisabled(disabled) {
+    orgForm.querySelectorAll('input, select').forEach(field => {
+        field.disabled = disabled;
+    });
+}
+
 async function handleOrgFormSubmit(e) {
     e.preventDefault();
     
@@ -409,8 +586,19 @@ async function handleOrgFormSubmit(e) {
         limits: {
             maxActionsPerPage: parseInt(formData.get('maxActionsPerPage')),
             maxActionsPerSession: parseInt(formData.get('maxActionsPerSession')),
-            maxTokensPerAction: parseInt(formData.get('maxTokensPerAction'))
-        }
+            maxTokensPerAction: parseInt(formData.get('maxTokensPerAction')),
+            maxPromptTokensPerAction: formData.get('maxPromptTokensPerAction') ? parseInt(formData.get('maxPromptTokensPerAction')) : undefined,
+            resultCacheTtlSeconds: buildResultCacheTtls(formData.get('resultCacheTtlDefault')),
+            actionRateLimits: buildActionRateLimits(formData.get('rateLimitPerUser'), formData.get('rateLimitPerOrg'))
+        },
+        max_daily_spend_usd: formData.get('maxDailySpendUsd') ? parseFloat(formData.get('maxDailySpendUsd')) : undefined,
+        max_monthly_spend_usd: formData.get('maxMonthlySpendUsd') ? parseFloat(formData.get('maxMonthlySpendUsd')) : undefined,
+        job_webhook_url: formData.get('jobWebhookUrl') || undefined,
+        job_webhook_secret: formData.get('jobWebhookSecret') || undefined,
+        pii_redaction: buildPiiRedaction(
+            document.getElementById('piiRedactionEnabled').checked,
+            Array.from(document.querySelectorAll('input[name="piiDetectors"]:checked')).map(cb => cb.value)
+        )
     };
     
     try {
@@ -443,6 +631,131 @@ async function handleOrgFormSubmit(e) {
     }
 }
 
+// Version History
+const VERSION_CHANGE_LABELS = {
+    imported: 'Imported',
+    created: 'Created',
+    updated: 'Updated',
+    soft_deleted: 'Deleted',
+    restored: 'Restored',
+    rolled_back: 'Rolled back'
+};
+
+async function loadOrgHistory(orgId) {
+    orgHistory.classList.add('show');
+    orgHistoryList.innerHTML = '<div class="loading">Loading history...</div>';
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/orgs/${orgId}/versions`, {
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            renderOrgHistory(orgId, data.versions);
+        } else if (response.status === 404) {
+            orgHistoryList.innerHTML = '<div class="audit-entry-meta">No saved versions yet</div>';
+        } else {
+            orgHistoryList.innerHTML = '<div class="error-message show">Failed to load history</div>';
+        }
+    } catch (error) {
+        console.error('Load history error:', error);
+        orgHistoryList.innerHTML = '<div class="error-message show">Network error</div>';
+    }
+}
+
+function renderOrgHistory(orgId, versions) {
+    // Versions arrive newest first; the first one is the live config
+    orgHistoryList.innerHTML = versions.map((entry, index) => `
+        <div class="history-item ${index === 0 ? 'current' : ''}" data-version="${entry.version}">
+            <div class="history-item-header">
+                <div>
+                    <strong>v${entry.version}</strong>
+                    ${VERSION_CHANGE_LABELS[entry.change] || escapeHtml(entry.change)}${entry.rolledBackFrom ? ` to v${entry.rolledBackFrom}` : ''}
+                    by ${escapeHtml(entry.author.adminId)}
+                    <div class="audit-entry-meta">${new Date(entry.createdAt).toLocaleString()}</div>
+                </div>
+                <div class="history-item-actions">
+                    <button class="btn btn-secondary" onclick="toggleVersionChanges('${orgId}', ${entry.version})">Changes</button>
+                    ${index === 0 || !can('org:write') ? '' : `<button class="btn btn-danger" onclick="rollbackOrgVersion('${orgId}', ${entry.version})">Roll Back</button>`}
+                </div>
+            </div>
+            <div class="history-item-changes"></div>
+        </div>
+    `).join('');
+}
+
+async function toggleVersionChanges(orgId, version) {
+    const container = orgHistoryList.querySelector(`[data-version="${version}"] .history-item-changes`);
+    if (container.innerHTML) {
+        container.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/orgs/${orgId}/versions/diff?from=${version - 1}&to=${version}`, {
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+
+        if (!response.ok) {
+            showToast('Failed to load changes', 'error');
+            return;
+        }
+
+        const data = await response.json();
+        container.innerHTML = data.changes.length === 0
+            ? '<div class="audit-entry-meta">No field changes</div>'
+            : `
+            <table class="audit-changes">
+                <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>
+                    ${data.changes.map(change => `
+                        <tr>
+                            <td>${escapeHtml(change.path)}</td>
+                            <td>${formatAuditValue(change.before)}</td>
+                            <td>${formatAuditValue(change.after)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+    } catch (error) {
+        console.error('Load changes error:', error);
+        showToast('Network error', 'error');
+    }
+}
+
+async function rollbackOrgVersion(orgId, version) {
+    if (!confirm(`Roll back ${orgId} to version ${version}? The current config stays in the history.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/orgs/${orgId}/versions/${version}/rollback`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'X-CSRF-Token': csrfToken
+            }
+        });
+
+        if (response.ok) {
+            showToast(`Rolled back to version ${version}`, 'success');
+            // Reload the form and history from the restored config
+            editOrganization(orgId);
+        } else {
+            const data = await response.json();
+            showToast(data.error || 'Failed to roll back organization', 'error');
+        }
+    } catch (error) {
+        console.error('Rollback error:', error);
+        showToast('Network error', 'error');
+    }
+}
+
 // Statistics
 async function loadStatistics() {
     const statsContent = document.getElementById('statsContent');
@@ -500,6 +813,628 @@ function renderStatistics(stats) {
     `;
 }
 
+// Org Intelligence
+// Sections edited as forms; everything else in the document is kept as loaded or uploaded.
+// `list` fields are string arrays, edited one entry per line.
+const INTELLIGENCE_SECTIONS = {
+    valuePropositions: {
+        title: 'Value Propositions',
+        item: 'Value Proposition',
+        fields: [
+            { key: 'title', label: 'Title', type: 'text' },
+            { key: 'description', label: 'Description', type: 'textarea' },
+            { key: 'proofPoints', label: 'Proof Points', type: 'list' },
+            { key: 'examples', label: 'Examples', type: 'list' },
+            { key: 'metrics', label: 'Metrics', type: 'list' }
+        ]
+    },
+    buyerPersonas: {
+        title: 'Buyer Personas',
+        item: 'Persona',
+        fields: [
+            { key: 'personaName', label: 'Persona Name', type: 'text' },
+            { key: 'roleTitle', label: 'Role Title', type: 'text' },
+            { key: 'goals', label: 'Goals', type: 'list' },
+            { key: 'frustrations', label: 'Frustrations', type: 'list' },
+            { key: 'kpis', label: 'KPIs', type: 'list' },
+            { key: 'buyingMotivation', label: 'Buying Motivation', type: 'textarea' },
+            { key: 'typicalObjections', label: 'Typical Objections', type: 'list' },
+            { key: 'preferredLanguageStyle', label: 'Preferred Language Style', type: 'text' },
+            { key: 'doSayThinkFeel', label: 'Do / Say / Think / Feel', type: 'textarea', optional: true }
+        ]
+    },
+    competitiveLandscape: {
+        title: 'Competitors',
+        item: 'Competitor',
+        fields: [
+            { key: 'competitorName', label: 'Competitor Name', type: 'text' },
+            { key: 'competitorSummary', label: 'Summary', type: 'textarea' },
+            { key: 'weaknesses', label: 'Weaknesses', type: 'list' },
+            { key: 'howToWinAgainst', label: 'How to Win Against', type: 'textarea' },
+            { key: 'redFlags', label: 'Red Flags', type: 'list' },
+            { key: 'opportunitySignals', label: 'Opportunity Signals', type: 'list' },
+            { key: 'differentiationPoints', label: 'Differentiation Points', type: 'list' }
+        ]
+    }
+};
+
+async function loadOrgIntelligence() {
+    const orgId = document.getElementById('intelOrgId').value.trim();
+    showIntelligenceErrors([]);
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/orgs/${encodeURIComponent(orgId)}/intelligence`, {
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            editingIntelligence = { orgId, document: data.intelligence || {} };
+            renderOrgIntelligence();
+            setIntelligenceStatus(data.stored
+                ? `Version ${data.version}`
+                : `No intelligence file yet; showing what the org is served (${data.source})`);
+        } else {
+            showToast(data.error || 'Failed to load org intelligence', 'error');
+        }
+    } catch (error) {
+        console.error('Load intelligence error:', error);
+        showToast('Network error', 'error');
+    }
+}
+
+function setIntelligenceStatus(message) {
+    document.getElementById('intelStatus').textContent = `${editingIntelligence.orgId}: ${message}`;
+}
+
+function renderOrgIntelligence() {
+    intelEditor.classList.add('show');
+    intelSections.innerHTML = Object.entries(INTELLIGENCE_SECTIONS).map(([section, definition]) => {
+        const items = editingIntelligence.document[section] || [];
+        return `
+            <div class="form-section intel-section" data-section="${section}">
+                <div class="intel-section-header">
+                    <h3>${definition.title} (${items.length})</h3>
+                    <button type="button" class="btn btn-secondary" onclick="addIntelligenceItem('${section}')">Add ${definition.item}</button>
+                </div>
+                ${items.map((item, index) => renderIntelligenceItem(section, definition, item, index)).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderIntelligenceItem(section, definition, item, index) {
+    const fields = definition.fields.map(field => {
+        const value = item[field.key];
+        const input = field.type === 'text'
+            ? `<input type="text" data-field="${field.key}" value="${escapeHtml(value || '')}">`
+            : `<textarea data-field="${field.key}" rows="${field.type === 'list' ? 4 : 2}">${escapeHtml(field.type === 'list' ? (value || []).join('\n') : (value || ''))}</textarea>`;
+        return `
+            <div class="form-group">
+                <label>${field.label}${field.type === 'list' ? ' (one per line)' : ''}</label>
+                ${input}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="intel-item" data-index="${index}">
+            <div class="intel-item-header">
+                <strong>${definition.item} ${index + 1}</strong>
+                <button type="button" class="btn btn-danger" onclick="removeIntelligenceItem('${section}', ${index})">Remove</button>
+            </div>
+            <div class="form-row">${fields}</div>
+        </div>
+    `;
+}
+
+// Read the section forms back into editingIntelligence.document
+function collectIntelligenceSections() {
+    Object.entries(INTELLIGENCE_SECTIONS).forEach(([section, definition]) => {
+        const cards = intelSections.querySelectorAll(`[data-section="${section}"] .intel-item`);
+        editingIntelligence.document[section] = Array.from(cards).map(card => {
+            const item = {};
+            definition.fields.forEach(field => {
+                const value = card.querySelector(`[data-field="${field.key}"]`).value;
+                if (field.type === 'list') {
+                    item[field.key] = value.split('\n').map(line => line.trim()).filter(line => line);
+                } else if (value.trim() || !field.optional) {
+                    item[field.key] = value.trim();
+                }
+            });
+            return item;
+        });
+    });
+    return editingIntelligence.document;
+}
+
+function addIntelligenceItem(section) {
+    collectIntelligenceSections();
+    const item = {};
+    INTELLIGENCE_SECTIONS[section].fields.forEach(field => {
+        if (!field.optional) {
+            item[field.key] = field.type === 'list' ? [] : '';
+        }
+    });
+    editingIntelligence.document[section] = [...editingIntelligence.document[section], item];
+    renderOrgIntelligence();
+}
+
+function removeIntelligenceItem(section, index) {
+    collectIntelligenceSections();
+    editingIntelligence.document[section].splice(index, 1);
+    renderOrgIntelligence();
+}
+
+function showIntelligenceErrors(errors) {
+    intelErrors.innerHTML = errors.map(error => `<li>${escapeHtml(error)}</li>`).join('');
+    intelErrors.classList.toggle('show', errors.length > 0);
+}
+
+async function saveOrgIntelligence() {
+    const intelligence = collectIntelligenceSections();
+    const sections = {};
+    Object.keys(INTELLIGENCE_SECTIONS).forEach(section => {
+        sections[section] = intelligence[section];
+    });
+
+    await putOrgIntelligence('PATCH', sections);
+}
+
+// PUT replaces the whole document; PATCH replaces only the sections sent
+async function putOrgIntelligence(method, body) {
+    try {
+        const response = await fetch(`${API_BASE}/admin/orgs/${encodeURIComponent(editingIntelligence.orgId)}/intelligence`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'X-CSRF-Token': csrfToken,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            editingIntelligence.document = data.intelligence;
+            renderOrgIntelligence();
+            showIntelligenceErrors([]);
+            setIntelligenceStatus(`Version ${data.version}`);
+            showToast('Org intelligence saved', 'success');
+            return true;
+        }
+
+        showIntelligenceErrors(data.errors || []);
+        showToast(data.error || 'Failed to save org intelligence', 'error');
+    } catch (error) {
+        console.error('Save intelligence error:', error);
+        showToast('Network error', 'error');
+    }
+    return false;
+}
+
+async function requestIntelligenceValidation(intelligence) {
+    const response = await fetch(`${API_BASE}/admin/orgs/${encodeURIComponent(editingIntelligence.orgId)}/intelligence/validate`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${authToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(intelligence)
+    });
+    return response.json();
+}
+
+async function validateOrgIntelligence() {
+    try {
+        const data = await requestIntelligenceValidation(collectIntelligenceSections());
+        showIntelligenceErrors(data.errors || []);
+        showToast(data.valid ? 'Org intelligence is valid' : `${data.errors.length} validation errors`, data.valid ? 'success' : 'error');
+    } catch (error) {
+        console.error('Validate intelligence error:', error);
+        showToast('Network error', 'error');
+    }
+}
+
+function downloadOrgIntelligence() {
+    const blob = new Blob([JSON.stringify(collectIntelligenceSections(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${editingIntelligence.orgId}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function uploadOrgIntelligence() {
+    const file = intelUploadInput.files[0];
+    intelUploadInput.value = '';
+    if (!file) {
+        return;
+    }
+
+    let uploaded;
+    try {
+        uploaded = JSON.parse(await file.text());
+    } catch (error) {
+        showIntelligenceErrors([`${file.name} is not valid JSON: ${error.message}`]);
+        return;
+    }
+
+    try {
+        // Check before asking, so a bad file never replaces the current document
+        const validation = await requestIntelligenceValidation(uploaded);
+        showIntelligenceErrors(validation.errors || []);
+        if (!validation.valid) {
+            showToast(`${file.name} has ${validation.errors.length} validation errors`, 'error');
+            return;
+        }
+    } catch (error) {
+        console.error('Validate intelligence error:', error);
+        showToast('Network error', 'error');
+        return;
+    }
+
+    if (confirm(`Replace the org intelligence for ${editingIntelligence.orgId} with ${file.name}?`)) {
+        await putOrgIntelligence('PUT', uploaded);
+    }
+}
+
+// Audit Log
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_ACTION_LABELS = {
+    org_created: 'Created',
+    org_updated: 'Updated',
+    org_soft_deleted: 'Soft deleted',
+    org_hard_deleted: 'Hard deleted',
+    org_restored: 'Restored',
+    org_rolled_back: 'Rolled back',
+    org_intelligence_updated: 'Intelligence updated',
+    org_provider_key_updated: 'Provider key updated',
+    org_provider_key_removed: 'Provider key removed'
+};
+
+async function loadAuditLog(append = false) {
+    auditOffset = append ? auditOffset : 0;
+    if (!append) {
+        auditList.innerHTML = '<div class="loading">Loading audit log...</div>';
+    }
+
+    const params = new URLSearchParams({ limit: AUDIT_PAGE_SIZE, offset: auditOffset });
+    const orgId = document.getElementById('auditOrgId').value.trim();
+    const adminId = document.getElementById('auditAdminId').value.trim();
+    const action = document.getElementById('auditAction').value;
+    const from = document.getElementById('auditFrom').value;
+    const to = document.getElementById('auditTo').value;
+    if (orgId) params.set('orgId', orgId);
+    if (adminId) params.set('adminId', adminId);
+    if (action) params.set('action', action);
+    // Date inputs are local days; the API takes timestamps
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/audit?${params}`, {
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            renderAuditEntries(data.entries, append);
+            auditOffset += data.entries.length;
+            auditMoreBtn.style.display = auditOffset < data.total ? 'block' : 'none';
+        } else {
+            auditList.innerHTML = '<div class="error-message show">Failed to load audit log</div>';
+            auditMoreBtn.style.display = 'none';
+        }
+    } catch (error) {
+        console.error('Load audit log error:', error);
+        auditList.innerHTML = '<div class="error-message show">Network error</div>';
+        auditMoreBtn.style.display = 'none';
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatAuditValue(value) {
+    if (value === undefined) {
+        return '<em>(none)</em>';
+    }
+    return escapeHtml(JSON.stringify(value));
+}
+
+function renderAuditEntries(entries, append) {
+    if (!append && entries.length === 0) {
+        auditList.innerHTML = '<div style="text-align: center; padding: 40px; color: #7f8c8d;">No audit entries found</div>';
+        return;
+    }
+
+    const html = entries.map(entry => `
+        <div class="audit-entry">
+            <div class="audit-entry-header">
+                <div>
+                    <strong>${AUDIT_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</strong>
+                    ${escapeHtml(entry.orgId)} by ${escapeHtml(entry.adminId)}
+                </div>
+                <div class="audit-entry-meta">
+                    ${new Date(entry.timestamp).toLocaleString()}
+                    ${entry.requestId ? `<br>Request ${escapeHtml(entry.requestId)}` : ''}
+                </div>
+            </div>
+            ${entry.changes.length === 0 ? '<div class="audit-entry-meta">No field changes</div>' : `
+            <table class="audit-changes">
+                <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>
+                    ${entry.changes.map(change => `
+                        <tr>
+                            <td>${escapeHtml(change.path)}</td>
+                            <td>${formatAuditValue(change.before)}</td>
+                            <td>${formatAuditValue(change.after)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`}
+        </div>
+    `).join('');
+
+    if (append) {
+        auditList.insertAdjacentHTML('beforeend', html);
+    } else {
+        auditList.innerHTML = html;
+    }
+}
+
+// Passwords
+async function handleSetPassword(e) {
+    e.preventDefault();
+    setPasswordError.textContent = '';
+    setPasswordError.classList.remove('show');
+
+    const password = document.getElementById('newPassword').value;
+    if (password !== document.getElementById('confirmPassword').value) {
+        setPasswordError.textContent = 'Passwords do not match';
+        setPasswordError.classList.add('show');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/auth/set-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token: new URLSearchParams(location.search).get('token'), password })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            // The token is used up; drop it from the address bar and log in normally
+            history.replaceState(null, '', location.pathname);
+            setPasswordForm.reset();
+            setPasswordForm.classList.add('permission-hidden');
+            loginForm.classList.remove('permission-hidden');
+            document.getElementById('username').value = data.username;
+            showToast('Password set. You can log in now.', 'success');
+        } else {
+            setPasswordError.textContent = data.error || 'Failed to set password';
+            setPasswordError.classList.add('show');
+        }
+    } catch (error) {
+        setPasswordError.textContent = 'Network error. Please try again.';
+        setPasswordError.classList.add('show');
+    }
+}
+
+function closePasswordModal() {
+    passwordModal.classList.remove('active');
+    changePasswordForm.reset();
+}
+
+async function handleChangePassword(e) {
+    e.preventDefault();
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/auth/change-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`,
+                'X-CSRF-Token': csrfToken
+            },
+            body: JSON.stringify({
+                currentPassword: document.getElementById('currentPassword').value,
+                newPassword: document.getElementById('changedPassword').value
+            })
+        });
+
+        if (response.ok) {
+            // Older sessions end with the password change; keep this one on the new token
+            const data = await response.json();
+            authToken = data.token;
+            csrfToken = data.csrfToken;
+            localStorage.setItem('adminToken', authToken);
+            closePasswordModal();
+            showToast('Password changed', 'success');
+        } else {
+            const data = await response.json();
+            showToast(data.error || 'Failed to change password', 'error');
+        }
+    } catch (error) {
+        console.error('Change password error:', error);
+        showToast('Network error', 'error');
+    }
+}
+
+// Admin Users
+async function loadAdminUsers() {
+    usersList.innerHTML = '<div class="loading">Loading admin users...</div>';
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/users`, {
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            currentAdminUsers = data.users;
+            renderAdminUsers(currentAdminUsers);
+        } else {
+            usersList.innerHTML = '<div class="error-message show">Failed to load admin users</div>';
+        }
+    } catch (error) {
+        console.error('Load admin users error:', error);
+        usersList.innerHTML = '<div class="error-message show">Network error</div>';
+    }
+}
+
+function renderAdminUsers(users) {
+    usersList.innerHTML = users.map(user => {
+        const self = user.username === adminSession?.userId;
+        const scope = user.role === 'superadmin' ? 'All organizations' : user.orgIds.map(escapeHtml).join(', ');
+        return `
+        <div class="audit-entry">
+            <div class="audit-entry-header">
+                <div>
+                    <strong>${escapeHtml(user.username)}</strong>
+                    ${ROLE_LABELS[user.role] || escapeHtml(user.role)} &middot; ${user.status}
+                    <div class="audit-entry-meta">${escapeHtml(user.email)} &middot; ${scope}</div>
+                    <div class="audit-entry-meta">
+                        ${user.lastLoginAt ? `Last login ${new Date(user.lastLoginAt).toLocaleString()}` : 'Never logged in'}
+                        ${user.pendingTokenExpiresAt ? ` &middot; link expires ${new Date(user.pendingTokenExpiresAt).toLocaleString()}` : ''}
+                    </div>
+                </div>
+                <div class="history-item-actions">
+                    <button class="btn btn-secondary" onclick="editAdminUser('${user.username}')">Edit</button>
+                    ${user.status === 'disabled' ? '' : `<button class="btn btn-secondary" onclick="resetAdminUserPassword('${user.username}')">${user.status === 'invited' ? 'New Invite Link' : 'Reset Password'}</button>`}
+                    ${self ? '' : user.status === 'disabled'
+                        ? `<button class="btn btn-success" onclick="setAdminUserStatus('${user.username}', 'active')">Enable</button>`
+                        : `<button class="btn btn-secondary" onclick="setAdminUserStatus('${user.username}', 'disabled')">Disable</button>`}
+                    ${self ? '' : `<button class="btn btn-danger" onclick="deleteAdminUser('${user.username}')">Delete</button>`}
+                </div>
+            </div>
+        </div>`;
+    }).join('');
+}
+
+function resetUserForm() {
+    editingUsername = null;
+    userForm.reset();
+    document.getElementById('userUsername').disabled = false;
+    document.getElementById('userSubmitBtn').textContent = 'Invite';
+}
+
+function editAdminUser(username) {
+    const user = currentAdminUsers.find(candidate => candidate.username === username);
+    if (!user) {
+        return;
+    }
+
+    editingUsername = username;
+    document.getElementById('userUsername').value = user.username;
+    document.getElementById('userUsername').disabled = true;
+    document.getElementById('userEmail').value = user.email;
+    document.getElementById('userRole').value = user.role;
+    document.getElementById('userOrgIds').value = user.orgIds.join(', ');
+    document.getElementById('userSubmitBtn').textContent = 'Save';
+}
+
+// Invite and reset tokens are shown once, as a link the admin passes on to the user
+function showUserLink(message, token) {
+    const link = `${location.origin}/admin/?token=${encodeURIComponent(token)}`;
+    userLink.innerHTML = `${escapeHtml(message)}<br><code>${escapeHtml(link)}</code>`;
+    userLink.classList.add('show');
+}
+
+async function sendAdminUserRequest(path, method, body) {
+    const response = await fetch(`${API_BASE}/admin/users${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${authToken}`,
+            'X-CSRF-Token': csrfToken
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+    return data;
+}
+
+async function handleUserFormSubmit(e) {
+    e.preventDefault();
+    userLink.classList.remove('show');
+
+    const body = {
+        email: document.getElementById('userEmail').value.trim(),
+        role: document.getElementById('userRole').value,
+        orgIds: document.getElementById('userOrgIds').value.split(',').map(id => id.trim()).filter(Boolean)
+    };
+
+    try {
+        if (editingUsername) {
+            await sendAdminUserRequest(`/${encodeURIComponent(editingUsername)}`, 'PUT', body);
+            showToast('Admin user updated', 'success');
+        } else {
+            const data = await sendAdminUserRequest('', 'POST', { ...body, username: document.getElementById('userUsername').value.trim() });
+            showUserLink(`Send this invite link to ${data.user.username}. It works once and expires ${new Date(data.expiresAt).toLocaleString()}.`, data.inviteToken);
+            showToast('Admin user invited', 'success');
+        }
+        resetUserForm();
+        loadAdminUsers();
+    } catch (error) {
+        showToast(error.message || 'Network error', 'error');
+    }
+}
+
+async function resetAdminUserPassword(username) {
+    userLink.classList.remove('show');
+    try {
+        const data = await sendAdminUserRequest(`/${encodeURIComponent(username)}/reset`, 'POST');
+        showUserLink(`Send this link to ${username}. It works once and expires ${new Date(data.expiresAt).toLocaleString()}.`, data.resetToken);
+        loadAdminUsers();
+    } catch (error) {
+        showToast(error.message || 'Network error', 'error');
+    }
+}
+
+async function setAdminUserStatus(username, status) {
+    try {
+        await sendAdminUserRequest(`/${encodeURIComponent(username)}`, 'PUT', { status });
+        showToast(status === 'disabled' ? `${username} disabled` : `${username} enabled`, 'success');
+        loadAdminUsers();
+    } catch (error) {
+        showToast(error.message || 'Network error', 'error');
+    }
+}
+
+async function deleteAdminUser(username) {
+    if (!confirm(`Delete admin user ${username}? They will be signed out immediately.`)) {
+        return;
+    }
+
+    try {
+        await sendAdminUserRequest(`/${encodeURIComponent(username)}`, 'DELETE');
+        showToast(`${username} deleted`, 'success');
+        loadAdminUsers();
+    } catch (error) {
+        showToast(error.message || 'Network error', 'error');
+    }
+}
+
 // Toast Notifications
 function showToast(message, type = 'info') {
     toast.textContent = message;
@@ -513,4 +1448,13 @@ function showToast(message, type = 'info') {
 // Make functions globally accessible
 window.editOrganization = editOrganization;
 window.deleteOrganization = deleteOrganization;
-window.closeDeleteModal = closeDeleteModal;
\ No newline at end of file
+window.toggleVersionChanges = toggleVersionChanges;
+window.rollbackOrgVersion = rollbackOrgVersion;
+window.addIntelligenceItem = addIntelligenceItem;
+window.removeIntelligenceItem = removeIntelligenceItem;
+window.closeDeleteModal = closeDeleteModal;
+window.closePasswordModal = closePasswordModal;
+window.editAdminUser = editAdminUser;
+window.resetAdminUserPassword = resetAdminUserPassword;
+window.setAdminUserStatus = setAdminUserStatus;
+window.deleteAdminUser = deleteAdminUser;
\ No newline at end of file
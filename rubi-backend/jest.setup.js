@@ -0,0 +1,2 @@
+// Keep test output to failures; set LOG_LEVEL to see service logs while debugging a test
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -2,6 +2,7 @@ import { ActionHandler, LLMConfig } from '../../types';
 import { templateEngine } from '../../templates/template-engine';
 import { schemaValidator } from '../../schemas/schema-validator';
 import { orgIntelligenceService } from '../../services/orgIntelligenceService';
+import { createSchemaRepairFailure } from '../../schemas/schemaRepair';
 
 export const analyzeLinkedInProfile: ActionHandler = async (payload, utilities, authContext) => {
   try {
@@ -50,41 +51,13 @@ export const analyzeLinkedInProfile: ActionHandler = async (payload, utilities,
       };
     }
 
-    const validation = utilities.validateSchema(llmResponse.data, 'analyze_linkedin_profile');
+    // Phase 12I: Local corrections, then re-prompts with the errors, then schema fallback data
+    const validation = await utilities.validateWithRepair(llmResponse.data, 'analyze_linkedin_profile', { template, prompt, llmConfig });
+    const finalResponse = validation.repairResponse || llmResponse;
+    const tokensUsed = (llmResponse.usage?.totalTokens || 0) + validation.tokensUsed;
 
     if (!validation.valid) {
-      if (template.retryPrompt) {
-        const retryPrompt = `${template.retryPrompt}\n\nOriginal output:\n${JSON.stringify(llmResponse.data)}\n\nErrors:\n${validation.errors?.join('\n')}`;
-        const retryResponse = await utilities.callLLM(retryPrompt, llmConfig);
-        
-        if (retryResponse.success) {
-          const retryValidation = utilities.validateSchema(retryResponse.data, 'analyze_linkedin_profile');
-          if (retryValidation.valid) {
-            return {
-              success: true,
-              data: retryValidation.data,
-              metadata: {
-                tokensUsed: (llmResponse.usage?.totalTokens || 0) + (retryResponse.usage?.totalTokens || 0),
-                modelUsed: retryResponse.model,
-                providerUsed: retryResponse.provider,
-                duration: (llmResponse.duration || 0) + (retryResponse.duration || 0),
-              },
-            };
-          }
-        }
-      }
-
-      // Schema validation failed but we have AI data - return success with warning
-      return {
-        success: true,
-        data: llmResponse.data,
-        metadata: {
-          tokensUsed: llmResponse.usage?.totalTokens,
-          modelUsed: llmResponse.model,
-          providerUsed: llmResponse.provider,
-          validationWarning: `Schema validation skipped: ${validation.errors?.join(', ')}`,
-        },
-      };
+      return createSchemaRepairFailure(validation, llmResponse, tokensUsed);
     }
 
     const enrichedData = {
@@ -98,9 +71,9 @@ export const analyzeLinkedInProfile: ActionHandler = async (payload, utilities,
       success: true,
       data: enrichedData,
       metadata: {
-        tokensUsed: llmResponse.usage?.totalTokens,
-        modelUsed: llmResponse.model,
-        providerUsed: llmResponse.provider,
+        tokensUsed,
+        modelUsed: finalResponse.model,
+        providerUsed: finalResponse.provider,
         duration: llmResponse.duration,
         orgIntelligenceSource,
         orgIntelligenceApplied: !!orgIntelligence,
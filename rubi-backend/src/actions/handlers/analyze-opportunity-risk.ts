@@ -1,6 +1,7 @@
 import { ActionHandler, LLMConfig } from '../../types';
 import { templateEngine } from '../../templates/template-engine';
 import { orgIntelligenceService } from '../../services/orgIntelligenceService';
+import { createSchemaRepairFailure } from '../../schemas/schemaRepair';
 
 export const analyzeOpportunityRisk: ActionHandler = async (payload, utilities, authContext) => {
   try {
@@ -49,22 +50,15 @@ export const analyzeOpportunityRisk: ActionHandler = async (payload, utilities,
       };
     }
 
-    const validation = utilities.validateSchema(llmResponse.data, 'analyze_opportunity_risk');
+    // Phase 12I: Local corrections, then re-prompts with the errors, then schema fallback data
+    const validation = await utilities.validateWithRepair(llmResponse.data, 'analyze_opportunity_risk', { template, prompt, llmConfig });
+    const finalResponse = validation.repairResponse || llmResponse;
+    const tokensUsed = (llmResponse.usage?.totalTokens || 0) + validation.tokensUsed;
 
     if (!validation.valid) {
       utilities.logger.warn('Opportunity risk analysis validation failed', validation.errors);
 
-      // Schema validation failed but we have AI data - return success with warning
-      return {
-        success: true,
-        data: llmResponse.data,
-        metadata: {
-          tokensUsed: llmResponse.usage?.totalTokens,
-          modelUsed: llmResponse.model,
-          providerUsed: llmResponse.provider,
-          validationWarning: `Schema validation skipped: ${validation.errors?.join(', ')}`,
-        },
-      };
+      return createSchemaRepairFailure(validation, llmResponse, tokensUsed);
     }
 
     const enrichedData = {
@@ -78,9 +72,9 @@ export const analyzeOpportunityRisk: ActionHandler = async (payload, utilities,
       success: true,
       data: enrichedData,
       metadata: {
-        tokensUsed: llmResponse.usage?.totalTokens,
-        modelUsed: llmResponse.model,
-        providerUsed: llmResponse.provider,
+        tokensUsed,
+        modelUsed: finalResponse.model,
+        providerUsed: finalResponse.provider,
         duration: llmResponse.duration,
         orgIntelligenceSource,
         orgIntelligenceApplied: !!orgIntelligence,
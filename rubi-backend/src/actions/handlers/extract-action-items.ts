@@ -1,5 +1,6 @@
 import { ActionHandler, LLMConfig } from '../../types';
 import { templateEngine } from '../../templates/template-engine';
+import { createSchemaRepairFailure } from '../../schemas/schemaRepair';
 
 export const extractActionItems: ActionHandler = async (payload, utilities) => {
   try {
@@ -27,20 +28,13 @@ export const extractActionItems: ActionHandler = async (payload, utilities) => {
       };
     }
 
-    const validation = utilities.validateSchema(llmResponse.data, 'extract_action_items');
+    // Phase 12I: Local corrections, then re-prompts with the errors, then schema fallback data
+    const validation = await utilities.validateWithRepair(llmResponse.data, 'extract_action_items', { template, prompt, llmConfig });
+    const finalResponse = validation.repairResponse || llmResponse;
+    const tokensUsed = (llmResponse.usage?.totalTokens || 0) + validation.tokensUsed;
 
     if (!validation.valid) {
-      // Schema validation failed but we have AI data - return success with warning
-      return {
-        success: true,
-        data: llmResponse.data,
-        metadata: {
-          tokensUsed: llmResponse.usage?.totalTokens,
-          modelUsed: llmResponse.model,
-          providerUsed: llmResponse.provider,
-          validationWarning: `Schema validation skipped: ${validation.errors?.join(', ')}`,
-        },
-      };
+      return createSchemaRepairFailure(validation, llmResponse, tokensUsed);
     }
 
     const enrichedData = {
@@ -54,9 +48,9 @@ export const extractActionItems: ActionHandler = async (payload, utilities) => {
       success: true,
       data: enrichedData,
       metadata: {
-        tokensUsed: llmResponse.usage?.totalTokens,
-        modelUsed: llmResponse.model,
-        providerUsed: llmResponse.provider,
+        tokensUsed,
+        modelUsed: finalResponse.model,
+        providerUsed: finalResponse.provider,
         duration: llmResponse.duration,
       },
     };
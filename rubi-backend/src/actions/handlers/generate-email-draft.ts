@@ -1,5 +1,6 @@
 import { ActionHandler, LLMConfig } from '../../types';
 import { templateEngine } from '../../templates/template-engine';
+import { createSchemaRepairFailure } from '../../schemas/schemaRepair';
 
 export const generateEmailDraft: ActionHandler = async (payload, utilities) => {
   try {
@@ -27,29 +28,22 @@ export const generateEmailDraft: ActionHandler = async (payload, utilities) => {
       };
     }
 
-    const validation = utilities.validateSchema(llmResponse.data, 'generate_email_draft');
+    // Phase 12I: Local corrections, then re-prompts with the errors, then schema fallback data
+    const validation = await utilities.validateWithRepair(llmResponse.data, 'generate_email_draft', { template, prompt, llmConfig });
+    const finalResponse = validation.repairResponse || llmResponse;
+    const tokensUsed = (llmResponse.usage?.totalTokens || 0) + validation.tokensUsed;
 
     if (!validation.valid) {
-      // Schema validation failed but we have AI data - return success with warning
-      return {
-        success: true,
-        data: llmResponse.data,
-        metadata: {
-          tokensUsed: llmResponse.usage?.totalTokens,
-          modelUsed: llmResponse.model,
-          providerUsed: llmResponse.provider,
-          validationWarning: `Schema validation skipped: ${validation.errors?.join(', ')}`,
-        },
-      };
+      return createSchemaRepairFailure(validation, llmResponse, tokensUsed);
     }
 
     return {
       success: true,
       data: validation.data,
       metadata: {
-        tokensUsed: llmResponse.usage?.totalTokens,
-        modelUsed: llmResponse.model,
-        providerUsed: llmResponse.provider,
+        tokensUsed,
+        modelUsed: finalResponse.model,
+        providerUsed: finalResponse.provider,
         duration: llmResponse.duration,
       },
     };
@@ -1,6 +1,7 @@
 import { ActionHandler, LLMConfig } from '../../types';
 import { templateEngine } from '../../templates/template-engine';
 import { orgIntelligenceService } from '../../services/orgIntelligenceService';
+import { createSchemaRepairFailure } from '../../schemas/schemaRepair';
 
 export const getDashboardInsights: ActionHandler = async (payload, utilities, authContext) => {
   try {
@@ -49,16 +50,18 @@ export const getDashboardInsights: ActionHandler = async (payload, utilities, au
       };
     }
 
-    const validation = utilities.validateSchema(llmResponse.data, 'get_dashboard_insights');
+    // Phase 12I: Local corrections, then re-prompts with the errors, then schema fallback data
+    const validation = await utilities.validateWithRepair(llmResponse.data, 'get_dashboard_insights', { template, prompt, llmConfig });
+    const finalResponse = validation.repairResponse || llmResponse;
+    const tokensUsed = (llmResponse.usage?.totalTokens || 0) + validation.tokensUsed;
 
     if (!validation.valid) {
-      utilities.logger.warn('Dashboard insights validation failed, using partial data', validation.errors);
+      utilities.logger.warn('Dashboard insights validation failed', validation.errors);
+      return createSchemaRepairFailure(validation, llmResponse, tokensUsed);
     }
 
-    const insightsData = validation.valid ? validation.data : llmResponse.data;
-
     const enrichedData = {
-      ...insightsData,
+      ...validation.data,
       generatedAt: new Date().toISOString(),
       dashboardUrl: payload.url,
       dataPoints: Object.keys(payload.context?.data || {}).length,
@@ -68,9 +71,9 @@ export const getDashboardInsights: ActionHandler = async (payload, utilities, au
       success: true,
       data: enrichedData,
       metadata: {
-        tokensUsed: llmResponse.usage?.totalTokens,
-        modelUsed: llmResponse.model,
-        providerUsed: llmResponse.provider,
+        tokensUsed,
+        modelUsed: finalResponse.model,
+        providerUsed: finalResponse.provider,
         duration: llmResponse.duration,
         orgIntelligenceSource,
         orgIntelligenceApplied: !!orgIntelligence,
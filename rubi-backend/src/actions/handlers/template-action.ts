@@ -0,0 +1,126 @@
+import { ActionHandler, LLMConfig, PromptTemplate } from '../../types';
+import { templateEngine } from '../../templates/template-engine';
+import { orgIntelligenceService } from '../../services/orgIntelligenceService';
+import { createSchemaRepairFailure } from '../../schemas/schemaRepair';
+
+/**
+ * Phase 12K: Output enrichments a template's `action.enrich` list can name
+ */
+export const TEMPLATE_ENRICHMENTS: Record<string, (payload: any) => any> = {
+  analyzedAt: () => new Date().toISOString(),
+  generatedAt: () => new Date().toISOString(),
+  url: payload => payload.url,
+  platform: payload => payload.platform,
+  pageType: payload => payload.pageType || payload.context?.type,
+  title: payload => payload.title,
+  dataPoints: payload => Object.keys(payload.context?.data || payload.fields || {}).length,
+};
+
+/**
+ * Phase 12K: Generic handler for actions declared in prompt templates:
+ * render → call → validate (with repair) → enrich
+ */
+export function createTemplateActionHandler(template: PromptTemplate): ActionHandler {
+  const actionName = template.id;
+  const schemaName = template.action?.schema || template.id;
+  const enrichments = (template.action?.enrich || []).filter(name => TEMPLATE_ENRICHMENTS[name]);
+
+  return async (payload, utilities, authContext) => {
+    try {
+      const orgId = authContext?.session?.org?.orgId || (authContext as any)?.orgConfig?.orgId || null;
+      const orgIntelligence = (authContext as any)?.orgIntelligence || null;
+      const orgIntelligenceSource = orgIntelligence ? 'provided' : 'none';
+
+      utilities.logger.info(`[Rubi Actions] Running template action ${actionName}`, {
+        orgId,
+        templateVersion: template.version,
+        orgIntelligenceSource,
+        orgIntelligenceApplied: !!orgIntelligence,
+      });
+
+      // Loaded through the engine cache, so template edits apply after templateEngine.clearCache()
+      const currentTemplate = await templateEngine.loadTemplate(actionName);
+
+      const promptData = {
+        ...payload,
+        orgIntelligence: orgIntelligence
+          ? orgIntelligenceService.getIntelligenceForPrompt(orgIntelligence, actionName)
+          : null,
+      };
+
+      const prompt = utilities.renderPrompt(currentTemplate, promptData);
+
+      const llmConfig: Partial<LLMConfig> = {
+        provider: currentTemplate.model.provider,
+        model: currentTemplate.model.name,
+        temperature: currentTemplate.model.temperature,
+        maxTokens: currentTemplate.model.maxTokens,
+        topP: currentTemplate.model.topP,
+        responseFormat: currentTemplate.outputFormat === 'json' ? { type: 'json_object' } : undefined,
+      };
+
+      const llmResponse = await utilities.callLLM(prompt, llmConfig);
+
+      if (!llmResponse.success) {
+        return {
+          success: false,
+          error: llmResponse.error,
+          metadata: {
+            modelUsed: llmResponse.model,
+            providerUsed: llmResponse.provider,
+          },
+        };
+      }
+
+      // Text templates have no schema to hold the output to
+      if (currentTemplate.outputFormat !== 'json') {
+        return {
+          success: true,
+          data: llmResponse.data,
+          metadata: {
+            tokensUsed: llmResponse.usage?.totalTokens,
+            modelUsed: llmResponse.model,
+            providerUsed: llmResponse.provider,
+            duration: llmResponse.duration,
+          },
+        };
+      }
+
+      const validation = await utilities.validateWithRepair(llmResponse.data, schemaName, {
+        template: currentTemplate,
+        prompt,
+        llmConfig,
+      });
+      const finalResponse = validation.repairResponse || llmResponse;
+      const tokensUsed = (llmResponse.usage?.totalTokens || 0) + validation.tokensUsed;
+
+      if (!validation.valid) {
+        return createSchemaRepairFailure(validation, llmResponse, tokensUsed);
+      }
+
+      const enrichedData = { ...validation.data };
+      for (const name of enrichments) {
+        enrichedData[name] = TEMPLATE_ENRICHMENTS[name](payload);
+      }
+
+      return {
+        success: true,
+        data: enrichedData,
+        metadata: {
+          tokensUsed,
+          modelUsed: finalResponse.model,
+          providerUsed: finalResponse.provider,
+          duration: llmResponse.duration,
+          orgIntelligenceSource,
+          orgIntelligenceApplied: !!orgIntelligence,
+        },
+      };
+    } catch (error) {
+      utilities.logger.error(`Template action ${actionName} failed`, error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : `Failed to run ${actionName}`,
+      };
+    }
+  };
+}
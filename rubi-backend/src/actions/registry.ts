@@ -5,6 +5,10 @@ import { analyzeEmailMessage } from './handlers/analyze-email-message';
 import { getDashboardInsights } from './handlers/get-dashboard-insights';
 import { generateEmailDraft } from './handlers/generate-email-draft';
 import { extractActionItems } from './handlers/extract-action-items';
+import { createTemplateActionHandler, TEMPLATE_ENRICHMENTS } from './handlers/template-action';
+import { templateEngine } from '../templates/template-engine';
+import { pipelineExecutor } from '../services/pipelineExecutor';
+import { logger } from '../logging/logger';
 
 export class ActionRegistry {
   private actions: Map<string, ActionDefinition> = new Map();
@@ -107,6 +111,83 @@ export class ActionRegistry {
     });
   }
 
+  /**
+   * Phase 12K: Register every loaded template with an `action` block that has no
+   * hand-written handler. Call after templateEngine.loadAllTemplates().
+   */
+  async registerTemplateActions(): Promise<string[]> {
+    const registered: string[] = [];
+
+    for (const templateName of templateEngine.getLoadedTemplates()) {
+      const template = await templateEngine.loadTemplate(templateName);
+      if (!template.action || template.id !== templateName) {
+        continue;
+      }
+
+      if (this.actions.has(template.id)) {
+        logger.debug(`Template action ${template.id} already has a handler; skipping`);
+        continue;
+      }
+
+      const unknownEnrichments = (template.action.enrich || []).filter(name => !TEMPLATE_ENRICHMENTS[name]);
+      if (unknownEnrichments.length > 0) {
+        logger.warn(`Template action ${template.id} names unknown enrichments: ${unknownEnrichments.join(', ')}`);
+      }
+
+      this.register({
+        name: template.id,
+        description: template.action.description || template.description,
+        templateFile: template.id,
+        schemaFile: template.action.schema || template.id,
+        handler: createTemplateActionHandler(template),
+        requiresAuth: template.action.requiresAuth ?? true,
+        rateLimit: template.action.rateLimit,
+        requiredFields: template.action.requiredFields,
+      });
+      registered.push(template.id);
+    }
+
+    return registered;
+  }
+
+  /**
+   * Phase 12L: Register every loaded pipeline as an action. Call after
+   * pipelineExecutor.loadAllPipelines() and registerTemplateActions(), since steps
+   * may reference template actions.
+   */
+  registerPipelineActions(): string[] {
+    const registered: string[] = [];
+
+    for (const pipeline of pipelineExecutor.getLoadedPipelines()) {
+      if (this.actions.has(pipeline.id)) {
+        logger.warn(`Pipeline ${pipeline.id} has the same name as an existing action; skipping`);
+        continue;
+      }
+
+      // Steps must be plain actions; nested pipelines would overwrite each other's step metadata
+      const invalidSteps = pipeline.steps.filter(step => !this.actions.has(step.action) || this.actions.get(step.action)!.pipeline);
+      if (invalidSteps.length > 0) {
+        logger.warn(`Pipeline ${pipeline.id} references unknown or pipeline actions: ${invalidSteps.map(step => step.action).join(', ')}; skipping`);
+        continue;
+      }
+
+      this.register({
+        name: pipeline.id,
+        description: pipeline.description || pipeline.name,
+        templateFile: pipeline.id,
+        schemaFile: pipeline.id,
+        handler: (payload, utilities, authContext) => pipelineExecutor.run(pipeline, payload, utilities, this, authContext),
+        requiresAuth: pipeline.requiresAuth ?? true,
+        rateLimit: pipeline.rateLimit,
+        requiredFields: pipeline.requiredFields,
+        pipeline,
+      });
+      registered.push(pipeline.id);
+    }
+
+    return registered;
+  }
+
   register(action: ActionDefinition): void {
     if (this.actions.has(action.name)) {
       throw new Error(`Action ${action.name} is already registered`);
@@ -200,6 +281,17 @@ export class ActionRegistry {
       errors.push('Timestamp is required');
     }
 
+    // Phase 12K: Fields the action's template needs to produce anything useful
+    for (const field of action.requiredFields || []) {
+      const value = field.split('.').reduce((current: any, key) => current?.[key], payload);
+      const empty = value === undefined || value === null ||
+        (typeof value === 'string' && value.trim() === '') ||
+        (Array.isArray(value) && value.length === 0);
+      if (empty) {
+        errors.push(`${field} is required`);
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors: errors.length > 0 ? errors : undefined,
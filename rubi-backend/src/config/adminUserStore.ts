@@ -0,0 +1,242 @@
+/**
+ * Phase 12Y: Admin User Stores
+ *
+ * Where admin panel users live, selected by ADMIN_USER_STORE (defaults to ORG_CONFIG_STORE, so
+ * a deployment on SQLite keeps its admins there too):
+ *
+ * - `json`: `configs/admin-users.json` (ADMIN_USERS_FILE), rewritten atomically under an
+ *   exclusive lock file
+ * - `sqlite`: an embedded SQLite database (ADMIN_USERS_DB, default `configs/admin-users.db`)
+ *   with one row per user; needs the optional `better-sqlite3` dependency
+ *
+ * As with org configs, updates go through a mutate callback that runs inside the store's lock
+ * or transaction.
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import type BetterSqlite3 from 'better-sqlite3';
+import { AdminUser } from '../types/adminUser';
+import { withFileLock, writeFileAtomic } from '../services/fileLock';
+import { logger } from '../logging/logger';
+
+export type AdminUserStoreKind = 'json' | 'sqlite';
+
+export interface AdminUserStore {
+  readonly kind: AdminUserStoreKind;
+  initialize(): Promise<void>;
+  // Null when the user doesn't exist
+  get(username: string): Promise<AdminUser | null>;
+  list(): Promise<AdminUser[]>;
+  // Throws when the username is taken
+  create(user: AdminUser): Promise<AdminUser>;
+  /**
+   * Replace a user with what `mutate` returns for its current record. Throws when the user
+   * doesn't exist, or whatever `mutate` throws, leaving the user unchanged.
+   */
+  update(username: string, mutate: (existing: AdminUser) => AdminUser): Promise<AdminUser>;
+  // Returns the removed user
+  delete(username: string): Promise<AdminUser>;
+}
+
+function notFound(username: string): Error {
+  return new Error(`Admin user ${username} not found`);
+}
+
+function alreadyExists(username: string): Error {
+  return new Error(`Admin user ${username} already exists`);
+}
+
+export class JsonAdminUserStore implements AdminUserStore {
+  readonly kind = 'json';
+  private filePath: string;
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+  }
+
+  async initialize(): Promise<void> {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      await fs.access(this.filePath);
+    } catch {
+      await withFileLock(this.filePath, () => this.write([]));
+    }
+  }
+
+  async get(username: string): Promise<AdminUser | null> {
+    return (await this.read()).find(user => user.username === username) || null;
+  }
+
+  async list(): Promise<AdminUser[]> {
+    return this.read();
+  }
+
+  async create(user: AdminUser): Promise<AdminUser> {
+    return withFileLock(this.filePath, async () => {
+      const users = await this.read();
+      if (users.some(existing => existing.username === user.username)) {
+        throw alreadyExists(user.username);
+      }
+      await this.write([...users, user]);
+      return user;
+    });
+  }
+
+  async update(username: string, mutate: (existing: AdminUser) => AdminUser): Promise<AdminUser> {
+    return withFileLock(this.filePath, async () => {
+      const users = await this.read();
+      const index = users.findIndex(user => user.username === username);
+      if (index === -1) {
+        throw notFound(username);
+      }
+      const updated = mutate(users[index]);
+      users[index] = updated;
+      await this.write(users);
+      return updated;
+    });
+  }
+
+  async delete(username: string): Promise<AdminUser> {
+    return withFileLock(this.filePath, async () => {
+      const users = await this.read();
+      const existing = users.find(user => user.username === username);
+      if (!existing) {
+        throw notFound(username);
+      }
+      await this.write(users.filter(user => user.username !== username));
+      return existing;
+    });
+  }
+
+  // Reads need no lock: the file is only ever replaced by rename
+  private async read(): Promise<AdminUser[]> {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      return Array.isArray(parsed.users) ? parsed.users : [];
+    } catch (error) {
+      if ((error as any).code !== 'ENOENT') {
+        logger.error('Error loading admin users', error);
+      }
+      return [];
+    }
+  }
+
+  private async write(users: AdminUser[]): Promise<void> {
+    await writeFileAtomic(this.filePath, JSON.stringify({
+      version: '1.0.0',
+      lastUpdated: new Date().toISOString(),
+      users
+    }, null, 2));
+  }
+}
+
+interface AdminUserRow {
+  username: string;
+  data: string;
+}
+
+export class SqliteAdminUserStore implements AdminUserStore {
+  readonly kind = 'sqlite';
+  private dbPath: string;
+  private db: BetterSqlite3.Database | null = null;
+
+  constructor(dbPath: string) {
+    this.dbPath = dbPath;
+  }
+
+  async initialize(): Promise<void> {
+    if (this.db) {
+      return;
+    }
+
+    // Loaded here so deployments on the JSON store don't need the native module
+    let Database: typeof BetterSqlite3;
+    try {
+      Database = require('better-sqlite3');
+    } catch {
+      throw new Error('ADMIN_USER_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    const db = new Database(this.dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        username TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )
+    `);
+    this.db = db;
+  }
+
+  async get(username: string): Promise<AdminUser | null> {
+    const row = this.getDb().prepare('SELECT * FROM admin_users WHERE username = ?').get(username) as AdminUserRow | undefined;
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list(): Promise<AdminUser[]> {
+    const rows = this.getDb().prepare('SELECT * FROM admin_users ORDER BY username').all() as AdminUserRow[];
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async create(user: AdminUser): Promise<AdminUser> {
+    const db = this.getDb();
+    db.transaction(() => {
+      if (db.prepare('SELECT 1 FROM admin_users WHERE username = ?').get(user.username)) {
+        throw alreadyExists(user.username);
+      }
+      db.prepare('INSERT INTO admin_users (username, data) VALUES (?, ?)').run(user.username, JSON.stringify(user));
+    }).immediate();
+    return user;
+  }
+
+  async update(username: string, mutate: (existing: AdminUser) => AdminUser): Promise<AdminUser> {
+    const db = this.getDb();
+    return db.transaction(() => {
+      const row = db.prepare('SELECT * FROM admin_users WHERE username = ?').get(username) as AdminUserRow | undefined;
+      if (!row) {
+        throw notFound(username);
+      }
+      const updated = mutate(JSON.parse(row.data));
+      db.prepare('UPDATE admin_users SET data = ? WHERE username = ?').run(JSON.stringify(updated), username);
+      return updated;
+    }).immediate();
+  }
+
+  async delete(username: string): Promise<AdminUser> {
+    const db = this.getDb();
+    return db.transaction(() => {
+      const row = db.prepare('SELECT * FROM admin_users WHERE username = ?').get(username) as AdminUserRow | undefined;
+      if (!row) {
+        throw notFound(username);
+      }
+      db.prepare('DELETE FROM admin_users WHERE username = ?').run(username);
+      return JSON.parse(row.data);
+    }).immediate();
+  }
+
+  private getDb(): BetterSqlite3.Database {
+    if (!this.db) {
+      throw new Error('SQLite admin user store used before initialize()');
+    }
+    return this.db;
+  }
+}
+
+/**
+ * Store selected by ADMIN_USER_STORE, falling back to ORG_CONFIG_STORE (`json` or `sqlite`)
+ */
+export function createAdminUserStore(
+  kind: string = process.env.ADMIN_USER_STORE || process.env.ORG_CONFIG_STORE || 'json'
+): AdminUserStore {
+  if (kind === 'sqlite') {
+    return new SqliteAdminUserStore(process.env.ADMIN_USERS_DB || path.join(process.cwd(), 'configs', 'admin-users.db'));
+  }
+  if (kind !== 'json') {
+    logger.warn(`Unknown ADMIN_USER_STORE "${kind}", using json`);
+  }
+  return new JsonAdminUserStore(process.env.ADMIN_USERS_FILE || path.join(process.cwd(), 'configs', 'admin-users.json'));
+}
@@ -52,6 +52,11 @@ export class Config {
             apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2023-12-01-preview',
             deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
           },
+          openaiCompatible: {
+            enabled: !!process.env.OPENAI_COMPATIBLE_BASE_URL,
+            baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+            defaultModel: process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1',
+          },
         },
         defaults: {
           provider: process.env.DEFAULT_PROVIDER || 'openai',
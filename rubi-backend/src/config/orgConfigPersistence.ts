@@ -1,29 +1,36 @@
-import * as fs from 'fs/promises';
-import * as path from 'path';
-import { OrgConfig, OrgConfigWithDefaults } from '../types/orgConfig';
+import { OrgConfig, OrgConfigAuthor, OrgConfigChange, OrgConfigWithDefaults, findInvalidModelProvider, findInvalidSpendLimit, findInvalidActionRateLimit, isValidWebhookUrl, findInvalidPiiRedaction, PII_DETECTORS, findInvalidProviderCredentials, findInvalidResultCacheTtl } from '../types/orgConfig';
 import { logger } from '../logging/logger';
+import { orgConfigVersions } from './orgConfigVersions';
+import { OrgConfigStore, createOrgConfigStore } from './orgConfigStore';
 
 export class OrgConfigPersistence {
-  private configPath: string;
+  // Phase 12S: Where orgs are stored (JSON file or SQLite); reads always go to the store so
+  // changes made by other instances are seen
+  private store: OrgConfigStore;
+  // Last state read from or written to the store, for synchronous callers of getConfigMap
   private configs: Map<string, OrgConfigWithDefaults>;
-  private fileLock: boolean = false;
 
-  constructor() {
-    this.configPath = path.join(process.cwd(), 'configs', 'orgs.json');
+  constructor(store: OrgConfigStore = createOrgConfigStore()) {
+    this.store = store;
     this.configs = new Map();
   }
 
   async initialize(): Promise<void> {
     try {
-      // Ensure configs directory exists
-      const configDir = path.dirname(this.configPath);
-      await fs.mkdir(configDir, { recursive: true });
+      await this.store.initialize();
 
       // Load existing configs
-      await this.loadConfigs();
+      await this.refresh();
+
+      // Phase 12R: Orgs saved before version history existed start from their current config
+      for (const org of this.configs.values()) {
+        if (!(await orgConfigVersions.hasHistory(org.orgId))) {
+          await this.recordVersion(org, 'imported');
+        }
+      }
       logger.info('Org config persistence initialized', { 
         configCount: this.configs.size,
-        path: this.configPath 
+        store: this.store.kind
       });
     } catch (error) {
       logger.error('Failed to initialize org config persistence', error);
@@ -31,83 +38,70 @@ export class OrgConfigPersistence {
     }
   }
 
-  private async loadConfigs(): Promise<void> {
-    try {
-      const data = await fs.readFile(this.configPath, 'utf-8');
-      const parsed = JSON.parse(data);
-      
-      if (parsed.orgs && Array.isArray(parsed.orgs)) {
-        for (const org of parsed.orgs) {
-          if (this.validateOrgConfig(org)) {
-            this.configs.set(org.orgId, {
-              ...org,
-              createdAt: new Date(org.createdAt || Date.now()),
-              updatedAt: new Date(org.updatedAt || Date.now()),
-              active: org.active !== false
-            });
-          }
-        }
-      }
-    } catch (error) {
-      // File doesn't exist yet, create with defaults
-      if ((error as any).code === 'ENOENT') {
-        logger.info('No existing org configs found, will create new file on first save');
-        await this.saveConfigs();
-      } else {
-        logger.error('Error loading org configs', error);
-      }
-    }
+  getStoreKind(): string {
+    return this.store.kind;
   }
 
-  private async saveConfigs(): Promise<void> {
-    // Simple file lock mechanism
-    while (this.fileLock) {
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
-    
-    this.fileLock = true;
-    
-    try {
-      const orgs = Array.from(this.configs.values());
-      const data = {
-        version: '1.0.0',
-        lastUpdated: new Date().toISOString(),
-        orgs
-      };
+  private async refresh(): Promise<OrgConfigWithDefaults[]> {
+    const orgs = await this.store.list();
+    this.configs = new Map(orgs.map(org => [org.orgId, org]));
+    return orgs;
+  }
 
-      // Write to temp file first, then rename (atomic operation)
-      const tempPath = `${this.configPath}.tmp`;
-      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
-      await fs.rename(tempPath, this.configPath);
-      
-      logger.debug('Org configs saved', { count: orgs.length });
-    } catch (error) {
-      logger.error('Failed to save org configs', error);
-      throw error;
-    } finally {
-      this.fileLock = false;
-    }
+  private remember(org: OrgConfigWithDefaults): OrgConfigWithDefaults {
+    this.configs.set(org.orgId, org);
+    return org;
   }
 
   async getAllOrgs(): Promise<OrgConfigWithDefaults[]> {
-    return Array.from(this.configs.values())
+    return (await this.refresh())
       .filter(org => org.active)
       .sort((a, b) => a.orgName.localeCompare(b.orgName));
   }
 
   async getOrgById(orgId: string): Promise<OrgConfigWithDefaults | null> {
-    const config = this.configs.get(orgId);
+    const config = await this.getOrgIncludingInactive(orgId);
     if (!config || !config.active) {
       return null;
     }
     return config;
   }
 
-  async createOrg(orgConfig: OrgConfig): Promise<OrgConfigWithDefaults> {
-    if (this.configs.has(orgConfig.orgId)) {
-      throw new Error(`Org with ID ${orgConfig.orgId} already exists`);
+  /**
+   * An org whether or not it has been soft-deleted
+   */
+  async getOrgIncludingInactive(orgId: string): Promise<OrgConfigWithDefaults | null> {
+    const config = await this.store.get(orgId);
+    if (config) {
+      this.remember(config);
+    } else {
+      this.configs.delete(orgId);
+    }
+    return config;
+  }
+
+  /**
+   * Phase 12R: Snapshot a saved org as its next version. The save itself has already
+   * succeeded, so a failed snapshot is logged rather than thrown.
+   */
+  private async recordVersion(
+    org: OrgConfigWithDefaults,
+    change: OrgConfigChange,
+    author?: OrgConfigAuthor,
+    rolledBackFrom?: number
+  ): Promise<void> {
+    try {
+      await orgConfigVersions.append(org.orgId, org, { author, change, rolledBackFrom });
+    } catch (error) {
+      logger.error('Failed to save org config version', {
+        orgId: org.orgId,
+        change,
+        error: error instanceof Error ? error.message : error
+      });
     }
+  }
 
+  async createOrg(orgConfig: OrgConfig, author?: OrgConfigAuthor): Promise<OrgConfigWithDefaults> {
     if (!this.validateOrgConfig(orgConfig)) {
       throw new Error('Invalid org configuration');
     }
@@ -119,8 +113,9 @@ export class OrgConfigPersistence {
       active: true
     };
 
-    this.configs.set(orgConfig.orgId, fullConfig);
-    await this.saveConfigs();
+    // Throws if the org already exists
+    this.remember(await this.store.create(fullConfig));
+    await this.recordVersion(fullConfig, 'created', author);
 
     logger.info('Org created', {
       orgId: orgConfig.orgId,
@@ -132,27 +127,23 @@ export class OrgConfigPersistence {
     return fullConfig;
   }
 
-  async updateOrg(orgId: string, updates: Partial<OrgConfig>): Promise<OrgConfigWithDefaults> {
-    const existing = this.configs.get(orgId);
-    if (!existing) {
-      throw new Error(`Org with ID ${orgId} not found`);
-    }
-
-    const updated: OrgConfigWithDefaults = {
-      ...existing,
-      ...updates,
-      orgId: existing.orgId, // Prevent changing orgId
-      createdAt: existing.createdAt,
-      updatedAt: new Date(),
-      active: existing.active
-    };
-
-    if (!this.validateOrgConfig(updated)) {
-      throw new Error('Invalid org configuration');
-    }
+  async updateOrg(orgId: string, updates: Partial<OrgConfig>, author?: OrgConfigAuthor): Promise<OrgConfigWithDefaults> {
+    const updated = this.remember(await this.store.update(orgId, existing => {
+      const merged: OrgConfigWithDefaults = {
+        ...existing,
+        ...updates,
+        orgId: existing.orgId, // Prevent changing orgId
+        createdAt: existing.createdAt,
+        updatedAt: new Date(),
+        active: existing.active
+      };
 
-    this.configs.set(orgId, updated);
-    await this.saveConfigs();
+      if (!this.validateOrgConfig(merged)) {
+        throw new Error('Invalid org configuration');
+      }
+      return merged;
+    }));
+    await this.recordVersion(updated, 'updated', author);
 
     logger.info('Org updated', {
       orgId,
@@ -164,52 +155,80 @@ export class OrgConfigPersistence {
     return updated;
   }
 
-  async deleteOrg(orgId: string, hard: boolean = false): Promise<void> {
-    const existing = this.configs.get(orgId);
-    if (!existing) {
-      throw new Error(`Org with ID ${orgId} not found`);
-    }
-
+  async deleteOrg(orgId: string, hard: boolean = false, author?: OrgConfigAuthor): Promise<void> {
     if (hard) {
+      const removed = await this.store.delete(orgId);
       this.configs.delete(orgId);
+      // A hard-deleted org keeps its history, but there is no config left to snapshot
       logger.info('Org hard deleted', {
         orgId,
-        orgName: existing.orgName,
+        orgName: removed.orgName,
         action: 'org_hard_deleted'
       });
     } else {
       // Soft delete
-      existing.active = false;
-      existing.updatedAt = new Date();
-      this.configs.set(orgId, existing);
+      const deleted = this.remember(await this.store.softDelete(orgId));
+      await this.recordVersion(deleted, 'soft_deleted', author);
       logger.info('Org soft deleted', {
         orgId,
-        orgName: existing.orgName,
+        orgName: deleted.orgName,
         action: 'org_soft_deleted'
       });
     }
+  }
+
+  async restoreOrg(orgId: string, author?: OrgConfigAuthor): Promise<OrgConfigWithDefaults> {
+    const restored = this.remember(await this.store.restore(orgId));
+    await this.recordVersion(restored, 'restored', author);
+
+    logger.info('Org restored', {
+      orgId,
+      orgName: restored.orgName,
+      action: 'org_restored'
+    });
 
-    await this.saveConfigs();
+    return restored;
   }
 
-  async restoreOrg(orgId: string): Promise<OrgConfigWithDefaults> {
-    const existing = this.configs.get(orgId);
-    if (!existing) {
+  /**
+   * Phase 12R: Replace an org's config with the one saved in an earlier version. Fields added
+   * since that version are dropped; the org's active state and creation date are kept.
+   */
+  async rollbackOrg(orgId: string, version: number, author?: OrgConfigAuthor): Promise<OrgConfigWithDefaults> {
+    if (!(await this.store.get(orgId))) {
       throw new Error(`Org with ID ${orgId} not found`);
     }
 
-    existing.active = true;
-    existing.updatedAt = new Date();
-    this.configs.set(orgId, existing);
-    await this.saveConfigs();
+    const target = await orgConfigVersions.get(orgId, version);
+    if (!target) {
+      throw new Error(`Version ${version} of org ${orgId} not found`);
+    }
 
-    logger.info('Org restored', {
+    const { createdAt, updatedAt, active, ...config } = target.config;
+    const restored = this.remember(await this.store.update(orgId, existing => {
+      const rolledBack: OrgConfigWithDefaults = {
+        ...(config as OrgConfig),
+        orgId: existing.orgId,
+        createdAt: existing.createdAt,
+        updatedAt: new Date(),
+        active: existing.active
+      };
+
+      if (!this.validateOrgConfig(rolledBack)) {
+        throw new Error('Invalid org configuration');
+      }
+      return rolledBack;
+    }));
+    await this.recordVersion(restored, 'rolled_back', author, version);
+
+    logger.info('Org rolled back', {
       orgId,
-      orgName: existing.orgName,
-      action: 'org_restored'
+      orgName: restored.orgName,
+      version,
+      action: 'org_rolled_back'
     });
 
-    return existing;
+    return restored;
   }
 
   private validateOrgConfig(config: any): boolean {
@@ -247,6 +266,13 @@ export class OrgConfigPersistence {
       return false;
     }
 
+    // Phase 12G: Org and per-action provider choices must be known providers
+    const invalidProvider = findInvalidModelProvider(config.modelPreferences);
+    if (invalidProvider !== null) {
+      logger.error(`Invalid modelPreferences provider: ${invalidProvider}`);
+      return false;
+    }
+
     if (!config.toneProfile?.id || !config.toneProfile?.style) {
       logger.error('Missing toneProfile.id or toneProfile.style');
       return false;
@@ -258,10 +284,57 @@ export class OrgConfigPersistence {
       return false;
     }
 
+    // Phase 12H: Prompt token cap must be a positive number when set
+    const maxPromptTokens = config.limits?.maxPromptTokensPerAction;
+    if (maxPromptTokens !== undefined && (typeof maxPromptTokens !== 'number' || maxPromptTokens <= 0)) {
+      logger.error('limits.maxPromptTokensPerAction must be a positive number');
+      return false;
+    }
+
+    // Phase 12J: Spend budgets are non-negative dollar amounts when set
+    const invalidSpendLimit = findInvalidSpendLimit(config);
+    if (invalidSpendLimit) {
+      logger.error(`${invalidSpendLimit} must be a non-negative number`);
+      return false;
+    }
+
+    // Phase 12P: Rate limit overrides are positive windows and counts
+    const invalidRateLimit = findInvalidActionRateLimit(config.limits);
+    if (invalidRateLimit) {
+      logger.error(`limits.actionRateLimits entry ${invalidRateLimit} must use positive windowMs, maxPerUser and maxPerOrg`);
+      return false;
+    }
+
+    // Phase 12V: Redaction detectors are known and custom patterns compile
+    const invalidRedaction = findInvalidPiiRedaction(config.pii_redaction);
+    if (invalidRedaction) {
+      logger.error(`Invalid ${invalidRedaction}: detectors must be ${PII_DETECTORS.join(', ')}; custom patterns need a name and a valid regular expression`);
+      return false;
+    }
+
+    // Phase 12X: Provider keys are stored encrypted, for known providers
+    const invalidCredential = findInvalidProviderCredentials(config.provider_credentials);
+    if (invalidCredential) {
+      logger.error(`Invalid ${invalidCredential}: provider keys must be set through the provider key endpoints`);
+      return false;
+    }
+
+    // Phase 12N: Job completion webhooks go to an absolute http(s) URL
+    if (config.job_webhook_url !== undefined && !isValidWebhookUrl(config.job_webhook_url)) {
+      logger.error('job_webhook_url must be an http(s) URL');
+      return false;
+    }
+
+    // Phase 12E: Result cache TTLs are seconds per action name
+    if (findInvalidResultCacheTtl(config.limits) !== null) {
+      logger.error('limits.resultCacheTtlSeconds must map action names to non-negative numbers');
+      return false;
+    }
+
     return true;
   }
 
-  // For backward compatibility with existing orgConfigService
+  // For backward compatibility with existing orgConfigService; the orgs as last read from the store
   getConfigMap(): Map<string, OrgConfigWithDefaults> {
     return new Map(this.configs);
   }
@@ -1,4 +1,4 @@
-import { OrgConfig, OrgConfigWithDefaults } from '../types/orgConfig';
+import { OrgConfig, OrgConfigWithDefaults, findInvalidModelProvider, findInvalidSpendLimit, findInvalidResultCacheTtl } from '../types/orgConfig';
 import { IdentityContext } from '../types/identity';
 import { orgConfigPersistence } from './orgConfigPersistence';
 import { config } from './index';
@@ -20,6 +20,7 @@ class OrgConfigService {
         'get_dashboard_insights',
         'generate_email_draft',
         'extract_action_items',
+        'summarize_raw_context',
         // Legacy action names for extension compatibility
         'summarize_linkedin_profile',
         'review_salesforce_opportunity',
@@ -172,6 +173,8 @@ class OrgConfigService {
         browser_extension_enabled: moodleConfig.browser_extension_enabled !== false,
         max_daily_actions_per_org: moodleConfig.max_daily_actions_per_org || undefined,
         max_daily_actions_per_user: moodleConfig.max_daily_actions_per_user || undefined,
+        max_daily_spend_usd: moodleConfig.max_daily_spend_usd ?? undefined,
+        max_monthly_spend_usd: moodleConfig.max_monthly_spend_usd ?? undefined,
         allowed_domains: moodleConfig.allowed_domains || undefined
       };
 
@@ -356,6 +359,33 @@ class OrgConfigService {
       return false;
     }
 
+    // Phase 12G: Org and per-action provider choices must be known providers
+    const invalidProvider = findInvalidModelProvider(config.modelPreferences);
+    if (invalidProvider !== null) {
+      console.error(`OrgConfigService: Invalid modelPreferences provider ${invalidProvider}`);
+      return false;
+    }
+
+    // Phase 12H: Prompt token cap must be a positive number when set
+    const maxPromptTokens = config.limits?.maxPromptTokensPerAction;
+    if (maxPromptTokens !== undefined && (typeof maxPromptTokens !== 'number' || maxPromptTokens <= 0)) {
+      console.error('OrgConfigService: limits.maxPromptTokensPerAction must be a positive number');
+      return false;
+    }
+
+    // Phase 12J: Spend budgets are non-negative dollar amounts when set
+    const invalidSpendLimit = findInvalidSpendLimit(config);
+    if (invalidSpendLimit) {
+      console.error(`OrgConfigService: ${invalidSpendLimit} must be a non-negative number`);
+      return false;
+    }
+
+    // Phase 12E: Result cache TTLs are seconds per action name
+    if (findInvalidResultCacheTtl(config.limits) !== null) {
+      console.error('OrgConfigService: limits.resultCacheTtlSeconds must map action names to non-negative numbers');
+      return false;
+    }
+
     return true;
   }
 
@@ -402,23 +432,31 @@ class OrgConfigService {
     return true;
   }
 
-  getEffectiveModelPreferences(config: OrgConfig | null, actionName?: string): { provider: string; model?: string } {
-    const defaultProvider = config?.modelPreferences?.defaultProvider || this.defaultConfig.modelPreferences?.defaultProvider || 'openai';
+  getEffectiveModelPreferences(
+    config: OrgConfig | null,
+    actionName?: string
+  ): { provider: string; model?: string; source: 'action' | 'org' | 'default' } {
+    const orgDefaultProvider = config?.modelPreferences?.defaultProvider;
+    const defaultProvider = orgDefaultProvider || this.defaultConfig.modelPreferences?.defaultProvider || 'openai';
+    // Phase 12B: Report where the preference came from so the orchestrator knows whether the org chose it
+    const defaultSource = orgDefaultProvider ? 'org' : 'default';
     
     if (!actionName) {
-      return { provider: defaultProvider };
+      return { provider: defaultProvider, source: defaultSource };
     }
 
     const actionPreference = config?.modelPreferences?.perAction?.[actionName];
     if (actionPreference) {
       return {
         provider: actionPreference.provider || defaultProvider,
-        model: actionPreference.model
+        model: actionPreference.model,
+        source: actionPreference.provider ? 'action' : defaultSource
       };
     }
 
-    return { provider: defaultProvider };
+    return { provider: defaultProvider, source: defaultSource };
   }
+
 }
 
 export const orgConfigService = new OrgConfigService();
\ No newline at end of file
@@ -0,0 +1,307 @@
+/**
+ * Phase 12S: Org Config Stores
+ *
+ * OrgConfigPersistence keeps validation and merging; where org configs live is behind the
+ * OrgConfigStore interface, selected by ORG_CONFIG_STORE:
+ *
+ * - `json` (default): `configs/orgs.json` (ORG_CONFIG_FILE), rewritten atomically under an
+ *   exclusive lock file, so instances sharing the file don't overwrite each other's changes
+ * - `sqlite`: an embedded SQLite database (ORG_CONFIG_DB, default `configs/orgs.db`) with one
+ *   row per org; needs the optional `better-sqlite3` dependency
+ *
+ * Updates go through a mutate callback that runs inside the store's lock or transaction, so a
+ * read-modify-write of one org can't interleave with another instance's.
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import type BetterSqlite3 from 'better-sqlite3';
+import { OrgConfigWithDefaults } from '../types/orgConfig';
+import { withFileLock, writeFileAtomic } from '../services/fileLock';
+import { logger } from '../logging/logger';
+
+export type OrgConfigStoreKind = 'json' | 'sqlite';
+
+export interface OrgConfigStore {
+  readonly kind: OrgConfigStoreKind;
+  initialize(): Promise<void>;
+  // Active or soft-deleted; null when the org doesn't exist
+  get(orgId: string): Promise<OrgConfigWithDefaults | null>;
+  // Every org, active and soft-deleted
+  list(): Promise<OrgConfigWithDefaults[]>;
+  // Throws when the org already exists
+  create(config: OrgConfigWithDefaults): Promise<OrgConfigWithDefaults>;
+  /**
+   * Replace an org with what `mutate` returns for its current config. Throws when the org
+   * doesn't exist, or whatever `mutate` throws, leaving the org unchanged.
+   */
+  update(orgId: string, mutate: (existing: OrgConfigWithDefaults) => OrgConfigWithDefaults): Promise<OrgConfigWithDefaults>;
+  softDelete(orgId: string): Promise<OrgConfigWithDefaults>;
+  restore(orgId: string): Promise<OrgConfigWithDefaults>;
+  // Hard delete; returns the removed org
+  delete(orgId: string): Promise<OrgConfigWithDefaults>;
+}
+
+/**
+ * Stored form of an org (dates as ISO strings) back to an OrgConfigWithDefaults
+ */
+function hydrate(org: any): OrgConfigWithDefaults {
+  return {
+    ...org,
+    createdAt: new Date(org.createdAt || Date.now()),
+    updatedAt: new Date(org.updatedAt || Date.now()),
+    active: org.active !== false
+  };
+}
+
+function notFound(orgId: string): Error {
+  return new Error(`Org with ID ${orgId} not found`);
+}
+
+function alreadyExists(orgId: string): Error {
+  return new Error(`Org with ID ${orgId} already exists`);
+}
+
+function setActive(active: boolean) {
+  return (org: OrgConfigWithDefaults): OrgConfigWithDefaults => ({ ...org, active, updatedAt: new Date() });
+}
+
+export class JsonOrgConfigStore implements OrgConfigStore {
+  readonly kind = 'json';
+  private configPath: string;
+
+  constructor(configPath: string) {
+    this.configPath = configPath;
+  }
+
+  async initialize(): Promise<void> {
+    await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+    try {
+      await fs.access(this.configPath);
+    } catch {
+      logger.info('No existing org configs found, creating an empty org config file');
+      await withFileLock(this.configPath, () => this.write([]));
+    }
+  }
+
+  async get(orgId: string): Promise<OrgConfigWithDefaults | null> {
+    return (await this.read()).find(org => org.orgId === orgId) || null;
+  }
+
+  async list(): Promise<OrgConfigWithDefaults[]> {
+    return this.read();
+  }
+
+  async create(config: OrgConfigWithDefaults): Promise<OrgConfigWithDefaults> {
+    return withFileLock(this.configPath, async () => {
+      const orgs = await this.read();
+      if (orgs.some(org => org.orgId === config.orgId)) {
+        throw alreadyExists(config.orgId);
+      }
+      await this.write([...orgs, config]);
+      return config;
+    });
+  }
+
+  async update(orgId: string, mutate: (existing: OrgConfigWithDefaults) => OrgConfigWithDefaults): Promise<OrgConfigWithDefaults> {
+    return withFileLock(this.configPath, async () => {
+      const orgs = await this.read();
+      const index = orgs.findIndex(org => org.orgId === orgId);
+      if (index === -1) {
+        throw notFound(orgId);
+      }
+      const updated = mutate(orgs[index]);
+      orgs[index] = updated;
+      await this.write(orgs);
+      return updated;
+    });
+  }
+
+  softDelete(orgId: string): Promise<OrgConfigWithDefaults> {
+    return this.update(orgId, setActive(false));
+  }
+
+  restore(orgId: string): Promise<OrgConfigWithDefaults> {
+    return this.update(orgId, setActive(true));
+  }
+
+  async delete(orgId: string): Promise<OrgConfigWithDefaults> {
+    return withFileLock(this.configPath, async () => {
+      const orgs = await this.read();
+      const existing = orgs.find(org => org.orgId === orgId);
+      if (!existing) {
+        throw notFound(orgId);
+      }
+      await this.write(orgs.filter(org => org.orgId !== orgId));
+      return existing;
+    });
+  }
+
+  // Reads need no lock: the file is only ever replaced by rename
+  private async read(): Promise<OrgConfigWithDefaults[]> {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.configPath, 'utf-8'));
+      return Array.isArray(parsed.orgs) ? parsed.orgs.map(hydrate) : [];
+    } catch (error) {
+      if ((error as any).code !== 'ENOENT') {
+        logger.error('Error loading org configs', error);
+      }
+      return [];
+    }
+  }
+
+  private async write(orgs: OrgConfigWithDefaults[]): Promise<void> {
+    await writeFileAtomic(this.configPath, JSON.stringify({
+      version: '1.0.0',
+      lastUpdated: new Date().toISOString(),
+      orgs
+    }, null, 2));
+    logger.debug('Org configs saved', { count: orgs.length });
+  }
+}
+
+interface OrgRow {
+  org_id: string;
+  config: string;
+  active: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export class SqliteOrgConfigStore implements OrgConfigStore {
+  readonly kind = 'sqlite';
+  private dbPath: string;
+  private db: BetterSqlite3.Database | null = null;
+
+  constructor(dbPath: string) {
+    this.dbPath = dbPath;
+  }
+
+  async initialize(): Promise<void> {
+    if (this.db) {
+      return;
+    }
+
+    // Loaded here so deployments on the JSON store don't need the native module
+    let Database: typeof BetterSqlite3;
+    try {
+      Database = require('better-sqlite3');
+    } catch {
+      throw new Error('ORG_CONFIG_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    const db = new Database(this.dbPath);
+    // WAL lets other instances read while one writes; writers wait on each other
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS orgs (
+        org_id TEXT PRIMARY KEY,
+        config TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    this.db = db;
+  }
+
+  async get(orgId: string): Promise<OrgConfigWithDefaults | null> {
+    const row = this.getDb().prepare('SELECT * FROM orgs WHERE org_id = ?').get(orgId) as OrgRow | undefined;
+    return row ? this.fromRow(row) : null;
+  }
+
+  async list(): Promise<OrgConfigWithDefaults[]> {
+    const rows = this.getDb().prepare('SELECT * FROM orgs ORDER BY org_id').all() as OrgRow[];
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async create(config: OrgConfigWithDefaults): Promise<OrgConfigWithDefaults> {
+    const db = this.getDb();
+    db.transaction(() => {
+      if (db.prepare('SELECT 1 FROM orgs WHERE org_id = ?').get(config.orgId)) {
+        throw alreadyExists(config.orgId);
+      }
+      db.prepare('INSERT INTO orgs (org_id, config, active, created_at, updated_at) VALUES (@org_id, @config, @active, @created_at, @updated_at)')
+        .run(this.toRow(config));
+    }).immediate();
+    return config;
+  }
+
+  async update(orgId: string, mutate: (existing: OrgConfigWithDefaults) => OrgConfigWithDefaults): Promise<OrgConfigWithDefaults> {
+    const db = this.getDb();
+    // IMMEDIATE takes the write lock before reading, so the mutate sees the latest row
+    return db.transaction(() => {
+      const row = db.prepare('SELECT * FROM orgs WHERE org_id = ?').get(orgId) as OrgRow | undefined;
+      if (!row) {
+        throw notFound(orgId);
+      }
+      const updated = mutate(this.fromRow(row));
+      db.prepare('UPDATE orgs SET config = @config, active = @active, created_at = @created_at, updated_at = @updated_at WHERE org_id = @org_id')
+        .run({ ...this.toRow(updated), org_id: orgId });
+      return updated;
+    }).immediate();
+  }
+
+  softDelete(orgId: string): Promise<OrgConfigWithDefaults> {
+    return this.update(orgId, setActive(false));
+  }
+
+  restore(orgId: string): Promise<OrgConfigWithDefaults> {
+    return this.update(orgId, setActive(true));
+  }
+
+  async delete(orgId: string): Promise<OrgConfigWithDefaults> {
+    const db = this.getDb();
+    return db.transaction(() => {
+      const row = db.prepare('SELECT * FROM orgs WHERE org_id = ?').get(orgId) as OrgRow | undefined;
+      if (!row) {
+        throw notFound(orgId);
+      }
+      db.prepare('DELETE FROM orgs WHERE org_id = ?').run(orgId);
+      return this.fromRow(row);
+    }).immediate();
+  }
+
+  private getDb(): BetterSqlite3.Database {
+    if (!this.db) {
+      throw new Error('SQLite org config store used before initialize()');
+    }
+    return this.db;
+  }
+
+  private fromRow(row: OrgRow): OrgConfigWithDefaults {
+    return hydrate({
+      ...JSON.parse(row.config),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      active: row.active === 1
+    });
+  }
+
+  private toRow(org: OrgConfigWithDefaults): OrgRow {
+    const { createdAt, updatedAt, active, ...config } = org;
+    return {
+      org_id: org.orgId,
+      config: JSON.stringify(config),
+      active: active ? 1 : 0,
+      created_at: new Date(createdAt).toISOString(),
+      updated_at: new Date(updatedAt).toISOString()
+    };
+  }
+}
+
+/**
+ * Store selected by ORG_CONFIG_STORE (`json` or `sqlite`)
+ */
+export function createOrgConfigStore(kind: string = process.env.ORG_CONFIG_STORE || 'json'): OrgConfigStore {
+  if (kind === 'sqlite') {
+    return new SqliteOrgConfigStore(process.env.ORG_CONFIG_DB || path.join(process.cwd(), 'configs', 'orgs.db'));
+  }
+  if (kind !== 'json') {
+    logger.warn(`Unknown ORG_CONFIG_STORE "${kind}", using json`);
+  }
+  return new JsonOrgConfigStore(process.env.ORG_CONFIG_FILE || path.join(process.cwd(), 'configs', 'orgs.json'));
+}
@@ -586,4 +586,50 @@ export const defaultFusedIntelligence: OrgIntelligence = {
       quote: 'The combination of AI simulations and compliant coaching tools gave our team confidence and competence for a successful launch.'
     }
   ]
-};
\ No newline at end of file
+};
+/**
+ * Phase 12T: Starting point for orgs with no intelligence of their own, so admins can fill
+ * it in section by section. Valid against the org intelligence schema.
+ */
+export const emptyOrgIntelligence: OrgIntelligence = {
+  companyIdentity: {
+    companyName: '',
+    companyDescription: '',
+    missionStatement: '',
+    tagline: '',
+    brandPromise: '',
+    headquarters: '',
+    regionsOperated: [],
+    employeeCount: '',
+    websiteUrl: '',
+    primaryIndustry: '',
+    secondaryIndustries: []
+  },
+  valuePropositions: [],
+  differentiators: [],
+  productCatalog: [],
+  icp: {
+    targetIndustries: [],
+    targetRoles: [],
+    companySizes: [],
+    geographicFocus: [],
+    buyingTriggers: [],
+    painPoints: [],
+    goals: [],
+    maturityLevelIndicators: []
+  },
+  buyerPersonas: [],
+  competitiveLandscape: [],
+  strategicNarratives: [],
+  objectionLibrary: [],
+  messagingRules: {
+    toneGuidelines: [],
+    forbiddenPhrases: [],
+    preferredTerms: {},
+    formattingRules: [],
+    interactionStyle: '',
+    responseLengthGuidelines: {}
+  },
+  industryIntelligence: [],
+  successStories: []
+};
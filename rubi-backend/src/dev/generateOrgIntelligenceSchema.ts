@@ -0,0 +1,109 @@
+/**
+ * Phase 12T: Generate the OrgIntelligence JSON schema from src/types/orgIntelligence.ts
+ *
+ * Run after changing the types: npm run generate:org-intel-schema
+ * Writes src/schemas/orgIntelligence.schema.json, which the org intelligence admin API
+ * validates uploads against. Handles the constructs the types file uses: interfaces,
+ * primitives, arrays, unions of primitives, Record<string, T> and inline object types.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as ts from 'typescript';
+
+const TYPES_FILE = path.join(__dirname, '../types/orgIntelligence.ts');
+const OUTPUT_FILE = path.join(__dirname, '../schemas/orgIntelligence.schema.json');
+const ROOT_INTERFACE = 'OrgIntelligence';
+
+function typeToSchema(node: ts.TypeNode, interfaces: Set<string>): any {
+  switch (node.kind) {
+    case ts.SyntaxKind.StringKeyword:
+      return { type: 'string' };
+    case ts.SyntaxKind.NumberKeyword:
+      return { type: 'number' };
+    case ts.SyntaxKind.BooleanKeyword:
+      return { type: 'boolean' };
+  }
+
+  if (ts.isArrayTypeNode(node)) {
+    return { type: 'array', items: typeToSchema(node.elementType, interfaces) };
+  }
+
+  if (ts.isUnionTypeNode(node)) {
+    const members = node.types.map(member => typeToSchema(member, interfaces));
+    if (members.every(member => typeof member.type === 'string' && Object.keys(member).length === 1)) {
+      return { type: members.map(member => member.type) };
+    }
+    return { anyOf: members };
+  }
+
+  if (ts.isTypeLiteralNode(node)) {
+    return membersToSchema(node.members, interfaces);
+  }
+
+  if (ts.isTypeReferenceNode(node)) {
+    const name = node.typeName.getText();
+    if (name === 'Record' && node.typeArguments?.length === 2) {
+      return { type: 'object', additionalProperties: typeToSchema(node.typeArguments[1], interfaces) };
+    }
+    if (interfaces.has(name)) {
+      return { $ref: `#/definitions/${name}` };
+    }
+  }
+
+  throw new Error(`Unsupported type in ${path.basename(TYPES_FILE)}: ${node.getText()}`);
+}
+
+function membersToSchema(members: ts.NodeArray<ts.TypeElement>, interfaces: Set<string>): any {
+  const properties: Record<string, any> = {};
+  const required: string[] = [];
+
+  for (const member of members) {
+    if (!ts.isPropertySignature(member) || !member.type) {
+      continue;
+    }
+    const name = member.name.getText();
+    properties[name] = typeToSchema(member.type, interfaces);
+    if (!member.questionToken) {
+      required.push(name);
+    }
+  }
+
+  return {
+    type: 'object',
+    ...(required.length > 0 ? { required } : {}),
+    properties,
+    additionalProperties: false
+  };
+}
+
+function generate(): void {
+  const source = ts.createSourceFile(TYPES_FILE, fs.readFileSync(TYPES_FILE, 'utf-8'), ts.ScriptTarget.ES2022, true);
+  const declarations = source.statements.filter(ts.isInterfaceDeclaration);
+  const interfaces = new Set(declarations.map(declaration => declaration.name.text));
+
+  if (!interfaces.has(ROOT_INTERFACE)) {
+    throw new Error(`${ROOT_INTERFACE} not found in ${TYPES_FILE}`);
+  }
+
+  const definitions: Record<string, any> = {};
+  for (const declaration of declarations) {
+    if (declaration.name.text !== ROOT_INTERFACE) {
+      definitions[declaration.name.text] = membersToSchema(declaration.members, interfaces);
+    }
+  }
+
+  const root = declarations.find(declaration => declaration.name.text === ROOT_INTERFACE)!;
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $comment: 'Generated from src/types/orgIntelligence.ts by `npm run generate:org-intel-schema`; do not edit by hand',
+    title: ROOT_INTERFACE,
+    ...membersToSchema(root.members, interfaces),
+    definitions
+  };
+
+  fs.writeFileSync(OUTPUT_FILE, `${JSON.stringify(schema, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_FILE)} (${Object.keys(definitions).length} definitions)`);
+}
+
+generate();
@@ -185,6 +185,20 @@ function createMockUtilities(actionName: string): ActionUtilities {
       };
     },
     
+    validateWithRepair: async (data: any, schemaName: string) => {
+      // For testing, always return valid
+      return {
+        valid: true,
+        data,
+        tokensUsed: 0,
+        report: { schemaName, outcome: 'valid' as const, stages: [] },
+      };
+    },
+    
+    forAction: (stepActionName: string) => createMockUtilities(stepActionName),
+    
+    recordPipeline: () => {},
+    
     logger: {
       info: (msg: string, data?: any) => console.log(`ℹ️  ${msg}`, data || ''),
       warn: (msg: string, data?: any) => console.warn(`⚠️  ${msg}`, data || ''),
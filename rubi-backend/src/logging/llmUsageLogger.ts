@@ -1,5 +1,6 @@
-import { LLMProvider, ActionLogEntry } from '../types';
+import { LLMProvider, ActionLogEntry, ProviderKeySource } from '../types';
 import { logger } from './logger';
+import { modelPricing } from '../providers/pricing';
 import * as fs from 'fs';
 import * as path from 'path';
 
@@ -17,10 +18,13 @@ interface LLMUsageEntry {
   cost?: number;
   retryCount: number;
   fallbackUsed: boolean;
+  // Phase 12X: Whether the call was billed to the org's own provider key or the platform's
+  keySource: ProviderKeySource;
   validationFailures?: number;
   success: boolean;
   error?: string;
   userId?: string;
+  orgId?: string;
   sessionId?: string;
   metadata?: Record<string, any>;
 }
@@ -34,6 +38,18 @@ interface UsageStats {
   averageLatency: number;
   byProvider: Record<string, ProviderStats>;
   byAction: Record<string, ActionStats>;
+  // Phase 12J: Spend per org and per user (keyed orgId:userId)
+  byOrg: Record<string, SpendStats>;
+  byUser: Record<string, SpendStats>;
+  // Phase 12X: Spend per key source, overall and per org (keyed orgId:keySource)
+  byKeySource: Record<string, SpendStats>;
+  byOrgKeySource: Record<string, SpendStats>;
+}
+
+interface SpendStats {
+  requests: number;
+  tokens: number;
+  cost: number;
 }
 
 interface ProviderStats {
@@ -47,6 +63,7 @@ interface ProviderStats {
 interface ActionStats {
   requests: number;
   tokens: number;
+  cost: number;
   successRate: number;
   averageLatency: number;
   primaryProvider: string;
@@ -85,7 +102,8 @@ export class LLMUsageLogger {
     if (fs.existsSync(this.statsFile)) {
       try {
         const content = fs.readFileSync(this.statsFile, 'utf-8');
-        return JSON.parse(content);
+        // Stats files written before spend tracking have no org/user or key source breakdowns
+        return { byOrg: {}, byUser: {}, byKeySource: {}, byOrgKeySource: {}, ...JSON.parse(content) };
       } catch (error) {
         logger.error('Failed to load usage stats', error);
       }
@@ -100,6 +118,10 @@ export class LLMUsageLogger {
       averageLatency: 0,
       byProvider: {},
       byAction: {},
+      byOrg: {},
+      byUser: {},
+      byKeySource: {},
+      byOrgKeySource: {},
     };
   }
 
@@ -113,11 +135,16 @@ export class LLMUsageLogger {
     duration: number;
     retryCount?: number;
     fallbackUsed?: boolean;
+    // Phase 12X: Defaults to the platform key
+    keySource?: ProviderKeySource;
     validationFailures?: number;
     success: boolean;
     error?: string;
     userId?: string;
+    orgId?: string;
     sessionId?: string;
+    // Phase 12J: Precomputed dollar cost; priced from the model table when omitted
+    cost?: number;
     metadata?: Record<string, any>;
   }): void {
     try {
@@ -132,13 +159,15 @@ export class LLMUsageLogger {
         tokensOut: entry.tokensOut,
         totalTokens: entry.tokensIn + entry.tokensOut,
         duration: entry.duration,
-        cost: this.calculateCost(entry.provider, entry.model, entry.tokensIn, entry.tokensOut),
+        cost: entry.cost ?? modelPricing.calculateCost(entry.provider, entry.model, entry.tokensIn, entry.tokensOut),
         retryCount: entry.retryCount || 0,
         fallbackUsed: entry.fallbackUsed || false,
+        keySource: entry.keySource || 'platform',
         validationFailures: entry.validationFailures,
         success: entry.success,
         error: entry.error ? this.sanitizeError(entry.error) : undefined,
         userId: entry.userId,
+        orgId: entry.orgId,
         sessionId: entry.sessionId,
         metadata: this.sanitizeMetadata(entry.metadata),
       };
@@ -152,9 +181,11 @@ export class LLMUsageLogger {
         provider: usageEntry.provider,
         model: usageEntry.model,
         tokens: usageEntry.totalTokens,
+        cost: usageEntry.cost,
         duration: usageEntry.duration,
         success: usageEntry.success,
         fallbackUsed: usageEntry.fallbackUsed,
+        keySource: usageEntry.keySource,
       });
 
       // Flush if buffer is large
@@ -201,35 +232,6 @@ export class LLMUsageLogger {
     return sanitized;
   }
 
-  private calculateCost(provider: string, model: string, tokensIn: number, tokensOut: number): number {
-    // Pricing per 1K tokens (approximate as of 2024)
-    const pricing: Record<string, Record<string, { input: number; output: number }>> = {
-      openai: {
-        'gpt-4-turbo-preview': { input: 0.01, output: 0.03 },
-        'gpt-4': { input: 0.03, output: 0.06 },
-        'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
-      },
-      anthropic: {
-        'claude-3-sonnet-20240229': { input: 0.003, output: 0.015 },
-        'claude-3-opus-20240229': { input: 0.015, output: 0.075 },
-        'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 },
-      },
-      google: {
-        'gemini-2.0-pro': { input: 0.00025, output: 0.0005 },
-        'gemini-1.5-pro': { input: 0.00125, output: 0.00375 },
-        'gemini-1.5-flash': { input: 0.000075, output: 0.0003 },
-      },
-    };
-
-    const modelPricing = pricing[provider]?.[model];
-    if (!modelPricing) {
-      // Default pricing if model not found
-      return (tokensIn * 0.001 + tokensOut * 0.002) / 1000;
-    }
-
-    return (tokensIn * modelPricing.input + tokensOut * modelPricing.output) / 1000;
-  }
-
   private updateStats(entry: LLMUsageEntry): void {
     // Update global stats
     this.stats.totalRequests++;
@@ -273,6 +275,7 @@ export class LLMUsageLogger {
       this.stats.byAction[entry.action] = {
         requests: 0,
         tokens: 0,
+        cost: 0,
         successRate: 0,
         averageLatency: 0,
         primaryProvider: entry.provider,
@@ -283,6 +286,7 @@ export class LLMUsageLogger {
     const actionStats = this.stats.byAction[entry.action];
     actionStats.requests++;
     actionStats.tokens += entry.totalTokens;
+    actionStats.cost = (actionStats.cost || 0) + (entry.cost || 0);
     actionStats.successRate = 
       ((actionStats.successRate * (actionStats.requests - 1)) + (entry.success ? 1 : 0)) / 
       actionStats.requests;
@@ -298,6 +302,27 @@ export class LLMUsageLogger {
       actionStats.fallbackRate = 
         (actionStats.fallbackRate * (actionN - 1)) / actionN;
     }
+
+    // Phase 12J: Spend per org and user
+    if (entry.orgId) {
+      this.addSpend(this.stats.byOrg, entry.orgId, entry);
+      if (entry.userId) {
+        this.addSpend(this.stats.byUser, `${entry.orgId}:${entry.userId}`, entry);
+      }
+    }
+
+    // Phase 12X: Spend billed to org keys vs the platform keys
+    this.addSpend(this.stats.byKeySource, entry.keySource, entry);
+    if (entry.orgId) {
+      this.addSpend(this.stats.byOrgKeySource, `${entry.orgId}:${entry.keySource}`, entry);
+    }
+  }
+
+  private addSpend(bucket: Record<string, SpendStats>, key: string, entry: LLMUsageEntry): void {
+    const stats = bucket[key] || (bucket[key] = { requests: 0, tokens: 0, cost: 0 });
+    stats.requests++;
+    stats.tokens += entry.totalTokens;
+    stats.cost += entry.cost || 0;
   }
 
   private flush(): void {
@@ -354,6 +379,7 @@ export class LLMUsageLogger {
       },
       topActions: this.getTopActions(entries, 5),
       providerUsage: this.getProviderUsage(entries),
+      keySourceUsage: this.getKeySourceUsage(entries),
       errorAnalysis: this.getErrorAnalysis(entries),
     };
 
@@ -430,6 +456,15 @@ export class LLMUsageLogger {
     return usage;
   }
 
+  // Phase 12X: Entries logged before org keys existed used the platform keys
+  private getKeySourceUsage(entries: LLMUsageEntry[]): Record<string, SpendStats> {
+    const usage: Record<string, SpendStats> = {};
+    for (const entry of entries) {
+      this.addSpend(usage, entry.keySource || 'platform', entry);
+    }
+    return usage;
+  }
+
   private getErrorAnalysis(entries: LLMUsageEntry[]): any {
     const errors = entries.filter(e => !e.success);
     
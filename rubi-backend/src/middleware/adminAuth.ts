@@ -2,14 +2,29 @@ import { Request, Response, NextFunction } from 'express';
 import jwt from 'jsonwebtoken';
 import { logger } from '../logging/logger';
 import crypto from 'crypto';
+import { ALL_ORGS, AdminRole, AdminUser } from '../types/adminUser';
+import { adminUsers } from '../services/adminUserService';
+
+export type AdminPermission = 'org:read' | 'org:write' | 'org:create' | 'org:delete' | 'admin:manage';
+
+// Phase 12Y: what each role may do; org_admin and viewer only within their orgIds
+export const ADMIN_ROLE_PERMISSIONS: Record<AdminRole, AdminPermission[]> = {
+  superadmin: ['org:read', 'org:write', 'org:create', 'org:delete', 'admin:manage'],
+  org_admin: ['org:read', 'org:write'],
+  viewer: ['org:read'],
+};
 
 export interface AdminSessionData {
   userId: string;
   email: string;
-  role: 'admin' | 'superadmin';
-  permissions: string[];
+  role: AdminRole;
+  // Orgs the session may access; ignored for superadmins
+  orgIds: string[];
+  permissions: AdminPermission[];
   expiresAt: Date;
   csrfToken?: string;
+  // Phase 12Y: The user's tokenVersion when the token was issued
+  tokenVersion?: number;
 }
 
 export interface AdminAuthenticatedRequest extends Request {
@@ -19,7 +34,6 @@ export interface AdminAuthenticatedRequest extends Request {
 
 export class AdminAuthMiddleware {
   private jwtSecret: string;
-  private adminCredentials: Map<string, { passwordHash: string; role: 'admin' | 'superadmin' }>;
 
   constructor() {
     this.jwtSecret = process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET || 'admin-secret-change-in-production';
@@ -27,42 +41,14 @@ export class AdminAuthMiddleware {
     if (this.jwtSecret === 'admin-secret-change-in-production') {
       logger.warn('Using default admin JWT secret. Please set ADMIN_JWT_SECRET environment variable.');
     }
-
-    // Initialize admin credentials from environment or defaults
-    this.adminCredentials = new Map();
-    this.initializeAdminCredentials();
-  }
-
-  private initializeAdminCredentials(): void {
-    // Load from environment variables
-    const adminUser = process.env.ADMIN_USERNAME || 'admin';
-    const adminPassword = process.env.ADMIN_PASSWORD || 'changeme123';
-    
-    // Hash the password
-    const passwordHash = this.hashPassword(adminPassword);
-    
-    this.adminCredentials.set(adminUser, {
-      passwordHash,
-      role: 'superadmin'
-    });
-
-    // Add secondary admin if configured
-    if (process.env.SECONDARY_ADMIN_USERNAME && process.env.SECONDARY_ADMIN_PASSWORD) {
-      const secondaryHash = this.hashPassword(process.env.SECONDARY_ADMIN_PASSWORD);
-      this.adminCredentials.set(process.env.SECONDARY_ADMIN_USERNAME, {
-        passwordHash: secondaryHash,
-        role: 'admin'
-      });
-    }
-
-    logger.info('Admin credentials initialized', { adminCount: this.adminCredentials.size });
   }
 
-  private hashPassword(password: string): string {
-    return crypto.createHash('sha256').update(password).digest('hex');
-  }
-
-  authenticateAdmin = (req: AdminAuthenticatedRequest, res: Response, next: NextFunction): void => {
+  /**
+   * Verify the session token and reload its user, so a disabled, deleted or re-scoped user
+   * (or one whose password changed since the token was issued) loses access on their next
+   * request rather than when the token expires
+   */
+  authenticateAdmin = async (req: AdminAuthenticatedRequest, res: Response, next: NextFunction): Promise<void> => {
     try {
       const token = this.extractToken(req);
 
@@ -84,15 +70,30 @@ export class AdminAuthMiddleware {
         return;
       }
 
-      if (decoded.role !== 'admin' && decoded.role !== 'superadmin') {
-        res.status(403).json({
+      const user = await adminUsers.getUser(decoded.userId);
+      if (!user || user.status !== 'active') {
+        res.status(401).json({
           success: false,
-          error: 'Admin privileges required',
+          error: 'Admin account is not active',
         });
         return;
       }
 
-      req.adminSession = decoded;
+      if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+        res.status(401).json({
+          success: false,
+          error: 'Admin session ended by a password change',
+        });
+        return;
+      }
+
+      req.adminSession = {
+        ...decoded,
+        email: user.email,
+        role: user.role,
+        orgIds: user.orgIds,
+        permissions: ADMIN_ROLE_PERMISSIONS[user.role],
+      };
       req.adminId = decoded.userId;
 
       next();
@@ -125,19 +126,52 @@ export class AdminAuthMiddleware {
     next();
   };
 
-  validateCredentials(username: string, password: string): boolean {
-    const credentials = this.adminCredentials.get(username);
-    if (!credentials) {
-      return false;
-    }
+  /**
+   * Reject sessions whose role lacks `permission`
+   */
+  requirePermission = (permission: AdminPermission) =>
+    (req: AdminAuthenticatedRequest, res: Response, next: NextFunction): void => {
+      if (!req.adminSession) {
+        res.status(401).json({
+          success: false,
+          error: 'Admin authentication required',
+        });
+        return;
+      }
 
-    const passwordHash = this.hashPassword(password);
-    return credentials.passwordHash === passwordHash;
-  }
+      if (!req.adminSession.permissions.includes(permission)) {
+        res.status(403).json({
+          success: false,
+          error: `Permission ${permission} required`,
+        });
+        return;
+      }
 
-  getAdminRole(username: string): 'admin' | 'superadmin' | null {
-    const credentials = this.adminCredentials.get(username);
-    return credentials?.role || null;
+      next();
+    };
+
+  /**
+   * Reject sessions that lack `permission` or may not access the org in `req.params.orgId`
+   */
+  requireOrgAccess = (permission: AdminPermission) =>
+    (req: AdminAuthenticatedRequest, res: Response, next: NextFunction): void => {
+      this.requirePermission(permission)(req, res, () => {
+        if (!this.canAccessOrg(req.adminSession, req.params.orgId)) {
+          res.status(403).json({
+            success: false,
+            error: 'You do not have access to this organization',
+          });
+          return;
+        }
+        next();
+      });
+    };
+
+  canAccessOrg(session: AdminSessionData | undefined, orgId: string): boolean {
+    if (!session) {
+      return false;
+    }
+    return session.role === 'superadmin' || session.orgIds.includes(ALL_ORGS) || session.orgIds.includes(orgId);
   }
 
   private extractToken(req: Request): string | null {
@@ -158,24 +192,19 @@ export class AdminAuthMiddleware {
     return new Date(session.expiresAt) < new Date();
   }
 
-  generateAdminToken(username: string, email: string): string | null {
-    const role = this.getAdminRole(username);
-    if (!role) {
-      return null;
-    }
-
+  generateAdminToken(user: AdminUser): string {
     const expiresAt = new Date();
     expiresAt.setHours(expiresAt.getHours() + 8); // 8 hour admin sessions
 
     const session: AdminSessionData = {
-      userId: username,
-      email,
-      role,
-      permissions: role === 'superadmin' 
-        ? ['org:read', 'org:write', 'org:delete', 'admin:manage']
-        : ['org:read', 'org:write'],
+      userId: user.username,
+      email: user.email,
+      role: user.role,
+      orgIds: user.orgIds,
+      permissions: ADMIN_ROLE_PERMISSIONS[user.role],
       expiresAt,
-      csrfToken: crypto.randomBytes(32).toString('hex')
+      csrfToken: crypto.randomBytes(32).toString('hex'),
+      tokenVersion: user.tokenVersion || 0,
     };
 
     return jwt.sign(session, this.jwtSecret, {
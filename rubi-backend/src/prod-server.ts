@@ -8,12 +8,13 @@ import path from 'path';
 import fs from 'fs';
 import { createServer } from 'http';
 import { orgConfigService } from './config/orgConfigService';
-import { enhancedOrchestrator } from './providers/orchestrator';
 import { extensionAuthService } from './middleware/extensionAuth';
 import authRouter from './routes/auth.router';
 import extensionAuthRouter from './routes/extensionAuth.router';
 import extensionSessionRouter from './routes/extensionSessionRoutes';
 import adminOrgsRouter from './routes/admin.orgs.router';
+import adminAuditRouter from './routes/admin.audit.router';
+import adminUsersRouter from './routes/admin.users.router';
 import actionsRouter from './routes/actions.router';
 import healthRouter from './routes/health.router';
 import adminAuthRouter from './routes/admin.auth.router';
@@ -22,6 +23,11 @@ import { llmUsageLogger } from './logging/llmUsageLogger';
 import { orgConfigPersistence } from './config/orgConfigPersistence';
 import { moodleIdentityService } from './auth/moodleIdentityService';
 import { orgIntelligenceService } from './services/orgIntelligenceService';
+import { templateEngine } from './templates/template-engine';
+import { actionRegistry } from './actions/registry';
+import { pipelineExecutor } from './services/pipelineExecutor';
+import { actionJobQueue } from './services/actionJobQueue';
+import { adminUsers } from './services/adminUserService';
 
 const ENV_FILE_MAP = {
   production: '.env.production',
@@ -169,6 +175,9 @@ app.use('/api/extension/auth', extensionAuthRouter);
 app.use('/api/auth/extension', extensionAuthRouter);
 app.use('/api/extension/session', extensionAuthService.requireExtensionAuth, extensionSessionRouter);
 app.use('/api/admin/orgs', extensionAuthService.requireExtensionAuth, adminOrgsRouter);
+app.use('/api/admin/audit', extensionAuthService.requireExtensionAuth, adminAuditRouter);
+// Phase 12Y: Admin user management
+app.use('/api/admin/users', extensionAuthService.requireExtensionAuth, adminUsersRouter);
 app.use('/api/actions', extensionAuthService.requireExtensionAuth, actionsRouter);
 app.use('/api/admin/auth', adminAuthRouter);
 
@@ -206,6 +215,23 @@ async function initializeServices() {
     // Services are initialized in their constructors or on first use
     logger.info('LLM orchestrator ready (initialized on import)');
     logger.info('Extension auth service ready');
+
+    // Phase 12K: Actions declared in template metadata need their templates loaded up front
+    await templateEngine.loadAllTemplates();
+    const templateActions = await actionRegistry.registerTemplateActions();
+    logger.info(`Registered ${templateActions.length} template actions`, { actions: templateActions });
+
+    // Phase 12L: Pipelines run registered actions, so they are registered last
+    await pipelineExecutor.loadAllPipelines();
+    const pipelineActions = actionRegistry.registerPipelineActions();
+    logger.info(`Registered ${pipelineActions.length} pipeline actions`, { actions: pipelineActions });
+
+    // Phase 12Y: Admin users (bootstrapped from ADMIN_USERNAME / ADMIN_PASSWORD when empty)
+    await adminUsers.initialize();
+
+    // Phase 12N: Restore persisted async action jobs
+    await actionJobQueue.initialize();
+
     logger.info('All services initialized successfully');
   } catch (error) {
     logger.error('Failed to initialize services', error);
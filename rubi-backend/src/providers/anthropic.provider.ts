@@ -1,6 +1,6 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { BaseLLMProvider } from './base.provider';
-import { LLMConfig, LLMResponse } from '../types';
+import { LLMConfig, LLMResponse, LLMStreamHandler } from '../types';
 
 export class AnthropicProvider extends BaseLLMProvider {
   private client: Anthropic;
@@ -29,7 +29,7 @@ export class AnthropicProvider extends BaseLLMProvider {
               content: prompt,
             },
           ],
-        });
+        }, { signal: this.config.abortSignal });
       });
 
       const content = response.content[0].type === 'text' 
@@ -68,4 +68,74 @@ export class AnthropicProvider extends BaseLLMProvider {
       };
     }
   }
+
+  // Phase 12A: Stream text deltas from the messages API
+  async stream(prompt: string, onDelta: LLMStreamHandler, systemPrompt?: string): Promise<LLMResponse> {
+    const startTime = Date.now();
+
+    try {
+      const stream = await this.retry(async () => {
+        return await this.client.messages.create({
+          model: this.config.model,
+          max_tokens: this.config.maxTokens ?? 2000,
+          temperature: this.config.temperature ?? 0.7,
+          top_p: this.config.topP,
+          system: systemPrompt,
+          messages: [
+            {
+              role: 'user',
+              content: prompt,
+            },
+          ],
+          stream: true,
+        }, { signal: this.config.abortSignal });
+      });
+
+      let content = '';
+      let model = this.config.model;
+      let inputTokens = 0;
+      let outputTokens = 0;
+
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          model = event.message.model || model;
+          inputTokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta.text) {
+          content += event.delta.text;
+          onDelta(event.delta.text);
+        } else if (event.type === 'message_delta') {
+          outputTokens = event.usage?.output_tokens || outputTokens;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+
+      let data: any = content;
+      if (this.config.responseFormat?.type === 'json_object') {
+        data = this.extractJsonFromResponse(content);
+      }
+
+      return {
+        success: true,
+        data,
+        usage: {
+          promptTokens: inputTokens,
+          completionTokens: outputTokens,
+          totalTokens: inputTokens + outputTokens,
+        },
+        model,
+        provider: 'anthropic',
+        duration,
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred',
+        model: this.config.model,
+        provider: 'anthropic',
+        duration,
+      };
+    }
+  }
 }
\ No newline at end of file
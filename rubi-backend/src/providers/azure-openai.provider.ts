@@ -41,7 +41,7 @@ export class AzureOpenAIProvider extends BaseLLMProvider {
           frequency_penalty: this.config.frequencyPenalty,
           presence_penalty: this.config.presencePenalty,
           response_format: this.config.responseFormat,
-        });
+        }, { signal: this.config.abortSignal });
       });
 
       const content = response.choices[0]?.message?.content || '';
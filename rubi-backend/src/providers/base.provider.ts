@@ -1,4 +1,4 @@
-import { LLMConfig, LLMResponse } from '../types';
+import { LLMConfig, LLMResponse, LLMStreamHandler } from '../types';
 
 export abstract class BaseLLMProvider {
   protected config: LLMConfig;
@@ -9,9 +9,18 @@ export abstract class BaseLLMProvider {
 
   abstract call(prompt: string, systemPrompt?: string): Promise<LLMResponse>;
 
+  // Phase 12A: Providers without native streaming deliver the whole completion as one delta
+  async stream(prompt: string, onDelta: LLMStreamHandler, systemPrompt?: string): Promise<LLMResponse> {
+    const response = await this.call(prompt, systemPrompt);
+    if (response.success && response.data !== undefined) {
+      onDelta(typeof response.data === 'string' ? response.data : JSON.stringify(response.data));
+    }
+    return response;
+  }
+
   protected async retry<T>(
     fn: () => Promise<T>,
-    maxRetries: number = 3,
+    maxRetries: number = this.config.maxRetries ?? 3,
     delay: number = 1000
   ): Promise<T> {
     let lastError: Error | undefined;
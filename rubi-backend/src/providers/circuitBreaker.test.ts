@@ -0,0 +1,85 @@
+import { ProviderCircuitBreaker } from './circuitBreaker';
+
+describe('ProviderCircuitBreaker', () => {
+  let breaker: ProviderCircuitBreaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    breaker = new ProviderCircuitBreaker({
+      failureThreshold: 3,
+      errorRateThreshold: 0.5,
+      minimumCalls: 4,
+      windowMs: 60000,
+      cooldownMs: 30000,
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('opens after consecutive failures and skips the provider', () => {
+    for (let i = 0; i < 3; i++) {
+      expect(breaker.acquire('openai', 'gpt-4o').allowed).toBe(true);
+      breaker.recordFailure('openai', 'gpt-4o', 100, 'timeout');
+    }
+
+    const decision = breaker.acquire('openai', 'gpt-4o');
+    expect(decision.allowed).toBe(false);
+    expect(decision.reason).toContain('Circuit open for openai');
+    // The provider-wide circuit blocks its other models too
+    expect(breaker.acquire('openai', 'gpt-4o-mini').allowed).toBe(false);
+    expect(breaker.acquire('anthropic', 'claude-3-5-sonnet').allowed).toBe(true);
+  });
+
+  it('opens on the error rate once enough calls are in the window', () => {
+    breaker.recordSuccess('openai', 'gpt-4o', 100);
+    breaker.recordFailure('openai', 'gpt-4o', 100, 'boom');
+    breaker.recordSuccess('openai', 'gpt-4o', 100);
+    expect(breaker.acquire('openai', 'gpt-4o').allowed).toBe(true);
+
+    breaker.recordFailure('openai', 'gpt-4o', 100, 'boom');
+
+    expect(breaker.acquire('openai', 'gpt-4o').allowed).toBe(false);
+    expect(breaker.getSnapshot().find(circuit => circuit.key === 'openai')).toMatchObject({
+      state: 'open',
+      errorRate: 0.5,
+      windowCalls: 4,
+    });
+  });
+
+  it('admits a single probe after the cooldown and closes when it succeeds', () => {
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure('openai', 'gpt-4o', 100, 'timeout');
+    }
+
+    jest.advanceTimersByTime(30000);
+
+    expect(breaker.acquire('openai', 'gpt-4o').allowed).toBe(true);
+    const second = breaker.acquire('openai', 'gpt-4o');
+    expect(second.allowed).toBe(false);
+    expect(second.reason).toContain('probe in flight');
+
+    breaker.recordSuccess('openai', 'gpt-4o', 80);
+
+    expect(breaker.acquire('openai', 'gpt-4o').allowed).toBe(true);
+    expect(breaker.getSnapshot().every(circuit => circuit.state === 'closed')).toBe(true);
+  });
+
+  it('reopens when the probe fails', () => {
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure('openai', 'gpt-4o', 100, 'timeout');
+    }
+
+    jest.advanceTimersByTime(30000);
+    expect(breaker.acquire('openai', 'gpt-4o').allowed).toBe(true);
+    breaker.recordFailure('openai', 'gpt-4o', 100, 'still down');
+
+    const decision = breaker.acquire('openai', 'gpt-4o');
+    expect(decision.allowed).toBe(false);
+    expect(decision.reason).toContain('Probe failed: still down');
+
+    const snapshot = breaker.getSnapshot().find(circuit => circuit.key === 'openai');
+    expect(snapshot?.nextProbeAt).toBe(new Date(Date.now() + 30000).toISOString());
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Phase 12D: Provider Circuit Breaker
+ *
+ * Tracks error rate and latency per provider and per provider/model pair. After repeated
+ * failures a circuit opens and the orchestrator skips it, so requests go straight to the
+ * next provider in the chain instead of waiting out a degraded one. Once the cooldown
+ * passes the circuit goes half-open and lets a single probe request through; a successful
+ * probe closes it again.
+ */
+
+import { LLMProvider } from '../types';
+import { logger } from '../logging/logger';
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+interface CallSample {
+  success: boolean;
+  latency: number;
+  timestamp: number;
+}
+
+interface CircuitRecord {
+  provider: LLMProvider;
+  model: string | null;
+  state: CircuitState;
+  samples: CallSample[];
+  consecutiveFailures: number;
+  openedAt: number | null;
+  openReason: string | null;
+  probeInFlight: boolean;
+  lastError: string | null;
+  lastFailureAt: number | null;
+  totalCalls: number;
+  totalFailures: number;
+}
+
+export interface CircuitSnapshot {
+  key: string;
+  provider: LLMProvider;
+  model: string | null;
+  state: CircuitState;
+  reason: string | null;
+  consecutiveFailures: number;
+  windowCalls: number;
+  errorRate: number;
+  averageLatencyMs: number | null;
+  p95LatencyMs: number | null;
+  totalCalls: number;
+  totalFailures: number;
+  lastError: string | null;
+  lastFailureAt: string | null;
+  openedAt: string | null;
+  nextProbeAt: string | null;
+}
+
+export interface CircuitBreakerOptions {
+  failureThreshold: number;
+  errorRateThreshold: number;
+  minimumCalls: number;
+  windowMs: number;
+  cooldownMs: number;
+}
+
+const DEFAULT_OPTIONS: CircuitBreakerOptions = {
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  errorRateThreshold: parseFloat(process.env.CIRCUIT_ERROR_RATE_THRESHOLD || '0.5'),
+  minimumCalls: parseInt(process.env.CIRCUIT_MINIMUM_CALLS || '10', 10),
+  windowMs: parseInt(process.env.CIRCUIT_WINDOW_MS || '60000', 10),
+  cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS || '30000', 10),
+};
+
+const MAX_SAMPLES = 100;
+
+export class ProviderCircuitBreaker {
+  private circuits: Map<string, CircuitRecord> = new Map();
+  private options: CircuitBreakerOptions;
+
+  constructor(options: Partial<CircuitBreakerOptions> = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Check whether a call may go to this provider/model. Both the provider-wide and the
+   * model circuit must allow it; a half-open circuit admits only one probe at a time.
+   * Returns the reason when the call should be skipped.
+   */
+  acquire(provider: LLMProvider, model: string): { allowed: boolean; reason?: string } {
+    const circuits = [this.getCircuit(provider, null), this.getCircuit(provider, model)];
+
+    for (const circuit of circuits) {
+      const blocked = this.getBlockReason(circuit);
+      if (blocked) {
+        return { allowed: false, reason: blocked };
+      }
+    }
+
+    // Only claim probe slots once every circuit has agreed
+    for (const circuit of circuits) {
+      if (circuit.state === 'half_open') {
+        circuit.probeInFlight = true;
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess(provider: LLMProvider, model: string, latency: number): void {
+    for (const circuit of [this.getCircuit(provider, null), this.getCircuit(provider, model)]) {
+      this.addSample(circuit, { success: true, latency, timestamp: Date.now() });
+      circuit.consecutiveFailures = 0;
+
+      if (circuit.state !== 'closed') {
+        logger.info(`Circuit closed for ${this.describe(circuit)} after successful probe`);
+        circuit.state = 'closed';
+        circuit.openedAt = null;
+        circuit.openReason = null;
+        // Failures from before the outage should not count toward tripping it again
+        circuit.samples = circuit.samples.slice(-1);
+      }
+      circuit.probeInFlight = false;
+    }
+  }
+
+  /**
+   * Record a failed or timed-out call; may open the circuit
+   */
+  recordFailure(provider: LLMProvider, model: string, latency: number, error?: string): void {
+    for (const circuit of [this.getCircuit(provider, null), this.getCircuit(provider, model)]) {
+      this.addSample(circuit, { success: false, latency, timestamp: Date.now() });
+      circuit.consecutiveFailures++;
+      circuit.totalFailures++;
+      circuit.lastError = error || 'Unknown error';
+      circuit.lastFailureAt = Date.now();
+
+      if (circuit.state === 'half_open') {
+        circuit.probeInFlight = false;
+        this.open(circuit, `Probe failed: ${circuit.lastError}`);
+        continue;
+      }
+
+      if (circuit.state === 'closed') {
+        const reason = this.getTripReason(circuit);
+        if (reason) {
+          this.open(circuit, reason);
+        }
+      }
+    }
+  }
+
+  /**
+   * Current state of every tracked circuit, for /api/metrics and /api/ready
+   */
+  getSnapshot(): CircuitSnapshot[] {
+    return Array.from(this.circuits.entries()).map(([key, circuit]) => {
+      this.refreshState(circuit);
+      const samples = this.getWindowSamples(circuit);
+      const latencies = samples.map(sample => sample.latency).sort((a, b) => a - b);
+      const failures = samples.filter(sample => !sample.success).length;
+
+      return {
+        key,
+        provider: circuit.provider,
+        model: circuit.model,
+        state: circuit.state,
+        reason: circuit.openReason,
+        consecutiveFailures: circuit.consecutiveFailures,
+        windowCalls: samples.length,
+        errorRate: samples.length > 0 ? Math.round((failures / samples.length) * 1000) / 1000 : 0,
+        averageLatencyMs: latencies.length > 0
+          ? Math.round(latencies.reduce((total, latency) => total + latency, 0) / latencies.length)
+          : null,
+        p95LatencyMs: latencies.length > 0
+          ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))]
+          : null,
+        totalCalls: circuit.totalCalls,
+        totalFailures: circuit.totalFailures,
+        lastError: circuit.lastError,
+        lastFailureAt: circuit.lastFailureAt ? new Date(circuit.lastFailureAt).toISOString() : null,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        nextProbeAt: circuit.state === 'open' && circuit.openedAt
+          ? new Date(circuit.openedAt + this.options.cooldownMs).toISOString()
+          : null,
+      };
+    });
+  }
+
+  /**
+   * Forget all circuit state
+   */
+  reset(): void {
+    this.circuits.clear();
+  }
+
+  private getKey(provider: LLMProvider, model: string | null): string {
+    return model ? `${provider}:${model}` : provider;
+  }
+
+  private getCircuit(provider: LLMProvider, model: string | null): CircuitRecord {
+    const key = this.getKey(provider, model);
+    let circuit = this.circuits.get(key);
+
+    if (!circuit) {
+      circuit = {
+        provider,
+        model,
+        state: 'closed',
+        samples: [],
+        consecutiveFailures: 0,
+        openedAt: null,
+        openReason: null,
+        probeInFlight: false,
+        lastError: null,
+        lastFailureAt: null,
+        totalCalls: 0,
+        totalFailures: 0,
+      };
+      this.circuits.set(key, circuit);
+    }
+
+    return circuit;
+  }
+
+  /**
+   * Move an open circuit to half-open once its cooldown has passed
+   */
+  private refreshState(circuit: CircuitRecord): void {
+    if (circuit.state === 'open' && circuit.openedAt && Date.now() - circuit.openedAt >= this.options.cooldownMs) {
+      circuit.state = 'half_open';
+      circuit.probeInFlight = false;
+      logger.info(`Circuit half-open for ${this.describe(circuit)}, allowing a probe request`);
+    }
+  }
+
+  private getBlockReason(circuit: CircuitRecord): string | null {
+    this.refreshState(circuit);
+
+    if (circuit.state === 'open') {
+      return `Circuit open for ${this.describe(circuit)}: ${circuit.openReason}`;
+    }
+    if (circuit.state === 'half_open' && circuit.probeInFlight) {
+      return `Circuit half-open for ${this.describe(circuit)}: probe in flight`;
+    }
+    return null;
+  }
+
+  private getTripReason(circuit: CircuitRecord): string | null {
+    if (circuit.consecutiveFailures >= this.options.failureThreshold) {
+      return `${circuit.consecutiveFailures} consecutive failures (last: ${circuit.lastError})`;
+    }
+
+    const samples = this.getWindowSamples(circuit);
+    if (samples.length >= this.options.minimumCalls) {
+      const errorRate = samples.filter(sample => !sample.success).length / samples.length;
+      if (errorRate >= this.options.errorRateThreshold) {
+        return `Error rate ${Math.round(errorRate * 100)}% over last ${samples.length} calls (last: ${circuit.lastError})`;
+      }
+    }
+
+    return null;
+  }
+
+  private open(circuit: CircuitRecord, reason: string): void {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.openReason = reason;
+
+    logger.warn(`Circuit opened for ${this.describe(circuit)}`, {
+      reason,
+      cooldownMs: this.options.cooldownMs,
+    });
+  }
+
+  private addSample(circuit: CircuitRecord, sample: CallSample): void {
+    circuit.totalCalls++;
+    circuit.samples.push(sample);
+    if (circuit.samples.length > MAX_SAMPLES) {
+      circuit.samples.shift();
+    }
+  }
+
+  private getWindowSamples(circuit: CircuitRecord): CallSample[] {
+    const cutoff = Date.now() - this.options.windowMs;
+    return circuit.samples.filter(sample => sample.timestamp >= cutoff);
+  }
+
+  private describe(circuit: CircuitRecord): string {
+    return circuit.model ? `${circuit.provider} (${circuit.model})` : circuit.provider;
+  }
+}
+
+export const providerCircuitBreaker = new ProviderCircuitBreaker();
@@ -1,4 +1,4 @@
-import { LLMProvider, LLMConfig, LLMResponse } from '../types';
+import { LLMProvider, LLMConfig, LLMResponse, LLMStreamHandler } from '../types';
 
 export class GoogleGeminiProvider {
   private apiKey: string;
@@ -18,57 +18,7 @@ export class GoogleGeminiProvider {
     try {
       const model = config.model || 'gemini-2.0-pro';
       const url = `${this.endpoint}/models/${model}:generateContent?key=${this.apiKey}`;
-
-      // Convert messages to Gemini format
-      const contents = messages.map(msg => ({
-        role: msg.role === 'system' ? 'user' : msg.role,
-        parts: [{ text: msg.content }]
-      }));
-
-      // If there's a system message, merge it with the first user message
-      if (messages[0]?.role === 'system') {
-        const systemContent = messages[0].content;
-        const userContent = messages[1]?.content || '';
-        contents[0] = {
-          role: 'user',
-          parts: [{ text: `${systemContent}\n\n${userContent}` }]
-        };
-        contents.splice(1, 1);
-      }
-
-      const requestBody = {
-        contents,
-        generationConfig: {
-          temperature: config.temperature ?? 0.7,
-          topK: config.topK ?? 40,
-          topP: config.topP ?? 0.95,
-          maxOutputTokens: config.maxTokens ?? 2048,
-          stopSequences: config.stopSequences,
-        },
-        safetySettings: [
-          {
-            category: 'HARM_CATEGORY_HARASSMENT',
-            threshold: 'BLOCK_ONLY_HIGH'
-          },
-          {
-            category: 'HARM_CATEGORY_HATE_SPEECH',
-            threshold: 'BLOCK_ONLY_HIGH'
-          },
-          {
-            category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-            threshold: 'BLOCK_ONLY_HIGH'
-          },
-          {
-            category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-            threshold: 'BLOCK_ONLY_HIGH'
-          }
-        ]
-      };
-
-      // Add JSON response format if specified
-      if (config.responseFormat?.type === 'json_object') {
-        (requestBody.generationConfig as any).responseMimeType = 'application/json';
-      }
+      const requestBody = this.buildRequestBody(messages, config);
 
       const response = await fetch(url, {
         method: 'POST',
@@ -76,6 +26,7 @@ export class GoogleGeminiProvider {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(requestBody),
+        signal: config.abortSignal,
       });
 
       if (!response.ok) {
@@ -91,22 +42,105 @@ export class GoogleGeminiProvider {
       }
 
       // Parse JSON if expected
-      let parsedContent = content;
-      if (config.responseFormat?.type === 'json_object') {
-        try {
-          parsedContent = JSON.parse(content);
-        } catch (e) {
-          // Try to extract JSON from the response
-          const jsonMatch = content.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            parsedContent = JSON.parse(jsonMatch[0]);
-          } else {
-            throw new Error('Failed to parse JSON response from Gemini');
-          }
+      const parsedContent = config.responseFormat?.type === 'json_object'
+        ? this.parseJsonContent(content)
+        : content;
+
+      // Calculate token usage (approximate for Gemini)
+      const promptTokens = this.estimateTokens(messages.map(m => m.content).join(' '));
+      const completionTokens = this.estimateTokens(content);
+
+      return {
+        success: true,
+        data: parsedContent,
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens,
+        },
+        model,
+        provider: 'google' as LLMProvider,
+        duration: Date.now() - startTime,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        model: config.model || 'gemini-2.0-pro',
+        provider: 'google' as LLMProvider,
+        duration: Date.now() - startTime,
+      };
+    }
+  }
+
+  // Phase 12A: Stream text chunks from streamGenerateContent over SSE
+  async streamChat(
+    messages: { role: string; content: string }[],
+    config: Partial<LLMConfig>,
+    onDelta: LLMStreamHandler
+  ): Promise<LLMResponse> {
+    const startTime = Date.now();
+
+    try {
+      const model = config.model || 'gemini-2.0-pro';
+      const url = `${this.endpoint}/models/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+      const requestBody = this.buildRequestBody(messages, config);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(requestBody),
+        signal: config.abortSignal,
+      });
+
+      if (!response.ok || !response.body) {
+        const errorData = await response.json().catch(() => ({})) as any;
+        throw new Error(errorData.error?.message || `Gemini API error: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let content = '';
+
+      const handleLine = (line: string) => {
+        if (!line.startsWith('data:')) {
+          return;
+        }
+        const chunk = JSON.parse(line.slice(5).trim());
+        const text = chunk.candidates?.[0]?.content?.parts?.map((part: any) => part.text || '').join('');
+        if (text) {
+          content += text;
+          onDelta(text);
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        buffer += decoder.decode(value, { stream: true });
+
+        let newlineIndex: number;
+        while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, newlineIndex).trim();
+          buffer = buffer.slice(newlineIndex + 1);
+          handleLine(line);
         }
       }
+      handleLine(buffer.trim());
+
+      if (!content) {
+        throw new Error('No content in Gemini response');
+      }
+
+      const parsedContent = config.responseFormat?.type === 'json_object'
+        ? this.parseJsonContent(content)
+        : content;
 
-      // Calculate token usage (approximate for Gemini)
       const promptTokens = this.estimateTokens(messages.map(m => m.content).join(' '));
       const completionTokens = this.estimateTokens(content);
 
@@ -133,6 +167,77 @@ export class GoogleGeminiProvider {
     }
   }
 
+  private buildRequestBody(
+    messages: { role: string; content: string }[],
+    config: Partial<LLMConfig>
+  ): Record<string, any> {
+    // Convert messages to Gemini format
+    const contents = messages.map(msg => ({
+      role: msg.role === 'system' ? 'user' : msg.role,
+      parts: [{ text: msg.content }]
+    }));
+
+    // If there's a system message, merge it with the first user message
+    if (messages[0]?.role === 'system') {
+      const systemContent = messages[0].content;
+      const userContent = messages[1]?.content || '';
+      contents[0] = {
+        role: 'user',
+        parts: [{ text: `${systemContent}\n\n${userContent}` }]
+      };
+      contents.splice(1, 1);
+    }
+
+    const requestBody = {
+      contents,
+      generationConfig: {
+        temperature: config.temperature ?? 0.7,
+        topK: config.topK ?? 40,
+        topP: config.topP ?? 0.95,
+        maxOutputTokens: config.maxTokens ?? 2048,
+        stopSequences: config.stopSequences,
+      },
+      safetySettings: [
+        {
+          category: 'HARM_CATEGORY_HARASSMENT',
+          threshold: 'BLOCK_ONLY_HIGH'
+        },
+        {
+          category: 'HARM_CATEGORY_HATE_SPEECH',
+          threshold: 'BLOCK_ONLY_HIGH'
+        },
+        {
+          category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+          threshold: 'BLOCK_ONLY_HIGH'
+        },
+        {
+          category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+          threshold: 'BLOCK_ONLY_HIGH'
+        }
+      ]
+    };
+
+    // Add JSON response format if specified
+    if (config.responseFormat?.type === 'json_object') {
+      (requestBody.generationConfig as any).responseMimeType = 'application/json';
+    }
+
+    return requestBody;
+  }
+
+  private parseJsonContent(content: string): any {
+    try {
+      return JSON.parse(content);
+    } catch (e) {
+      // Try to extract JSON from the response
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        return JSON.parse(jsonMatch[0]);
+      }
+      throw new Error('Failed to parse JSON response from Gemini');
+    }
+  }
+
   private estimateTokens(text: string): number {
     // Rough estimation: 1 token per 4 characters
     return Math.ceil(text.length / 4);
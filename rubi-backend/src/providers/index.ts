@@ -1,20 +1,60 @@
-import { LLMConfig, LLMProvider, LLMResponse } from '../types';
+import { LLMConfig, LLMProvider, LLMResponse, LLMStreamHandler, LLMExecutionDetails, ProviderExecutionDetails, ProviderKeySource } from '../types';
 import { OpenAIProvider } from './openai.provider';
 import { AnthropicProvider } from './anthropic.provider';
 import { AzureOpenAIProvider } from './azure-openai.provider';
 import { BaseLLMProvider } from './base.provider';
+import { GoogleGeminiProvider } from './google.provider';
+import { OpenAICompatibleProvider } from './openai-compatible.provider';
+import { modelConfigManager, ModelConfiguration, ActionModelConfig } from '../config/modelConfig';
+import { providerCircuitBreaker } from './circuitBreaker';
+import { MockLLMProvider } from './mock.provider';
+import { llmFixtureStore, getMockMode } from './llmFixtures';
+import { logger } from '../logging/logger';
+import { ByokProvider } from '../types/orgConfig';
+import type { OrgProviderCredentials, ProviderCredential } from '../services/providerCredentials';
+
+// Phase 12B: Used for actions that have no entry in ModelConfigManager
+const DEFAULT_RETRY_POLICY: ActionModelConfig['retryPolicy'] = {
+  maxRetries: 1,
+  retryDelay: 1000,
+  backoffMultiplier: 2,
+};
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_RETRY_DELAY_MS = 10000;
+// Phase 12X: Provider key test calls
+const KEY_TEST_PROMPT = 'Reply with the single word OK.';
+const KEY_TEST_TIMEOUT_MS = 15000;
+const KEY_TEST_MAX_TOKENS = 5;
+
+/**
+ * Phase 12B: Per-call orchestration inputs
+ */
+export interface OrchestrationOptions {
+  // Looks up the provider chain, retry policy and timeouts in ModelConfigManager
+  actionName?: string;
+  // Org modelPreferences choice; leads the chain when set
+  preferredProvider?: { provider: string; model?: string };
+  // Receives completion deltas; the call streams when provided
+  onDelta?: LLMStreamHandler;
+  // Phase 12F: Schema the mock provider samples canned responses from (defaults to actionName)
+  schemaName?: string;
+  // Invoked before every provider attempt so streaming callers can discard earlier output
+  onAttempt?: (attempt: { provider: LLMProvider; model: string; attempt: number; attemptIndex: number }) => void;
+  // Phase 12X: The org's own decrypted provider keys, used instead of the platform keys
+  credentials?: OrgProviderCredentials;
+}
+
+interface ChainEntry {
+  provider: LLMProvider;
+  model: string;
+  settings: Partial<ModelConfiguration>;
+  // Phase 12X: Set when the org has its own key for this provider
+  credential?: ProviderCredential;
+}
 
 export class LLMOrchestrator {
   private providers: Map<LLMProvider, BaseLLMProvider> = new Map();
-  // Phase 10A: Track execution metadata
-  private lastExecutionMetadata: {
-    providerPrimary: string | null;
-    providerFinal: string | null;
-    modelPrimary: string | null;
-    modelFinal: string | null;
-    fallbackOccurred: boolean;
-    attemptCount: number;
-  } | null = null;
+  private googleProvider: GoogleGeminiProvider | null = null;
 
   constructor() {
     this.initializeProviders();
@@ -24,6 +64,7 @@ export class LLMOrchestrator {
     const openaiKey = process.env.OPENAI_API_KEY;
     const anthropicKey = process.env.ANTHROPIC_API_KEY;
     const azureKey = process.env.AZURE_OPENAI_API_KEY;
+    const googleKey = process.env.GOOGLE_API_KEY;
 
     if (openaiKey) {
       const config: LLMConfig = {
@@ -53,61 +94,440 @@ export class LLMOrchestrator {
       };
       this.providers.set('azure-openai', new AzureOpenAIProvider(config));
     }
+
+    if (googleKey) {
+      this.googleProvider = new GoogleGeminiProvider(googleKey);
+    }
+
+    // Phase 12G: Self-hosted OpenAI-compatible server; only the base URL is required
+    if (process.env.OPENAI_COMPATIBLE_BASE_URL) {
+      const config: LLMConfig = {
+        provider: 'openai-compatible',
+        model: this.getDefaultModel('openai-compatible'),
+        apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+        endpoint: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      };
+      this.providers.set('openai-compatible', new OpenAICompatibleProvider(config));
+    }
   }
 
+  /**
+   * Phase 12B: Run a prompt through the action's provider chain.
+   * Each provider is retried per the action's retry policy (with backoff and a per-call timeout)
+   * before falling back to the next one. The provider chain summary, including every attempt,
+   * is returned on response.execution rather than kept on this shared instance.
+   */
   async call(
     prompt: string,
     config: Partial<LLMConfig>,
-    systemPrompt?: string
+    systemPrompt?: string,
+    options: OrchestrationOptions = {}
   ): Promise<LLMResponse> {
-    const provider = config.provider || (process.env.DEFAULT_PROVIDER as LLMProvider) || 'openai';
-    const model = config.model || this.getDefaultModel(provider);
-    
-    // Phase 10A: Initialize execution metadata
-    this.lastExecutionMetadata = {
-      providerPrimary: provider,
-      providerFinal: null,
-      modelPrimary: model,
+    const chain = this.buildProviderChain(config, options);
+    const actionConfig = options.actionName ? modelConfigManager.getConfig(options.actionName) : null;
+    const retryPolicy = actionConfig?.retryPolicy || DEFAULT_RETRY_POLICY;
+    const attempts: ProviderExecutionDetails[] = [];
+
+    // Phase 10A & 12C: Execution metadata for this call only
+    const execution: LLMExecutionDetails = {
+      providerPrimary: chain[0]?.provider || null,
+      providerFinal: 'none',
+      modelPrimary: chain[0]?.model || null,
       modelFinal: null,
       fallbackOccurred: false,
-      attemptCount: 1
+      attemptCount: 0,
+      attempts,
+      skippedProviders: [],
     };
-    
-    const llmProvider = this.providers.get(provider);
 
-    if (!llmProvider) {
+    if (chain.length === 0) {
+      const provider = (config.provider || (process.env.DEFAULT_PROVIDER as LLMProvider) || 'openai') as LLMProvider;
       return {
         success: false,
         error: `Provider ${provider} is not configured or available`,
         model: config.model || 'unknown',
         provider,
+        metadata: { fallbackUsed: false },
+        execution,
       };
     }
 
-    const fullConfig: LLMConfig = {
+    let lastResponse: LLMResponse | null = null;
+
+    for (let chainIndex = 0; chainIndex < chain.length; chainIndex++) {
+      const entry = chain[chainIndex];
+      const keySource: ProviderKeySource = entry.credential ? 'org' : 'platform';
+      const fullConfig = this.buildFullConfig(entry.provider, {
+        ...config,
+        model: entry.model,
+        temperature: entry.settings.temperature ?? config.temperature,
+        topP: entry.settings.topP ?? config.topP,
+        topK: entry.settings.topK ?? config.topK,
+        frequencyPenalty: entry.settings.frequencyPenalty ?? config.frequencyPenalty,
+        presencePenalty: entry.settings.presencePenalty ?? config.presencePenalty,
+        stopSequences: entry.settings.stopSequences ?? config.stopSequences,
+        // The caller's cap (template and org limits) always wins over the tuned default
+        maxTokens: config.maxTokens !== undefined && entry.settings.maxTokens !== undefined
+          ? Math.min(config.maxTokens, entry.settings.maxTokens)
+          : config.maxTokens ?? entry.settings.maxTokens,
+      }, entry.credential);
+      const timeoutMs = entry.settings.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+      for (let attempt = 1; attempt <= retryPolicy.maxRetries + 1; attempt++) {
+        // Phase 12D: Skip providers whose circuit is open instead of waiting out their failures.
+        // Phase 12X: Org keys bypass the shared breaker so one org's bad key can't open the
+        // circuit for every org on the platform key.
+        const gate = keySource === 'platform'
+          ? providerCircuitBreaker.acquire(entry.provider, entry.model)
+          : { allowed: true, reason: undefined };
+        if (!gate.allowed) {
+          execution.skippedProviders!.push({ provider: entry.provider, model: entry.model, reason: gate.reason! });
+          logger.warn(`Skipping provider ${entry.provider}`, {
+            actionName: options.actionName,
+            model: entry.model,
+            reason: gate.reason,
+          });
+          break;
+        }
+
+        // Backoff is between retries of this provider; moving to a fallback needs no wait
+        if (attempt > 1) {
+          const delay = Math.min(
+            retryPolicy.retryDelay * Math.pow(retryPolicy.backoffMultiplier, attempt - 1),
+            MAX_RETRY_DELAY_MS
+          );
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        options.onAttempt?.({
+          provider: entry.provider,
+          model: entry.model,
+          attempt,
+          attemptIndex: attempts.length + 1,
+        });
+
+        const startTime = Date.now();
+        const { response, timedOut } = await this.invokeWithTimeout(
+          entry.provider,
+          fullConfig,
+          prompt,
+          systemPrompt,
+          options,
+          timeoutMs
+        );
+
+        attempts.push({
+          provider: entry.provider,
+          model: entry.model,
+          success: response.success,
+          error: response.error,
+          duration: response.duration ?? Date.now() - startTime,
+          tokensUsed: response.usage?.totalTokens,
+          attempt,
+          timedOut,
+          keySource,
+        });
+        lastResponse = response;
+
+        if (response.success) {
+          if (keySource === 'platform') {
+            providerCircuitBreaker.recordSuccess(entry.provider, entry.model, Date.now() - startTime);
+          }
+
+          // Phase 12F: Capture real responses as fixtures for offline replay
+          if (getMockMode() === 'record' && entry.provider !== 'mock') {
+            llmFixtureStore.record(options.actionName, {
+              systemPrompt,
+              prompt,
+              temperature: fullConfig.temperature,
+              maxTokens: fullConfig.maxTokens,
+            }, response);
+          }
+        } else if (keySource === 'platform') {
+          providerCircuitBreaker.recordFailure(entry.provider, entry.model, Date.now() - startTime, response.error);
+        }
+
+        if (response.success) {
+          execution.providerFinal = entry.provider;
+          execution.modelFinal = entry.model;
+          execution.fallbackOccurred = chainIndex > 0;
+          execution.attemptCount = attempts.length;
+          execution.keySourceFinal = keySource;
+
+          return {
+            ...response,
+            metadata: {
+              ...response.metadata,
+              fallbackUsed: chainIndex > 0,
+              providerUsed: entry.provider,
+            },
+            execution,
+          };
+        }
+
+        logger.warn(`Provider ${entry.provider} attempt ${attempt} failed`, {
+          actionName: options.actionName,
+          model: entry.model,
+          error: response.error,
+          timedOut,
+          keySource,
+        });
+      }
+    }
+
+    execution.fallbackOccurred = chain.length > 1;
+    execution.attemptCount = attempts.length;
+
+    if (attempts.length === 0) {
+      const reasons = execution.skippedProviders!.map(skipped => skipped.reason).join('; ');
+      logger.error(`No providers available${options.actionName ? ` for ${options.actionName}` : ''}`, { reasons });
+
+      return {
+        success: false,
+        error: `All providers are currently unavailable: ${reasons}`,
+        model: chain[0].model,
+        provider: chain[0].provider,
+        duration: 0,
+        metadata: {
+          fallbackUsed: false,
+          allProvidersFailed: true,
+        },
+        execution,
+      };
+    }
+
+    logger.error(`All providers failed${options.actionName ? ` for ${options.actionName}` : ''}`, {
+      attempts: attempts.length,
+      lastError: lastResponse?.error,
+    });
+
+    return {
+      success: false,
+      error: chain.length > 1
+        ? `All providers failed after ${attempts.length} attempts: ${lastResponse?.error}`
+        : lastResponse?.error,
+      model: lastResponse?.model || chain[0].model,
+      provider: lastResponse?.provider || chain[0].provider,
+      duration: attempts.reduce((total, attempt) => total + attempt.duration, 0),
+      metadata: {
+        fallbackUsed: chain.length > 1,
+        allProvidersFailed: true,
+      },
+      execution,
+    };
+  }
+
+  // Phase 12A: Same orchestration as call(), forwarding completion deltas to onDelta
+  async stream(
+    prompt: string,
+    config: Partial<LLMConfig>,
+    systemPrompt: string | undefined,
+    onDelta: LLMStreamHandler,
+    options: OrchestrationOptions = {}
+  ): Promise<LLMResponse> {
+    return this.call(prompt, config, systemPrompt, { ...options, onDelta });
+  }
+
+  /**
+   * Phase 12H: Provider and model the call would try first, so prompts can be budgeted
+   * for that model's context window before they are sent
+   */
+  resolvePrimaryTarget(
+    config: Partial<LLMConfig>,
+    options: OrchestrationOptions = {}
+  ): { provider: LLMProvider; model: string } | null {
+    const primary = this.buildProviderChain(config, options)[0];
+    return primary ? { provider: primary.provider, model: primary.model } : null;
+  }
+
+  /**
+   * Phase 12X: One tiny call with an org's key, so admins learn a key is wrong when they
+   * save it rather than on the org's next action. Never retried or recorded as a fixture.
+   */
+  async testProviderKey(
+    provider: ByokProvider,
+    credential: ProviderCredential
+  ): Promise<{ success: boolean; error?: string; model: string; duration: number }> {
+    if (!this.canUseCredential(provider, credential)) {
+      return { success: false, error: `An endpoint is required for ${provider} keys`, model: this.getDefaultModel(provider), duration: 0 };
+    }
+
+    const config = this.buildFullConfig(provider, { maxTokens: KEY_TEST_MAX_TOKENS, temperature: 0 }, credential);
+    const startTime = Date.now();
+    const { response } = await this.invokeWithTimeout(provider, config, KEY_TEST_PROMPT, undefined, {}, KEY_TEST_TIMEOUT_MS);
+    return {
+      success: response.success,
+      error: response.error,
+      model: config.model,
+      duration: response.duration ?? Date.now() - startTime,
+    };
+  }
+
+  /**
+   * Phase 12B: Provider order for a call. The org preference (if any) leads, then the
+   * action's ModelConfigManager primary and fallbacks, then the caller's requested provider.
+   * Unconfigured providers are skipped.
+   */
+  private buildProviderChain(config: Partial<LLMConfig>, options: OrchestrationOptions): ChainEntry[] {
+    const actionConfig = options.actionName ? modelConfigManager.getConfig(options.actionName) : null;
+    const configured = actionConfig
+      ? [actionConfig.primaryProvider, ...actionConfig.fallbackProviders]
+      : [];
+    const chain: ChainEntry[] = [];
+
+    // Phase 12F: Replay mode keeps every call offline
+    if (getMockMode() === 'replay') {
+      return [{ provider: 'mock', model: this.getDefaultModel('mock'), settings: {} }];
+    }
+
+    const addEntry = (provider: string | undefined, model?: string, settings: Partial<ModelConfiguration> = {}) => {
+      if (!provider || chain.some(entry => entry.provider === provider)) {
+        return;
+      }
+      const credential = options.credentials?.[provider as ByokProvider];
+      const useCredential = !!credential && this.canUseCredential(provider as LLMProvider, credential);
+      if (!useCredential && !this.isProviderAvailable(provider as LLMProvider)) {
+        logger.debug(`Provider ${provider} not configured, skipping`, { actionName: options.actionName });
+        return;
+      }
+      chain.push({
+        provider: provider as LLMProvider,
+        model: model || settings.model || this.getDefaultModel(provider as LLMProvider),
+        settings,
+        credential: useCredential ? credential : undefined,
+      });
+    };
+
+    if (options.preferredProvider) {
+      const tuned = configured.find(entry => entry.provider === options.preferredProvider!.provider);
+      addEntry(options.preferredProvider.provider, options.preferredProvider.model, tuned);
+    }
+
+    for (const entry of configured) {
+      addEntry(entry.provider, entry.model, entry);
+    }
+
+    const requested = config.provider || (process.env.DEFAULT_PROVIDER as LLMProvider) || 'openai';
+    addEntry(requested, config.model);
+
+    return chain;
+  }
+
+  /**
+   * Phase 12B: A timed-out attempt is aborted rather than left running, and any deltas it
+   * emits after the deadline are dropped so they never mix with the next attempt's stream
+   */
+  private async invokeWithTimeout(
+    provider: LLMProvider,
+    config: LLMConfig,
+    prompt: string,
+    systemPrompt: string | undefined,
+    options: OrchestrationOptions,
+    timeoutMs: number
+  ): Promise<{ response: LLMResponse; timedOut: boolean }> {
+    const controller = new AbortController();
+    const { onDelta } = options;
+    const attemptOptions: OrchestrationOptions = onDelta
+      ? { ...options, onDelta: delta => { if (!controller.signal.aborted) onDelta(delta); } }
+      : options;
+
+    let timer: NodeJS.Timeout | undefined;
+    const timeout = new Promise<{ response: LLMResponse; timedOut: boolean }>(resolve => {
+      timer = setTimeout(() => {
+        controller.abort();
+        resolve({
+          response: {
+            success: false,
+            error: `Provider ${provider} timed out after ${timeoutMs}ms`,
+            model: config.model,
+            provider,
+            duration: timeoutMs,
+          },
+          timedOut: true,
+        });
+      }, timeoutMs);
+    });
+
+    // Phase 12D: A provider that throws (e.g. its constructor rejects the config) is reported as a
+    // failed attempt, so the circuit breaker records it and frees a half-open probe slot
+    const startTime = Date.now();
+    const invocation = Promise.resolve()
+      .then(() => this.invokeProvider(provider, { ...config, abortSignal: controller.signal }, prompt, systemPrompt, attemptOptions))
+      .catch((error): LLMResponse => ({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred',
+        model: config.model,
+        provider,
+        duration: Date.now() - startTime,
+      }))
+      .then(response => {
+        // A provider that ignored the abort still billed the call; surface it since it is never counted
+        if (controller.signal.aborted && response.success) {
+          logger.warn(`Provider ${provider} completed after its attempt timed out`, {
+            actionName: options.actionName,
+            model: response.model,
+            usage: response.usage,
+          });
+        }
+        return { response, timedOut: false };
+      });
+
+    try {
+      return await Promise.race([invocation, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  private invokeProvider(
+    provider: LLMProvider,
+    config: LLMConfig,
+    prompt: string,
+    systemPrompt: string | undefined,
+    options: OrchestrationOptions
+  ): Promise<LLMResponse> {
+    const { onDelta } = options;
+
+    if (provider === 'google') {
+      const messages = systemPrompt
+        ? [{ role: 'system', content: systemPrompt }, { role: 'user', content: prompt }]
+        : [{ role: 'user', content: prompt }];
+      // Phase 12X: A key other than the platform key (an org key) gets its own client
+      const google = config.apiKey !== process.env.GOOGLE_API_KEY
+        ? new GoogleGeminiProvider(config.apiKey!)
+        : this.googleProvider!;
+      return onDelta
+        ? google.streamChat(messages, config, onDelta)
+        : google.chat(messages, config);
+    }
+
+    const specificProvider = provider === 'mock'
+      ? new MockLLMProvider(config, { actionName: options.actionName, schemaName: options.schemaName })
+      : this.createProvider(provider, config);
+    return onDelta
+      ? specificProvider.stream(prompt, onDelta, systemPrompt)
+      : specificProvider.call(prompt, systemPrompt);
+  }
+
+  // Phase 12X: An org credential replaces the platform key, endpoint and API version
+  private buildFullConfig(provider: LLMProvider, config: Partial<LLMConfig>, credential?: ProviderCredential): LLMConfig {
+    return {
       provider,
       model: config.model || this.getDefaultModel(provider),
-      apiKey: this.getApiKey(provider),
+      apiKey: credential?.apiKey ?? this.getApiKey(provider),
       temperature: config.temperature ?? parseFloat(process.env.DEFAULT_TEMPERATURE || '0.7'),
       maxTokens: config.maxTokens ?? parseInt(process.env.DEFAULT_MAX_TOKENS || '2000'),
       topP: config.topP,
+      topK: config.topK,
       frequencyPenalty: config.frequencyPenalty,
       presencePenalty: config.presencePenalty,
+      stopSequences: config.stopSequences,
       responseFormat: config.responseFormat,
-      endpoint: provider === 'azure-openai' ? process.env.AZURE_OPENAI_ENDPOINT : undefined,
-      apiVersion: provider === 'azure-openai' ? process.env.AZURE_OPENAI_API_VERSION : undefined,
+      endpoint: credential?.endpoint || this.getEndpoint(provider),
+      apiVersion: provider === 'azure-openai' ? credential?.apiVersion || process.env.AZURE_OPENAI_API_VERSION : undefined,
+      // Phase 12B: Retries are owned by the orchestrator so each one is reported
+      maxRetries: 1,
     };
-
-    const specificProvider = this.createProvider(provider, fullConfig);
-    const response = await specificProvider.call(prompt, systemPrompt);
-    
-    // Phase 10A: Update execution metadata with final values
-    if (this.lastExecutionMetadata) {
-      this.lastExecutionMetadata.providerFinal = response.success ? provider : 'none';
-      this.lastExecutionMetadata.modelFinal = response.success ? fullConfig.model : null;
-    }
-    
-    return response;
   }
 
   private createProvider(provider: LLMProvider, config: LLMConfig): BaseLLMProvider {
@@ -118,6 +538,8 @@ export class LLMOrchestrator {
         return new AnthropicProvider(config);
       case 'azure-openai':
         return new AzureOpenAIProvider(config);
+      case 'openai-compatible':
+        return new OpenAICompatibleProvider(config);
       default:
         throw new Error(`Unknown provider: ${provider}`);
     }
@@ -131,6 +553,12 @@ export class LLMOrchestrator {
         return 'claude-3-sonnet-20240229';
       case 'azure-openai':
         return process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4';
+      case 'google':
+        return 'gemini-2.0-pro';
+      case 'openai-compatible':
+        return process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1';
+      case 'mock':
+        return 'mock-replay';
       default:
         return 'gpt-4-turbo-preview';
     }
@@ -144,23 +572,56 @@ export class LLMOrchestrator {
         return process.env.ANTHROPIC_API_KEY || '';
       case 'azure-openai':
         return process.env.AZURE_OPENAI_API_KEY || '';
+      case 'google':
+        return process.env.GOOGLE_API_KEY || '';
+      case 'openai-compatible':
+        return process.env.OPENAI_COMPATIBLE_API_KEY || '';
       default:
         return '';
     }
   }
 
+  private getEndpoint(provider: LLMProvider): string | undefined {
+    switch (provider) {
+      case 'azure-openai':
+        return process.env.AZURE_OPENAI_ENDPOINT;
+      case 'openai-compatible':
+        return process.env.OPENAI_COMPATIBLE_BASE_URL;
+      default:
+        return undefined;
+    }
+  }
+
+  // Phase 12X: Azure and OpenAI-compatible keys need an endpoint, the org's or the platform's
+  private canUseCredential(provider: LLMProvider, credential: ProviderCredential): boolean {
+    if (provider === 'azure-openai' || provider === 'openai-compatible') {
+      return !!(credential.endpoint || this.getEndpoint(provider));
+    }
+    return true;
+  }
+
   isProviderAvailable(provider: LLMProvider): boolean {
+    // Phase 12F: The mock provider needs no key, but only serves fixtures while a mock mode is
+    // on, so an org config choosing it can't put canned responses in front of real users
+    if (provider === 'mock') {
+      return getMockMode() !== 'off';
+    }
+    if (provider === 'google') {
+      return this.googleProvider !== null;
+    }
     return this.providers.has(provider);
   }
 
   getAvailableProviders(): LLMProvider[] {
-    return Array.from(this.providers.keys());
-  }
-  
-  // Phase 10A: Get last execution metadata
-  getLastExecutionMetadata() {
-    return this.lastExecutionMetadata;
+    const available = Array.from(this.providers.keys());
+    if (this.googleProvider) {
+      available.push('google');
+    }
+    if (this.isProviderAvailable('mock')) {
+      available.push('mock');
+    }
+    return available;
   }
 }
 
-export const llmOrchestrator = new LLMOrchestrator();
\ No newline at end of file
+export const llmOrchestrator = new LLMOrchestrator();
@@ -0,0 +1,126 @@
+/**
+ * Phase 12F: LLM Fixture Store
+ *
+ * Request/response pairs captured from real providers (LLM_MOCK_MODE=record) and served
+ * back by the mock provider (LLM_MOCK_MODE=replay). Fixtures live in
+ * `<LLM_FIXTURES_DIR>/<actionName>/<promptHash>.json` so they can be reviewed and committed.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { LLMResponse } from '../types';
+import { logger } from '../logging/logger';
+
+export type MockMode = 'off' | 'record' | 'replay';
+
+export interface LLMFixture {
+  actionName: string;
+  promptHash: string;
+  recordedAt: string;
+  provider: string;
+  model: string;
+  request: {
+    systemPrompt?: string;
+    prompt: string;
+    temperature?: number;
+    maxTokens?: number;
+  };
+  response: {
+    data: any;
+    usage?: LLMResponse['usage'];
+  };
+}
+
+const UNSCOPED_ACTION = '_unscoped';
+
+export function getMockMode(): MockMode {
+  const mode = (process.env.LLM_MOCK_MODE || 'off').toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : 'off';
+}
+
+export class LLMFixtureStore {
+  private get fixturesDir(): string {
+    return process.env.LLM_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'llm');
+  }
+
+  /**
+   * Stable hash of what was sent to the model
+   */
+  hashPrompt(prompt: string, systemPrompt?: string): string {
+    return crypto
+      .createHash('sha256')
+      .update(`${systemPrompt || ''}\n---\n${prompt}`)
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  load(actionName: string | undefined, promptHash: string): LLMFixture | null {
+    const filePath = this.getFixturePath(actionName, promptHash);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      logger.warn(`Ignoring unreadable LLM fixture ${filePath}`, { error });
+      return null;
+    }
+  }
+
+  /**
+   * Most recently recorded fixture for an action, for prompts that vary between runs
+   */
+  loadLatest(actionName: string | undefined): LLMFixture | null {
+    const actionDir = path.join(this.fixturesDir, actionName || UNSCOPED_ACTION);
+    if (!fs.existsSync(actionDir)) {
+      return null;
+    }
+
+    const latest = fs.readdirSync(actionDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => ({ file, mtime: fs.statSync(path.join(actionDir, file)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime)[0];
+
+    return latest ? this.load(actionName, latest.file.replace(/\.json$/, '')) : null;
+  }
+
+  /**
+   * Save a successful real provider response
+   */
+  record(
+    actionName: string | undefined,
+    request: LLMFixture['request'],
+    response: LLMResponse
+  ): void {
+    const promptHash = this.hashPrompt(request.prompt, request.systemPrompt);
+    const fixture: LLMFixture = {
+      actionName: actionName || UNSCOPED_ACTION,
+      promptHash,
+      recordedAt: new Date().toISOString(),
+      provider: response.provider,
+      model: response.model,
+      request,
+      response: {
+        data: response.data,
+        usage: response.usage,
+      },
+    };
+
+    try {
+      const filePath = this.getFixturePath(actionName, promptHash);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+      logger.info(`Recorded LLM fixture ${fixture.actionName}/${promptHash}`);
+    } catch (error) {
+      logger.error('Failed to record LLM fixture', { actionName, error });
+    }
+  }
+
+  private getFixturePath(actionName: string | undefined, promptHash: string): string {
+    return path.join(this.fixturesDir, actionName || UNSCOPED_ACTION, `${promptHash}.json`);
+  }
+}
+
+export const llmFixtureStore = new LLMFixtureStore();
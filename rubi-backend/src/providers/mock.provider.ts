@@ -0,0 +1,166 @@
+import { BaseLLMProvider } from './base.provider';
+import { llmFixtureStore } from './llmFixtures';
+import { schemaValidator } from '../schemas/schema-validator';
+import { LLMConfig, LLMResponse, LLMStreamHandler } from '../types';
+
+/**
+ * Phase 12F: Offline provider that replays recorded fixtures. When no fixture matches the
+ * prompt it falls back per LLM_MOCK_ON_MISS: 'schema' (default) builds a canned response
+ * that satisfies the action's JSON schema, 'latest' reuses the action's newest fixture and
+ * 'error' fails the call.
+ */
+export class MockLLMProvider extends BaseLLMProvider {
+  private context: { actionName?: string; schemaName?: string };
+
+  constructor(config: LLMConfig, context: { actionName?: string; schemaName?: string } = {}) {
+    super(config);
+    this.context = context;
+  }
+
+  async call(prompt: string, systemPrompt?: string): Promise<LLMResponse> {
+    const startTime = Date.now();
+    const { actionName } = this.context;
+    const promptHash = llmFixtureStore.hashPrompt(prompt, systemPrompt);
+    const onMiss = (process.env.LLM_MOCK_ON_MISS || 'schema').toLowerCase();
+
+    let fixture = llmFixtureStore.load(actionName, promptHash);
+    let source = 'fixture';
+
+    if (!fixture && onMiss === 'latest') {
+      fixture = llmFixtureStore.loadLatest(actionName);
+      source = 'latest_fixture';
+    }
+
+    if (fixture) {
+      return {
+        success: true,
+        data: fixture.response.data,
+        usage: fixture.response.usage || this.estimateUsage(prompt, fixture.response.data),
+        model: this.config.model,
+        provider: 'mock',
+        duration: Date.now() - startTime,
+        metadata: { mockSource: source, fixture: `${fixture.actionName}/${fixture.promptHash}` },
+      };
+    }
+
+    const schemaName = this.context.schemaName || actionName;
+    if (onMiss === 'schema' && schemaName) {
+      try {
+        const schema = await schemaValidator.loadSchema(schemaName);
+        const data = sampleFromSchema(schema, schemaName);
+        return {
+          success: true,
+          data,
+          usage: this.estimateUsage(prompt, data),
+          model: this.config.model,
+          provider: 'mock',
+          duration: Date.now() - startTime,
+          metadata: { mockSource: 'schema', schemaName },
+        };
+      } catch (error) {
+        return this.miss(startTime, `no fixture for ${actionName || 'prompt'} ${promptHash} and schema ${schemaName} could not be loaded`);
+      }
+    }
+
+    return this.miss(startTime, `no fixture for ${actionName || 'prompt'} ${promptHash}`);
+  }
+
+  // Replays the completion in small chunks so streaming UIs can be exercised offline
+  async stream(prompt: string, onDelta: LLMStreamHandler, systemPrompt?: string): Promise<LLMResponse> {
+    const startTime = Date.now();
+    const response = await this.call(prompt, systemPrompt);
+    if (!response.success || response.data === undefined) {
+      return response;
+    }
+
+    const text = typeof response.data === 'string' ? response.data : JSON.stringify(response.data, null, 2);
+    const delay = parseInt(process.env.LLM_MOCK_STREAM_DELAY_MS || '20', 10);
+
+    for (let i = 0; i < text.length; i += 40) {
+      if (this.config.abortSignal?.aborted) {
+        return this.miss(startTime, 'stream aborted');
+      }
+      onDelta(text.slice(i, i + 40));
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    return response;
+  }
+
+  private miss(startTime: number, reason: string): LLMResponse {
+    return {
+      success: false,
+      error: `Mock provider: ${reason}`,
+      model: this.config.model,
+      provider: 'mock',
+      duration: Date.now() - startTime,
+    };
+  }
+
+  // Rough 4-characters-per-token estimate so usage and cost reporting stay populated
+  private estimateUsage(prompt: string, data: any): LLMResponse['usage'] {
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(JSON.stringify(data ?? '').length / 4);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+}
+
+/**
+ * Build a deterministic value that satisfies a JSON schema (types, required fields,
+ * enums, length/item bounds, numeric ranges and the date formats used in /schemas)
+ */
+function sampleFromSchema(schema: any, key: string): any {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  if (schema.default !== undefined) return schema.default;
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type || (schema.properties ? 'object' : 'string');
+
+  switch (type) {
+    case 'object': {
+      const result: Record<string, any> = {};
+      for (const [propKey, propSchema] of Object.entries((schema.properties || {}) as Record<string, any>)) {
+        result[propKey] = sampleFromSchema(propSchema, propKey);
+      }
+      return result;
+    }
+    case 'array': {
+      const count = Math.max(schema.minItems || 0, Math.min(schema.maxItems ?? 2, 2));
+      return Array.from({ length: count }, (_, index) =>
+        sampleFromSchema(schema.items || { type: 'string' }, `${key} ${index + 1}`)
+      );
+    }
+    case 'number':
+    case 'integer': {
+      const minimum = schema.minimum ?? schema.exclusiveMinimum ?? 0;
+      const maximum = schema.maximum ?? schema.exclusiveMaximum ?? minimum + 100;
+      const value = minimum + (maximum - minimum) / 2;
+      return type === 'integer' ? Math.round(value) : value;
+    }
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return sampleString(schema, key);
+  }
+}
+
+function sampleString(schema: any, key: string): string {
+  if (schema.format === 'date-time') return '2024-01-01T00:00:00.000Z';
+  if (schema.format === 'date' || /\\d\{4\}-\\d\{2\}-\\d\{2\}/.test(schema.pattern || '')) return '2024-01-01';
+  if (schema.format === 'uri' || schema.format === 'url') return 'https://example.com/mock';
+  if (schema.format === 'email') return 'mock@example.com';
+
+  let value = `Mock ${key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()}.`;
+  while (value.length < (schema.minLength || 0)) {
+    value += ' Generated offline by the mock provider.';
+  }
+  return schema.maxLength ? value.substring(0, schema.maxLength) : value;
+}
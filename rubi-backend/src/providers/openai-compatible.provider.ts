@@ -0,0 +1,195 @@
+import OpenAI from 'openai';
+import { BaseLLMProvider } from './base.provider';
+import { LLMConfig, LLMResponse, LLMStreamHandler } from '../types';
+
+type JsonMode = 'auto' | 'response_format' | 'prompt';
+
+const JSON_INSTRUCTION = 'Respond with a single valid JSON object only. Do not wrap it in markdown or add any commentary.';
+
+/**
+ * Phase 12G: Self-hosted models behind an OpenAI-compatible /v1/chat/completions API
+ * (Ollama, llama.cpp server, vLLM, LM Studio). No API key is required. Servers that
+ * reject `response_format` get JSON instructions in the system prompt instead; with
+ * OPENAI_COMPATIBLE_JSON_MODE=auto the first rejection is remembered per base URL.
+ */
+export class OpenAICompatibleProvider extends BaseLLMProvider {
+  private client: OpenAI;
+  private baseURL: string;
+
+  // Base URLs that rejected response_format, so later calls skip straight to prompt-based JSON
+  private static responseFormatUnsupported: Set<string> = new Set();
+
+  constructor(config: LLMConfig) {
+    super(config);
+
+    if (!config.endpoint) {
+      throw new Error('OpenAI-compatible provider requires a base URL (OPENAI_COMPATIBLE_BASE_URL)');
+    }
+
+    this.baseURL = config.endpoint.replace(/\/+$/, '');
+    this.client = new OpenAI({
+      // The SDK insists on a key; local servers ignore it
+      apiKey: config.apiKey || 'not-required',
+      baseURL: this.baseURL,
+    });
+  }
+
+  async call(prompt: string, systemPrompt?: string): Promise<LLMResponse> {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.withJsonFallback(nativeJson =>
+        this.retry(async () => {
+          return await this.client.chat.completions.create({
+            ...this.buildRequest(prompt, systemPrompt, nativeJson),
+            stream: false,
+          }, { signal: this.config.abortSignal });
+        })
+      );
+
+      const content = response.choices[0]?.message?.content || '';
+
+      return {
+        success: true,
+        data: this.parseContent(content),
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0,
+          totalTokens: response.usage?.total_tokens || 0,
+        },
+        model: response.model || this.config.model,
+        provider: 'openai-compatible',
+        duration: Date.now() - startTime,
+      };
+    } catch (error) {
+      return this.failure(error, startTime);
+    }
+  }
+
+  async stream(prompt: string, onDelta: LLMStreamHandler, systemPrompt?: string): Promise<LLMResponse> {
+    const startTime = Date.now();
+
+    try {
+      // stream_options is left out: several compatible servers reject unknown fields
+      const stream = await this.withJsonFallback(nativeJson =>
+        this.retry(async () => {
+          return await this.client.chat.completions.create({
+            ...this.buildRequest(prompt, systemPrompt, nativeJson),
+            stream: true,
+          }, { signal: this.config.abortSignal });
+        })
+      );
+
+      let content = '';
+      let model = this.config.model;
+      let usage: OpenAI.CompletionUsage | undefined;
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (chunk.model) {
+          model = chunk.model;
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+
+      return {
+        success: true,
+        data: this.parseContent(content),
+        usage: {
+          promptTokens: usage?.prompt_tokens || 0,
+          completionTokens: usage?.completion_tokens || 0,
+          totalTokens: usage?.total_tokens || 0,
+        },
+        model,
+        provider: 'openai-compatible',
+        duration: Date.now() - startTime,
+      };
+    } catch (error) {
+      return this.failure(error, startTime);
+    }
+  }
+
+  private buildRequest(prompt: string, systemPrompt: string | undefined, nativeJson: boolean) {
+    const messages: OpenAI.ChatCompletionMessageParam[] = [];
+    const instructions = this.wantsJson() && !nativeJson
+      ? [systemPrompt, JSON_INSTRUCTION].filter(Boolean).join('\n\n')
+      : systemPrompt;
+
+    if (instructions) {
+      messages.push({ role: 'system', content: instructions });
+    }
+
+    messages.push({ role: 'user', content: prompt });
+
+    return {
+      model: this.config.model,
+      messages,
+      temperature: this.config.temperature ?? 0.7,
+      max_tokens: this.config.maxTokens ?? 2000,
+      top_p: this.config.topP,
+      frequency_penalty: this.config.frequencyPenalty,
+      presence_penalty: this.config.presencePenalty,
+      stop: this.config.stopSequences,
+      response_format: nativeJson ? this.config.responseFormat : undefined,
+    };
+  }
+
+  /**
+   * Run the request with native JSON mode when the server supports it, retrying once with
+   * prompt-based JSON when it rejects response_format
+   */
+  private async withJsonFallback<T>(run: (nativeJson: boolean) => Promise<T>): Promise<T> {
+    const mode = this.getJsonMode();
+    const nativeJson = this.wantsJson() && mode !== 'prompt' &&
+      !(mode === 'auto' && OpenAICompatibleProvider.responseFormatUnsupported.has(this.baseURL));
+
+    if (!nativeJson) {
+      return run(false);
+    }
+
+    try {
+      return await run(true);
+    } catch (error) {
+      if (mode !== 'auto' || !this.isResponseFormatRejection(error)) {
+        throw error;
+      }
+      OpenAICompatibleProvider.responseFormatUnsupported.add(this.baseURL);
+      return run(false);
+    }
+  }
+
+  private wantsJson(): boolean {
+    return this.config.responseFormat?.type === 'json_object';
+  }
+
+  private getJsonMode(): JsonMode {
+    const mode = (process.env.OPENAI_COMPATIBLE_JSON_MODE || 'auto').toLowerCase();
+    return mode === 'response_format' || mode === 'prompt' ? mode : 'auto';
+  }
+
+  private isResponseFormatRejection(error: unknown): boolean {
+    const status = (error as any)?.status;
+    const message = error instanceof Error ? error.message : String(error);
+    return (status === 400 || status === 422 || status === 501) && /response_format|json/i.test(message);
+  }
+
+  private parseContent(content: string): any {
+    return this.wantsJson() ? this.extractJsonFromResponse(content) : content;
+  }
+
+  private failure(error: unknown, startTime: number): LLMResponse {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error occurred',
+      model: this.config.model,
+      provider: 'openai-compatible',
+      duration: Date.now() - startTime,
+    };
+  }
+}
@@ -1,6 +1,6 @@
 import OpenAI from 'openai';
 import { BaseLLMProvider } from './base.provider';
-import { LLMConfig, LLMResponse } from '../types';
+import { LLMConfig, LLMResponse, LLMStreamHandler } from '../types';
 
 export class OpenAIProvider extends BaseLLMProvider {
   private client: OpenAI;
@@ -34,7 +34,7 @@ export class OpenAIProvider extends BaseLLMProvider {
           frequency_penalty: this.config.frequencyPenalty,
           presence_penalty: this.config.presencePenalty,
           response_format: this.config.responseFormat,
-        });
+        }, { signal: this.config.abortSignal });
       });
 
       const content = response.choices[0]?.message?.content || '';
@@ -68,4 +68,81 @@ export class OpenAIProvider extends BaseLLMProvider {
       };
     }
   }
+
+  // Phase 12A: Stream completion deltas as they arrive
+  async stream(prompt: string, onDelta: LLMStreamHandler, systemPrompt?: string): Promise<LLMResponse> {
+    const startTime = Date.now();
+
+    try {
+      const messages: OpenAI.ChatCompletionMessageParam[] = [];
+
+      if (systemPrompt) {
+        messages.push({ role: 'system', content: systemPrompt });
+      }
+
+      messages.push({ role: 'user', content: prompt });
+
+      const stream = await this.retry(async () => {
+        return await this.client.chat.completions.create({
+          model: this.config.model,
+          messages,
+          temperature: this.config.temperature ?? 0.7,
+          max_tokens: this.config.maxTokens ?? 2000,
+          top_p: this.config.topP,
+          frequency_penalty: this.config.frequencyPenalty,
+          presence_penalty: this.config.presencePenalty,
+          response_format: this.config.responseFormat,
+          stream: true,
+          stream_options: { include_usage: true },
+        }, { signal: this.config.abortSignal });
+      });
+
+      let content = '';
+      let model = this.config.model;
+      let usage: OpenAI.CompletionUsage | undefined;
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (chunk.model) {
+          model = chunk.model;
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+
+      let data: any = content;
+      if (this.config.responseFormat?.type === 'json_object') {
+        data = this.extractJsonFromResponse(content);
+      }
+
+      return {
+        success: true,
+        data,
+        usage: {
+          promptTokens: usage?.prompt_tokens || 0,
+          completionTokens: usage?.completion_tokens || 0,
+          totalTokens: usage?.total_tokens || 0,
+        },
+        model,
+        provider: 'openai',
+        duration,
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred',
+        model: this.config.model,
+        provider: 'openai',
+        duration,
+      };
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+import { modelPricing } from './pricing';
+
+describe('ModelPricing', () => {
+  it('matches dated snapshots to the longest model prefix', () => {
+    expect(modelPricing.getPrice('openai', 'gpt-4o-2024-08-06')).toEqual({ inputPerMillion: 2.5, outputPerMillion: 10 });
+    expect(modelPricing.getPrice('openai', 'gpt-4o-mini-2024-07-18')).toEqual({ inputPerMillion: 0.15, outputPerMillion: 0.6 });
+    expect(modelPricing.getPrice('openai', 'gpt-4-0613')).toEqual({ inputPerMillion: 30, outputPerMillion: 60 });
+    expect(modelPricing.getPrice('anthropic', 'Claude-3-5-Sonnet-20241022')).toEqual({ inputPerMillion: 3, outputPerMillion: 15 });
+  });
+
+  it('prices Azure deployments of OpenAI models like OpenAI', () => {
+    expect(modelPricing.getPrice('azure-openai', 'gpt-4o')).toEqual(modelPricing.getPrice('openai', 'gpt-4o'));
+  });
+
+  it('charges nothing for self-hosted and mock providers', () => {
+    expect(modelPricing.calculateCost('openai-compatible', 'llama-3-70b', 10000, 2000)).toBe(0);
+    expect(modelPricing.calculateCost('mock', null, 10000, 2000)).toBe(0);
+  });
+
+  it('falls back to the conservative default for unknown models', () => {
+    expect(modelPricing.getPrice('google', 'gemini-9-ultra')).toEqual({ inputPerMillion: 10, outputPerMillion: 30 });
+    expect(modelPricing.getPrice('openai', undefined)).toEqual({ inputPerMillion: 10, outputPerMillion: 30 });
+  });
+
+  it('costs input and output tokens at their own rates', () => {
+    expect(modelPricing.calculateCost('openai', 'gpt-4o', 1000000, 0)).toBeCloseTo(2.5);
+    expect(modelPricing.calculateCost('openai', 'gpt-4o', 2000, 500)).toBeCloseTo(0.01);
+  });
+});
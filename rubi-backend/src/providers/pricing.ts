@@ -0,0 +1,80 @@
+/**
+ * Phase 12J: Model Pricing
+ *
+ * USD prices per million input and output tokens by provider and model, used to put a
+ * dollar cost on every LLM call for spend reporting and org spend budgets. Models are
+ * matched by the longest name prefix within their provider, so dated snapshots
+ * (e.g. gpt-4o-2024-08-06) use their family's price.
+ */
+
+import { LLMProvider } from '../types';
+
+export interface ModelPrice {
+  inputPerMillion: number;
+  outputPerMillion: number;
+}
+
+const OPENAI_PRICES: Record<string, ModelPrice> = {
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+  'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10 },
+  'gpt-4-turbo': { inputPerMillion: 10, outputPerMillion: 30 },
+  'gpt-4-1106': { inputPerMillion: 10, outputPerMillion: 30 },
+  'gpt-4-0125': { inputPerMillion: 10, outputPerMillion: 30 },
+  'gpt-4-32k': { inputPerMillion: 60, outputPerMillion: 120 },
+  'gpt-4': { inputPerMillion: 30, outputPerMillion: 60 },
+  'gpt-3.5-turbo': { inputPerMillion: 0.5, outputPerMillion: 1.5 },
+};
+
+const PRICES: Record<string, Record<string, ModelPrice>> = {
+  openai: OPENAI_PRICES,
+  'azure-openai': OPENAI_PRICES,
+  anthropic: {
+    'claude-3-5-sonnet': { inputPerMillion: 3, outputPerMillion: 15 },
+    'claude-3-5-haiku': { inputPerMillion: 0.8, outputPerMillion: 4 },
+    'claude-3-opus': { inputPerMillion: 15, outputPerMillion: 75 },
+    'claude-3-sonnet': { inputPerMillion: 3, outputPerMillion: 15 },
+    'claude-3-haiku': { inputPerMillion: 0.25, outputPerMillion: 1.25 },
+  },
+  google: {
+    'gemini-2.0-flash': { inputPerMillion: 0.1, outputPerMillion: 0.4 },
+    'gemini-2.0-pro': { inputPerMillion: 1.25, outputPerMillion: 5 },
+    'gemini-1.5-pro': { inputPerMillion: 1.25, outputPerMillion: 5 },
+    'gemini-1.5-flash': { inputPerMillion: 0.075, outputPerMillion: 0.3 },
+    'gemini-pro': { inputPerMillion: 0.5, outputPerMillion: 1.5 },
+  },
+};
+
+// Self-hosted models and offline fixtures cost nothing per token
+const FREE_PROVIDERS = ['openai-compatible', 'mock'];
+
+// Unknown hosted models are priced conservatively so spend budgets still bite
+const DEFAULT_PRICE: ModelPrice = { inputPerMillion: 10, outputPerMillion: 30 };
+
+export class ModelPricing {
+  /**
+   * Price for a provider/model, falling back to the default for unknown models
+   */
+  getPrice(provider: LLMProvider | string, model: string | null | undefined): ModelPrice {
+    if (FREE_PROVIDERS.includes(provider)) {
+      return { inputPerMillion: 0, outputPerMillion: 0 };
+    }
+
+    const name = (model || '').toLowerCase();
+    const prices = PRICES[provider] || {};
+    const prefix = Object.keys(prices)
+      .filter(candidate => name.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? prices[prefix] : DEFAULT_PRICE;
+  }
+
+  /**
+   * Dollar cost of a call's input and output tokens
+   */
+  calculateCost(provider: LLMProvider | string, model: string | null | undefined, tokensIn: number, tokensOut: number): number {
+    const price = this.getPrice(provider, model);
+    return (tokensIn * price.inputPerMillion + tokensOut * price.outputPerMillion) / 1000000;
+  }
+}
+
+export const modelPricing = new ModelPricing();
@@ -0,0 +1,81 @@
+/**
+ * Phase 12H: Token Estimator
+ *
+ * Approximate token counts and context window sizes per provider/model, used to budget
+ * prompts before they are sent. Estimates are character-based (no tokenizer dependency),
+ * so callers should leave headroom rather than fill a context window exactly.
+ */
+
+import { LLMProvider } from '../types';
+
+// Average characters per token for Latin-script text, by provider family
+const CHARS_PER_TOKEN: Record<string, number> = {
+  openai: 4,
+  'azure-openai': 4,
+  anthropic: 3.5,
+  google: 4,
+  'openai-compatible': 3.5,
+  mock: 4,
+};
+
+// Context windows by model name prefix; the longest matching prefix wins
+const CONTEXT_WINDOWS: Array<{ prefix: string; tokens: number }> = [
+  { prefix: 'gpt-4o', tokens: 128000 },
+  { prefix: 'gpt-4-turbo', tokens: 128000 },
+  { prefix: 'gpt-4-1106', tokens: 128000 },
+  { prefix: 'gpt-4-0125', tokens: 128000 },
+  { prefix: 'gpt-4-32k', tokens: 32768 },
+  { prefix: 'gpt-4', tokens: 8192 },
+  { prefix: 'gpt-3.5-turbo', tokens: 16385 },
+  { prefix: 'claude-3', tokens: 200000 },
+  { prefix: 'claude', tokens: 100000 },
+  { prefix: 'gemini-1.5-pro', tokens: 2000000 },
+  { prefix: 'gemini-1.5', tokens: 1000000 },
+  { prefix: 'gemini-2', tokens: 1000000 },
+  { prefix: 'gemini', tokens: 32768 },
+  { prefix: 'mock', tokens: 128000 },
+];
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+export class TokenEstimator {
+  /**
+   * Estimated token count of text for a provider. Non-Latin characters (CJK, emoji) are
+   * counted as roughly one token each.
+   */
+  estimate(text: string | null | undefined, provider?: LLMProvider | string | null): number {
+    if (!text) {
+      return 0;
+    }
+
+    const charsPerToken = CHARS_PER_TOKEN[provider || 'openai'] || 4;
+    const wideChars = (text.match(/[^\u0000-\u024F\u2000-\u206F]/g) || []).length;
+    return Math.ceil((text.length - wideChars) / charsPerToken) + wideChars;
+  }
+
+  /**
+   * Characters that fit in the given number of tokens, for sizing truncations
+   */
+  charsForTokens(tokens: number, provider?: LLMProvider | string | null): number {
+    return Math.max(0, Math.floor(tokens * (CHARS_PER_TOKEN[provider || 'openai'] || 4)));
+  }
+
+  /**
+   * Context window (prompt + completion tokens) for a model
+   */
+  getContextWindow(provider: LLMProvider | string | null | undefined, model: string | null | undefined): number {
+    // Self-hosted models vary too much to guess; the operator declares it
+    if (provider === 'openai-compatible') {
+      return parseInt(process.env.OPENAI_COMPATIBLE_CONTEXT_WINDOW || String(DEFAULT_CONTEXT_WINDOW), 10);
+    }
+
+    const name = (model || '').toLowerCase();
+    const match = CONTEXT_WINDOWS
+      .filter(entry => name.startsWith(entry.prefix))
+      .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+    return match ? match.tokens : DEFAULT_CONTEXT_WINDOW;
+  }
+}
+
+export const tokenEstimator = new TokenEstimator();
@@ -2,22 +2,784 @@ import { Router, Request, Response } from 'express';
 import { actionRegistry } from '../actions/registry';
 import { templateEngine } from '../templates/template-engine';
 import { schemaValidator } from '../schemas/schema-validator';
-import { llmOrchestrator } from '../providers';
+import { llmOrchestrator, OrchestrationOptions } from '../providers';
 import { logger } from '../logging/logger';
 import { analytics } from '../logging/analytics';
+import { llmUsageLogger } from '../logging/llmUsageLogger';
 import { authMiddleware } from '../middleware/auth';
 import { extensionAuthService, ExtensionAuthRequest } from '../middleware/extensionAuth';
 import { securityMiddleware } from '../middleware/security';
-import { NormalizedRubiContextPayload, ActionUtilities, AuthenticatedRequestContext, ActionExecutionMetadata, LLMConfig, LLMProvider } from '../types';
+import { NormalizedRubiContextPayload, ActionUtilities, AuthenticatedRequestContext, ActionResponse, LLMConfig, LLMProvider, LLMResponse, LLMStreamHandler, PromptTemplate, SchemaRepairResult } from '../types';
 import { OrgConfig } from '../types/orgConfig';
 import { orgConfigService } from '../config/orgConfigService';
 import { orgIntelligenceService } from '../services/orgIntelligenceService';
 import { OrgIntelligence, OrgIntelligenceSource } from '../types/orgIntelligence';
-import { createExecutionContextBuilder } from '../services/executionContextBuilder';
-import { usageLimiter } from '../services/usageLimiter';
+import { createExecutionContextBuilder, ExecutionContextBuilder } from '../services/executionContextBuilder';
+import { usageLimiter, UsageCheckResult, UsageReservation } from '../services/usageLimiter';
+import { PartialResultTracker } from '../services/partialResultParser';
+import { actionResultCache } from '../services/actionResultCache';
+import { promptBudgeter, PromptBudgetOptions } from '../services/promptBudgeter';
+import { piiRedactor, PiiRedactionSession } from '../services/piiRedactor';
+import { promptInjectionScreen } from '../services/promptInjectionScreen';
+import { providerCredentials, OrgProviderCredentials } from '../services/providerCredentials';
+import { modelPricing } from '../providers/pricing';
+import { schemaRepairLoop } from '../schemas/schemaRepair';
+import { modelConfigManager } from '../config/modelConfig';
+import { actionJobQueue } from '../services/actionJobQueue';
+import { actionRateLimiter, ActionRateLimitDecision } from '../services/actionRateLimiter';
+import { ActionJob, ActionRunResult } from '../types/jobs';
 
 const router = Router();
 
+const JSON_SYSTEM_PROMPT = 'You must respond with valid JSON only.';
+
+// Phase 12A: Write a single Server-Sent Event and flush it past any compression buffer
+function sendStreamEvent(res: Response, event: string, data: any): void {
+  if (res.writableEnded) {
+    return;
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  (res as any).flush?.();
+}
+
+// Phase 12B: Only explicit org/action preferences override the action's configured chain
+function getPreferredProvider(
+  modelPreferences: ReturnType<typeof orgConfigService.getEffectiveModelPreferences>
+): { provider: string; model?: string } | undefined {
+  if (modelPreferences.source === 'default') {
+    return undefined;
+  }
+  return { provider: modelPreferences.provider, model: modelPreferences.model };
+}
+
+// Phase 12C: Attribute one LLM call to the request that made it, using the execution details
+// returned with the response (never orchestrator state, which concurrent requests share)
+function recordLLMCall(
+  contextBuilder: ExecutionContextBuilder,
+  response: LLMResponse,
+  context: { actionName: string; requestId: string; orgId: string; userId?: string; sessionId?: string }
+): number {
+  contextBuilder.recordProviderExecution(response.execution);
+
+  // Phase 12J: Price the call and count it against the org's spend budgets
+  const tokensIn = response.usage?.promptTokens || 0;
+  const tokensOut = response.usage?.completionTokens || 0;
+  const costUsd = modelPricing.calculateCost(response.provider, response.model, tokensIn, tokensOut);
+  contextBuilder.addCost(costUsd);
+  void usageLimiter.recordSpend({ orgId: context.orgId, userId: context.userId, actionName: context.actionName, costUsd });
+
+  llmUsageLogger.logUsage({
+    action: context.actionName,
+    provider: response.provider,
+    model: response.model,
+    tokensIn,
+    tokensOut,
+    cost: costUsd,
+    duration: response.duration || 0,
+    retryCount: Math.max((response.execution?.attemptCount || 1) - 1, 0),
+    fallbackUsed: response.execution?.fallbackOccurred || false,
+    keySource: response.execution?.keySourceFinal,
+    success: response.success,
+    error: response.error,
+    userId: context.userId,
+    orgId: context.orgId,
+    sessionId: context.sessionId,
+    metadata: { requestId: context.requestId },
+  });
+
+  return costUsd;
+}
+
+// Phase 10C & 12J: Action count and spend limits reported in policy metadata
+function getLimitsApplied(orgConfig: OrgConfig | null | undefined) {
+  return {
+    maxDailyOrg: orgConfig?.max_daily_actions_per_org,
+    maxDailyUser: orgConfig?.max_daily_actions_per_user,
+    maxDailySpendUsd: orgConfig?.max_daily_spend_usd,
+    maxMonthlySpendUsd: orgConfig?.max_monthly_spend_usd,
+  };
+}
+
+// Phase 10C: User-facing message for an org policy block
+function getPolicyErrorMessage(usageCheck: UsageCheckResult): string {
+  const errorMessages: { [key: string]: string } = {
+    org_disabled: 'Rubi AI is currently disabled for your organization.',
+    extension_disabled: 'The Rubi browser extension is not enabled for your organization.',
+    org_daily_limit_exceeded: 'Your organization has reached today\'s Rubi AI usage limit.',
+    user_daily_limit_exceeded: 'You\'ve reached today\'s Rubi AI usage limit.',
+    domain_not_allowed: 'Rubi AI isn\'t enabled for this site.',
+    spend_limit_exceeded: usageCheck.spendLimit?.period === 'monthly'
+      ? 'Your organization has used this month\'s Rubi AI budget.'
+      : 'Your organization has used today\'s Rubi AI budget.',
+  };
+
+  return errorMessages[usageCheck.reason || ''] || 'This action is disabled for your organization.';
+}
+
+// Phase 12P: Count a run against the action's per-user and per-org rate limits. Callers
+// without a user identity are keyed by IP.
+async function checkActionRateLimit(req: ExtensionAuthRequest, actionName: string): Promise<ActionRateLimitDecision> {
+  return actionRateLimiter.consume({
+    actionName,
+    orgId: req.userContext?.orgId || 'unknown',
+    callerId: req.userContext?.userId || `ip:${req.ip}`,
+    rules: actionRateLimiter.getRules(actionName, actionRegistry.get(actionName)?.rateLimit, req.orgConfig),
+  });
+}
+
+// Phase 12P: Body of a 429 for a rate-limited action (Retry-After carries the same wait)
+function getRateLimitBody(actionName: string, decision: ActionRateLimitDecision) {
+  return {
+    success: false,
+    error: decision.scope === 'org'
+      ? `Your organization is running ${actionName} too often. Try again in ${decision.retryAfterSeconds} seconds.`
+      : `You're running ${actionName} too often. Try again in ${decision.retryAfterSeconds} seconds.`,
+    code: 'ACTION_RATE_LIMITED',
+    retryAfterSeconds: decision.retryAfterSeconds,
+    rateLimit: {
+      scope: decision.scope,
+      max: decision.rule?.max,
+      windowMs: decision.rule?.windowMs,
+    },
+  };
+}
+
+// Phase 9D: Cap completion tokens based on org config
+function getMaxOutputTokens(requested: number | undefined, orgConfig: OrgConfig | null | undefined): number | undefined {
+  return orgConfig?.limits?.maxTokensPerAction
+    ? Math.min(requested || 4000, orgConfig.limits.maxTokensPerAction)
+    : requested;
+}
+
+interface PromptBudgetContext {
+  actionName: string;
+  orgConfig: OrgConfig | null | undefined;
+  preferredProvider?: { provider: string; model?: string };
+  credentials?: OrgProviderCredentials;
+}
+
+// Phase 12H: The primary model's context window (less the completion reserve) and the org's
+// prompt token cap
+function getPromptBudgetOptions(template: PromptTemplate, context: PromptBudgetContext): PromptBudgetOptions {
+  const target = llmOrchestrator.resolvePrimaryTarget(
+    { provider: template.model.provider, model: template.model.name },
+    { actionName: context.actionName, preferredProvider: context.preferredProvider, credentials: context.credentials }
+  );
+
+  return {
+    provider: target?.provider || template.model.provider,
+    model: target?.model || template.model.name,
+    outputTokens: getMaxOutputTokens(template.model.maxTokens, context.orgConfig)
+      || parseInt(process.env.DEFAULT_MAX_TOKENS || '2000'),
+    systemPrompt: JSON_SYSTEM_PROMPT,
+    maxPromptTokens: context.orgConfig?.limits?.maxPromptTokensPerAction,
+  };
+}
+
+// Phase 12H: Render the prompt within budget, recording any trimmed sections on the request
+function renderBudgetedPrompt(
+  template: PromptTemplate,
+  data: any,
+  context: PromptBudgetContext & { contextBuilder: ExecutionContextBuilder }
+): string {
+  const { prompt, report } = promptBudgeter.render(template, data, getPromptBudgetOptions(template, context));
+
+  context.contextBuilder.setPromptBudget(report);
+  return prompt;
+}
+
+// Phase 12U: Org intelligence mapped for the action's prompt, with the items most relevant to
+// the template data retrieved from the org's index and recorded on the request
+function getPromptIntelligence(
+  orgIntelligence: OrgIntelligence | null,
+  actionName: string,
+  data: any,
+  contextBuilder: ExecutionContextBuilder
+): Record<string, any> | null {
+  const { intelligence, injectedItems } = orgIntelligenceService.selectIntelligenceForPrompt(orgIntelligence, actionName, data);
+  contextBuilder.addOrgIntelligenceItems(injectedItems);
+  return intelligence;
+}
+
+// Phase 12W: Template data with instruction-like page content neutralized; suspected
+// injections are logged and recorded on the request
+function screenPageContent<T extends Record<string, any>>(
+  data: T,
+  actionName: string,
+  requestId: string,
+  contextBuilder: ExecutionContextBuilder
+): T {
+  const { data: screened, findings } = promptInjectionScreen.screen(data);
+  if (findings.length > 0) {
+    logger.warn('Prompt injection suspected in page content', {
+      requestId,
+      actionName,
+      promptInjectionSuspected: true,
+      findings,
+    });
+    contextBuilder.addPromptInjectionFindings(findings);
+  }
+  return screened;
+}
+
+// Phase 12V: Prompt as sent to the provider, with PII replaced by placeholders when the org
+// redacts it for this action; counts so far are recorded on the request
+function redactPrompt(
+  session: PiiRedactionSession,
+  prompt: string,
+  orgConfig: OrgConfig | null | undefined,
+  actionName: string,
+  contextBuilder: ExecutionContextBuilder
+): string {
+  const policy = piiRedactor.getPolicy(orgConfig, actionName);
+  if (!policy) {
+    return prompt;
+  }
+  const redacted = session.redact(prompt, policy);
+  contextBuilder.setPiiRedaction(session.getDetails());
+  return redacted;
+}
+
+// Phase 12I: Repair schema-invalid output under the action's validation policy, re-prompting
+// through the route's own callLLM so retries are budgeted, streamed and recorded like the first call
+async function validateWithRepair(
+  data: any,
+  schemaName: string,
+  repairContext: { template: PromptTemplate; prompt: string; llmConfig: Partial<LLMConfig> },
+  context: PromptBudgetContext & {
+    callLLM: ActionUtilities['callLLM'];
+    contextBuilder: ExecutionContextBuilder;
+  }
+): Promise<SchemaRepairResult> {
+  const policy = modelConfigManager.getConfig(context.actionName)?.validationPolicy;
+  const budgetOptions = getPromptBudgetOptions(repairContext.template, context);
+
+  const result = await schemaRepairLoop.run(data, schemaName, {
+    ...repairContext,
+    callLLM: context.callLLM,
+    fitPrompt: (sections, trimmable) => promptBudgeter.fit(sections, trimmable, budgetOptions),
+    maxCorrectionAttempts: policy?.maxCorrectionAttempts ?? 1,
+    fallbackOnFailure: policy?.fallbackOnFailure ?? true,
+  });
+
+  context.contextBuilder.setSchemaRepair(result.report);
+  return result;
+}
+
+// Phase 12E: Serve idempotent analyses from the result cache, running the action on a miss.
+// `bypass` (the drawer's refresh button) skips the lookup but still refreshes the entry.
+async function executeWithResultCache(
+  params: {
+    actionName: string;
+    payload: NormalizedRubiContextPayload;
+    orgId: string | null;
+    userId: string | null;
+    orgConfig: OrgConfig | null | undefined;
+    orgIntelligence: OrgIntelligence | null;
+    bypass: boolean;
+    requestId: string;
+    contextBuilder: ExecutionContextBuilder;
+  },
+  run: () => Promise<ActionResponse>
+): Promise<ActionResponse> {
+  const { actionName, orgId, contextBuilder } = params;
+  const ttlSeconds = actionResultCache.getTtlSeconds(params.orgConfig, actionName);
+
+  if (ttlSeconds <= 0) {
+    return run();
+  }
+
+  const action = actionRegistry.get(actionName);
+  const template = action && !action.pipeline ? await templateEngine.loadTemplate(action.templateFile).catch(() => null) : null;
+  const cacheKey = actionResultCache.buildKey({
+    actionName,
+    payload: params.payload,
+    orgId,
+    userId: params.userId,
+    templateVersion: action?.pipeline?.version || template?.version || 'unknown',
+    orgIntelligenceVersion: orgIntelligenceService.getIntelligenceVersion(params.orgIntelligence),
+  });
+
+  if (params.bypass) {
+    actionResultCache.recordBypass();
+  } else {
+    const cached = actionResultCache.get(cacheKey);
+    if (cached) {
+      logger.debug(`Result cache hit for ${actionName}`, { requestId: params.requestId, ageSeconds: cached.ageSeconds });
+      contextBuilder.setCacheResult(true, cached.ageSeconds);
+      return cached.result;
+    }
+  }
+
+  const result = await run();
+  actionResultCache.set(cacheKey, result, ttlSeconds, { orgId, actionName });
+  return result;
+}
+
+// Phase 12M: Request-scoped state an action's utilities are built from
+interface ActionRequestContext {
+  req: ExtensionAuthRequest;
+  requestId: string;
+  orgConfig: OrgConfig | null | undefined;
+  authContext: AuthenticatedRequestContext;
+  orgIntelligence: OrgIntelligence | null;
+}
+
+// Phase 12A: Receives the requested action's completion deltas (PII already restored) and
+// each provider attempt, so the stream route can discard output from earlier attempts
+interface ActionStreamHandlers {
+  onDelta: LLMStreamHandler;
+  onAttempt: NonNullable<OrchestrationOptions['onAttempt']>;
+}
+
+// Phase 12L: Utilities are built per action so pipeline steps get their own model chain,
+// schema and prompt mapping; LLM calls are still recorded against the requested action
+function createActionUtilities(
+  context: ActionRequestContext,
+  actionName: string,
+  contextBuilder: ExecutionContextBuilder,
+  stream?: ActionStreamHandlers
+): ActionUtilities {
+  const { req, requestId, orgConfig, authContext, orgIntelligence } = context;
+  // Phase 12V: One placeholder mapping for every LLM call the action makes
+  const piiSession = piiRedactor.createSession();
+  // Phase 12X: The org's own provider keys, decrypted once per request
+  const providerKeys = providerCredentials.resolve(orgConfig);
+
+  const createUtilities = (
+    stepActionName: string,
+    onLLMCall?: (response: LLMResponse, costUsd: number) => void
+  ): ActionUtilities => {
+    const stepPreferences = orgConfigService.getEffectiveModelPreferences(orgConfig, stepActionName);
+    const utilities: ActionUtilities = {
+      renderPrompt: (template, data) => {
+        // Phase 9D & 11D: Extend template data with org config and intelligence context
+        const sessionUser = authContext.session?.user;
+        const extendedData = {
+          ...screenPageContent(data, stepActionName, requestId, contextBuilder),
+          user: sessionUser ? { id: sessionUser.userId || 'unknown', ...sessionUser } : { id: 'unknown' },
+          org: authContext.session?.org || null,
+          auth: {
+            isDevMode: authContext.isDevMode,
+            sessionId: authContext.session?.sessionId,
+          },
+          orgConfig: orgConfig ? {
+            orgName: orgConfig.orgName,
+            planTier: orgConfig.planTier,
+            toneStyle: orgConfig.toneProfile?.style,
+            locale: orgConfig.toneProfile?.localeOverride || authContext.session?.user?.locale,
+          } : null,
+          // Phase 11D & 11E: Add org intelligence for prompt templates with action-specific mapping
+          // (Phase 12U: items chosen by relevance to the payload)
+          orgIntelligence: getPromptIntelligence(orgIntelligence, stepActionName, data, contextBuilder),
+        };
+        return renderBudgetedPrompt(template, extendedData, {
+          actionName: stepActionName,
+          orgConfig,
+          preferredProvider: getPreferredProvider(stepPreferences),
+          credentials: providerKeys,
+          contextBuilder,
+        });
+      },
+      callLLM: async (prompt, config) => {
+        const systemPrompt = config.responseFormat?.type === 'json_object' 
+          ? JSON_SYSTEM_PROMPT 
+          : undefined;
+      
+        // Phase 9D: Cap tokens based on org config
+        const effectiveConfig: Partial<LLMConfig> = {
+          ...config,
+          maxTokens: getMaxOutputTokens(config.maxTokens, orgConfig),
+        };
+
+        logger.debug(`Using model preferences for action ${stepActionName}`, {
+          requestId,
+          provider: stepPreferences.provider,
+          model: stepPreferences.model,
+          source: stepPreferences.source,
+          maxTokens: effectiveConfig.maxTokens,
+        });
+      
+        // Phase 12A: Pipeline steps can run in parallel, so only the requested action streams.
+        // Phase 12V: Deltas are restored before they are forwarded; a placeholder split across
+        // deltas is held until it is complete
+        const streaming = stepActionName === actionName ? stream : undefined;
+        const streamRestorer = piiSession.createStreamRestorer();
+        const forwardDelta = (delta: string) => {
+          if (delta) {
+            streaming!.onDelta(delta);
+          }
+        };
+
+        // Phase 12B: Org preference leads the action's fallback chain
+        const providerPrompt = redactPrompt(piiSession, prompt, orgConfig, stepActionName, contextBuilder);
+        const response = await llmOrchestrator.call(providerPrompt, effectiveConfig, systemPrompt, {
+          actionName: stepActionName,
+          preferredProvider: getPreferredProvider(stepPreferences),
+          schemaName: actionRegistry.get(stepActionName)?.schemaFile,
+          credentials: providerKeys,
+          onDelta: streaming ? delta => forwardDelta(streamRestorer.push(delta)) : undefined,
+          // Handler re-prompts and provider retries/fallbacks both restart the output
+          onAttempt: streaming ? attempt => {
+            streamRestorer.reset();
+            streaming.onAttempt(attempt);
+          } : undefined,
+        });
+        if (streaming) {
+          forwardDelta(streamRestorer.flush());
+        }
+      
+        // Phase 10A & 12C: Update metadata with this call's provider execution details
+        const costUsd = recordLLMCall(contextBuilder, response, {
+          actionName,
+          requestId,
+          // Same org key the usage limiter checks budgets against
+          orgId: req.userContext?.orgId || 'unknown',
+          userId: authContext.session?.user.userId || req.userContext?.userId,
+          sessionId: authContext.session?.sessionId,
+        });
+        onLLMCall?.(response, costUsd);
+      
+        // Phase 12V: Real values go back in before the output is validated
+        return { ...response, data: piiSession.restore(response.data) };
+      },
+      validateSchema: (data, schemaName) => {
+        return schemaValidator.validate(data, schemaName);
+      },
+      validateWithRepair: (data, schemaName, repairContext) => validateWithRepair(data, schemaName, repairContext, {
+        actionName: stepActionName,
+        orgConfig,
+        preferredProvider: getPreferredProvider(stepPreferences),
+        credentials: providerKeys,
+        callLLM: utilities.callLLM,
+        contextBuilder,
+      }),
+      forAction: createUtilities,
+      recordPipeline: (details) => {
+        contextBuilder.setPipeline(details);
+      },
+      logger,
+    };
+    return utilities;
+  };
+  return createUtilities(actionName);
+}
+
+type ActionExecutionMode = 'execute' | 'stream' | 'batch' | 'job';
+
+// Phase 12A, 12M & 12N: One action run, whichever route asked for it
+interface ActionRunOptions {
+  req: ExtensionAuthRequest;
+  requestId: string;
+  actionName: string;
+  payload: NormalizedRubiContextPayload;
+  executionMode: ActionExecutionMode;
+  bypassCache: boolean;
+  // Phase 11D: A batch loads org intelligence once for all of its actions
+  orgIntelligence?: { data: OrgIntelligence | null; source: OrgIntelligenceSource };
+  // Phase 12P: Jobs count against rate limits when submitted, not when they run
+  skipRateLimit?: boolean;
+  // Phase 12A: Streaming transport; `onStart` is called once every check has passed
+  stream?: ActionStreamHandlers & { onStart: () => void };
+}
+
+function createRunContextBuilder(req: ExtensionAuthRequest, requestId: string, actionName: string): ExecutionContextBuilder {
+  return createExecutionContextBuilder()
+    .setAction(actionName)
+    .setRequestId(requestId)
+    .setOrgConfigSource(req.orgConfigSource || 'default', req.orgConfig)
+    .setIdentitySource(req.identitySource || 'anonymous', req.rubiAuthContext);
+}
+
+// Phase 10C: A run blocked by the org's usage policy, limits or budgets
+function getPolicyBlockedResult(
+  options: Pick<ActionRunOptions, 'req' | 'requestId' | 'actionName' | 'executionMode'>,
+  usageCheck: UsageCheckResult,
+  contextBuilder: ExecutionContextBuilder
+): ActionRunResult {
+  const { req, requestId, actionName } = options;
+
+  logger.warn(`Action blocked by policy: ${actionName}`, {
+    requestId,
+    orgId: req.userContext?.orgId,
+    userId: req.userContext?.userId,
+    executionMode: options.executionMode,
+    reason: usageCheck.reason,
+  });
+
+  return {
+    statusCode: 403,
+    success: false,
+    error: getPolicyErrorMessage(usageCheck),
+    code: 'ACTION_DISABLED_BY_POLICY',
+    executionMetadata: {
+      ...contextBuilder.build(),
+      policy: {
+        enabled: false,
+        reason: usageCheck.reason,
+        limitsApplied: getLimitsApplied(req.orgConfig),
+        spendLimit: usageCheck.spendLimit,
+      },
+    },
+  };
+}
+
+// Phase 9D, 10C & 12P: Policy, payload and rate limit checks made before an action runs.
+// Returns the rejection, or null when the action may run.
+async function checkActionRun(
+  options: Pick<ActionRunOptions, 'req' | 'requestId' | 'actionName' | 'payload' | 'executionMode' | 'skipRateLimit'>,
+  contextBuilder: ExecutionContextBuilder
+): Promise<ActionRunResult | null> {
+  const { req, requestId, actionName, payload } = options;
+  const orgConfig = req.orgConfig;
+
+  if (!payload || typeof payload !== 'object') {
+    return { statusCode: 400, success: false, error: 'payload or context is required in request body' };
+  }
+
+  // Phase 10C: Check usage limits and policies
+  const usageCheck = await usageLimiter.checkActionAllowed({
+    orgId: req.userContext?.orgId || 'unknown',
+    userId: req.userContext?.userId,
+    actionName,
+    payload,
+    orgConfig,
+  } as any);
+
+  if (!usageCheck.allowed) {
+    return getPolicyBlockedResult(options, usageCheck, contextBuilder);
+  }
+
+  // Phase 9D: Check if action is allowed based on org config
+  if (!orgConfigService.isActionAllowed(orgConfig, actionName)) {
+    logger.warn(`Action blocked by org policy: ${actionName}`, { requestId, orgId: req.userContext?.orgId });
+
+    return {
+      statusCode: 403,
+      success: false,
+      error: 'This action has been disabled by your organization administrator',
+      code: 'ACTION_DISABLED_BY_POLICY',
+      executionMetadata: {
+        ...contextBuilder.build(),
+        policy: {
+          enabled: false,
+          reason: 'action_not_allowed',
+        },
+      },
+    };
+  }
+
+  if (!actionRegistry.get(actionName)) {
+    logger.warn(`Action not found: ${actionName}`, { requestId });
+    return { statusCode: 404, success: false, error: `Action '${actionName}' not found` };
+  }
+
+  const validationResult = actionRegistry.validatePayloadForAction(actionName, payload);
+  if (!validationResult.valid) {
+    logger.warn(`Invalid payload for action ${actionName}`, { requestId, errors: validationResult.errors });
+    return { statusCode: 400, success: false, error: 'Invalid payload', details: validationResult.errors };
+  }
+
+  // Phase 12P: Per-action rate limits, keyed on the caller's identity
+  if (!options.skipRateLimit) {
+    const rateLimit = await checkActionRateLimit(req, actionName);
+    if (!rateLimit.allowed) {
+      logger.warn(`Action rate limited: ${actionName}`, { requestId, scope: rateLimit.scope });
+      return { statusCode: 429, ...getRateLimitBody(actionName, rateLimit) };
+    }
+  }
+
+  return null;
+}
+
+// Phase 12M: Every execute route (blocking, alias, stream, batch and jobs) runs actions through
+// here, so checks, caching, usage counting, analytics and logging are the same for all of them.
+// Errors come back as a 500 result rather than being thrown.
+async function runAction(options: ActionRunOptions): Promise<ActionRunResult> {
+  const { req, requestId, actionName, payload, executionMode } = options;
+  const startTime = Date.now();
+  const orgConfig = req.orgConfig; // Phase 9D
+
+  // Phase 10A: Initialize execution context builder
+  const contextBuilder = createRunContextBuilder(req, requestId, actionName);
+  let reservation: UsageReservation | undefined;
+  let succeeded = false;
+
+  try {
+    const rejection = await checkActionRun(options, contextBuilder);
+    if (rejection) {
+      return rejection;
+    }
+
+    // Phase 10C & 12O: The action is counted against the daily limits before it runs, atomically
+    // with the limit check, and given back below unless it succeeds
+    const usage = await usageLimiter.reserveAction({
+      orgId: req.userContext?.orgId || 'unknown',
+      userId: req.userContext?.userId,
+      actionName,
+      payload,
+      orgConfig,
+    } as any);
+    if (!usage.allowed) {
+      return getPolicyBlockedResult(options, usage, contextBuilder);
+    }
+    reservation = usage.reservation;
+
+    options.stream?.onStart();
+
+    // Phase 9B: Build authenticated request context with org config
+    const authContext: AuthenticatedRequestContext = req.rubiAuthContext || {
+      session: undefined,
+      isDevMode: true,
+      rawTokenClaims: req.extensionAuth,
+    };
+    const orgId = authContext.session?.org?.orgId || req.userContext?.orgId || null;
+    const userId = authContext.session?.user.userId || req.userContext?.userId || null;
+
+    // Phase 9D & 10A: Track the primary provider attempt from the effective model preferences
+    const modelPreferences = orgConfigService.getEffectiveModelPreferences(orgConfig, actionName);
+    contextBuilder.setProviderExecution(
+      modelPreferences.provider || 'openai',
+      null, // Will be set after execution
+      modelPreferences.model || null,
+      null, // Will be set after execution
+      false // Will be updated if fallback occurs
+    );
+
+    // Phase 11D: Fetch org intelligence
+    const { data: orgIntelligence, source: orgIntelligenceSource } = options.orgIntelligence
+      || await orgIntelligenceService.getOrgIntelligence(orgId);
+
+    const utilities = createActionUtilities(
+      { req, requestId, orgConfig, authContext, orgIntelligence },
+      actionName,
+      contextBuilder,
+      options.stream
+    );
+
+    // Phase 9D & 11D: Pass auth context, org config, and org intelligence to action execution
+    const extendedAuthContext = { ...authContext, orgConfig, orgIntelligence };
+
+    const result = await executeWithResultCache({
+      actionName,
+      payload,
+      orgId,
+      userId,
+      orgConfig,
+      orgIntelligence,
+      bypass: options.bypassCache,
+      requestId,
+      contextBuilder,
+    }, () => actionRegistry.execute(actionName, payload, utilities, extendedAuthContext));
+    const duration = Date.now() - startTime;
+    succeeded = result.success;
+
+    // Phase 10A: Complete metadata with performance metrics
+    contextBuilder.setPerformanceMetrics(duration, result.metadata?.tokensUsed);
+
+    // Build final execution metadata with policy info and org intelligence source
+    const executionMetadata = {
+      ...contextBuilder.build(),
+      orgIntelligenceSource: orgIntelligenceSource as OrgIntelligenceSource,
+      policy: {
+        enabled: orgConfig?.enabled !== false,
+        browserExtensionEnabled: orgConfig?.browser_extension_enabled !== false,
+        limitsApplied: getLimitsApplied(orgConfig),
+      },
+    };
+
+    // Enhanced analytics with org config context
+    analytics.trackAction({
+      action: actionName,
+      userId: userId || 'anonymous',
+      success: result.success,
+      // Phase 12E: Cached results cost no tokens
+      tokensUsed: executionMetadata.cacheHit ? 0 : result.metadata?.tokensUsed,
+      model: result.metadata?.modelUsed || executionMetadata.modelFinal || undefined,
+      provider: result.metadata?.providerUsed || executionMetadata.providerFinal as LLMProvider,
+      duration,
+      inputSize: JSON.stringify(payload).length,
+      outputSize: result.data ? JSON.stringify(result.data).length : 0,
+      error: result.error,
+      metadata: {
+        requestId,
+        executionMode,
+        attemptCount: executionMetadata.attemptCount,
+        providerFallbackOccurred: executionMetadata.providerFallbackOccurred,
+        cacheHit: executionMetadata.cacheHit,
+        promptInjectionSuspected: executionMetadata.promptInjectionSuspected,
+        platform: payload.platform,
+        contextType: payload.context?.type,
+        orgId: orgId || 'anonymous',
+        sessionId: authContext.session?.sessionId,
+        isDevMode: authContext.isDevMode,
+        planTier: orgConfig?.planTier || authContext.session?.org.planTier,
+        toneStyle: orgConfig?.toneProfile?.style,
+      },
+    });
+
+    // Phase 10A & 11D: Log execution metadata including org intelligence source
+    logger.info('[ActionExecution] Completed', {
+      actionName,
+      executionMode,
+      success: result.success,
+      orgConfigSource: executionMetadata.orgConfigSource,
+      identitySource: executionMetadata.identitySource,
+      orgIntelligenceSource: executionMetadata.orgIntelligenceSource,
+      providerFinal: executionMetadata.providerFinal,
+      modelFinal: executionMetadata.modelFinal,
+      attemptCount: executionMetadata.attemptCount,
+      fallbackOccurred: executionMetadata.providerFallbackOccurred,
+      cacheHit: executionMetadata.cacheHit,
+      duration,
+      requestId
+    });
+
+    return {
+      statusCode: result.success ? 200 : 422,
+      success: result.success,
+      data: result.data,
+      error: result.error,
+      metadata: { ...result.metadata, requestId, duration },
+      // Phase 10A: Include execution metadata, even on failure
+      executionMetadata,
+    };
+  } catch (error) {
+    logger.error(`Failed to execute action ${actionName}`, {
+      error,
+      requestId,
+      executionMode,
+      userId: req.userContext?.userId,
+    });
+
+    analytics.trackError(actionName, error instanceof Error ? error.message : 'Unknown error', {
+      requestId,
+      userId: req.userContext?.userId,
+    });
+
+    return {
+      statusCode: 500,
+      success: false,
+      error: 'Internal server error',
+      metadata: { duration: Date.now() - startTime },
+    };
+  } finally {
+    // Phase 10C: Only successful actions count
+    if (reservation && !succeeded) {
+      await usageLimiter.releaseReservation(reservation);
+    }
+  }
+}
+
+// Answer an execute request with a run's result; rate-limited runs also get Retry-After
+function sendActionResult(res: Response, result: ActionRunResult, requestId: string): void {
+  const { statusCode, ...body } = result;
+  if (statusCode === 429 && body.retryAfterSeconds !== undefined) {
+    res.setHeader('Retry-After', String(body.retryAfterSeconds));
+  }
+  res.status(statusCode).json({ ...body, requestId });
+}
+
 // Phase 9D: Add org config endpoint for extension to fetch its config
 router.get(
   '/org-config',
@@ -34,534 +796,436 @@ router.get(
       return;
     }
 
+    // Phase 12N & 12X: The webhook signing secret and provider keys stay server-side
+    const { job_webhook_secret, provider_credentials, ...clientOrgConfig } = orgConfig;
+
     res.json({
       success: true,
-      data: orgConfig,
+      data: clientOrgConfig,
     });
   }
 );
 
+// Phase 12O: Today's usage and remaining quota for the caller's org and user
+router.get(
+  '/usage',
+  extensionAuthService.requireExtensionAuth,
+  async (req: ExtensionAuthRequest, res: Response) => {
+    try {
+      const quota = await usageLimiter.getQuota(
+        req.userContext?.orgId || 'unknown',
+        req.userContext?.userId,
+        req.orgConfig
+      );
+
+      res.json({
+        success: true,
+        data: quota,
+      });
+    } catch (error) {
+      logger.error('Failed to load usage', { error, requestId: (req as any).requestId });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+  }
+);
+
 router.post(
   '/:actionName/execute',
   extensionAuthService.requireExtensionAuth,
   securityMiddleware.rateLimiter(),
+  async (req: ExtensionAuthRequest, res: Response) => {
+    const requestId = (req as any).requestId;
+
+    const result = await runAction({
+      req,
+      requestId,
+      actionName: req.params.actionName,
+      payload: req.body.payload,
+      executionMode: 'execute',
+      bypassCache: req.body.bypassCache === true,
+    });
+
+    sendActionResult(res, result, requestId);
+  }
+);
+
+// Alias route: POST /api/actions/execute with actionName in body
+// This matches the extension's expected path format
+router.post(
+  '/execute',
+  extensionAuthService.requireExtensionAuth,
+  securityMiddleware.rateLimiter(),
+  async (req: ExtensionAuthRequest, res: Response) => {
+    const { actionName, actionId, action, payload, context } = req.body;
+    // Support multiple field names: actionName, actionId, or action
+    const effectiveActionName = actionName || actionId || action;
+    const requestId = (req as any).requestId;
+
+    if (!effectiveActionName) {
+      res.status(400).json({
+        success: false,
+        error: 'actionName, actionId, or action is required in request body',
+        code: 'MISSING_ACTION_NAME',
+      });
+      return;
+    }
+
+    const result = await runAction({
+      req,
+      requestId,
+      actionName: effectiveActionName,
+      // The extension sends 'context', the execute route expects 'payload'
+      payload: payload || context,
+      executionMode: 'execute',
+      bypassCache: req.body.bypassCache === true,
+    });
+
+    sendActionResult(res, result, requestId);
+  }
+);
+
+// Phase 12A: Streaming variant of the execute route. Policy and payload checks answer with
+// plain JSON like the blocking route; once they pass, the response switches to SSE and emits
+// `start`, `attempt`, `token` (provider deltas), `partial` (recovered schema fields) and a final
+// `result` carrying the same body the blocking route would have returned.
+router.post(
+  '/:actionName/execute/stream',
+  extensionAuthService.requireExtensionAuth,
+  securityMiddleware.rateLimiter(),
   async (req: ExtensionAuthRequest, res: Response) => {
     const { actionName } = req.params;
-    const payload: NormalizedRubiContextPayload = req.body.payload;
+    const requestId = (req as any).requestId;
+
+    let streaming = false;
+    let clientClosed = false;
+    const tracker = new PartialResultTracker();
+    let attempt = 0;
+
+    const result = await runAction({
+      req,
+      requestId,
+      actionName,
+      payload: req.body.payload || req.body.context,
+      executionMode: 'stream',
+      bypassCache: req.body.bypassCache === true,
+      stream: {
+        onStart: () => {
+          streaming = true;
+          res.status(200);
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.setHeader('Cache-Control', 'no-cache, no-transform');
+          res.setHeader('Connection', 'keep-alive');
+          res.setHeader('X-Accel-Buffering', 'no');
+          res.flushHeaders();
+
+          res.on('close', () => {
+            clientClosed = true;
+          });
+
+          sendStreamEvent(res, 'start', { actionName, requestId });
+        },
+        onDelta: (delta) => {
+          if (clientClosed) {
+            return;
+          }
+          sendStreamEvent(res, 'token', { delta });
+
+          const fields = tracker.push(delta);
+          if (fields) {
+            sendStreamEvent(res, 'partial', { fields });
+          }
+        },
+        // The client discards earlier partials when a new attempt starts
+        onAttempt: ({ provider, model }) => {
+          attempt++;
+          tracker.reset();
+          sendStreamEvent(res, 'attempt', { attempt, provider, model });
+        },
+      },
+    });
+
+    // Rejected before the stream opened
+    if (!streaming) {
+      sendActionResult(res, result, requestId);
+      return;
+    }
+
+    const { statusCode, ...body } = result;
+    sendStreamEvent(res, statusCode === 500 ? 'error' : 'result', { ...body, requestId });
+    res.end();
+  }
+);
+
+// Phase 12M: One entry of a batch response; the same body the execute route would have
+// returned for the action, plus its name and HTTP status
+interface BatchActionResult extends ActionRunResult {
+  actionName: string;
+}
+
+const MAX_BATCH_ACTIONS = parseInt(process.env.MAX_BATCH_ACTIONS || '8');
+
+// Phase 12M: Run several actions against one payload in a single request. Auth, org config,
+// org-level policy and org intelligence are resolved once; the actions then run concurrently
+// and each gets its own entry in `results`, in request order.
+router.post(
+  '/batch',
+  extensionAuthService.requireExtensionAuth,
+  securityMiddleware.rateLimiter(),
+  async (req: ExtensionAuthRequest, res: Response) => {
+    const { actions, context, bypassCache } = req.body;
+    const payload: NormalizedRubiContextPayload = req.body.payload || context;
     const requestId = (req as any).requestId;
     const startTime = Date.now();
-    const orgConfig = req.orgConfig; // Phase 9D
-    
-    // Phase 10A: Initialize execution context builder
-    const contextBuilder = createExecutionContextBuilder()
-      .setAction(actionName)
-      .setRequestId(requestId)
-      .setOrgConfigSource(req.orgConfigSource || 'default', orgConfig)
-      .setIdentitySource(req.identitySource || 'anonymous', req.rubiAuthContext);
+    const orgConfig = req.orgConfig;
+
+    const invalidNames = Array.isArray(actions) ? actions.filter(name => typeof name !== 'string' || !name) : [];
+    if (!Array.isArray(actions) || actions.length === 0 || invalidNames.length > 0) {
+      res.status(400).json({
+        success: false,
+        error: 'actions must be a non-empty array of action names',
+        code: 'INVALID_BATCH',
+        requestId,
+      });
+      return;
+    }
+
+    const actionNames: string[] = Array.from(new Set(actions));
+    if (actionNames.length > MAX_BATCH_ACTIONS) {
+      res.status(400).json({
+        success: false,
+        error: `A batch can run at most ${MAX_BATCH_ACTIONS} actions`,
+        code: 'INVALID_BATCH',
+        requestId,
+      });
+      return;
+    }
+
+    if (!payload || typeof payload !== 'object') {
+      res.status(400).json({
+        success: false,
+        error: 'payload or context is required',
+        code: 'INVALID_BATCH',
+        requestId,
+      });
+      return;
+    }
 
     try {
-      // Phase 10C: Check usage limits and policies
-      const usageCheck = usageLimiter.checkActionAllowed({
+      // Phase 10C: Org-level policy applies to every action in the batch alike, and the daily
+      // action limits must leave room for the whole batch
+      const usageCheck = await usageLimiter.checkActionAllowed({
         orgId: req.userContext?.orgId || 'unknown',
         userId: req.userContext?.userId,
-        actionName,
+        actionName: actionNames[0],
         payload,
         orgConfig,
+        actionCount: actionNames.length,
       } as any);
-      
+
       if (!usageCheck.allowed) {
-        logger.warn(`Action blocked by policy: ${actionName}`, {
+        logger.warn('Batch blocked by policy', {
           requestId,
           orgId: req.userContext?.orgId,
-          userId: req.userContext?.userId,
-          actionName,
+          actions: actionNames,
           reason: usageCheck.reason,
         });
-        
-        const errorMessages: { [key: string]: string } = {
-          org_disabled: 'Rubi AI is currently disabled for your organization.',
-          extension_disabled: 'The Rubi browser extension is not enabled for your organization.',
-          org_daily_limit_exceeded: 'Your organization has reached today\'s Rubi AI usage limit.',
-          user_daily_limit_exceeded: 'You\'ve reached today\'s Rubi AI usage limit.',
-          domain_not_allowed: 'Rubi AI isn\'t enabled for this site.',
-        };
-        
-        const errorMessage = errorMessages[usageCheck.reason || ''] || 'This action is disabled for your organization.';
-        
-        res.status(403).json({
-          success: false,
-          error: errorMessage,
-          code: 'ACTION_DISABLED_BY_POLICY',
-          requestId,
-          executionMetadata: {
-            ...contextBuilder.build(),
-            policy: {
-              enabled: false,
-              reason: usageCheck.reason,
-              limitsApplied: {
-                maxDailyOrg: orgConfig?.max_daily_actions_per_org,
-                maxDailyUser: orgConfig?.max_daily_actions_per_user,
-              },
-            },
-          },
-        });
-        return;
-      }
-      
-      // Phase 9D: Check if action is allowed based on org config
-      if (!orgConfigService.isActionAllowed(orgConfig, actionName)) {
-        logger.warn(`Action blocked by org policy: ${actionName}`, {
-          requestId,
-          orgId: req.userContext?.orgId,
-          actionName,
-        });
 
         res.status(403).json({
           success: false,
-          error: 'This action has been disabled by your organization administrator',
+          error: getPolicyErrorMessage(usageCheck),
           code: 'ACTION_DISABLED_BY_POLICY',
           requestId,
           executionMetadata: {
-            ...contextBuilder.build(),
+            ...createRunContextBuilder(req, requestId, 'batch').build(),
             policy: {
               enabled: false,
-              reason: 'action_not_allowed',
+              reason: usageCheck.reason,
+              limitsApplied: getLimitsApplied(orgConfig),
+              spendLimit: usageCheck.spendLimit,
             },
           },
         });
         return;
       }
 
-      const validationResult = actionRegistry.validatePayloadForAction(actionName, payload);
-      if (!validationResult.valid) {
-        logger.warn(`Invalid payload for action ${actionName}`, {
-          requestId,
-          errors: validationResult.errors,
-        });
-
-        res.status(400).json({
-          success: false,
-          error: 'Invalid payload',
-          details: validationResult.errors,
-          requestId,
-        });
-        return;
-      }
-
-      const action = actionRegistry.get(actionName);
-      if (!action) {
-        logger.warn(`Action not found: ${actionName}`, { requestId });
-        
-        res.status(404).json({
-          success: false,
-          error: `Action '${actionName}' not found`,
-          requestId,
-        });
-        return;
-      }
-
-      // Phase 9D: Check rate limits from org config
-      if (orgConfig?.limits?.maxTokensPerAction) {
-        const maxTokens = orgConfig.limits.maxTokensPerAction;
-        logger.debug(`Applying org token limit: ${maxTokens}`, { 
-          requestId, 
-          actionName,
-          orgId: req.userContext?.orgId 
-        });
-      }
-
-      // Phase 9B: Build authenticated request context with org config
-      const authContext: AuthenticatedRequestContext = req.rubiAuthContext || {
-        session: undefined,
-        isDevMode: true,
-        rawTokenClaims: req.extensionAuth,
-      };
-
-      // Phase 9D: Get effective model preferences for this action
-      const modelPreferences = orgConfigService.getEffectiveModelPreferences(orgConfig, actionName);
-      
-      // Phase 10A: Track primary provider attempt
-      contextBuilder.setProviderExecution(
-        modelPreferences.provider || 'openai',
-        null, // Will be set after execution
-        modelPreferences.model || null,
-        null, // Will be set after execution
-        false // Will be updated if fallback occurs
+      // Phase 11D: Loaded once for the whole batch
+      const orgIntelligence = await orgIntelligenceService.getOrgIntelligence(
+        req.rubiAuthContext?.session?.org?.orgId || req.userContext?.orgId || null
       );
 
-      // Phase 11D: Fetch org intelligence
-      const { data: orgIntelligence, source: orgIntelligenceSource } = await orgIntelligenceService.getOrgIntelligence(
-        authContext.session?.org?.orgId || req.userContext?.orgId || null
-      );
-      
-      if (orgIntelligence) {
-        logger.debug(`Loaded org intelligence from source: ${orgIntelligenceSource}`, {
+      const results: BatchActionResult[] = await Promise.all(actionNames.map(async actionName => ({
+        actionName,
+        ...await runAction({
+          req,
           requestId,
-          orgId: authContext.session?.org?.orgId || req.userContext?.orgId
-        });
-      }
-
-      const utilities: ActionUtilities = {
-        renderPrompt: (template, data) => {
-          // Phase 9D & 11D: Extend template data with org config and intelligence context
-          const sessionUser = authContext.session?.user;
-          const extendedData = {
-            ...data,
-            user: sessionUser ? { id: sessionUser.userId || 'unknown', ...sessionUser } : { id: 'unknown' },
-            org: authContext.session?.org || null,
-            auth: {
-              isDevMode: authContext.isDevMode,
-              sessionId: authContext.session?.sessionId,
-            },
-            orgConfig: orgConfig ? {
-              orgName: orgConfig.orgName,
-              planTier: orgConfig.planTier,
-              toneStyle: orgConfig.toneProfile?.style,
-              locale: orgConfig.toneProfile?.localeOverride || authContext.session?.user?.locale,
-            } : null,
-            // Phase 11D & 11E: Add org intelligence for prompt templates with action-specific mapping
-            orgIntelligence: orgIntelligence ? orgIntelligenceService.getIntelligenceForPrompt(orgIntelligence, actionName) : null,
-          };
-          return templateEngine.renderTemplate(template, extendedData);
-        },
-        callLLM: async (prompt, config) => {
-          const systemPrompt = config.responseFormat?.type === 'json_object' 
-            ? 'You must respond with valid JSON only.' 
-            : undefined;
-          
-          // Phase 9D: Override provider/model based on org config
-          const effectiveConfig: Partial<LLMConfig> = {
-            ...config,
-            provider: (modelPreferences.provider || config.provider) as LLMProvider,
-            model: modelPreferences.model || config.model,
-            maxTokens: orgConfig?.limits?.maxTokensPerAction
-              ? Math.min(config.maxTokens || 4000, orgConfig.limits.maxTokensPerAction)
-              : config.maxTokens,
-          };
-
-          logger.debug(`Using model preferences for action ${actionName}`, {
-            requestId,
-            provider: effectiveConfig.provider,
-            model: effectiveConfig.model,
-            maxTokens: effectiveConfig.maxTokens,
-          });
-          
-          const response = await llmOrchestrator.call(prompt, effectiveConfig, systemPrompt);
-          
-          // Phase 10A: Update metadata with provider execution details
-          const executionMetadata = llmOrchestrator.getLastExecutionMetadata();
-          if (executionMetadata) {
-            contextBuilder.setProviderExecution(
-              executionMetadata.providerPrimary,
-              executionMetadata.providerFinal,
-              executionMetadata.modelPrimary,
-              executionMetadata.modelFinal,
-              executionMetadata.fallbackOccurred
-            );
-          }
-          
-          return response;
-        },
-        validateSchema: (data, schemaName) => {
-          return schemaValidator.validate(data, schemaName);
-        },
-        logger,
-      };
-
-      // Phase 9D & 11D: Pass auth context, org config, and org intelligence to action execution
-      const extendedAuthContext = {
-        ...authContext,
-        orgConfig,
-        orgIntelligence,
-      };
-
-      const result = await actionRegistry.execute(actionName, payload, utilities, extendedAuthContext);
-      const duration = Date.now() - startTime;
-      
-      // Phase 10C: Increment usage counters if action succeeded
-      if (result.success) {
-        usageLimiter.incrementUsage({
-          orgId: req.userContext?.orgId || 'unknown',
-          userId: req.userContext?.userId,
           actionName,
           payload,
-          orgConfig,
-        } as any);
-      }
-      
-      // Phase 10A: Complete metadata with performance metrics
-      contextBuilder.setPerformanceMetrics(
-        duration,
-        result.metadata?.tokensUsed,
-        llmOrchestrator.getLastExecutionMetadata()?.attemptCount
-      );
-      
-      // Build final execution metadata with policy info and org intelligence source
-      const executionMetadata = {
-        ...contextBuilder.build(),
-        orgIntelligenceSource: orgIntelligenceSource as OrgIntelligenceSource,
-        policy: {
-          enabled: orgConfig?.enabled !== false,
-          browserExtensionEnabled: orgConfig?.browser_extension_enabled !== false,
-          limitsApplied: {
-            maxDailyOrg: orgConfig?.max_daily_actions_per_org,
-            maxDailyUser: orgConfig?.max_daily_actions_per_user,
+          executionMode: 'batch',
+          bypassCache: bypassCache === true,
+          orgIntelligence: {
+            data: orgIntelligence.data,
+            source: orgIntelligence.source as OrgIntelligenceSource,
           },
-        },
-      };
-
-      // Enhanced analytics with org config context
-      analytics.trackAction({
-        action: actionName,
-        userId: authContext.session?.user.userId || req.userContext?.userId || 'anonymous',
-        success: result.success,
-        tokensUsed: result.metadata?.tokensUsed,
-        model: result.metadata?.modelUsed,
-        provider: result.metadata?.providerUsed,
-        duration,
-        inputSize: JSON.stringify(payload).length,
-        outputSize: result.data ? JSON.stringify(result.data).length : 0,
-        error: result.error,
-        metadata: {
-          requestId,
-          platform: payload.platform,
-          contextType: payload.context.type,
-          orgId: authContext.session?.org.orgId || req.userContext?.orgId || 'anonymous',
-          sessionId: authContext.session?.sessionId,
-          isDevMode: authContext.isDevMode,
-          planTier: orgConfig?.planTier || authContext.session?.org.planTier,
-          toneStyle: orgConfig?.toneProfile?.style,
-        },
-      });
+        }),
+      })));
 
-      // Phase 10A & 11D: Log execution metadata including org intelligence source
-      logger.info('[ActionExecution] Completed', {
-        actionName,
-        success: result.success,
-        orgConfigSource: executionMetadata.orgConfigSource,
-        identitySource: executionMetadata.identitySource,
-        orgIntelligenceSource: executionMetadata.orgIntelligenceSource,
-        providerFinal: executionMetadata.providerFinal,
-        modelFinal: executionMetadata.modelFinal,
-        fallbackOccurred: executionMetadata.providerFallbackOccurred,
-        duration,
-        requestId
-      });
-      
-      if (result.success) {
-        res.status(200).json({
-          success: true,
-          data: result.data,
-          metadata: {
-            ...result.metadata,
-            requestId,
-            duration,
-          },
-          // Phase 10A: Include execution metadata
-          executionMetadata
-        });
-      } else {
-        res.status(422).json({
-          success: false,
-          error: result.error,
-          data: result.data,
-          metadata: {
-            ...result.metadata,
-            requestId,
-            duration,
-          },
-          // Phase 10A: Include execution metadata even on failure
-          executionMetadata
-        });
-      }
-    } catch (error) {
       const duration = Date.now() - startTime;
-      
-      logger.error(`Failed to execute action ${actionName}`, {
-        error,
-        requestId,
-        userId: req.userContext?.userId,
-      });
+      const succeeded = results.filter(result => result.success).length;
 
-      analytics.trackError(actionName, error instanceof Error ? error.message : 'Unknown error', {
+      logger.info('[ActionExecution] Batch completed', {
+        actions: actionNames,
+        succeeded,
+        failed: results.length - succeeded,
+        duration,
         requestId,
-        userId: req.userContext?.userId,
       });
 
+      res.status(200).json({
+        success: succeeded > 0,
+        results,
+        metadata: {
+          requestId,
+          duration,
+          succeeded,
+          failed: results.length - succeeded,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to execute action batch', { error, requestId, actions: actionNames });
       res.status(500).json({
         success: false,
         error: 'Internal server error',
         requestId,
-        metadata: {
-          duration,
-        },
+        metadata: { duration: Date.now() - startTime },
       });
     }
   }
 );
 
-// Alias route: POST /api/actions/execute with actionName in body
-// This matches the extension's expected path format
+// Phase 12N: Job view returned to the client; queued jobs report their place in the queue
+function serializeJob(job: ActionJob) {
+  return {
+    ...job,
+    queuePosition: job.status === 'queued' ? actionJobQueue.getQueuePosition(job.jobId) : undefined,
+  };
+}
+
+// Phase 12N: Run an action as an async job. Policy and the action name are checked up front so
+// those errors come back on the submit request; the run itself goes through the job queue and
+// the response carries only the job ID to poll.
 router.post(
-  '/execute',
+  '/jobs',
   extensionAuthService.requireExtensionAuth,
   securityMiddleware.rateLimiter(),
   async (req: ExtensionAuthRequest, res: Response) => {
-    const { actionName, actionId, action, payload, context } = req.body;
-    // Support multiple field names: actionName, actionId, or action
+    const { actionName, actionId, action, context, bypassCache } = req.body;
     const effectiveActionName = actionName || actionId || action;
+    const payload: NormalizedRubiContextPayload = req.body.payload || context;
+    const requestId = (req as any).requestId;
+    const orgConfig = req.orgConfig;
+    const orgId = req.userContext?.orgId || 'unknown';
 
-    if (!effectiveActionName) {
+    if (!effectiveActionName || typeof effectiveActionName !== 'string') {
       res.status(400).json({
         success: false,
-        error: 'actionName, actionId, or action is required in request body',
-        code: 'MISSING_ACTION_NAME',
+        error: 'actionName is required',
+        code: 'INVALID_JOB',
+        requestId,
       });
       return;
     }
 
-    // Set up params for the execute handler
-    req.params.actionName = effectiveActionName;
-
-    // Ensure payload is in expected format (extension sends 'context', backend expects 'payload')
-    if (!req.body.payload && context) {
-      req.body.payload = context;
+    if (!payload || typeof payload !== 'object') {
+      res.status(400).json({
+        success: false,
+        error: 'payload or context is required',
+        code: 'INVALID_JOB',
+        requestId,
+      });
+      return;
     }
 
-    // Import and use the execute handler logic
-    const requestId = (req as any).requestId;
-    const startTime = Date.now();
-    const orgConfig = req.orgConfig;
-
-    const contextBuilder = createExecutionContextBuilder()
-      .setAction(effectiveActionName)
-      .setRequestId(requestId)
-      .setOrgConfigSource(req.orgConfigSource || 'default', orgConfig)
-      .setIdentitySource(req.identitySource || 'anonymous', req.rubiAuthContext);
-
     try {
-      const usageCheck = usageLimiter.checkActionAllowed({
-        orgId: req.userContext?.orgId || 'unknown',
-        userId: req.userContext?.userId,
+      // Invalid payloads and policy blocks are rejected on submit rather than when the job runs;
+      // Phase 12P: a job also counts against rate limits here
+      const rejection = await checkActionRun({
+        req,
+        requestId,
         actionName: effectiveActionName,
         payload,
-        orgConfig,
-      } as any);
-
-      if (!usageCheck.allowed) {
-        res.status(403).json({
-          success: false,
-          error: 'Action not allowed by policy',
-          code: 'ACTION_DISABLED_BY_POLICY',
-          requestId,
-        });
+        executionMode: 'job',
+      }, createRunContextBuilder(req, requestId, effectiveActionName));
+      if (rejection) {
+        sendActionResult(res, rejection, requestId);
         return;
       }
 
-      if (!orgConfigService.isActionAllowed(orgConfig, effectiveActionName)) {
-        res.status(403).json({
-          success: false,
-          error: 'This action has been disabled by your organization administrator',
-          code: 'ACTION_DISABLED_BY_POLICY',
-          requestId,
-        });
-        return;
-      }
-
-      const action = actionRegistry.get(effectiveActionName);
-      if (!action) {
-        res.status(404).json({
-          success: false,
-          error: `Action '${effectiveActionName}' not found`,
-          requestId,
-        });
-        return;
-      }
-
-      const authContext: AuthenticatedRequestContext = req.rubiAuthContext || {
-        session: undefined,
-        isDevMode: true,
-        rawTokenClaims: req.extensionAuth,
-      };
-
-      const modelPreferences = orgConfigService.getEffectiveModelPreferences(orgConfig, effectiveActionName);
-
-      const { data: orgIntelligence, source: orgIntelligenceSource } = await orgIntelligenceService.getOrgIntelligence(
-        authContext.session?.org?.orgId || req.userContext?.orgId || null
-      );
-
-      const utilities: ActionUtilities = {
-        renderPrompt: (template, data) => {
-          const sessionUser = authContext.session?.user;
-          const extendedData = {
-            ...data,
-            user: sessionUser ? { id: sessionUser.userId || 'unknown', ...sessionUser } : { id: 'unknown' },
-            org: authContext.session?.org || null,
-            orgConfig: orgConfig ? { orgName: orgConfig.orgName, planTier: orgConfig.planTier } : null,
-            orgIntelligence: orgIntelligence ? orgIntelligenceService.getIntelligenceForPrompt(orgIntelligence, effectiveActionName) : null,
-          };
-          return templateEngine.renderTemplate(template, extendedData);
-        },
-        callLLM: async (prompt, config) => {
-          const effectiveConfig: Partial<LLMConfig> = {
-            ...config,
-            provider: (modelPreferences.provider || config.provider) as LLMProvider,
-            model: modelPreferences.model || config.model,
-          };
-          return llmOrchestrator.call(prompt, effectiveConfig);
-        },
-        validateSchema: (data, schemaName) => schemaValidator.validate(data, schemaName),
-        logger,
-      };
-
-      const extendedAuthContext = { ...authContext, orgConfig, orgIntelligence };
-      const result = await actionRegistry.execute(effectiveActionName, payload || context, utilities, extendedAuthContext);
-      const duration = Date.now() - startTime;
-
-      if (result.success) {
-        usageLimiter.incrementUsage({
-          orgId: req.userContext?.orgId || 'unknown',
-          userId: req.userContext?.userId,
-          actionName: effectiveActionName,
-          payload,
-          orgConfig,
-        } as any);
-      }
-
-      logger.info('[ActionExecution] Completed via /execute alias', {
+      // Phase 11D: The run loads org intelligence when the job starts, not when it is queued
+      const job = actionJobQueue.submit({
         actionName: effectiveActionName,
-        success: result.success,
-        duration,
-        requestId
-      });
+        orgId,
+        userId: req.userContext?.userId,
+        requestId,
+        webhook: orgConfig?.job_webhook_url
+          ? { url: orgConfig.job_webhook_url, secret: orgConfig.job_webhook_secret }
+          : undefined,
+      }, () => runAction({
+        req,
+        requestId,
+        actionName: effectiveActionName,
+        payload,
+        executionMode: 'job',
+        bypassCache: bypassCache === true,
+        skipRateLimit: true,
+      }));
 
-      if (result.success) {
-        res.status(200).json({
-          success: true,
-          data: result.data,
-          metadata: { ...result.metadata, requestId, duration },
-        });
-      } else {
-        res.status(422).json({
-          success: false,
-          error: result.error,
-          data: result.data,
-          metadata: { ...result.metadata, requestId, duration },
-        });
-      }
+      res.status(202).json({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/actions/jobs/${job.jobId}`,
+        requestId,
+      });
     } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.error(`Failed to execute action ${effectiveActionName}`, { error, requestId });
+      logger.error(`Failed to submit job for action ${effectiveActionName}`, { error, requestId });
       res.status(500).json({
         success: false,
         error: 'Internal server error',
         requestId,
-        metadata: { duration },
       });
     }
   }
 );
 
+// Phase 12N: Job status and, once finished, its result. Jobs are only visible to the org
+// that submitted them, and a job submitted by a user only to that user.
+router.get(
+  '/jobs/:jobId',
+  extensionAuthService.requireExtensionAuth,
+  (req: ExtensionAuthRequest, res: Response) => {
+    const job = actionJobQueue.get(req.params.jobId);
+    const orgId = req.userContext?.orgId || 'unknown';
+    const userId = req.userContext?.userId;
+
+    if (!job || job.orgId !== orgId || (job.userId && job.userId !== userId)) {
+      res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND',
+      });
+      return;
+    }
+
+    res.json({
+      success: true,
+      job: serializeJob(job),
+    });
+  }
+);
+
 router.get(
   '/list',
   extensionAuthService.requireExtensionAuth,
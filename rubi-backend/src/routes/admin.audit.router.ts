@@ -0,0 +1,80 @@
+import { Router, Response } from 'express';
+import { adminAuthMiddleware, AdminAuthenticatedRequest } from '../middleware/adminAuth';
+import { adminAuditLog, ADMIN_AUDIT_ACTIONS } from '../services/adminAuditLog';
+import { AdminAuditAction } from '../types/audit';
+import { ALL_ORGS } from '../types/adminUser';
+import { logger } from '../logging/logger';
+
+const router = Router();
+
+// All routes require admin authentication
+router.use(adminAuthMiddleware.authenticateAdmin);
+router.use(adminAuthMiddleware.requirePermission('org:read'));
+
+// Phase 12Q: GET /api/admin/audit - Admin changes to orgs, newest first
+// Filters: orgId, adminId, action, from, to (ISO timestamps), limit, offset
+router.get('/', async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    const { orgId, adminId, action, from, to, limit, offset } = req.query as Record<string, string | undefined>;
+
+    if (action && !ADMIN_AUDIT_ACTIONS.includes(action as AdminAuditAction)) {
+      res.status(400).json({
+        success: false,
+        error: `action must be one of: ${ADMIN_AUDIT_ACTIONS.join(', ')}`
+      });
+      return;
+    }
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      res.status(400).json({
+        success: false,
+        error: 'from and to must be ISO timestamps'
+      });
+      return;
+    }
+
+    // Phase 12Y: admins scoped to a set of orgs only see those orgs' entries
+    if (orgId && !adminAuthMiddleware.canAccessOrg(req.adminSession, orgId)) {
+      res.status(403).json({
+        success: false,
+        error: 'You do not have access to this organization'
+      });
+      return;
+    }
+    const session = req.adminSession!;
+    const scoped = session.role !== 'superadmin' && !session.orgIds.includes(ALL_ORGS);
+
+    const { entries, total } = await adminAuditLog.query({
+      orgId: orgId || undefined,
+      orgIds: scoped ? session.orgIds : undefined,
+      adminId: adminId || undefined,
+      action: (action || undefined) as AdminAuditAction | undefined,
+      from: from || undefined,
+      to: to || undefined,
+      limit: limit ? parseInt(limit, 10) : undefined,
+      offset: offset ? parseInt(offset, 10) : undefined
+    });
+
+    logger.info('Admin retrieved audit log', {
+      adminId: req.adminSession?.userId,
+      filters: { orgId, adminId: adminId, action, from, to },
+      count: entries.length,
+      action: 'admin_get_audit'
+    });
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      total
+    });
+  } catch (error) {
+    logger.error('Failed to get audit log', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve audit log'
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import { Router, Request, Response } from 'express';
 import { adminAuthMiddleware, AdminAuthenticatedRequest } from '../middleware/adminAuth';
 import { logger } from '../logging/logger';
 import { securityMiddleware } from '../middleware/security';
+import { adminUsers } from '../services/adminUserService';
 
 const router = Router();
 
@@ -22,7 +23,8 @@ router.post('/login',
       }
 
       // Validate credentials
-      if (!adminAuthMiddleware.validateCredentials(username, password)) {
+      const user = await adminUsers.authenticate(String(username), String(password));
+      if (!user) {
         logger.warn('Failed admin login attempt', { username });
         res.status(401).json({
           success: false,
@@ -32,20 +34,7 @@ router.post('/login',
       }
 
       // Generate admin token
-      const token = adminAuthMiddleware.generateAdminToken(
-        username,
-        `${username}@rubi.admin`
-      );
-
-      if (!token) {
-        logger.error('Failed to generate admin token', { username });
-        res.status(500).json({
-          success: false,
-          error: 'Failed to create session'
-        });
-        return;
-      }
-
+      const token = adminAuthMiddleware.generateAdminToken(user);
       const session = adminAuthMiddleware.verifyAdminToken(token);
 
       logger.info('Admin login successful', {
@@ -59,6 +48,8 @@ router.post('/login',
         token,
         expiresAt: session?.expiresAt,
         role: session?.role,
+        orgIds: session?.orgIds,
+        permissions: session?.permissions,
         csrfToken: session?.csrfToken
       });
     } catch (error) {
@@ -107,8 +98,10 @@ router.get('/session',
           userId: req.adminSession?.userId,
           email: req.adminSession?.email,
           role: req.adminSession?.role,
+          orgIds: req.adminSession?.orgIds,
           permissions: req.adminSession?.permissions,
-          expiresAt: req.adminSession?.expiresAt
+          expiresAt: req.adminSession?.expiresAt,
+          csrfToken: req.adminSession?.csrfToken
         }
       });
     } catch (error) {
@@ -124,12 +117,12 @@ router.get('/session',
 // Refresh admin token
 router.post('/refresh',
   adminAuthMiddleware.authenticateAdmin,
-  (req: AdminAuthenticatedRequest, res: Response) => {
+  async (req: AdminAuthenticatedRequest, res: Response) => {
     try {
       const username = req.adminSession?.userId;
-      const email = req.adminSession?.email;
+      const user = username ? await adminUsers.getUser(username) : null;
 
-      if (!username || !email) {
+      if (!user) {
         res.status(400).json({
           success: false,
           error: 'Invalid session'
@@ -137,8 +130,8 @@ router.post('/refresh',
         return;
       }
 
-      const newToken = adminAuthMiddleware.generateAdminToken(username, email);
-      const session = adminAuthMiddleware.verifyAdminToken(newToken!);
+      const newToken = adminAuthMiddleware.generateAdminToken(user);
+      const session = adminAuthMiddleware.verifyAdminToken(newToken);
 
       logger.info('Admin token refreshed', {
         username,
@@ -161,4 +154,90 @@ router.post('/refresh',
   }
 );
 
+// Phase 12Y: accept an invite or complete a password reset
+router.post('/set-password',
+  securityMiddleware.rateLimiter(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
+  async (req: Request, res: Response) => {
+    try {
+      const { token, password } = req.body;
+
+      if (!token || !password) {
+        res.status(400).json({
+          success: false,
+          error: 'Token and password required'
+        });
+        return;
+      }
+
+      const user = await adminUsers.setPasswordWithToken(token, password);
+
+      logger.info('Admin password set', {
+        username: user.username,
+        action: 'admin_password_set'
+      });
+
+      res.json({
+        success: true,
+        username: user.username
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Failed to set password';
+      const status = message.includes('invalid or has expired') || message.startsWith('Password must') ? 400 : 500;
+      if (status === 500) {
+        logger.error('Admin set password error', error);
+      }
+      res.status(status).json({
+        success: false,
+        error: status === 500 ? 'Failed to set password' : message
+      });
+    }
+  }
+);
+
+// Phase 12Y: change the signed-in admin's own password
+router.post('/change-password',
+  adminAuthMiddleware.authenticateAdmin,
+  async (req: AdminAuthenticatedRequest, res: Response) => {
+    try {
+      if (!adminAuthMiddleware.verifyCsrfToken(req)) {
+        res.status(403).json({
+          success: false,
+          error: 'Invalid CSRF token'
+        });
+        return;
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const user = await adminUsers.changePassword(req.adminSession!.userId, currentPassword, newPassword);
+
+      // Other sessions end with the password change; this one continues on a new token
+      const token = adminAuthMiddleware.generateAdminToken(user);
+      const session = adminAuthMiddleware.verifyAdminToken(token);
+
+      logger.info('Admin password changed', {
+        username: req.adminSession?.userId,
+        action: 'admin_password_changed'
+      });
+
+      res.json({
+        success: true,
+        message: 'Password changed',
+        token,
+        expiresAt: session?.expiresAt,
+        csrfToken: session?.csrfToken
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Failed to change password';
+      const status = message === 'Current password is incorrect' || message.startsWith('Password must') ? 400 : 500;
+      if (status === 500) {
+        logger.error('Admin change password error', error);
+      }
+      res.status(status).json({
+        success: false,
+        error: status === 500 ? 'Failed to change password' : message
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
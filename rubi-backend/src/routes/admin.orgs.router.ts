@@ -1,18 +1,66 @@
 import { Router, Response } from 'express';
 import { adminAuthMiddleware, AdminAuthenticatedRequest } from '../middleware/adminAuth';
 import { orgConfigPersistence } from '../config/orgConfigPersistence';
+import { orgConfigVersions } from '../config/orgConfigVersions';
 import { logger } from '../logging/logger';
-import { OrgConfig } from '../types/orgConfig';
+import { BYOK_PROVIDERS, ByokProvider, OrgConfig, OrgConfigAuthor, OrgConfigVersion, isValidWebhookUrl } from '../types/orgConfig';
+import { usageLimiter } from '../services/usageLimiter';
+import { orgIntelligenceService, OrgIntelligenceSaveResult } from '../services/orgIntelligenceService';
+import { emptyOrgIntelligence } from '../data/defaultOrgIntelligence';
+import { adminAuditLog, diffOrgConfigs } from '../services/adminAuditLog';
+import { AdminAuditAction } from '../types/audit';
+import { providerCredentials } from '../services/providerCredentials';
+import { llmOrchestrator } from '../providers';
 
 const router = Router();
 
+// Phase 12Q: Copy of an org (active or not) as it is before a mutation changes it
+async function snapshotOrg(orgId: string): Promise<any> {
+  const org = await orgConfigPersistence.getOrgIncludingInactive(orgId);
+  return org ? JSON.parse(JSON.stringify(org)) : null;
+}
+
+// Phase 12R: Author recorded on the org config versions an admin request creates
+function getAuthor(req: AdminAuthenticatedRequest): OrgConfigAuthor {
+  return { adminId: req.adminSession?.userId || 'unknown', email: req.adminSession?.email };
+}
+
+// Version listings leave out the config snapshots
+function summarizeVersion(entry: OrgConfigVersion) {
+  const { config, ...summary } = entry;
+  return summary;
+}
+
+// Phase 12X: Audit entries record provider key hints, never ciphertexts
+function recordAudit(req: AdminAuthenticatedRequest, action: AdminAuditAction, orgId: string, before: any, after: any) {
+  return adminAuditLog.record({
+    action,
+    orgId,
+    admin: req.adminSession,
+    requestId: (req as any).requestId,
+    before: providerCredentials.mask(before),
+    after: providerCredentials.mask(after),
+  });
+}
+
 // All routes require admin authentication
 router.use(adminAuthMiddleware.authenticateAdmin);
 
+// Phase 12Y: every route is scoped by role; org admins and viewers only reach their own orgs
+const readOrg = adminAuthMiddleware.requireOrgAccess('org:read');
+const writeOrg = adminAuthMiddleware.requireOrgAccess('org:write');
+const deleteOrg = adminAuthMiddleware.requireOrgAccess('org:delete');
+const createOrg = adminAuthMiddleware.requirePermission('org:create');
+
+// Orgs the session may see
+function filterAccessibleOrgs<T extends { orgId: string }>(req: AdminAuthenticatedRequest, orgs: T[]): T[] {
+  return orgs.filter(org => adminAuthMiddleware.canAccessOrg(req.adminSession, org.orgId));
+}
+
 // GET /api/admin/orgs - List all orgs
 router.get('/', async (req: AdminAuthenticatedRequest, res: Response) => {
   try {
-    const orgs = await orgConfigPersistence.getAllOrgs();
+    const orgs = filterAccessibleOrgs(req, await orgConfigPersistence.getAllOrgs());
     
     logger.info('Admin listed orgs', {
       adminId: req.adminSession?.userId,
@@ -22,7 +70,7 @@ router.get('/', async (req: AdminAuthenticatedRequest, res: Response) => {
 
     res.json({
       success: true,
-      orgs,
+      orgs: orgs.map(org => providerCredentials.mask(org)),
       count: orgs.length
     });
   } catch (error) {
@@ -35,7 +83,7 @@ router.get('/', async (req: AdminAuthenticatedRequest, res: Response) => {
 });
 
 // GET /api/admin/orgs/:orgId - Get specific org
-router.get('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) => {
+router.get('/:orgId', readOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
   try {
     const { orgId } = req.params;
     const org = await orgConfigPersistence.getOrgById(orgId);
@@ -56,7 +104,7 @@ router.get('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) => {
 
     res.json({
       success: true,
-      org
+      org: providerCredentials.mask(org)
     });
   } catch (error) {
     logger.error('Failed to get org', error);
@@ -68,7 +116,7 @@ router.get('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) => {
 });
 
 // POST /api/admin/orgs - Create new org
-router.post('/', async (req: AdminAuthenticatedRequest, res: Response) => {
+router.post('/', createOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
   try {
     // Validate CSRF token for write operations
     if (!adminAuthMiddleware.verifyCsrfToken(req)) {
@@ -125,7 +173,8 @@ router.post('/', async (req: AdminAuthenticatedRequest, res: Response) => {
       }
     };
 
-    const created = await orgConfigPersistence.createOrg(configWithDefaults);
+    const created = await orgConfigPersistence.createOrg(configWithDefaults, getAuthor(req));
+    await recordAudit(req, 'org_created', created.orgId, null, created);
 
     logger.info('Admin created org', {
       adminId: req.adminSession?.userId,
@@ -137,7 +186,7 @@ router.post('/', async (req: AdminAuthenticatedRequest, res: Response) => {
 
     res.status(201).json({
       success: true,
-      org: created
+      org: providerCredentials.mask(created)
     });
   } catch (error: any) {
     logger.error('Failed to create org', error);
@@ -157,7 +206,7 @@ router.post('/', async (req: AdminAuthenticatedRequest, res: Response) => {
 });
 
 // PUT /api/admin/orgs/:orgId - Update org
-router.put('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) => {
+router.put('/:orgId', writeOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
   try {
     // Validate CSRF token for write operations
     if (!adminAuthMiddleware.verifyCsrfToken(req)) {
@@ -175,8 +224,12 @@ router.put('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) => {
     delete updates.orgId;
     delete updates.createdAt;
     delete updates.active;
+    // Phase 12X: Provider keys are set through /:orgId/provider-keys, which encrypts them
+    delete updates.provider_credentials;
 
-    const updated = await orgConfigPersistence.updateOrg(orgId, updates);
+    const before = await snapshotOrg(orgId);
+    const updated = await orgConfigPersistence.updateOrg(orgId, updates, getAuthor(req));
+    await recordAudit(req, 'org_updated', orgId, before, updated);
 
     logger.info('Admin updated org', {
       adminId: req.adminSession?.userId,
@@ -188,7 +241,7 @@ router.put('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) => {
 
     res.json({
       success: true,
-      org: updated
+      org: providerCredentials.mask(updated)
     });
   } catch (error: any) {
     logger.error('Failed to update org', error);
@@ -208,7 +261,7 @@ router.put('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) => {
 });
 
 // DELETE /api/admin/orgs/:orgId - Soft delete org
-router.delete('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) => {
+router.delete('/:orgId', deleteOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
   try {
     // Validate CSRF token for delete operations
     if (!adminAuthMiddleware.verifyCsrfToken(req)) {
@@ -231,7 +284,15 @@ router.delete('/:orgId', async (req: AdminAuthenticatedRequest, res: Response) =
       return;
     }
 
-    await orgConfigPersistence.deleteOrg(orgId, hard === 'true');
+    const before = await snapshotOrg(orgId);
+    await orgConfigPersistence.deleteOrg(orgId, hard === 'true', getAuthor(req));
+    await recordAudit(
+      req,
+      hard === 'true' ? 'org_hard_deleted' : 'org_soft_deleted',
+      orgId,
+      before,
+      hard === 'true' ? null : await snapshotOrg(orgId)
+    );
 
     logger.info('Admin deleted org', {
       adminId: req.adminSession?.userId,
@@ -276,7 +337,9 @@ router.post('/:orgId/restore',
       }
 
       const { orgId } = req.params;
-      const restored = await orgConfigPersistence.restoreOrg(orgId);
+      const before = await snapshotOrg(orgId);
+      const restored = await orgConfigPersistence.restoreOrg(orgId, getAuthor(req));
+      await recordAudit(req, 'org_restored', orgId, before, restored);
 
       logger.info('Admin restored org', {
         adminId: req.adminSession?.userId,
@@ -287,7 +350,7 @@ router.post('/:orgId/restore',
 
       res.json({
         success: true,
-        org: restored
+        org: providerCredentials.mask(restored)
       });
     } catch (error: any) {
       logger.error('Failed to restore org', error);
@@ -307,10 +370,598 @@ router.post('/:orgId/restore',
   }
 );
 
+// Phase 12R: GET /api/admin/orgs/:orgId/versions - Version history, newest first
+router.get('/:orgId/versions', readOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    const { orgId } = req.params;
+    const versions = await orgConfigVersions.list(orgId);
+
+    if (versions.length === 0) {
+      res.status(404).json({
+        success: false,
+        error: 'No versions found for this organization'
+      });
+      return;
+    }
+
+    logger.info('Admin listed org versions', {
+      adminId: req.adminSession?.userId,
+      orgId,
+      action: 'admin_list_org_versions'
+    });
+
+    res.json({
+      success: true,
+      versions: versions.map(summarizeVersion).reverse(),
+      count: versions.length
+    });
+  } catch (error) {
+    logger.error('Failed to list org versions', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve versions'
+    });
+  }
+});
+
+// Phase 12R: GET /api/admin/orgs/:orgId/versions/diff?from=&to= - Field changes between two versions
+// `to` defaults to the latest version and `from` to the one before `to`
+router.get('/:orgId/versions/diff', readOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    const { orgId } = req.params;
+    const versions = await orgConfigVersions.list(orgId);
+
+    if (versions.length === 0) {
+      res.status(404).json({
+        success: false,
+        error: 'No versions found for this organization'
+      });
+      return;
+    }
+
+    const to = req.query.to ? parseInt(req.query.to as string, 10) : versions[versions.length - 1].version;
+    const from = req.query.from ? parseInt(req.query.from as string, 10) : to - 1;
+    const fromVersion = versions.find(entry => entry.version === from);
+    const toVersion = versions.find(entry => entry.version === to);
+
+    // Diffing against version 0 shows the first version's whole config as added
+    if (!toVersion || (!fromVersion && from !== 0)) {
+      res.status(404).json({
+        success: false,
+        error: `Version ${toVersion ? from : to} not found`
+      });
+      return;
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      changes: diffOrgConfigs(providerCredentials.mask(fromVersion?.config || null), providerCredentials.mask(toVersion.config))
+    });
+  } catch (error) {
+    logger.error('Failed to diff org versions', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff versions'
+    });
+  }
+});
+
+// Phase 12R: GET /api/admin/orgs/:orgId/versions/:version - One version with its config
+router.get('/:orgId/versions/:version', readOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    const { orgId } = req.params;
+    const entry = await orgConfigVersions.get(orgId, parseInt(req.params.version, 10));
+
+    if (!entry) {
+      res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+      return;
+    }
+
+    res.json({
+      success: true,
+      version: { ...entry, config: providerCredentials.mask(entry.config) }
+    });
+  } catch (error) {
+    logger.error('Failed to get org version', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve version'
+    });
+  }
+});
+
+// Phase 12R: POST /api/admin/orgs/:orgId/versions/:version/rollback - Restore a version's config
+// The rollback is saved as a new version, so it can itself be undone
+router.post('/:orgId/versions/:version/rollback', writeOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    // Validate CSRF token for write operations
+    if (!adminAuthMiddleware.verifyCsrfToken(req)) {
+      res.status(403).json({
+        success: false,
+        error: 'Invalid CSRF token'
+      });
+      return;
+    }
+
+    const { orgId } = req.params;
+    const version = parseInt(req.params.version, 10);
+
+    const before = await snapshotOrg(orgId);
+    const restored = await orgConfigPersistence.rollbackOrg(orgId, version, getAuthor(req));
+    await recordAudit(req, 'org_rolled_back', orgId, before, restored);
+
+    logger.info('Admin rolled back org', {
+      adminId: req.adminSession?.userId,
+      orgId,
+      version,
+      action: 'admin_rollback_org'
+    });
+
+    res.json({
+      success: true,
+      org: providerCredentials.mask(restored),
+      rolledBackTo: version
+    });
+  } catch (error: any) {
+    logger.error('Failed to roll back org', error);
+
+    if (error.message?.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.message?.includes('Invalid org configuration')) {
+      res.status(400).json({
+        success: false,
+        error: 'That version no longer passes validation'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to roll back organization'
+      });
+    }
+  }
+});
+
+// Phase 12T: Org intelligence management. Org IDs name files, so only letters, digits, - and _
+function checkIntelligenceOrgId(req: AdminAuthenticatedRequest, res: Response): boolean {
+  if (!orgIntelligenceService.isValidOrgId(req.params.orgId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Org ID may only contain letters, digits, - and _'
+    });
+    return false;
+  }
+  return true;
+}
+
+async function saveIntelligence(
+  req: AdminAuthenticatedRequest,
+  res: Response,
+  save: (orgId: string) => Promise<OrgIntelligenceSaveResult>
+): Promise<void> {
+  // Validate CSRF token for write operations
+  if (!adminAuthMiddleware.verifyCsrfToken(req)) {
+    res.status(403).json({
+      success: false,
+      error: 'Invalid CSRF token'
+    });
+    return;
+  }
+
+  if (!checkIntelligenceOrgId(req, res)) {
+    return;
+  }
+
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    res.status(400).json({
+      success: false,
+      error: 'Request body must be a JSON object'
+    });
+    return;
+  }
+
+  const { orgId } = req.params;
+  const before = await orgIntelligenceService.getStoredOrgIntelligence(orgId);
+  const result = await save(orgId);
+
+  if (!result.valid) {
+    res.status(400).json({
+      success: false,
+      error: 'Org intelligence failed validation',
+      errors: result.errors
+    });
+    return;
+  }
+
+  await recordAudit(req, 'org_intelligence_updated', orgId, before, result.data);
+
+  logger.info('Admin saved org intelligence', {
+    adminId: req.adminSession?.userId,
+    orgId,
+    method: req.method,
+    action: 'admin_save_org_intelligence'
+  });
+
+  res.json({
+    success: true,
+    intelligence: result.data,
+    version: orgIntelligenceService.getIntelligenceVersion(result.data)
+  });
+}
+
+// Phase 12T: GET /api/admin/orgs/:orgId/intelligence - The org's intelligence file, or what it is served without one
+// (an empty document when it is served nothing)
+router.get('/:orgId/intelligence', readOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    if (!checkIntelligenceOrgId(req, res)) {
+      return;
+    }
+
+    const { orgId } = req.params;
+    const stored = await orgIntelligenceService.getStoredOrgIntelligence(orgId);
+    const served = stored
+      ? { data: stored, source: 'backend_file' }
+      : await orgIntelligenceService.getOrgIntelligence(orgId);
+    const data = served.data || emptyOrgIntelligence;
+
+    res.json({
+      success: true,
+      intelligence: data,
+      source: served.source,
+      stored: Boolean(stored),
+      version: orgIntelligenceService.getIntelligenceVersion(data)
+    });
+  } catch (error) {
+    logger.error('Failed to get org intelligence', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve org intelligence'
+    });
+  }
+});
+
+// Phase 12T: PUT /api/admin/orgs/:orgId/intelligence - Replace the org's intelligence (editor save or file upload)
+router.put('/:orgId/intelligence', writeOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    await saveIntelligence(req, res, orgId => orgIntelligenceService.saveOrgIntelligence(orgId, req.body));
+  } catch (error) {
+    logger.error('Failed to save org intelligence', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save org intelligence'
+    });
+  }
+});
+
+// Phase 12T: PATCH /api/admin/orgs/:orgId/intelligence - Replace some sections (object sections are merged)
+router.patch('/:orgId/intelligence', writeOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    await saveIntelligence(req, res, orgId => orgIntelligenceService.patchOrgIntelligence(orgId, req.body));
+  } catch (error) {
+    logger.error('Failed to patch org intelligence', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save org intelligence'
+    });
+  }
+});
+
+// Phase 12T: POST /api/admin/orgs/:orgId/intelligence/validate - Check intelligence without saving it
+router.post('/:orgId/intelligence/validate', readOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  const validation = orgIntelligenceService.validateOrgIntelligence(req.body);
+  res.json({
+    success: true,
+    ...validation
+  });
+});
+
+// Phase 12J: GET /api/admin/orgs/:orgId/spend - Today's and this month's LLM spend by user and action
+router.get('/:orgId/spend', readOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    const { orgId } = req.params;
+    const config = await orgConfigPersistence.getOrgById(orgId);
+
+    const spend = await usageLimiter.getSpendStats(orgId);
+
+    logger.info('Admin retrieved org spend', {
+      adminId: req.adminSession?.userId,
+      orgId,
+      action: 'admin_get_org_spend'
+    });
+
+    res.json({
+      success: true,
+      spend: {
+        ...spend,
+        limits: {
+          maxDailySpendUsd: config?.max_daily_spend_usd,
+          maxMonthlySpendUsd: config?.max_monthly_spend_usd
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get org spend', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve spend'
+    });
+  }
+});
+
+// Phase 12X: Provider named in a provider key route, or null after sending a 400
+function getKeyProvider(req: AdminAuthenticatedRequest, res: Response): ByokProvider | null {
+  const provider = req.params.provider as ByokProvider;
+  if (!BYOK_PROVIDERS.includes(provider)) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown provider. Expected one of: ${BYOK_PROVIDERS.join(', ')}`
+    });
+    return null;
+  }
+  return provider;
+}
+
+// Phase 12X: GET /api/admin/orgs/:orgId/provider-keys - Which providers the org has its own key for
+router.get('/:orgId/provider-keys', readOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    const { orgId } = req.params;
+    const org = await orgConfigPersistence.getOrgById(orgId);
+
+    if (!org) {
+      res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+      return;
+    }
+
+    res.json({
+      success: true,
+      encryptionConfigured: providerCredentials.isConfigured(),
+      providerKeys: providerCredentials.describe(org)
+    });
+  } catch (error) {
+    logger.error('Failed to get provider keys', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve provider keys'
+    });
+  }
+});
+
+// Phase 12X: PUT /api/admin/orgs/:orgId/provider-keys/:provider - Set or rotate the org's key
+// Body: { apiKey, endpoint?, apiVersion?, test? }. With test: true the key is only saved if a
+// test call with it succeeds.
+router.put('/:orgId/provider-keys/:provider', writeOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    if (!adminAuthMiddleware.verifyCsrfToken(req)) {
+      res.status(403).json({
+        success: false,
+        error: 'Invalid CSRF token'
+      });
+      return;
+    }
+
+    const provider = getKeyProvider(req, res);
+    if (!provider) {
+      return;
+    }
+
+    if (!providerCredentials.isConfigured()) {
+      res.status(503).json({
+        success: false,
+        error: 'Provider key encryption is not configured on this server (PROVIDER_KEYS_MASTER_KEY)'
+      });
+      return;
+    }
+
+    const { orgId } = req.params;
+    const { apiKey, endpoint, apiVersion, test } = req.body || {};
+
+    if (typeof apiKey !== 'string' || !apiKey.trim()) {
+      res.status(400).json({
+        success: false,
+        error: 'apiKey is required'
+      });
+      return;
+    }
+    if (endpoint !== undefined && !isValidWebhookUrl(endpoint)) {
+      res.status(400).json({
+        success: false,
+        error: 'endpoint must be an http(s) URL'
+      });
+      return;
+    }
+    if (apiVersion !== undefined && typeof apiVersion !== 'string') {
+      res.status(400).json({
+        success: false,
+        error: 'apiVersion must be a string'
+      });
+      return;
+    }
+
+    const org = await orgConfigPersistence.getOrgById(orgId);
+    if (!org) {
+      res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+      return;
+    }
+
+    const credential = { apiKey: apiKey.trim(), endpoint, apiVersion };
+    if (test === true) {
+      const result = await llmOrchestrator.testProviderKey(provider, credential);
+      if (!result.success) {
+        res.status(422).json({
+          success: false,
+          error: `Key test failed: ${result.error}`,
+          test: result
+        });
+        return;
+      }
+    }
+
+    const rotated = !!org.provider_credentials?.[provider];
+    const before = await snapshotOrg(orgId);
+    const updated = await orgConfigPersistence.updateOrg(orgId, {
+      provider_credentials: {
+        ...org.provider_credentials,
+        [provider]: providerCredentials.createCredential(orgId, provider, credential)
+      }
+    }, getAuthor(req));
+    await recordAudit(req, 'org_provider_key_updated', orgId, before, updated);
+
+    logger.info('Admin set org provider key', {
+      adminId: req.adminSession?.userId,
+      orgId,
+      provider,
+      rotated,
+      action: 'admin_set_org_provider_key'
+    });
+
+    res.json({
+      success: true,
+      rotated,
+      providerKey: providerCredentials.describe(updated).find(entry => entry.provider === provider)
+    });
+  } catch (error: any) {
+    logger.error('Failed to set provider key', { error: error.message });
+
+    if (error.message?.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to set provider key'
+      });
+    }
+  }
+});
+
+// Phase 12X: DELETE /api/admin/orgs/:orgId/provider-keys/:provider - Go back to the platform key
+router.delete('/:orgId/provider-keys/:provider', writeOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    if (!adminAuthMiddleware.verifyCsrfToken(req)) {
+      res.status(403).json({
+        success: false,
+        error: 'Invalid CSRF token'
+      });
+      return;
+    }
+
+    const provider = getKeyProvider(req, res);
+    if (!provider) {
+      return;
+    }
+
+    const { orgId } = req.params;
+    const org = await orgConfigPersistence.getOrgById(orgId);
+    if (!org?.provider_credentials?.[provider]) {
+      res.status(404).json({
+        success: false,
+        error: org ? `No ${provider} key is set for this organization` : 'Organization not found'
+      });
+      return;
+    }
+
+    const { [provider]: removed, ...remaining } = org.provider_credentials;
+    const before = await snapshotOrg(orgId);
+    const updated = await orgConfigPersistence.updateOrg(orgId, { provider_credentials: remaining }, getAuthor(req));
+    await recordAudit(req, 'org_provider_key_removed', orgId, before, updated);
+
+    logger.info('Admin removed org provider key', {
+      adminId: req.adminSession?.userId,
+      orgId,
+      provider,
+      action: 'admin_remove_org_provider_key'
+    });
+
+    res.json({
+      success: true,
+      providerKeys: providerCredentials.describe(updated)
+    });
+  } catch (error: any) {
+    logger.error('Failed to remove provider key', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove provider key'
+    });
+  }
+});
+
+// Phase 12X: POST /api/admin/orgs/:orgId/provider-keys/:provider/test - Test call with the stored key
+router.post('/:orgId/provider-keys/:provider/test', writeOrg, async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    if (!adminAuthMiddleware.verifyCsrfToken(req)) {
+      res.status(403).json({
+        success: false,
+        error: 'Invalid CSRF token'
+      });
+      return;
+    }
+
+    const provider = getKeyProvider(req, res);
+    if (!provider) {
+      return;
+    }
+
+    const { orgId } = req.params;
+    const org = await orgConfigPersistence.getOrgById(orgId);
+    if (!org?.provider_credentials?.[provider]) {
+      res.status(404).json({
+        success: false,
+        error: org ? `No ${provider} key is set for this organization` : 'Organization not found'
+      });
+      return;
+    }
+
+    const credential = providerCredentials.resolve(org)?.[provider];
+    if (!credential) {
+      res.status(409).json({
+        success: false,
+        error: 'The stored key could not be decrypted with this server\'s PROVIDER_KEYS_MASTER_KEY'
+      });
+      return;
+    }
+
+    const result = await llmOrchestrator.testProviderKey(provider, credential);
+
+    logger.info('Admin tested org provider key', {
+      adminId: req.adminSession?.userId,
+      orgId,
+      provider,
+      success: result.success,
+      action: 'admin_test_org_provider_key'
+    });
+
+    res.json({
+      success: true,
+      test: result
+    });
+  } catch (error: any) {
+    logger.error('Failed to test provider key', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test provider key'
+    });
+  }
+});
+
 // GET /api/admin/orgs/stats/summary - Get org statistics
 router.get('/stats/summary', async (req: AdminAuthenticatedRequest, res: Response) => {
   try {
-    const orgs = await orgConfigPersistence.getAllOrgs();
+    const orgs = filterAccessibleOrgs(req, await orgConfigPersistence.getAllOrgs());
     
     const stats = {
       total: orgs.length,
@@ -0,0 +1,164 @@
+import { Router, Response } from 'express';
+import { adminAuthMiddleware, AdminAuthenticatedRequest } from '../middleware/adminAuth';
+import { adminUsers } from '../services/adminUserService';
+import { logger } from '../logging/logger';
+
+const router = Router();
+
+// Phase 12Y: Only superadmins manage admin users
+router.use(adminAuthMiddleware.authenticateAdmin);
+router.use(adminAuthMiddleware.requirePermission('admin:manage'));
+
+// Validate CSRF token for write operations
+function checkCsrf(req: AdminAuthenticatedRequest, res: Response): boolean {
+  if (!adminAuthMiddleware.verifyCsrfToken(req)) {
+    res.status(403).json({
+      success: false,
+      error: 'Invalid CSRF token'
+    });
+    return false;
+  }
+  return true;
+}
+
+// Service errors are meant for the admin panel; anything unexpected is logged and hidden
+function sendUserError(res: Response, error: any, fallback: string): void {
+  const message: string = error?.message || '';
+  if (message.includes('not found')) {
+    res.status(404).json({ success: false, error: message });
+  } else if (message.includes('already exists')) {
+    res.status(409).json({ success: false, error: message });
+  } else if (/must|required|cannot|needs|Enable the user/.test(message)) {
+    res.status(400).json({ success: false, error: message });
+  } else {
+    logger.error(fallback, error);
+    res.status(500).json({ success: false, error: fallback });
+  }
+}
+
+// GET /api/admin/users - List admin users
+router.get('/', async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    const users = await adminUsers.list();
+
+    res.json({
+      success: true,
+      users,
+      count: users.length
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to retrieve admin users');
+  }
+});
+
+// POST /api/admin/users - Invite an admin user; the invite token is returned only here
+router.post('/', async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    if (!checkCsrf(req, res)) {
+      return;
+    }
+
+    const { username, email, role, orgIds } = req.body;
+    const { user, token } = await adminUsers.invite({ username, email, role, orgIds }, req.adminSession!.userId);
+
+    logger.info('Admin invited user', {
+      adminId: req.adminSession?.userId,
+      username: user.username,
+      role: user.role,
+      orgIds: user.orgIds,
+      action: 'admin_invite_user'
+    });
+
+    res.status(201).json({
+      success: true,
+      user,
+      inviteToken: token,
+      expiresAt: user.pendingTokenExpiresAt
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to invite admin user');
+  }
+});
+
+// PUT /api/admin/users/:username - Change email, role, orgs or status
+router.put('/:username', async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    if (!checkCsrf(req, res)) {
+      return;
+    }
+
+    const { username } = req.params;
+    const { email, role, orgIds, status } = req.body;
+    const user = await adminUsers.update(username, { email, role, orgIds, status }, req.adminSession!.userId);
+
+    logger.info('Admin updated user', {
+      adminId: req.adminSession?.userId,
+      username,
+      role: user.role,
+      orgIds: user.orgIds,
+      status: user.status,
+      action: 'admin_update_user'
+    });
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to update admin user');
+  }
+});
+
+// POST /api/admin/users/:username/reset - Issue a password reset (or fresh invite) token
+router.post('/:username/reset', async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    if (!checkCsrf(req, res)) {
+      return;
+    }
+
+    const { username } = req.params;
+    const { user, token } = await adminUsers.issueResetToken(username);
+
+    logger.info('Admin issued password reset', {
+      adminId: req.adminSession?.userId,
+      username,
+      action: 'admin_reset_user_password'
+    });
+
+    res.json({
+      success: true,
+      user,
+      resetToken: token,
+      expiresAt: user.pendingTokenExpiresAt
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to reset admin user password');
+  }
+});
+
+// DELETE /api/admin/users/:username - Remove an admin user
+router.delete('/:username', async (req: AdminAuthenticatedRequest, res: Response) => {
+  try {
+    if (!checkCsrf(req, res)) {
+      return;
+    }
+
+    const { username } = req.params;
+    await adminUsers.remove(username, req.adminSession!.userId);
+
+    logger.info('Admin deleted user', {
+      adminId: req.adminSession?.userId,
+      username,
+      action: 'admin_delete_user'
+    });
+
+    res.json({
+      success: true,
+      message: `Admin user ${username} deleted`
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to delete admin user');
+  }
+});
+
+export default router;
@@ -1,5 +1,8 @@
 import { Router, Request, Response } from 'express';
 import { llmOrchestrator } from '../providers';
+import { providerCircuitBreaker } from '../providers/circuitBreaker';
+import { actionResultCache } from '../services/actionResultCache';
+import { actionJobQueue } from '../services/actionJobQueue';
 import { templateEngine } from '../templates/template-engine';
 import { schemaValidator } from '../schemas/schema-validator';
 import { actionRegistry } from '../actions/registry';
@@ -24,8 +27,24 @@ router.get('/ready', async (req: Request, res: Response) => {
     actions: false,
   };
 
+  // Phase 12D: Providers whose circuit is open are configured but currently avoided
+  const circuits = providerCircuitBreaker.getSnapshot();
+  const degradedCircuits = circuits
+    .filter(circuit => circuit.state !== 'closed')
+    .map(circuit => ({
+      provider: circuit.provider,
+      model: circuit.model,
+      state: circuit.state,
+      reason: circuit.reason,
+      nextProbeAt: circuit.nextProbeAt,
+    }));
+
   try {
-    checks.providers = llmOrchestrator.getAvailableProviders().length > 0;
+    const openProviders = circuits
+      .filter(circuit => circuit.model === null && circuit.state === 'open')
+      .map(circuit => circuit.provider);
+    checks.providers = llmOrchestrator.getAvailableProviders()
+      .some(provider => !openProviders.includes(provider));
     checks.templates = templateEngine.getLoadedTemplates().length > 0;
     checks.schemas = schemaValidator.getLoadedSchemas().length > 0;
     checks.actions = actionRegistry.getAllNames().length > 0;
@@ -36,12 +55,14 @@ router.get('/ready', async (req: Request, res: Response) => {
       success: isReady,
       status: isReady ? 'ready' : 'not_ready',
       checks,
+      circuits: degradedCircuits,
     });
   } catch (error) {
     res.status(503).json({
       success: false,
       status: 'error',
       checks,
+      circuits: degradedCircuits,
       error: error instanceof Error ? error.message : 'Unknown error',
     });
   }
@@ -67,6 +88,12 @@ router.get('/metrics', (req: Request, res: Response) => {
     app: {
       environment: process.env.NODE_ENV || 'development',
       providers: llmOrchestrator.getAvailableProviders(),
+      // Phase 12D: Per-provider and per-model breaker state, error rate and latency
+      providerHealth: providerCircuitBreaker.getSnapshot(),
+      // Phase 12E: Result cache hit rate and size
+      resultCache: actionResultCache.getStats(),
+      // Phase 12N: Async job queue depth and workers
+      actionJobs: actionJobQueue.getStats(),
       loadedTemplates: templateEngine.getLoadedTemplates().length,
       loadedSchemas: schemaValidator.getLoadedSchemas().length,
       registeredActions: actionRegistry.getAllNames().length,
@@ -128,6 +128,146 @@ export class SchemaValidator {
     };
   }
 
+  // Phase 12I: Validate, then again after correcting common LLM output mistakes
+  validateWithCorrection(data: any, schemaName: string): {
+    valid: boolean;
+    data?: any;
+    errors?: string[];
+    corrected?: boolean;
+  } {
+    // First attempt
+    const result = this.validate(data, schemaName);
+    
+    if (result.valid) {
+      return { valid: true, data: result.data };
+    }
+
+    // Try to correct common issues
+    const corrected = this.attemptCorrection(data, schemaName, result.errors || []);
+    
+    if (corrected) {
+      const secondResult = this.validate(corrected, schemaName);
+      
+      if (secondResult.valid) {
+        return {
+          valid: true,
+          data: secondResult.data,
+          corrected: true,
+        };
+      }
+    }
+
+    return {
+      valid: false,
+      data,
+      errors: result.errors,
+    };
+  }
+
+  private attemptCorrection(data: any, schemaName: string, errors: string[]): any {
+    const corrected = JSON.parse(JSON.stringify(data));
+    
+    // Common corrections based on error patterns
+    for (const error of errors) {
+      if (error.includes('must be integer')) {
+        // Convert strings to integers
+        this.convertToIntegers(corrected);
+      }
+      
+      if (error.includes('must be boolean')) {
+        // Convert strings to booleans
+        this.convertToBooleans(corrected);
+      }
+      
+      if (error.includes('must be array')) {
+        // Wrap non-arrays in arrays
+        this.wrapInArrays(corrected, error);
+      }
+      
+      if (error.includes('must match pattern')) {
+        // Try to fix date formats
+        this.fixDateFormats(corrected);
+      }
+
+      if (error.includes('must be string')) {
+        // Convert numbers to strings
+        this.convertToStrings(corrected);
+      }
+    }
+
+    return corrected;
+  }
+
+  private convertToIntegers(obj: any): void {
+    for (const key in obj) {
+      if (typeof obj[key] === 'string' && /^\d+$/.test(obj[key])) {
+        obj[key] = parseInt(obj[key], 10);
+      } else if (typeof obj[key] === 'object' && obj[key] !== null) {
+        this.convertToIntegers(obj[key]);
+      }
+    }
+  }
+
+  private convertToBooleans(obj: any): void {
+    for (const key in obj) {
+      if (typeof obj[key] === 'string') {
+        if (obj[key].toLowerCase() === 'true') {
+          obj[key] = true;
+        } else if (obj[key].toLowerCase() === 'false') {
+          obj[key] = false;
+        }
+      } else if (typeof obj[key] === 'object' && obj[key] !== null) {
+        this.convertToBooleans(obj[key]);
+      }
+    }
+  }
+
+  private convertToStrings(obj: any): void {
+    for (const key in obj) {
+      if (typeof obj[key] === 'number') {
+        obj[key] = String(obj[key]);
+      } else if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
+        this.convertToStrings(obj[key]);
+      }
+    }
+  }
+
+  private wrapInArrays(obj: any, error: string): void {
+    // Extract field name from error
+    const match = error.match(/\/([^:]+):/);
+    if (match) {
+      const fieldPath = match[1].split('/').filter(Boolean);
+      let current = obj;
+      
+      for (let i = 0; i < fieldPath.length - 1; i++) {
+        if (current[fieldPath[i]]) {
+          current = current[fieldPath[i]];
+        }
+      }
+      
+      const lastField = fieldPath[fieldPath.length - 1];
+      if (current[lastField] && !Array.isArray(current[lastField])) {
+        current[lastField] = [current[lastField]];
+      }
+    }
+  }
+
+  private fixDateFormats(obj: any): void {
+    for (const key in obj) {
+      if (typeof obj[key] === 'string') {
+        // Try to parse and reformat dates
+        const dateMatch = obj[key].match(/(\d{1,2})[-\/](\d{1,2})[-\/](\d{2,4})/);
+        if (dateMatch) {
+          const [_, day, month, year] = dateMatch;
+          const fullYear = year.length === 2 ? `20${year}` : year;
+          obj[key] = `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        }
+      } else if (typeof obj[key] === 'object' && obj[key] !== null) {
+        this.fixDateFormats(obj[key]);
+      }
+    }
+  }
+
   private applyCorrections(data: any, corrections: any, schemaName: string): any {
     const schema = this.schemas.get(schemaName);
     if (!schema || !schema.properties) {
@@ -170,19 +310,52 @@ export class SchemaValidator {
     }
   }
 
-  private generateFallbackData(schemaName: string): any {
+  // Phase 12I: Schema defaults for required properties, so callers can still render something well-formed
+  generateFallbackData(schemaName: string): any {
     const schema = this.schemas.get(schemaName);
-    if (!schema || !schema.properties) {
+    if (!schema) {
       return {};
     }
 
-    const fallback: any = {};
+    return this.generateFromSchema(schema);
+  }
 
-    for (const [key, prop] of Object.entries(schema.properties as Record<string, any>)) {
-      fallback[key] = this.getDefaultValue(prop);
+  private generateFromSchema(schema: any): any {
+    if (schema.type === 'object') {
+      const obj: any = {};
+      
+      if (schema.properties) {
+        for (const prop in schema.properties) {
+          const propSchema = schema.properties[prop];
+          const isRequired = schema.required?.includes(prop);
+          
+          if (isRequired || propSchema.default !== undefined) {
+            obj[prop] = propSchema.default ?? this.generateFromSchema(propSchema);
+          }
+        }
+      }
+      
+      return obj;
+    } else if (schema.type === 'array') {
+      return [];
+    } else if (schema.type === 'string') {
+      if (schema.enum) {
+        return schema.enum[0];
+      }
+      if (schema.format === 'date-time') {
+        return new Date().toISOString();
+      }
+      if (schema.format === 'date') {
+        return new Date().toISOString().split('T')[0];
+      }
+      return schema.default || '';
+    } else if (schema.type === 'number' || schema.type === 'integer') {
+      return schema.default ?? schema.minimum ?? 0;
+    } else if (schema.type === 'boolean') {
+      return schema.default ?? false;
     }
-
-    return fallback;
+    
+    return null;
   }
 
   async validateAgainstFile(data: any, schemaPath: string): Promise<ValidationResult> {
@@ -0,0 +1,190 @@
+/**
+ * Phase 12I: Schema Repair Loop
+ *
+ * Shared by every action handler when LLM output fails its JSON schema. Repair runs in
+ * stages, stopping at the first one that produces valid data:
+ *   1. local corrections (type coercion, array wrapping, date formats)
+ *   2. re-prompting the model with the validation errors and the template's retryPrompt,
+ *      up to validationPolicy.maxCorrectionAttempts times
+ *   3. schema-generated fallback data, when validationPolicy.fallbackOnFailure is set
+ *
+ * Output still invalid after every stage is a failure; handlers answer it with
+ * createSchemaRepairFailure rather than passing the raw output on.
+ */
+
+import { ActionResponse, LLMConfig, LLMResponse, PromptTemplate, SchemaRepairResult } from '../types';
+import { SchemaRepairReport, SchemaRepairStage } from '../types/metadata';
+import { schemaValidator } from './schema-validator';
+import { logger } from '../logging/logger';
+
+export interface SchemaRepairOptions {
+  template: PromptTemplate;
+  // The prompt that produced the data; re-prompts repeat it so the model keeps its context
+  prompt: string;
+  llmConfig: Partial<LLMConfig>;
+  callLLM: (prompt: string, config: Partial<LLMConfig>) => Promise<LLMResponse>;
+  // Phase 12H: Joins the re-prompt's sections within the prompt token budget, trimming the
+  // sections at the `trimmable` indexes in that order
+  fitPrompt?: (sections: string[], trimmable: number[]) => string;
+  maxCorrectionAttempts: number;
+  fallbackOnFailure: boolean;
+}
+
+const DEFAULT_RETRY_INSTRUCTIONS = 'The previous output did not match the required JSON schema. Return corrected, complete JSON only.';
+const MAX_REPORTED_ERRORS = 5;
+
+export class SchemaRepairLoop {
+  async run(data: any, schemaName: string, options: SchemaRepairOptions): Promise<SchemaRepairResult> {
+    const stages: SchemaRepairStage[] = [];
+    let tokensUsed = 0;
+
+    const finish = (
+      outcome: SchemaRepairReport['outcome'],
+      result: { valid: boolean; data?: any; errors?: string[]; repairResponse?: LLMResponse }
+    ): SchemaRepairResult => {
+      if (outcome !== 'valid') {
+        logger.info(`Schema repair for ${schemaName} finished: ${outcome}`, {
+          stages: stages.map(stage => `${stage.stage}:${stage.success ? 'ok' : 'failed'}`),
+        });
+      }
+      return { ...result, tokensUsed, report: { schemaName, outcome, stages } };
+    };
+
+    // Stage 1: validate as returned, applying local corrections if needed
+    let check = this.validateLocally(data, schemaName, stages);
+    if (check.valid) {
+      return finish(check.corrected ? 'corrected' : 'valid', { valid: true, data: check.data });
+    }
+
+    const originalErrors = check.errors;
+    let previousOutput = data;
+
+    // Stage 2: ask the model to fix its own output
+    for (let attempt = 1; attempt <= options.maxCorrectionAttempts; attempt++) {
+      const repairPrompt = this.buildRepairPrompt(options, previousOutput, check.errors || []);
+      const response = await options.callLLM(repairPrompt, options.llmConfig);
+      tokensUsed += response.usage?.totalTokens || 0;
+
+      if (!response.success) {
+        stages.push({
+          stage: 'reprompt',
+          attempt,
+          success: false,
+          errors: [response.error || 'LLM call failed'],
+          provider: response.provider,
+          model: response.model,
+          tokensUsed: response.usage?.totalTokens,
+        });
+        continue;
+      }
+
+      const repaired = this.validateLocally(response.data, schemaName);
+      stages.push({
+        stage: 'reprompt',
+        attempt,
+        success: repaired.valid,
+        errors: repaired.valid ? undefined : this.summarizeErrors(repaired.errors),
+        provider: response.provider,
+        model: response.model,
+        tokensUsed: response.usage?.totalTokens,
+      });
+
+      if (repaired.valid) {
+        return finish('reprompted', { valid: true, data: repaired.data, repairResponse: response });
+      }
+
+      check = repaired;
+      previousOutput = response.data;
+    }
+
+    // Stage 3: schema defaults, so the drawer can still render something well-formed
+    if (options.fallbackOnFailure) {
+      const fallback = schemaValidator.generateFallbackData(schemaName);
+      const fallbackCheck = schemaValidator.validate(fallback, schemaName);
+      stages.push({
+        stage: 'fallback',
+        success: fallbackCheck.valid,
+        errors: fallbackCheck.valid ? undefined : this.summarizeErrors(fallbackCheck.errors),
+      });
+
+      if (fallbackCheck.valid) {
+        return finish('fallback', { valid: true, data: fallbackCheck.data, errors: originalErrors });
+      }
+    }
+
+    return finish('invalid', { valid: false, errors: originalErrors });
+  }
+
+  /**
+   * Validate, then try local corrections. Records the stages when a list is passed.
+   */
+  private validateLocally(
+    data: any,
+    schemaName: string,
+    stages?: SchemaRepairStage[]
+  ): { valid: boolean; data?: any; errors?: string[]; corrected?: boolean } {
+    const initial = schemaValidator.validate(this.clone(data), schemaName);
+    stages?.push({
+      stage: 'validate',
+      success: initial.valid,
+      errors: initial.valid ? undefined : this.summarizeErrors(initial.errors),
+    });
+
+    if (initial.valid) {
+      return { valid: true, data: initial.data };
+    }
+
+    const corrected = schemaValidator.validateWithCorrection(this.clone(data), schemaName);
+    stages?.push({
+      stage: 'local_correction',
+      success: corrected.valid,
+      errors: corrected.valid ? undefined : this.summarizeErrors(corrected.errors),
+    });
+
+    return corrected.valid
+      ? { valid: true, data: corrected.data, corrected: true }
+      : { valid: false, errors: initial.errors };
+  }
+
+  // Over budget, the previous output is shortened first, then the original prompt
+  private buildRepairPrompt(options: SchemaRepairOptions, previousOutput: any, errors: string[]): string {
+    const sections = [
+      options.prompt,
+      options.template.retryPrompt?.trim() || DEFAULT_RETRY_INSTRUCTIONS,
+      `Previous output:\n${typeof previousOutput === 'string' ? previousOutput : JSON.stringify(previousOutput)}`,
+      `Validation errors:\n${errors.map(error => `- ${error}`).join('\n')}`,
+    ];
+    return options.fitPrompt ? options.fitPrompt(sections, [2, 0]) : sections.join('\n\n');
+  }
+
+  private summarizeErrors(errors: string[] | undefined): string[] | undefined {
+    return errors?.slice(0, MAX_REPORTED_ERRORS);
+  }
+
+  // The validator coerces and strips properties in place; keep the caller's data intact
+  private clone(data: any): any {
+    return data && typeof data === 'object' ? JSON.parse(JSON.stringify(data)) : data;
+  }
+}
+
+export const schemaRepairLoop = new SchemaRepairLoop();
+
+/**
+ * Phase 12I: Action response for output that failed its schema after every repair stage
+ */
+export function createSchemaRepairFailure(
+  validation: SchemaRepairResult,
+  response: LLMResponse,
+  tokensUsed: number
+): ActionResponse {
+  return {
+    success: false,
+    error: `The model's output did not match the ${validation.report.schemaName} schema: ${(validation.errors || []).slice(0, MAX_REPORTED_ERRORS).join('; ')}`,
+    metadata: {
+      tokensUsed,
+      modelUsed: response.model,
+      providerUsed: response.provider,
+      duration: response.duration,
+    },
+  };
+}
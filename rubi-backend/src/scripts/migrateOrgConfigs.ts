@@ -0,0 +1,107 @@
+/**
+ * Phase 12S: Import org configs from an orgs.json file into an org config store
+ *
+ * Usage:
+ *   npm run migrate:org-configs -- [--from configs/orgs.json] [--to sqlite|json] [--overwrite] [--dry-run]
+ *   node dist/scripts/migrateOrgConfigs.js [same options]
+ *
+ * The target store is configured as for the server (ORG_CONFIG_DB, ORG_CONFIG_FILE). Orgs that
+ * already exist in the target are skipped unless --overwrite is given. Creation dates and
+ * soft-deleted state are kept. Version history is stored separately and isn't touched.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { JsonOrgConfigStore, createOrgConfigStore } from '../config/orgConfigStore';
+
+interface MigrateOptions {
+  from: string;
+  to: string;
+  overwrite: boolean;
+  dryRun: boolean;
+}
+
+function parseArgs(argv: string[]): MigrateOptions {
+  const options: MigrateOptions = {
+    from: path.join(process.cwd(), 'configs', 'orgs.json'),
+    to: 'sqlite',
+    overwrite: false,
+    dryRun: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') {
+      options.from = path.resolve(argv[++i]);
+    } else if (arg === '--to') {
+      options.to = argv[++i];
+    } else if (arg === '--overwrite') {
+      options.overwrite = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.to !== 'sqlite' && options.to !== 'json') {
+    throw new Error('--to must be sqlite or json');
+  }
+  return options;
+}
+
+async function migrate(options: MigrateOptions): Promise<void> {
+  if (!fs.existsSync(options.from)) {
+    throw new Error(`Source file not found: ${options.from}`);
+  }
+
+  const source = new JsonOrgConfigStore(options.from);
+  const target = createOrgConfigStore(options.to);
+  const targetFile = process.env.ORG_CONFIG_FILE || path.join(process.cwd(), 'configs', 'orgs.json');
+  if (options.to === 'json' && path.resolve(targetFile) === options.from) {
+    throw new Error('Source and target are the same file');
+  }
+
+  const orgs = await source.list();
+  console.log(`Found ${orgs.length} orgs in ${options.from}`);
+  await target.initialize();
+
+  let imported = 0;
+  let replaced = 0;
+  let skipped = 0;
+
+  for (const org of orgs) {
+    const existing = await target.get(org.orgId);
+
+    if (existing && !options.overwrite) {
+      console.log(`  skip     ${org.orgId} (already in ${target.kind} store)`);
+      skipped++;
+      continue;
+    }
+
+    if (options.dryRun) {
+      console.log(`  ${existing ? 'replace' : 'import '}  ${org.orgId} (dry run)`);
+    } else if (existing) {
+      await target.update(org.orgId, () => org);
+      console.log(`  replace  ${org.orgId}`);
+    } else {
+      await target.create(org);
+      console.log(`  import   ${org.orgId}`);
+    }
+
+    if (existing) {
+      replaced++;
+    } else {
+      imported++;
+    }
+  }
+
+  console.log(`${options.dryRun ? 'Dry run' : 'Done'}: ${imported} imported, ${replaced} replaced, ${skipped} skipped`);
+}
+
+migrate(parseArgs(process.argv.slice(2)))
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Migration failed: ${error instanceof Error ? error.message : error}`);
+    process.exit(1);
+  });
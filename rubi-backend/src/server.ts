@@ -6,6 +6,10 @@ import { templateEngine } from './templates/template-engine';
 import { schemaValidator } from './schemas/schema-validator';
 import { securityMiddleware } from './middleware/security';
 import { orgConfigPersistence } from './config/orgConfigPersistence';
+import { actionRegistry } from './actions/registry';
+import { pipelineExecutor } from './services/pipelineExecutor';
+import { actionJobQueue } from './services/actionJobQueue';
+import { adminUsers } from './services/adminUserService';
 import actionsRouter from './routes/actions.router';
 import healthRouter from './routes/health.router';
 import authRouter from './routes/auth.router';
@@ -13,6 +17,8 @@ import extensionAuthRouter from './routes/extensionAuth.router'; // Phase 9A
 import extensionSessionRouter from './routes/extensionSessionRoutes'; // Phase 9B
 import adminAuthRouter from './routes/admin.auth.router'; // Phase 9E
 import adminOrgsRouter from './routes/admin.orgs.router'; // Phase 9E
+import adminAuditRouter from './routes/admin.audit.router'; // Phase 12Q
+import adminUsersRouter from './routes/admin.users.router'; // Phase 12Y
 
 class RubiBackendServer {
   private app: Express;
@@ -35,10 +41,25 @@ class RubiBackendServer {
       await schemaValidator.loadAllSchemas();
       logger.info(`Loaded ${schemaValidator.getLoadedSchemas().length} schemas`);
 
+      // Phase 12K: Actions declared in template metadata use the generic template handler
+      const templateActions = await actionRegistry.registerTemplateActions();
+      logger.info(`Registered ${templateActions.length} template actions`, { actions: templateActions });
+
+      // Phase 12L: Pipelines run registered actions, so they are registered last
+      await pipelineExecutor.loadAllPipelines();
+      const pipelineActions = actionRegistry.registerPipelineActions();
+      logger.info(`Registered ${pipelineActions.length} pipeline actions`, { actions: pipelineActions });
+
       // Initialize org config persistence
       await orgConfigPersistence.initialize();
       logger.info('Org config persistence initialized');
 
+      // Phase 12Y: Admin users (bootstrapped from ADMIN_USERNAME / ADMIN_PASSWORD when empty)
+      await adminUsers.initialize();
+
+      // Phase 12N: Restore persisted async action jobs
+      await actionJobQueue.initialize();
+
       logger.info('All services initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize services', error);
@@ -85,6 +106,12 @@ class RubiBackendServer {
     // Phase 9E: Admin org management routes
     this.app.use('/api/admin/orgs', adminOrgsRouter);
     
+    // Phase 12Q: Admin audit log
+    this.app.use('/api/admin/audit', adminAuditRouter);
+    
+    // Phase 12Y: Admin user management
+    this.app.use('/api/admin/users', adminUsersRouter);
+    
     this.app.use('/api', healthRouter);
     
     this.app.get('/', (_req, res) => {
@@ -146,7 +173,8 @@ class RubiBackendServer {
           adminPanel: `http://${this.host}:${this.port}/admin`,
           providers: (config.get('llm.providers.openai.enabled') ? ['openai'] : [] as string[])
             .concat(config.get('llm.providers.anthropic.enabled') ? ['anthropic'] : [])
-            .concat(config.get('llm.providers.azure.enabled') ? ['azure-openai'] : []),
+            .concat(config.get('llm.providers.azure.enabled') ? ['azure-openai'] : [])
+            .concat(config.get('llm.providers.openaiCompatible.enabled') ? ['openai-compatible'] : []),
         });
         
         console.log(`
@@ -0,0 +1,270 @@
+/**
+ * Phase 12N: Action Job Queue
+ *
+ * In-process worker queue for actions run in job mode. Jobs are persisted to a JSON file
+ * so clients can keep polling across extension service-worker restarts; the work itself
+ * lives in this process, so jobs still queued or running when the server stops are marked
+ * failed on the next start. Finished jobs are kept for ACTION_JOB_RETENTION_HOURS.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { ActionJob, ActionJobWebhookEvent, ActionRunResult } from '../types/jobs';
+import { logger } from '../logging/logger';
+
+export interface ActionJobWebhookTarget {
+  url: string;
+  secret?: string;
+}
+
+interface PendingJob {
+  jobId: string;
+  run: () => Promise<ActionRunResult>;
+  webhook?: ActionJobWebhookTarget;
+}
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export class ActionJobQueue {
+  private jobs: Map<string, ActionJob> = new Map();
+  private pending: PendingJob[] = [];
+  private running = 0;
+  private storePath: string;
+  private saveQueue: Promise<void> = Promise.resolve();
+  private readonly CONCURRENCY = parseInt(process.env.ACTION_JOB_CONCURRENCY || '2', 10);
+  private readonly RETENTION_MS = parseFloat(process.env.ACTION_JOB_RETENTION_HOURS || '24') * 3600000;
+  private readonly WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.ACTION_JOB_WEBHOOK_MAX_ATTEMPTS || '3', 10);
+
+  constructor(storePath: string = process.env.ACTION_JOBS_FILE || path.join(process.cwd(), 'data', 'action-jobs.json')) {
+    this.storePath = storePath;
+  }
+
+  /**
+   * Load persisted jobs. Jobs the previous process never finished are failed, since
+   * their work can't be resumed.
+   */
+  async initialize(): Promise<void> {
+    try {
+      const content = await fs.readFile(this.storePath, 'utf-8');
+      const parsed = JSON.parse(content);
+      for (const job of (Array.isArray(parsed.jobs) ? parsed.jobs : []) as ActionJob[]) {
+        if (job.status === 'queued' || job.status === 'running') {
+          job.status = 'failed';
+          job.completedAt = new Date().toISOString();
+          job.result = {
+            statusCode: 503,
+            success: false,
+            error: 'The job was interrupted by a server restart',
+            code: 'JOB_INTERRUPTED',
+          };
+        }
+        this.jobs.set(job.jobId, job);
+      }
+    } catch (error) {
+      if ((error as any).code !== 'ENOENT') {
+        logger.error('Failed to load action jobs', { error: error instanceof Error ? error.message : error });
+      }
+    }
+
+    this.pruneExpired();
+    await this.persist();
+    logger.info('Action job queue initialized', { jobCount: this.jobs.size, path: this.storePath });
+  }
+
+  /**
+   * Queue an action run and return its job record straight away
+   */
+  submit(
+    params: { actionName: string; orgId: string; userId?: string; requestId?: string; webhook?: ActionJobWebhookTarget },
+    run: () => Promise<ActionRunResult>
+  ): ActionJob {
+    this.pruneExpired();
+
+    const job: ActionJob = {
+      jobId: `job_${crypto.randomUUID()}`,
+      actionName: params.actionName,
+      orgId: params.orgId,
+      userId: params.userId,
+      requestId: params.requestId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      webhook: params.webhook ? { status: 'pending', attempts: 0 } : undefined,
+    };
+
+    this.jobs.set(job.jobId, job);
+    this.pending.push({ jobId: job.jobId, run, webhook: params.webhook });
+    void this.persist();
+
+    logger.info(`Action job queued: ${job.jobId}`, {
+      actionName: job.actionName,
+      orgId: job.orgId,
+      queueDepth: this.pending.length,
+    });
+
+    this.drain();
+    return job;
+  }
+
+  get(jobId: string): ActionJob | undefined {
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * Position of a queued job among those waiting for a worker (1-based), or null
+   */
+  getQueuePosition(jobId: string): number | null {
+    const index = this.pending.findIndex(entry => entry.jobId === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  getStats(): { queued: number; running: number; stored: number; concurrency: number } {
+    return {
+      queued: this.pending.length,
+      running: this.running,
+      stored: this.jobs.size,
+      concurrency: this.CONCURRENCY,
+    };
+  }
+
+  private drain(): void {
+    while (this.running < this.CONCURRENCY && this.pending.length > 0) {
+      const entry = this.pending.shift()!;
+      this.running++;
+      void this.runJob(entry).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  private async runJob(entry: PendingJob): Promise<void> {
+    const job = this.jobs.get(entry.jobId);
+    if (!job) {
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    void this.persist();
+
+    let result: ActionRunResult;
+    try {
+      result = await entry.run();
+    } catch (error) {
+      logger.error(`Action job ${job.jobId} threw`, { error, actionName: job.actionName });
+      result = { statusCode: 500, success: false, error: 'Internal server error' };
+    }
+
+    job.status = result.success ? 'succeeded' : 'failed';
+    job.completedAt = new Date().toISOString();
+    job.result = result;
+    await this.persist();
+
+    logger.info(`Action job ${job.status}: ${job.jobId}`, {
+      actionName: job.actionName,
+      orgId: job.orgId,
+      durationMs: Date.parse(job.completedAt) - Date.parse(job.startedAt!),
+    });
+
+    if (entry.webhook) {
+      await this.deliverWebhook(job, entry.webhook);
+    }
+  }
+
+  /**
+   * POST the completion event to the org's webhook, retrying with backoff
+   */
+  private async deliverWebhook(job: ActionJob, target: ActionJobWebhookTarget): Promise<void> {
+    const event: ActionJobWebhookEvent = {
+      event: 'action_job.completed',
+      jobId: job.jobId,
+      actionName: job.actionName,
+      orgId: job.orgId,
+      userId: job.userId,
+      status: job.status,
+      completedAt: job.completedAt!,
+      result: job.result!,
+    };
+    const body = JSON.stringify(event);
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      'X-Rubi-Event': event.event,
+      'X-Rubi-Job-Id': job.jobId,
+    };
+    if (target.secret) {
+      headers['X-Rubi-Signature'] = `sha256=${crypto.createHmac('sha256', target.secret).update(body).digest('hex')}`;
+    }
+
+    const delivery = job.webhook!;
+    while (delivery.attempts < this.WEBHOOK_MAX_ATTEMPTS) {
+      delivery.attempts++;
+      delivery.lastAttemptAt = new Date().toISOString();
+
+      try {
+        const response = await fetch(target.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        delete delivery.lastError;
+        logger.debug(`Delivered webhook for action job ${job.jobId}`, { attempts: delivery.attempts });
+        break;
+      } catch (error) {
+        delivery.lastError = error instanceof Error ? error.message : String(error);
+        if (delivery.attempts < this.WEBHOOK_MAX_ATTEMPTS) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, delivery.attempts - 1)));
+        }
+      }
+    }
+
+    if (delivery.status !== 'delivered') {
+      delivery.status = 'failed';
+      logger.warn(`Webhook delivery failed for action job ${job.jobId}`, {
+        orgId: job.orgId,
+        attempts: delivery.attempts,
+        error: delivery.lastError,
+      });
+    }
+    await this.persist();
+  }
+
+  private pruneExpired(): void {
+    const cutoff = Date.now() - this.RETENTION_MS;
+    for (const [jobId, job] of this.jobs) {
+      if (job.completedAt && Date.parse(job.completedAt) < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  /**
+   * Write every job to the store. Writes are serialized and atomic (temp file, then rename).
+   */
+  private persist(): Promise<void> {
+    this.saveQueue = this.saveQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({
+          version: '1.0.0',
+          lastUpdated: new Date().toISOString(),
+          jobs: Array.from(this.jobs.values()),
+        }, null, 2));
+        await fs.rename(tempPath, this.storePath);
+      } catch (error) {
+        logger.error('Failed to save action jobs', { error: error instanceof Error ? error.message : error });
+      }
+    });
+    return this.saveQueue;
+  }
+}
+
+export const actionJobQueue = new ActionJobQueue();
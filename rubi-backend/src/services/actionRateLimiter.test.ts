@@ -0,0 +1,102 @@
+import { ActionRateLimiter } from './actionRateLimiter';
+import { MemoryUsageCounterStore } from './usageCounterStore';
+import { OrgConfig } from '../types/orgConfig';
+
+describe('ActionRateLimiter', () => {
+  let limiter: ActionRateLimiter;
+  const rules = { user: { windowMs: 60000, max: 2 } };
+
+  beforeEach(() => {
+    // On a window boundary, so the previous window has no weight left
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    limiter = new ActionRateLimiter(new MemoryUsageCounterStore());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const consume = (callerId: string, limits = rules) =>
+    limiter.consume({ actionName: 'summarize', orgId: 'org-1', callerId, rules: limits });
+
+  describe('getRules', () => {
+    const definitionLimit = { windowMs: 60000, max: 10 };
+
+    it('uses the action definition without org overrides', () => {
+      expect(limiter.getRules('summarize', definitionLimit, null)).toEqual({
+        user: { windowMs: 60000, max: 10 },
+        org: undefined,
+      });
+    });
+
+    it('prefers the org entry for the action over its default entry', () => {
+      const orgConfig = {
+        limits: {
+          actionRateLimits: {
+            default: { windowMs: 30000, maxPerUser: 3 },
+            summarize: { windowMs: 120000, maxPerUser: 5, maxPerOrg: 50 },
+          },
+        },
+      } as unknown as OrgConfig;
+
+      expect(limiter.getRules('summarize', definitionLimit, orgConfig)).toEqual({
+        user: { windowMs: 120000, max: 5 },
+        org: { windowMs: 120000, max: 50 },
+      });
+      expect(limiter.getRules('draft_email', definitionLimit, orgConfig)).toEqual({
+        user: { windowMs: 30000, max: 3 },
+        org: undefined,
+      });
+    });
+
+    it('has no rules when no window is configured', () => {
+      expect(limiter.getRules('summarize', undefined, null)).toEqual({});
+    });
+  });
+
+  describe('consume', () => {
+    it('allows runs up to the limit and reports when the next one fits', async () => {
+      expect((await consume('user-1')).allowed).toBe(true);
+      expect((await consume('user-1')).allowed).toBe(true);
+
+      expect(await consume('user-1')).toEqual({
+        allowed: false,
+        scope: 'user',
+        rule: rules.user,
+        retryAfterSeconds: 90,
+      });
+      // Other callers have their own count
+      expect((await consume('user-2')).allowed).toBe(true);
+    });
+
+    it('does not count denied runs and slides the window', async () => {
+      await consume('user-1');
+      await consume('user-1');
+      await consume('user-1');
+
+      // The previous window's two runs still weigh slightly more than one
+      jest.advanceTimersByTime(89000);
+      expect((await consume('user-1')).allowed).toBe(false);
+
+      jest.advanceTimersByTime(1000);
+      expect((await consume('user-1')).allowed).toBe(true);
+    });
+
+    it('applies the org limit across users', async () => {
+      const orgRules = { user: { windowMs: 60000, max: 5 }, org: { windowMs: 60000, max: 2 } };
+
+      expect((await consume('user-1', orgRules)).allowed).toBe(true);
+      expect((await consume('user-2', orgRules)).allowed).toBe(true);
+
+      const decision = await consume('user-3', orgRules);
+      expect(decision.allowed).toBe(false);
+      expect(decision.scope).toBe('org');
+    });
+
+    it('allows everything without rules', async () => {
+      for (let i = 0; i < 5; i++) {
+        expect((await consume('user-1', {} as any)).allowed).toBe(true);
+      }
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Phase 12P: Per-Action Rate Limiter
+ *
+ * Enforces each action's `rateLimit` per user, and optionally per org, over a sliding
+ * window. Limits come from the ActionDefinition and can be overridden per org in
+ * `limits.actionRateLimits`. Counts live in the usage counter store, so limits hold across
+ * restarts and instances that share it.
+ *
+ * The window is approximated from two fixed windows: the previous window's count is weighted
+ * by how much of it still overlaps the sliding window, plus the current window's count.
+ */
+
+import { OrgConfig } from '../types/orgConfig';
+import { UsageCounterStore, createUsageCounterStore } from './usageCounterStore';
+import { logger } from '../logging/logger';
+
+export interface ActionRateLimitRule {
+  windowMs: number;
+  max: number;
+}
+
+export interface ActionRateLimitRules {
+  user?: ActionRateLimitRule;
+  org?: ActionRateLimitRule;
+}
+
+export interface ActionRateLimitDecision {
+  allowed: boolean;
+  // Set when a limit was exceeded
+  scope?: 'user' | 'org';
+  rule?: ActionRateLimitRule;
+  retryAfterSeconds?: number;
+}
+
+// Window counters idle this long are deleted; longer than any sensible rate limit window
+const IDLE_COUNTER_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+export class ActionRateLimiter {
+  private store: UsageCounterStore;
+  private lastPrunedAt = 0;
+
+  constructor(store: UsageCounterStore = createUsageCounterStore()) {
+    this.store = store;
+  }
+
+  /**
+   * Limits for an action: the org's entry for the action, then its 'default' entry, override
+   * the action definition's per-user limit. Per-org limits only come from the org config.
+   */
+  getRules(
+    actionName: string,
+    definitionLimit: ActionRateLimitRule | undefined,
+    orgConfig: OrgConfig | null | undefined
+  ): ActionRateLimitRules {
+    const overrides = orgConfig?.limits?.actionRateLimits;
+    const override = overrides?.[actionName] || overrides?.default;
+    const windowMs = override?.windowMs || definitionLimit?.windowMs;
+
+    if (!windowMs) {
+      return {};
+    }
+
+    const userMax = override?.maxPerUser ?? definitionLimit?.max;
+    return {
+      user: typeof userMax === 'number' ? { windowMs, max: userMax } : undefined,
+      org: typeof override?.maxPerOrg === 'number' ? { windowMs, max: override.maxPerOrg } : undefined,
+    };
+  }
+
+  /**
+   * Count one run of an action against its limits. A run that would exceed a limit isn't counted.
+   */
+  async consume(params: {
+    actionName: string;
+    orgId: string;
+    // Authenticated user, or another stable caller key for anonymous requests
+    callerId: string;
+    rules: ActionRateLimitRules;
+  }): Promise<ActionRateLimitDecision> {
+    const { actionName, orgId, callerId, rules } = params;
+    const scopes: Array<{ scope: 'user' | 'org'; key: string; rule: ActionRateLimitRule }> = [];
+    if (rules.user) {
+      scopes.push({ scope: 'user', key: `ratelimit:user:${orgId}:${callerId}:${actionName}`, rule: rules.user });
+    }
+    if (rules.org) {
+      scopes.push({ scope: 'org', key: `ratelimit:org:${orgId}:${actionName}`, rule: rules.org });
+    }
+
+    if (scopes.length === 0) {
+      return { allowed: true };
+    }
+
+    try {
+      const now = Date.now();
+      const windows = scopes.map(({ key, rule }) => {
+        const index = Math.floor(now / rule.windowMs);
+        return {
+          // Alternating keys keep the previous window's count while the current one fills
+          current: { key: `${key}:${index % 2}`, period: `${rule.windowMs}:${index}` },
+          previous: { key: `${key}:${(index + 1) % 2}`, period: `${rule.windowMs}:${index - 1}` },
+          elapsed: (now % rule.windowMs) / rule.windowMs,
+        };
+      });
+
+      // Count first so concurrent requests can't all pass a check, then roll back a denied run
+      const currentCounts = await this.store.increment(windows.map(window => ({ ...window.current, amount: 1 })));
+      const previousCounts = await this.store.get(windows.map(window => window.previous));
+
+      for (let i = 0; i < scopes.length; i++) {
+        const { rule, scope } = scopes[i];
+        const weighted = previousCounts[i] * (1 - windows[i].elapsed) + currentCounts[i];
+        if (weighted > rule.max) {
+          await this.store.increment(windows.map(window => ({ ...window.current, amount: -1 })));
+          return {
+            allowed: false,
+            scope,
+            rule,
+            retryAfterSeconds: this.getRetryAfterSeconds(rule, previousCounts[i], currentCounts[i] - 1, windows[i].elapsed),
+          };
+        }
+      }
+
+      await this.pruneIdleCounters(now);
+      return { allowed: true };
+    } catch (error) {
+      // A store failure shouldn't take actions down with it
+      logger.error('Action rate limit check failed', { actionName, orgId, error: error instanceof Error ? error.message : error });
+      return { allowed: true };
+    }
+  }
+
+  private async pruneIdleCounters(now: number): Promise<void> {
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPrunedAt = now;
+
+    const idle = (await this.store.list('ratelimit:'))
+      .filter(counter => now - counter.lastUpdated > IDLE_COUNTER_MS)
+      .map(counter => counter.key);
+    if (idle.length > 0) {
+      await this.store.delete(idle);
+    }
+  }
+
+  /**
+   * Seconds until one more run fits: the previous window's weight has to decay enough, or,
+   * when the current window alone is full, part of the next window has to pass
+   */
+  private getRetryAfterSeconds(rule: ActionRateLimitRule, previous: number, current: number, elapsed: number): number {
+    const room = rule.max - 1;
+    let waitMs: number;
+
+    if (current <= room && previous > 0) {
+      const neededElapsed = 1 - (room - current) / previous;
+      waitMs = (neededElapsed - elapsed) * rule.windowMs;
+    } else {
+      const neededElapsed = current > 0 ? Math.max(0, 1 - room / current) : 0;
+      waitMs = (1 - elapsed + neededElapsed) * rule.windowMs;
+    }
+
+    return Math.max(1, Math.ceil(waitMs / 1000));
+  }
+}
+
+export const actionRateLimiter = new ActionRateLimiter();
@@ -0,0 +1,110 @@
+import { ActionResultCache, ResultCacheKeyParts } from './actionResultCache';
+import { OrgConfig } from '../types/orgConfig';
+
+const keyParts: ResultCacheKeyParts = {
+  actionName: 'analyze_linkedin_profile',
+  payload: {
+    url: 'https://www.linkedin.com/in/jane-doe/?utm_source=share#about',
+    platform: 'linkedin',
+    timestamp: '2026-01-01T10:00:00Z',
+    context: { type: 'profile', data: { headline: 'VP  Sales\n at Acme' } },
+  },
+  orgId: 'org-1',
+  userId: 'user-1',
+  templateVersion: '2.0.0',
+  orgIntelligenceVersion: 'v7',
+};
+
+describe('ActionResultCache', () => {
+  let cache: ActionResultCache;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    cache = new ActionResultCache();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('buildKey', () => {
+    it('ignores volatile fields, whitespace, key order and tracking parameters', () => {
+      const samePage = {
+        ...keyParts,
+        payload: {
+          context: { data: { headline: 'VP Sales at Acme' }, type: 'profile' },
+          platform: 'linkedin',
+          timestamp: '2026-01-02T09:00:00Z',
+          url: 'https://www.linkedin.com/in/jane-doe',
+        },
+      };
+
+      expect(cache.buildKey(samePage)).toBe(cache.buildKey(keyParts));
+    });
+
+    it('separates users, orgs, template and intelligence versions', () => {
+      const key = cache.buildKey(keyParts);
+
+      expect(cache.buildKey({ ...keyParts, userId: 'user-2' })).not.toBe(key);
+      expect(cache.buildKey({ ...keyParts, orgId: 'org-2' })).not.toBe(key);
+      expect(cache.buildKey({ ...keyParts, templateVersion: '2.1.0' })).not.toBe(key);
+      expect(cache.buildKey({ ...keyParts, orgIntelligenceVersion: 'v8' })).not.toBe(key);
+    });
+  });
+
+  describe('getTtlSeconds', () => {
+    it('prefers the org value for the action, then its default, then the built-in default', () => {
+      const orgConfig = { limits: { resultCacheTtlSeconds: { analyze_email_message: 0, default: 120 } } } as unknown as OrgConfig;
+
+      expect(cache.getTtlSeconds(orgConfig, 'analyze_email_message')).toBe(0);
+      expect(cache.getTtlSeconds(orgConfig, 'analyze_linkedin_profile')).toBe(120);
+      expect(cache.getTtlSeconds(null, 'analyze_linkedin_profile')).toBe(900);
+      expect(cache.getTtlSeconds(null, 'generate_email_draft')).toBe(0);
+    });
+  });
+
+  it('serves a result until it expires', () => {
+    const key = cache.buildKey(keyParts);
+    cache.set(key, { success: true, data: { score: 82 } }, 60, { orgId: 'org-1', actionName: keyParts.actionName });
+
+    jest.advanceTimersByTime(59000);
+    expect(cache.get(key)).toEqual({ result: { success: true, data: { score: 82 } }, ageSeconds: 59 });
+
+    jest.advanceTimersByTime(1000);
+    expect(cache.get(key)).toBeNull();
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, stores: 1, entries: 0 });
+  });
+
+  it('does not store failed results', () => {
+    cache.set('key', { success: false, error: 'Provider unavailable' }, 60, { orgId: 'org-1', actionName: 'summarize' });
+
+    expect(cache.get('key')).toBeNull();
+  });
+
+  it('evicts the least recently used entry when full', () => {
+    process.env.RESULT_CACHE_MAX_ENTRIES = '2';
+    const small = new ActionResultCache();
+    delete process.env.RESULT_CACHE_MAX_ENTRIES;
+    const context = { orgId: 'org-1', actionName: 'summarize' };
+
+    small.set('a', { success: true }, 60, context);
+    small.set('b', { success: true }, 60, context);
+    small.get('a');
+    small.set('c', { success: true }, 60, context);
+
+    expect(small.get('b')).toBeNull();
+    expect(small.get('a')).not.toBeNull();
+    expect(small.get('c')).not.toBeNull();
+    expect(small.getStats().evictions).toBe(1);
+  });
+
+  it('clears one org, optionally for one action', () => {
+    cache.set('a', { success: true }, 60, { orgId: 'org-1', actionName: 'summarize' });
+    cache.set('b', { success: true }, 60, { orgId: 'org-1', actionName: 'analyze' });
+    cache.set('c', { success: true }, 60, { orgId: 'org-2', actionName: 'summarize' });
+
+    expect(cache.clear('org-1', 'summarize')).toBe(1);
+    expect(cache.clear('org-1')).toBe(1);
+    expect(cache.get('c')).not.toBeNull();
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Phase 12E: Action Result Cache
+ *
+ * Serves repeat analyses of the same page (re-opening a LinkedIn profile or Salesforce
+ * opportunity) without another LLM call. Entries are keyed by action, a normalized hash
+ * of the payload, org, user, prompt template version and org intelligence version, so editing
+ * a template or the org's intelligence naturally misses the cache. Prompts include the
+ * session user, so one user's analysis is never served to another user in the org.
+ */
+
+import * as crypto from 'crypto';
+import { ActionResponse } from '../types';
+import { OrgConfig } from '../types/orgConfig';
+import { logger } from '../logging/logger';
+
+export interface ResultCacheKeyParts {
+  actionName: string;
+  payload: any;
+  orgId: string | null;
+  userId: string | null;
+  templateVersion: string;
+  orgIntelligenceVersion: string;
+}
+
+interface CachedResult {
+  result: ActionResponse;
+  orgId: string | null;
+  actionName: string;
+  cachedAt: number;
+  expiresAt: number;
+}
+
+// Used when the org config does not set limits.resultCacheTtlSeconds; generative actions are not cached
+const DEFAULT_TTL_SECONDS: Record<string, number> = {
+  analyze_linkedin_profile: 900,
+  analyze_opportunity_risk: 900,
+  analyze_email_message: 600,
+  get_dashboard_insights: 300,
+};
+
+// Payload fields that change on every request without changing the analysis
+const VOLATILE_PAYLOAD_KEYS = ['timestamp', 'requestId', 'identityToken', 'extractionConfidence'];
+
+export class ActionResultCache {
+  private entries: Map<string, CachedResult> = new Map();
+  private readonly MAX_ENTRIES = parseInt(process.env.RESULT_CACHE_MAX_ENTRIES || '500', 10);
+  private stats = { hits: 0, misses: 0, bypasses: 0, stores: 0, evictions: 0 };
+
+  /**
+   * TTL in seconds for an action. The org's per-action value wins, then its 'default',
+   * then the built-in default. 0 disables caching.
+   */
+  getTtlSeconds(orgConfig: OrgConfig | null | undefined, actionName: string): number {
+    const ttls = orgConfig?.limits?.resultCacheTtlSeconds;
+
+    if (ttls && typeof ttls[actionName] === 'number') {
+      return Math.max(0, ttls[actionName]);
+    }
+    if (ttls && typeof ttls.default === 'number') {
+      return Math.max(0, ttls.default);
+    }
+    return DEFAULT_TTL_SECONDS[actionName] || 0;
+  }
+
+  buildKey(parts: ResultCacheKeyParts): string {
+    const payloadHash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify(this.normalize(parts.payload)))
+      .digest('hex');
+
+    return [
+      parts.actionName,
+      parts.orgId || 'anonymous',
+      parts.userId || 'anonymous',
+      parts.templateVersion,
+      parts.orgIntelligenceVersion,
+      payloadHash,
+    ].join(':');
+  }
+
+  get(key: string): { result: ActionResponse; ageSeconds: number } | null {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // Re-insert so the Map's insertion order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+
+    return {
+      result: entry.result,
+      ageSeconds: Math.floor((Date.now() - entry.cachedAt) / 1000),
+    };
+  }
+
+  set(key: string, result: ActionResponse, ttlSeconds: number, context: { orgId: string | null; actionName: string }): void {
+    if (ttlSeconds <= 0 || !result.success) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      result,
+      orgId: context.orgId,
+      actionName: context.actionName,
+      cachedAt: Date.now(),
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+    this.stats.stores++;
+
+    while (this.entries.size > this.MAX_ENTRIES) {
+      const oldestKey = this.entries.keys().next().value as string;
+      this.entries.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  recordBypass(): void {
+    this.stats.bypasses++;
+  }
+
+  /**
+   * Drop cached results for an org (and optionally a single action), or everything
+   */
+  clear(orgId?: string, actionName?: string): number {
+    if (!orgId) {
+      const count = this.entries.size;
+      this.entries.clear();
+      return count;
+    }
+
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.orgId === orgId && (!actionName || entry.actionName === actionName)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    logger.info(`Cleared ${removed} cached results`, { orgId, actionName });
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      maxEntries: this.MAX_ENTRIES,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+    };
+  }
+
+  /**
+   * Stable form of the payload: sorted keys, collapsed whitespace, volatile fields
+   * removed and URLs stripped of fragments and tracking parameters
+   */
+  private normalize(value: any, key?: string): any {
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalize(item));
+    }
+
+    if (value && typeof value === 'object') {
+      const normalized: Record<string, any> = {};
+      for (const childKey of Object.keys(value).sort()) {
+        if (VOLATILE_PAYLOAD_KEYS.includes(childKey) || value[childKey] === undefined) {
+          continue;
+        }
+        normalized[childKey] = this.normalize(value[childKey], childKey);
+      }
+      return normalized;
+    }
+
+    if (typeof value === 'string') {
+      return key === 'url' ? this.normalizeUrl(value) : value.replace(/\s+/g, ' ').trim();
+    }
+
+    return value;
+  }
+
+  private normalizeUrl(url: string): string {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      for (const param of Array.from(parsed.searchParams.keys())) {
+        if (param.startsWith('utm_') || param === 'trk' || param === 'trackingId') {
+          parsed.searchParams.delete(param);
+        }
+      }
+      return parsed.toString().replace(/\/$/, '');
+    } catch {
+      return url.trim();
+    }
+  }
+}
+
+export const actionResultCache = new ActionResultCache();
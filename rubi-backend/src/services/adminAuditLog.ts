@@ -0,0 +1,185 @@
+/**
+ * Phase 12Q: Admin Audit Log
+ *
+ * Append-only record of admin changes to organizations. Entries are written as JSON Lines
+ * to ADMIN_AUDIT_LOG_FILE and never rewritten; secret values are redacted before they are
+ * written, so a changed secret shows up in the diff without its value.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { AdminAuditAction, AdminAuditEntry, AdminAuditFieldChange, AdminAuditQuery } from '../types/audit';
+import { AdminSessionData } from '../middleware/adminAuth';
+import { logger } from '../logging/logger';
+
+export const ADMIN_AUDIT_ACTIONS: AdminAuditAction[] = [
+  'org_created',
+  'org_updated',
+  'org_soft_deleted',
+  'org_hard_deleted',
+  'org_restored',
+  'org_rolled_back',
+  'org_intelligence_updated',
+  'org_provider_key_updated',
+  'org_provider_key_removed',
+];
+
+// Bookkeeping that changes on every write
+const IGNORED_FIELDS = new Set(['updatedAt']);
+const SECRET_FIELD_PATTERN = /secret|password|api_?key/i;
+const REDACTED = '[redacted]';
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+
+function isPlainObject(value: any): value is Record<string, any> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Field-level differences between two org configs or org intelligence documents (either may
+ * be null for creates and hard deletes). Nested objects are walked; arrays and other values are compared whole.
+ */
+export function diffOrgConfigs(before: any, after: any): AdminAuditFieldChange[] {
+  // Round-trip through JSON so Dates and undefined fields compare the way they are stored
+  const normalize = (value: any) => (value == null ? {} : JSON.parse(JSON.stringify(value)));
+  const changes: AdminAuditFieldChange[] = [];
+
+  const walk = (prefix: string, left: Record<string, any>, right: Record<string, any>) => {
+    const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+    for (const key of Array.from(keys).sort()) {
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      if (!prefix && IGNORED_FIELDS.has(key)) {
+        continue;
+      }
+
+      const a = left[key];
+      const b = right[key];
+      if (isPlainObject(a) && isPlainObject(b)) {
+        walk(fieldPath, a, b);
+        continue;
+      }
+      if (JSON.stringify(a) === JSON.stringify(b)) {
+        continue;
+      }
+
+      const secret = SECRET_FIELD_PATTERN.test(key);
+      const change: AdminAuditFieldChange = { path: fieldPath };
+      if (a !== undefined) {
+        change.before = secret ? REDACTED : a;
+      }
+      if (b !== undefined) {
+        change.after = secret ? REDACTED : b;
+      }
+      changes.push(change);
+    }
+  };
+
+  walk('', normalize(before), normalize(after));
+  return changes;
+}
+
+export class AdminAuditLog {
+  private logPath: string;
+  private writeQueue: Promise<void> = Promise.resolve();
+
+  constructor(logPath: string = process.env.ADMIN_AUDIT_LOG_FILE || path.join(process.cwd(), 'data', 'admin-audit.jsonl')) {
+    this.logPath = logPath;
+  }
+
+  /**
+   * Record an org mutation. A failed write is logged rather than thrown, since the change
+   * it describes has already been made.
+   */
+  async record(params: {
+    action: AdminAuditAction;
+    orgId: string;
+    admin?: AdminSessionData;
+    requestId?: string;
+    before: any;
+    after: any;
+  }): Promise<AdminAuditEntry> {
+    const entry: AdminAuditEntry = {
+      id: `audit_${crypto.randomUUID()}`,
+      timestamp: new Date().toISOString(),
+      adminId: params.admin?.userId || 'unknown',
+      adminEmail: params.admin?.email,
+      adminRole: params.admin?.role,
+      action: params.action,
+      orgId: params.orgId,
+      requestId: params.requestId,
+      changes: diffOrgConfigs(params.before, params.after),
+    };
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+        await fs.appendFile(this.logPath, `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        logger.error('Failed to write admin audit entry', {
+          auditId: entry.id,
+          orgId: entry.orgId,
+          action: entry.action,
+          error: error instanceof Error ? error.message : error,
+        });
+      }
+    });
+    await this.writeQueue;
+
+    return entry;
+  }
+
+  /**
+   * Matching entries, newest first, with the total number of matches
+   */
+  async query(filters: AdminAuditQuery = {}): Promise<{ entries: AdminAuditEntry[]; total: number }> {
+    await this.writeQueue;
+
+    const fromTime = filters.from ? Date.parse(filters.from) : null;
+    const toTime = filters.to ? Date.parse(filters.to) : null;
+    const limit = Math.min(Math.max(filters.limit || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const offset = Math.max(filters.offset || 0, 0);
+
+    const matches = (await this.readEntries())
+      .filter(entry =>
+        (!filters.orgId || entry.orgId === filters.orgId) &&
+        (!filters.orgIds || filters.orgIds.includes(entry.orgId)) &&
+        (!filters.adminId || entry.adminId === filters.adminId) &&
+        (!filters.action || entry.action === filters.action) &&
+        (fromTime === null || Date.parse(entry.timestamp) >= fromTime) &&
+        (toTime === null || Date.parse(entry.timestamp) <= toTime)
+      )
+      .reverse();
+
+    return { entries: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  private async readEntries(): Promise<AdminAuditEntry[]> {
+    let content: string;
+    try {
+      content = await fs.readFile(this.logPath, 'utf-8');
+    } catch (error) {
+      if ((error as any).code !== 'ENOENT') {
+        logger.error('Failed to read admin audit log', { error: error instanceof Error ? error.message : error });
+      }
+      return [];
+    }
+
+    const entries: AdminAuditEntry[] = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A torn final line from a crash mid-append; the rest of the log is still good
+        logger.warn('Skipping unreadable admin audit entry', { path: this.logPath });
+      }
+    }
+    return entries;
+  }
+}
+
+export const adminAuditLog = new AdminAuditLog();
@@ -0,0 +1,395 @@
+/**
+ * Phase 12Y: Admin Users
+ *
+ * Admin panel accounts, kept in the admin user store. Passwords are hashed with scrypt under a
+ * per-user random salt. New users are invited: the invite token lets them choose a password,
+ * and a reset token issued later by a superadmin works the same way. Tokens are single-use and
+ * only their SHA-256 hash is stored.
+ *
+ * On first start, with the store empty, ADMIN_USERNAME / ADMIN_PASSWORD become the initial
+ * superadmin (and SECONDARY_ADMIN_USERNAME / SECONDARY_ADMIN_PASSWORD an org admin for every
+ * org), so existing deployments keep working. After that those variables are ignored. Outside
+ * development ADMIN_PASSWORD is required, and both passwords must meet the password policy.
+ *
+ * Changing or resetting a password bumps the user's tokenVersion, which ends their existing
+ * admin sessions.
+ *
+ * Methods throw plain errors whose messages are safe to return to the admin panel.
+ */
+
+import * as crypto from 'crypto';
+import { promisify } from 'util';
+import {
+  ADMIN_ROLES,
+  ALL_ORGS,
+  AdminRole,
+  AdminUser,
+  AdminUserStatus,
+  AdminUserSummary,
+  AdminUserToken,
+} from '../types/adminUser';
+import { AdminUserStore, createAdminUserStore } from '../config/adminUserStore';
+import { config } from '../config';
+import { logger } from '../logging/logger';
+
+const scrypt = promisify(crypto.scrypt) as (
+  password: crypto.BinaryLike,
+  salt: crypto.BinaryLike,
+  keylen: number,
+  options: crypto.ScryptOptions
+) => Promise<Buffer>;
+
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+const TOKEN_BYTES = 32;
+const INVITE_TTL_MS = 72 * 60 * 60 * 1000;
+const RESET_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const MIN_PASSWORD_LENGTH = 12;
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,64}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+const DEFAULT_ADMIN_USERNAME = 'admin';
+// Development only; other environments must set ADMIN_PASSWORD
+const DEV_ADMIN_PASSWORD = 'changeme-dev-only';
+
+export interface AdminUserInput {
+  username: string;
+  email: string;
+  role: AdminRole;
+  orgIds?: string[];
+}
+
+export interface AdminUserChanges {
+  email?: string;
+  role?: AdminRole;
+  orgIds?: string[];
+  status?: Exclude<AdminUserStatus, 'invited'>;
+}
+
+async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [scheme, n, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issueToken(purpose: AdminUserToken['purpose']): { token: string; pendingToken: AdminUserToken } {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  const ttl = purpose === 'invite' ? INVITE_TTL_MS : RESET_TTL_MS;
+  return {
+    token,
+    pendingToken: { hash: hashToken(token), purpose, expiresAt: new Date(Date.now() + ttl).toISOString() },
+  };
+}
+
+function validatePassword(password: unknown): string {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function validateEmail(email: unknown): string {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+    throw new Error('A valid email address is required');
+  }
+  return email;
+}
+
+function validateRole(role: unknown): AdminRole {
+  if (!ADMIN_ROLES.includes(role as AdminRole)) {
+    throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+  }
+  return role as AdminRole;
+}
+
+// Superadmins see every org, so their list is always empty; everyone else needs at least one
+function normalizeOrgIds(role: AdminRole, orgIds: unknown): string[] {
+  if (role === 'superadmin') {
+    return [];
+  }
+  if (!Array.isArray(orgIds) || orgIds.some(id => typeof id !== 'string' || !id.trim())) {
+    throw new Error('orgIds must be an array of organization IDs');
+  }
+  const unique = Array.from(new Set(orgIds.map(id => id.trim())));
+  if (unique.length === 0) {
+    throw new Error(`The ${role} role needs at least one organization (or "${ALL_ORGS}" for all)`);
+  }
+  return unique.includes(ALL_ORGS) ? [ALL_ORGS] : unique;
+}
+
+export function summarizeAdminUser(user: AdminUser): AdminUserSummary {
+  const { passwordHash, pendingToken, ...summary } = user;
+  return pendingToken ? { ...summary, pendingTokenExpiresAt: pendingToken.expiresAt } : summary;
+}
+
+export class AdminUserService {
+  private store: AdminUserStore;
+  // Compared against when the username is unknown, so a miss takes as long as a wrong password
+  private dummyHash: Promise<string> | null = null;
+
+  constructor(store: AdminUserStore = createAdminUserStore()) {
+    this.store = store;
+  }
+
+  async initialize(): Promise<void> {
+    await this.store.initialize();
+
+    if ((await this.store.list()).length > 0) {
+      return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || DEFAULT_ADMIN_USERNAME;
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      if (!config.isDevelopment()) {
+        throw new Error('ADMIN_PASSWORD must be set to create the initial superadmin');
+      }
+      logger.warn('Creating the initial superadmin with the development password. Set ADMIN_PASSWORD or change it after logging in.');
+      password = DEV_ADMIN_PASSWORD;
+    }
+    const secondaryPassword = process.env.SECONDARY_ADMIN_USERNAME ? process.env.SECONDARY_ADMIN_PASSWORD : undefined;
+    try {
+      validatePassword(password);
+      if (secondaryPassword) {
+        validatePassword(secondaryPassword);
+      }
+    } catch (error) {
+      throw new Error(`ADMIN_PASSWORD and SECONDARY_ADMIN_PASSWORD: ${(error as Error).message}`);
+    }
+
+    await this.createActive(username, 'superadmin', [], password);
+
+    if (secondaryPassword) {
+      await this.createActive(process.env.SECONDARY_ADMIN_USERNAME!, 'org_admin', [ALL_ORGS], secondaryPassword);
+    }
+
+    logger.info('Admin user store bootstrapped from environment', { store: this.store.kind });
+  }
+
+  /**
+   * The active user with these credentials, or null
+   */
+  async authenticate(username: string, password: string): Promise<AdminUser | null> {
+    const user = await this.store.get(username);
+    if (!user?.passwordHash) {
+      await verifyPassword(password, await this.getDummyHash());
+      return null;
+    }
+
+    if (!(await verifyPassword(password, user.passwordHash)) || user.status !== 'active') {
+      return null;
+    }
+
+    return this.store.update(username, existing => ({ ...existing, lastLoginAt: new Date().toISOString() }));
+  }
+
+  /**
+   * The full stored record, for session checks; never return it from the API
+   */
+  async getUser(username: string): Promise<AdminUser | null> {
+    return this.store.get(username);
+  }
+
+  async list(): Promise<AdminUserSummary[]> {
+    return (await this.store.list()).map(summarizeAdminUser);
+  }
+
+  async get(username: string): Promise<AdminUserSummary | null> {
+    const user = await this.store.get(username);
+    return user ? summarizeAdminUser(user) : null;
+  }
+
+  /**
+   * Create an invited user. The returned token is the only copy; the user sets their password with it.
+   */
+  async invite(input: AdminUserInput, createdBy: string): Promise<{ user: AdminUserSummary; token: string }> {
+    if (typeof input.username !== 'string' || !USERNAME_PATTERN.test(input.username)) {
+      throw new Error('Username must be 3-64 letters, digits, dots, dashes or underscores');
+    }
+    const role = validateRole(input.role);
+    const now = new Date().toISOString();
+    const { token, pendingToken } = issueToken('invite');
+
+    const user = await this.store.create({
+      username: input.username,
+      email: validateEmail(input.email),
+      role,
+      orgIds: normalizeOrgIds(role, input.orgIds),
+      status: 'invited',
+      pendingToken,
+      createdAt: now,
+      updatedAt: now,
+      createdBy,
+    });
+    return { user: summarizeAdminUser(user), token };
+  }
+
+  /**
+   * Change a user's email, role, orgs or status. Admins can't change their own role or status,
+   * and the last active superadmin can't be demoted or disabled.
+   */
+  async update(username: string, changes: AdminUserChanges, actor: string): Promise<AdminUserSummary> {
+    if (changes.status !== undefined && changes.status !== 'active' && changes.status !== 'disabled') {
+      throw new Error('Status must be active or disabled');
+    }
+    const email = changes.email !== undefined ? validateEmail(changes.email) : undefined;
+    const role = changes.role !== undefined ? validateRole(changes.role) : undefined;
+
+    const otherSuperadmins = await this.countActiveSuperadmins(username);
+    const updated = await this.store.update(username, existing => {
+      const nextRole = role || existing.role;
+      let nextStatus = changes.status || existing.status;
+      // Enabling a user who never accepted their invite leaves them invited
+      if (nextStatus === 'active' && !existing.passwordHash) {
+        nextStatus = 'invited';
+      }
+      if (username === actor && (nextRole !== existing.role || nextStatus !== existing.status)) {
+        throw new Error('You cannot change your own role or status');
+      }
+      const stillSuperadmin = nextRole === 'superadmin' && nextStatus === 'active';
+      if (existing.role === 'superadmin' && existing.status === 'active' && !stillSuperadmin && otherSuperadmins === 0) {
+        throw new Error('At least one active superadmin is required');
+      }
+
+      return {
+        ...existing,
+        email: email || existing.email,
+        role: nextRole,
+        orgIds: normalizeOrgIds(nextRole, changes.orgIds !== undefined ? changes.orgIds : existing.orgIds),
+        status: nextStatus,
+        updatedAt: new Date().toISOString(),
+      };
+    });
+    return summarizeAdminUser(updated);
+  }
+
+  /**
+   * Issue a password reset token, replacing any outstanding token. The current password keeps
+   * working until the token is used.
+   */
+  async issueResetToken(username: string): Promise<{ user: AdminUserSummary; token: string }> {
+    const { token, pendingToken } = issueToken('reset');
+    const updated = await this.store.update(username, existing => {
+      if (existing.status === 'disabled') {
+        throw new Error('Enable the user before resetting their password');
+      }
+      // An invited user keeps an invite: accepting it is what activates the account
+      const purpose = existing.status === 'invited' ? 'invite' : 'reset';
+      return { ...existing, pendingToken: { ...pendingToken, purpose }, updatedAt: new Date().toISOString() };
+    });
+    return { user: summarizeAdminUser(updated), token };
+  }
+
+  /**
+   * Accept an invite or complete a reset: set the password and use up the token
+   */
+  async setPasswordWithToken(token: string, password: string): Promise<AdminUserSummary> {
+    validatePassword(password);
+    const tokenHash = typeof token === 'string' ? hashToken(token) : '';
+    const user = (await this.store.list()).find(candidate => candidate.pendingToken?.hash === tokenHash);
+    if (!user || Date.parse(user.pendingToken!.expiresAt) < Date.now() || user.status === 'disabled') {
+      throw new Error('This link is invalid or has expired');
+    }
+
+    const passwordHash = await hashPassword(password);
+    const updated = await this.store.update(user.username, existing => {
+      // Another reset may have replaced the token while the hash was computed
+      if (existing.pendingToken?.hash !== tokenHash) {
+        throw new Error('This link is invalid or has expired');
+      }
+      const { pendingToken, ...rest } = existing;
+      return {
+        ...rest,
+        passwordHash,
+        tokenVersion: (existing.tokenVersion || 0) + 1,
+        status: 'active',
+        updatedAt: new Date().toISOString(),
+      };
+    });
+    return summarizeAdminUser(updated);
+  }
+
+  /**
+   * Change a password after checking the current one. Returns the updated user so the caller
+   * can issue a session token for the new tokenVersion.
+   */
+  async changePassword(username: string, currentPassword: string, newPassword: string): Promise<AdminUser> {
+    validatePassword(newPassword);
+    const user = await this.store.get(username);
+    if (!user?.passwordHash || !(await verifyPassword(String(currentPassword ?? ''), user.passwordHash))) {
+      throw new Error('Current password is incorrect');
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    return this.store.update(username, existing => ({
+      ...existing,
+      passwordHash,
+      tokenVersion: (existing.tokenVersion || 0) + 1,
+      updatedAt: new Date().toISOString(),
+    }));
+  }
+
+  async remove(username: string, actor: string): Promise<AdminUserSummary> {
+    if (username === actor) {
+      throw new Error('You cannot delete your own account');
+    }
+    const user = await this.store.get(username);
+    if (user?.role === 'superadmin' && user.status === 'active' && (await this.countActiveSuperadmins(username)) === 0) {
+      throw new Error('At least one active superadmin is required');
+    }
+    return summarizeAdminUser(await this.store.delete(username));
+  }
+
+  private async createActive(username: string, role: AdminRole, orgIds: string[], password: string): Promise<void> {
+    const now = new Date().toISOString();
+    await this.store.create({
+      username,
+      email: `${username}@rubi.admin`,
+      role,
+      orgIds,
+      status: 'active',
+      passwordHash: await hashPassword(password),
+      createdAt: now,
+      updatedAt: now,
+      createdBy: 'environment',
+    });
+  }
+
+  private async countActiveSuperadmins(excluding: string): Promise<number> {
+    return (await this.store.list()).filter(user =>
+      user.username !== excluding && user.role === 'superadmin' && user.status === 'active'
+    ).length;
+  }
+
+  private getDummyHash(): Promise<string> {
+    if (!this.dummyHash) {
+      this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyHash;
+  }
+}
+
+export const adminUsers = new AdminUserService();
@@ -5,7 +5,7 @@
  * and identity sources for diagnostic purposes.
  */
 
-import { ActionExecutionMetadata, ConfigSourceInfo } from '../types/metadata';
+import { ActionExecutionMetadata, ConfigSourceInfo, InjectedIntelligenceItem, LLMExecutionDetails, PiiRedactionDetails, PipelineExecutionDetails, PromptBudgetDetails, PromptInjectionFinding, SchemaRepairReport } from '../types/metadata';
 import { AuthenticatedRequestContext } from '../types/identity';
 import { OrgConfig } from '../types/orgConfig';
 import { logger } from '../logging/logger';
@@ -124,12 +124,142 @@ export class ExecutionContextBuilder {
     this.metadata.providerFallbackOccurred = fallbackOccurred;
     
     if (fallbackOccurred) {
-      this.metadata.warnings.push('providerFallbackUsed');
+      this.addWarning('providerFallbackUsed');
     }
     
     return this;
   }
 
+  /**
+   * Phase 12B & 12C: Record the provider chain behind one LLM call. Handlers may call the LLM
+   * more than once; the first call sets the primary provider and the latest sets the final one.
+   */
+  recordProviderExecution(execution: LLMExecutionDetails | undefined): ExecutionContextBuilder {
+    if (!execution) {
+      return this;
+    }
+
+    const previousAttempts = this.metadata.providerAttempts || [];
+    const isFirstCall = previousAttempts.length === 0;
+
+    this.setProviderExecution(
+      isFirstCall ? execution.providerPrimary : this.metadata.providerPrimary,
+      execution.providerFinal,
+      isFirstCall ? execution.modelPrimary : this.metadata.modelPrimary,
+      execution.modelFinal,
+      this.metadata.providerFallbackOccurred || execution.fallbackOccurred
+    );
+
+    this.metadata.providerAttempts = [...previousAttempts, ...execution.attempts];
+    this.metadata.attemptCount = this.metadata.providerAttempts.length;
+
+    if (execution.attempts.some(attempt => attempt.timedOut)) {
+      this.addWarning('providerTimeout');
+    }
+
+    // Phase 12D: Note providers the circuit breaker kept us away from
+    if (execution.skippedProviders && execution.skippedProviders.length > 0) {
+      this.metadata.providersSkipped = [...(this.metadata.providersSkipped || []), ...execution.skippedProviders];
+      this.addWarning('providerCircuitOpen');
+    }
+
+    return this;
+  }
+
+  /**
+   * Phase 12E: Record whether the result came from the action result cache
+   */
+  setCacheResult(cacheHit: boolean, ageSeconds?: number): ExecutionContextBuilder {
+    this.metadata.cacheHit = cacheHit;
+    this.metadata.cacheAgeSeconds = cacheHit ? ageSeconds : undefined;
+    return this;
+  }
+
+  /**
+   * Phase 12H: Record the prompt token budget; the latest rendered prompt wins
+   */
+  setPromptBudget(budget: PromptBudgetDetails): ExecutionContextBuilder {
+    this.metadata.promptBudget = budget;
+    if (budget.trimmedSections.length > 0) {
+      this.addWarning('promptTrimmed');
+    }
+    if (!budget.withinBudget) {
+      this.addWarning('promptOverBudget');
+    }
+    return this;
+  }
+
+  /**
+   * Phase 12U: Record the org intelligence items put into a prompt. Pipelines render several
+   * prompts, so items are added to those already recorded.
+   */
+  addOrgIntelligenceItems(items: InjectedIntelligenceItem[]): ExecutionContextBuilder {
+    const recorded = this.metadata.orgIntelligenceItems || [];
+    for (const item of items) {
+      if (!recorded.some(existing => existing.section === item.section && existing.index === item.index)) {
+        recorded.push(item);
+      }
+    }
+    this.metadata.orgIntelligenceItems = recorded;
+    return this;
+  }
+
+  /**
+   * Phase 12W: Record instruction-like text neutralized in a prompt's page content. Pipelines
+   * render several prompts from the same payload, so findings are added to those already recorded.
+   */
+  addPromptInjectionFindings(findings: PromptInjectionFinding[]): ExecutionContextBuilder {
+    if (findings.length === 0) {
+      return this;
+    }
+    const recorded = this.metadata.promptInjectionFindings || [];
+    for (const finding of findings) {
+      if (!recorded.some(existing => existing.field === finding.field && existing.rule === finding.rule)) {
+        recorded.push(finding);
+      }
+    }
+    this.metadata.promptInjectionFindings = recorded;
+    if (!this.metadata.promptInjectionSuspected) {
+      this.metadata.promptInjectionSuspected = true;
+      this.addWarning('promptInjectionSuspected');
+    }
+    return this;
+  }
+
+  /**
+   * Phase 12V: Record what was redacted from the action's prompts
+   */
+  setPiiRedaction(redaction: PiiRedactionDetails): ExecutionContextBuilder {
+    this.metadata.piiRedaction = redaction;
+    return this;
+  }
+
+  /**
+   * Phase 12I: Record the schema repair stages for the action's output
+   */
+  setSchemaRepair(report: SchemaRepairReport): ExecutionContextBuilder {
+    this.metadata.schemaRepair = report;
+    if (report.outcome === 'corrected' || report.outcome === 'reprompted') {
+      this.addWarning('schemaRepaired');
+    } else if (report.outcome === 'fallback') {
+      this.addWarning('schemaFallbackUsed');
+    } else if (report.outcome === 'invalid') {
+      this.addWarning('schemaInvalid');
+    }
+    return this;
+  }
+
+  /**
+   * Phase 12L: Record per-step execution of a pipeline action
+   */
+  setPipeline(details: PipelineExecutionDetails): ExecutionContextBuilder {
+    this.metadata.pipeline = details;
+    if (details.steps.some(step => step.status !== 'succeeded')) {
+      this.addWarning('pipelineStepsIncomplete');
+    }
+    return this;
+  }
+
   /**
    * Add performance metrics
    */
@@ -139,11 +269,23 @@ export class ExecutionContextBuilder {
     attemptCount?: number
   ): ExecutionContextBuilder {
     this.metadata.duration = duration;
-    if (tokensUsed) this.metadata.tokensUsed = tokensUsed;
+    // Phase 12E: A cached result spent no tokens on this request
+    if (tokensUsed && !this.metadata.cacheHit) this.metadata.tokensUsed = tokensUsed;
     if (attemptCount) this.metadata.attemptCount = attemptCount;
     return this;
   }
 
+  /**
+   * Phase 12J: Add an LLM call's dollar cost to the action's total
+   */
+  addCost(costUsd: number): ExecutionContextBuilder {
+    // A cached result spent nothing on this request
+    if (!this.metadata.cacheHit) {
+      this.metadata.costUsd = (this.metadata.costUsd || 0) + costUsd;
+    }
+    return this;
+  }
+
   /**
    * Add a warning
    */
@@ -185,6 +327,18 @@ export class ExecutionContextBuilder {
       duration: this.metadata.duration,
       tokensUsed: this.metadata.tokensUsed,
       attemptCount: this.metadata.attemptCount,
+      costUsd: this.metadata.costUsd,
+      providerAttempts: this.metadata.providerAttempts,
+      providersSkipped: this.metadata.providersSkipped,
+      cacheHit: this.metadata.cacheHit || false,
+      cacheAgeSeconds: this.metadata.cacheAgeSeconds,
+      promptBudget: this.metadata.promptBudget,
+      schemaRepair: this.metadata.schemaRepair,
+      pipeline: this.metadata.pipeline,
+      orgIntelligenceItems: this.metadata.orgIntelligenceItems,
+      piiRedaction: this.metadata.piiRedaction,
+      promptInjectionSuspected: this.metadata.promptInjectionSuspected || false,
+      promptInjectionFindings: this.metadata.promptInjectionFindings,
       timestamp: this.metadata.timestamp || new Date().toISOString(),
       requestId: this.metadata.requestId
     };
@@ -0,0 +1,65 @@
+/**
+ * Exclusive lock files for read-modify-write updates of JSON stores
+ *
+ * The lock is a `<file>.lock` created with O_EXCL, so it holds across every process that
+ * shares the file (restarts, multiple instances on one host or on a shared volume).
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { logger } from '../logging/logger';
+
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 5000;
+// A lock older than this was left by a process that died mid-update
+const STALE_LOCK_MS = 10000;
+
+/**
+ * Run `fn` while holding the lock for `filePath`
+ */
+export async function withFileLock<T>(filePath: string, fn: () => Promise<T>): Promise<T> {
+  const lockPath = `${filePath}.lock`;
+  await acquireLock(filePath, lockPath);
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lockPath).catch(() => undefined);
+  }
+}
+
+async function acquireLock(filePath: string, lockPath: string): Promise<void> {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.close();
+      return;
+    } catch (error) {
+      if ((error as any).code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const lockStat = await fs.stat(lockPath).catch(() => null);
+    if (lockStat && Date.now() - lockStat.mtimeMs > STALE_LOCK_MS) {
+      logger.warn('Removing stale lock file', { path: lockPath });
+      await fs.unlink(lockPath).catch(() => undefined);
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+/**
+ * Replace a file's contents atomically (write a temp file, then rename over the original)
+ */
+export async function writeFileAtomic(filePath: string, content: string): Promise<void> {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+}
@@ -5,6 +5,26 @@
 
 import { OrgIntelligence } from '../types/orgIntelligence';
 import { logger } from '../logging/logger';
+import { RetrievableSection } from './orgIntelligenceRetriever';
+
+/**
+ * Phase 12U: Chooses up to `max` items of a section for the prompt. Without one the first
+ * items are used; with a payload, orgIntelligenceService passes a retrieval-based picker.
+ */
+export type IntelligenceItemPicker = <T>(section: RetrievableSection, items: T[], max: number) => T[];
+
+const pickFirst: IntelligenceItemPicker = (_section, items, max) => items.slice(0, max);
+
+export interface PromptMappingOptions {
+  maxValueProps?: number;
+  maxDifferentiators?: number;
+  maxPersonas?: number;
+  maxNarratives?: number;
+  maxObjections?: number;
+  maxCompetitors?: number;
+  maxSuccessStories?: number;
+  pick?: IntelligenceItemPicker;
+}
 
 export interface PromptIntelligence {
   company: {
@@ -46,6 +66,12 @@ export interface PromptIntelligence {
     objection: string;
     response: string;
   }>;
+  competitors: Array<{
+    name: string;
+    summary: string;
+    howToWin: string;
+    weaknesses: string[];
+  }>;
   successStories?: Array<{
     client: string;
     outcome: string;
@@ -61,14 +87,7 @@ export class OrgIntelligencePromptMapper {
    */
   static mapForPrompt(
     intelligence: OrgIntelligence | null,
-    options: {
-      maxValueProps?: number;
-      maxDifferentiators?: number;
-      maxPersonas?: number;
-      maxNarratives?: number;
-      maxObjections?: number;
-      includeSuccessStories?: boolean;
-    } = {}
+    options: PromptMappingOptions = {}
   ): PromptIntelligence | null {
     if (!intelligence) return null;
 
@@ -78,7 +97,9 @@ export class OrgIntelligencePromptMapper {
       maxPersonas = 3,
       maxNarratives = 2,
       maxObjections = 5,
-      includeSuccessStories = false,
+      maxCompetitors = 3,
+      maxSuccessStories = 0,
+      pick = pickFirst,
     } = options;
 
     try {
@@ -90,13 +111,12 @@ export class OrgIntelligencePromptMapper {
           tagline: intelligence.companyIdentity.tagline,
           industry: intelligence.companyIdentity.primaryIndustry,
         },
-        valueProps: intelligence.valuePropositions.slice(0, maxValueProps).map(vp => ({
+        valueProps: pick('valuePropositions', intelligence.valuePropositions, maxValueProps).map(vp => ({
           title: vp.title,
           description: vp.description,
           metrics: vp.metrics.slice(0, 2),
         })),
-        differentiators: intelligence.differentiators
-          .slice(0, maxDifferentiators)
+        differentiators: pick('differentiators', intelligence.differentiators, maxDifferentiators)
           .map(d => `${d.name}: ${d.explanation}`),
         messagingRules: {
           tone: intelligence.messagingRules.toneGuidelines.slice(0, 3),
@@ -106,7 +126,7 @@ export class OrgIntelligencePromptMapper {
             .reduce((acc, [k, v]) => ({ ...acc, [k]: v }), {}),
           style: intelligence.messagingRules.interactionStyle,
         },
-        targetPersonas: intelligence.buyerPersonas.slice(0, maxPersonas).map(p => ({
+        targetPersonas: pick('buyerPersonas', intelligence.buyerPersonas, maxPersonas).map(p => ({
           role: p.roleTitle,
           goals: p.goals.slice(0, 3),
           style: p.preferredLanguageStyle,
@@ -118,19 +138,25 @@ export class OrgIntelligencePromptMapper {
           painPoints: intelligence.icp.painPoints.slice(0, 3),
           companySizes: intelligence.icp.companySizes,
         },
-        narratives: intelligence.strategicNarratives.slice(0, maxNarratives).map(n => ({
+        narratives: pick('strategicNarratives', intelligence.strategicNarratives, maxNarratives).map(n => ({
           title: n.title,
           pillars: n.messagingPillars.slice(0, 3),
         })),
-        objections: intelligence.objectionLibrary.slice(0, maxObjections).map(o => ({
+        objections: pick('objectionLibrary', intelligence.objectionLibrary, maxObjections).map(o => ({
           objection: o.objectionText,
           response: o.counterMessage,
         })),
+        competitors: pick('competitiveLandscape', intelligence.competitiveLandscape || [], maxCompetitors).map(c => ({
+          name: c.competitorName,
+          summary: c.competitorSummary,
+          howToWin: c.howToWinAgainst,
+          weaknesses: c.weaknesses.slice(0, 3),
+        })),
       };
 
       // Optionally include success stories
-      if (includeSuccessStories && intelligence.successStories) {
-        mapped.successStories = intelligence.successStories.slice(0, 3).map(s => ({
+      if (maxSuccessStories > 0 && intelligence.successStories) {
+        mapped.successStories = pick('successStories', intelligence.successStories, maxSuccessStories).map(s => ({
           client: s.clientName,
           outcome: s.results,
         }));
@@ -148,7 +174,8 @@ export class OrgIntelligencePromptMapper {
    */
   static mapForAction(
     intelligence: OrgIntelligence | null,
-    actionName: string
+    actionName: string,
+    pick?: IntelligenceItemPicker
   ): PromptIntelligence | null {
     if (!intelligence) return null;
 
@@ -161,7 +188,8 @@ export class OrgIntelligencePromptMapper {
           maxPersonas: 3,
           maxNarratives: 2,
           maxObjections: 5,
-          includeSuccessStories: false,
+          maxSuccessStories: 2,
+          pick,
         });
 
       case 'get_dashboard_insights':
@@ -171,7 +199,8 @@ export class OrgIntelligencePromptMapper {
           maxPersonas: 2,
           maxNarratives: 3,
           maxObjections: 3,
-          includeSuccessStories: true,
+          maxSuccessStories: 3,
+          pick,
         });
 
       case 'analyze_linkedin_profile':
@@ -182,7 +211,8 @@ export class OrgIntelligencePromptMapper {
           maxPersonas: 3,
           maxNarratives: 2,
           maxObjections: 4,
-          includeSuccessStories: false,
+          maxSuccessStories: 2,
+          pick,
         });
 
       case 'analyze_opportunity_risk':
@@ -192,12 +222,13 @@ export class OrgIntelligencePromptMapper {
           maxPersonas: 2,
           maxNarratives: 2,
           maxObjections: 6,
-          includeSuccessStories: true,
+          maxSuccessStories: 3,
+          pick,
         });
 
       default:
         // Default mapping for unknown actions
-        return this.mapForPrompt(intelligence);
+        return this.mapForPrompt(intelligence, { maxSuccessStories: 2, pick });
     }
   }
 
@@ -0,0 +1,67 @@
+import { orgIntelligenceRetriever, tokenize } from './orgIntelligenceRetriever';
+import { OrgIntelligence } from '../types/orgIntelligence';
+import { InjectedIntelligenceItem } from '../types/metadata';
+
+const intelligence = {
+  valuePropositions: [
+    { title: 'Faster reporting', description: 'Dashboards for finance leaders' },
+    { title: 'Lower cost', description: 'Reduce infrastructure spend' },
+    { title: 'Guided onboarding', description: 'Training programs that get support teams productive in days' },
+  ],
+  competitiveLandscape: [
+    { competitorName: 'Globex', competitorSummary: 'Legacy on-prem CRM vendor' },
+    { competitorName: 'Initech', competitorSummary: 'Cheap point solution' },
+  ],
+} as unknown as OrgIntelligence;
+
+describe('OrgIntelligenceRetriever', () => {
+  it('tokenizes without stop words and folds common suffixes', () => {
+    expect(tokenize('The teams were training and trained')).toEqual(['team', 'train', 'train']);
+  });
+
+  it('builds the query from title, fields, context data, then visible text', () => {
+    const query = orgIntelligenceRetriever.buildQuery({
+      title: 'Acme',
+      fields: { industry: 'Retail' },
+      context: { data: { visibleText: 'Page body', company: 'Acme Corp' } },
+    });
+
+    expect(query).toBe('Acme Retail Acme Corp Page body');
+  });
+
+  it('ranks matching items first and tops up with the rest in document order', () => {
+    const injected: InjectedIntelligenceItem[] = [];
+
+    const picks = orgIntelligenceRetriever.select<{ title: string }>(
+      intelligence,
+      'valuePropositions',
+      'Our support teams need better onboarding and training',
+      2,
+      injected
+    );
+
+    expect(picks.map(pick => pick.title)).toEqual(['Guided onboarding', 'Faster reporting']);
+    expect(injected).toEqual([
+      { section: 'valuePropositions', index: 2, label: 'Guided onboarding', score: expect.any(Number) },
+      { section: 'valuePropositions', index: 0, label: 'Faster reporting', score: 0 },
+    ]);
+    expect(injected[0].score).toBeGreaterThan(0);
+  });
+
+  it('injects competitors only when the page names or clearly matches them', () => {
+    const select = (query: string) =>
+      orgIntelligenceRetriever
+        .select<{ competitorName: string }>(intelligence, 'competitiveLandscape', query, 3, [])
+        .map(pick => pick.competitorName);
+
+    expect(select('They are also evaluating Initech next quarter')).toEqual(['Initech']);
+    expect(select('Stuck on a legacy CRM from an on-prem vendor')).toEqual(['Globex']);
+    // One shared word is not enough
+    expect(select('Which vendor did they pick?')).toEqual([]);
+  });
+
+  it('returns nothing for an empty section or a zero limit', () => {
+    expect(orgIntelligenceRetriever.select(intelligence, 'successStories', 'anything', 3, [])).toEqual([]);
+    expect(orgIntelligenceRetriever.select(intelligence, 'valuePropositions', 'onboarding', 0, [])).toEqual([]);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Phase 12U: Org Intelligence Retrieval
+ *
+ * A local BM25 index over the list sections of an org's intelligence (value propositions,
+ * differentiators, personas, competitors, narratives, objection handlers, success stories).
+ * Prompts get the items that best match the page an action runs on, rather than the first
+ * few of each section. Matching is lexical: no embedding service is called.
+ *
+ * Indexes are built on first use and kept per intelligence object, so a saved or reloaded
+ * document gets a fresh index.
+ */
+
+import { OrgIntelligence } from '../types/orgIntelligence';
+import { InjectedIntelligenceItem } from '../types/metadata';
+
+export type RetrievableSection = InjectedIntelligenceItem['section'];
+
+interface IndexedItem {
+  section: RetrievableSection;
+  index: number;
+  label: string;
+  // Lowercased names that count as a direct mention (competitor and client names)
+  mentions: string[];
+  termFrequencies: Map<string, number>;
+  length: number;
+}
+
+interface RetrievalIndex {
+  items: IndexedItem[];
+  documentFrequencies: Map<string, number>;
+  averageLength: number;
+}
+
+// Per section: the field that labels an item in executionMetadata, the fields indexed, and
+// the fields holding names that count as a direct mention on the page
+const SECTION_FIELDS: Record<RetrievableSection, { label: string; text: string[]; mentions?: string[] }> = {
+  valuePropositions: { label: 'title', text: ['title', 'description', 'proofPoints', 'examples', 'metrics'] },
+  differentiators: { label: 'name', text: ['name', 'explanation', 'customerRelevance', 'competitorComparison'] },
+  buyerPersonas: { label: 'roleTitle', text: ['personaName', 'roleTitle', 'goals', 'frustrations', 'kpis', 'typicalObjections'] },
+  competitiveLandscape: {
+    label: 'competitorName',
+    text: ['competitorName', 'competitorSummary', 'weaknesses', 'redFlags', 'opportunitySignals'],
+    mentions: ['competitorName'],
+  },
+  strategicNarratives: { label: 'title', text: ['title', 'messagingPillars', 'supportingTruths'] },
+  objectionLibrary: { label: 'objectionText', text: ['objectionText', 'rootCause', 'discoveryQuestions'] },
+  successStories: {
+    label: 'clientName',
+    text: ['clientName', 'industry', 'challenge', 'solution', 'results'],
+    mentions: ['clientName'],
+  },
+};
+
+// Sections that are only injected when they match the page; the rest fall back to document order
+const RELEVANT_ONLY_SECTIONS: RetrievableSection[] = ['competitiveLandscape', 'successStories'];
+
+// Relevant-only sections need more in common with the page than one stray shared word
+const MIN_RELEVANT_SCORE = 2;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// A named competitor or client on the page outranks any amount of word overlap
+const MENTION_BOOST = 10;
+// Visible text beyond this adds query terms without adding much signal
+const MAX_QUERY_TEXT_CHARS = 6000;
+const MIN_TOKEN_LENGTH = 3;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who', 'did', 'get', 'let',
+  'use', 'with', 'that', 'this', 'from', 'they', 'them', 'their', 'there', 'were', 'what', 'when', 'where',
+  'which', 'will', 'would', 'could', 'should', 'into', 'than', 'then', 'more', 'most', 'also', 'about',
+  'been', 'being', 'over', 'such', 'only', 'very', 'just', 'each', 'other', 'some', 'these', 'those',
+]);
+
+/**
+ * Lowercased word tokens with stop words removed and common suffixes stripped, so plural,
+ * -ing and -ed forms ("teams", "training", "trained") match their base words
+ */
+export function tokenize(text: string): string[] {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(token => token.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+function stem(token: string): string {
+  for (const suffix of ['ations', 'ation', 'ings', 'ing', 'ies', 'ers', 'ed', 'es', 's']) {
+    if (token.length - suffix.length >= 4 && token.endsWith(suffix)) {
+      return token.substring(0, token.length - suffix.length);
+    }
+  }
+  return token;
+}
+
+function fieldText(value: any): string {
+  if (Array.isArray(value)) {
+    return value.map(fieldText).join(' ');
+  }
+  return typeof value === 'string' ? value : '';
+}
+
+export class OrgIntelligenceRetriever {
+  private indexes = new WeakMap<OrgIntelligence, RetrievalIndex>();
+
+  /**
+   * Text to match intelligence against: page title, extracted fields (industry, job title,
+   * company, ...), history and visible text, in that order until the length cap
+   */
+  buildQuery(payload: any): string {
+    const parts: string[] = [];
+    const collect = (value: any, depth: number) => {
+      if (typeof value === 'string') {
+        parts.push(value);
+      } else if (value && typeof value === 'object' && depth < 3) {
+        Object.values(value).forEach(child => collect(child, depth + 1));
+      }
+    };
+
+    const data = payload?.context?.data || {};
+    collect(payload?.title, 0);
+    collect(payload?.fields, 0);
+    collect(Object.fromEntries(Object.entries(data).filter(([key]) => key !== 'visibleText' && key !== 'history')), 0);
+    collect(payload?.history || data.history, 0);
+    collect(payload?.visibleText || data.visibleText, 0);
+
+    return parts.join(' ').substring(0, MAX_QUERY_TEXT_CHARS);
+  }
+
+  /**
+   * Up to `max` items of a section, most relevant first. Relevant-only sections return
+   * just the items that match; the others are topped up with the remaining items in
+   * document order. Each pick is appended to `injected`.
+   */
+  select<T>(
+    intelligence: OrgIntelligence,
+    section: RetrievableSection,
+    query: string,
+    max: number,
+    injected: InjectedIntelligenceItem[]
+  ): T[] {
+    const items = (intelligence[section] || []) as unknown as T[];
+    if (max <= 0 || items.length === 0) {
+      return [];
+    }
+
+    const index = this.getIndex(intelligence);
+    const queryTerms = [...new Set(tokenize(query))];
+    const lowerQuery = query.toLowerCase();
+
+    const ranked = index.items
+      .filter(item => item.section === section)
+      .map(item => ({ item, score: this.score(index, item, queryTerms, lowerQuery) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.item.index - b.item.index);
+
+    const relevantOnly = RELEVANT_ONLY_SECTIONS.includes(section);
+    const picks = ranked.filter(entry => !relevantOnly || entry.score >= MIN_RELEVANT_SCORE).slice(0, max);
+    if (!relevantOnly) {
+      const picked = new Set(picks.map(entry => entry.item.index));
+      index.items
+        .filter(item => item.section === section && !picked.has(item.index))
+        .slice(0, max - picks.length)
+        .forEach(item => picks.push({ item, score: 0 }));
+    }
+
+    for (const { item, score } of picks) {
+      injected.push({ section, index: item.index, label: item.label, score: Math.round(score * 100) / 100 });
+    }
+    return picks.map(entry => items[entry.item.index]);
+  }
+
+  private score(index: RetrievalIndex, item: IndexedItem, queryTerms: string[], lowerQuery: string): number {
+    let score = 0;
+    const total = index.items.length;
+
+    for (const term of queryTerms) {
+      const frequency = item.termFrequencies.get(term);
+      if (!frequency) {
+        continue;
+      }
+      const documents = index.documentFrequencies.get(term) || 0;
+      const idf = Math.log(1 + (total - documents + 0.5) / (documents + 0.5));
+      const normalization = BM25_K1 * (1 - BM25_B + BM25_B * (item.length / index.averageLength));
+      score += idf * (frequency * (BM25_K1 + 1)) / (frequency + normalization);
+    }
+
+    if (item.mentions.some(mention => lowerQuery.includes(mention))) {
+      score += MENTION_BOOST;
+    }
+    return score;
+  }
+
+  private getIndex(intelligence: OrgIntelligence): RetrievalIndex {
+    let index = this.indexes.get(intelligence);
+    if (!index) {
+      index = this.buildIndex(intelligence);
+      this.indexes.set(intelligence, index);
+    }
+    return index;
+  }
+
+  private buildIndex(intelligence: OrgIntelligence): RetrievalIndex {
+    const items: IndexedItem[] = [];
+    const documentFrequencies = new Map<string, number>();
+
+    for (const [section, fields] of Object.entries(SECTION_FIELDS) as Array<[RetrievableSection, typeof SECTION_FIELDS[RetrievableSection]]>) {
+      ((intelligence[section] || []) as any[]).forEach((entry, index) => {
+        const tokens = tokenize(fields.text.map(field => fieldText(entry?.[field])).join(' '));
+        const termFrequencies = new Map<string, number>();
+        tokens.forEach(token => termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1));
+        termFrequencies.forEach((_, token) => documentFrequencies.set(token, (documentFrequencies.get(token) || 0) + 1));
+
+        items.push({
+          section,
+          index,
+          label: fieldText(entry?.[fields.label]) || `${section}[${index}]`,
+          mentions: (fields.mentions || [])
+            .map(field => fieldText(entry?.[field]).trim().toLowerCase())
+            .filter(name => name.length >= MIN_TOKEN_LENGTH),
+          termFrequencies,
+          length: tokens.length,
+        });
+      });
+    }
+
+    const averageLength = items.reduce((sum, item) => sum + item.length, 0) / (items.length || 1);
+    return { items, documentFrequencies, averageLength: averageLength || 1 };
+  }
+}
+
+export const orgIntelligenceRetriever = new OrgIntelligenceRetriever();
@@ -4,13 +4,36 @@
  */
 
 import { OrgIntelligence, OrgIntelligenceSource } from '../types/orgIntelligence';
+import { InjectedIntelligenceItem } from '../types/metadata';
 import { logger } from '../logging/logger';
 import * as fs from 'fs/promises';
 import * as path from 'path';
-import { orgIntelligencePromptMapper } from './orgIntelligencePromptMapper';
+import * as crypto from 'crypto';
+import Ajv, { ValidateFunction } from 'ajv';
+import { orgIntelligencePromptMapper, IntelligenceItemPicker } from './orgIntelligencePromptMapper';
+import { orgIntelligenceRetriever } from './orgIntelligenceRetriever';
+import { withFileLock, writeFileAtomic } from './fileLock';
+import orgIntelligenceSchema from '../schemas/orgIntelligence.schema.json';
 
 // Import the default Fused intelligence from the shared data
-import { defaultFusedIntelligence } from '../data/defaultOrgIntelligence';
+import { defaultFusedIntelligence, emptyOrgIntelligence } from '../data/defaultOrgIntelligence';
+
+// Phase 12T: Org IDs that can name an intelligence file
+const ORG_INTEL_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Sections that are objects; a patch merges their fields instead of replacing them
+const OBJECT_SECTIONS = ['companyIdentity', 'icp', 'messagingRules'];
+
+export interface OrgIntelligenceValidationResult {
+  valid: boolean;
+  // Each as "<path> <message>", e.g. "/buyerPersonas/0 must have required property 'roleTitle'"
+  errors: string[];
+}
+
+export interface OrgIntelligenceSaveResult extends OrgIntelligenceValidationResult {
+  // The saved intelligence, when valid
+  data?: OrgIntelligence;
+}
 
 interface OrgIntelligenceCache {
   data: OrgIntelligence;
@@ -20,8 +43,10 @@ interface OrgIntelligenceCache {
 
 class OrgIntelligenceService {
   private cache: Map<string, OrgIntelligenceCache> = new Map();
+  private versions: WeakMap<OrgIntelligence, string> = new WeakMap();
   private readonly CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
   private readonly ORG_INTEL_DIR = path.join(process.cwd(), 'org-intelligence');
+  private validateSchema: ValidateFunction | null = null;
 
   /**
    * Get org intelligence for a specific organization
@@ -110,8 +135,12 @@ class OrgIntelligenceService {
    * Load intelligence from local file
    */
   private async loadFromFile(orgId: string): Promise<OrgIntelligence | null> {
+    if (!this.isValidOrgId(orgId)) {
+      return null;
+    }
+
     try {
-      const filePath = path.join(this.ORG_INTEL_DIR, `${orgId}.json`);
+      const filePath = this.getFilePath(orgId);
       const fileContent = await fs.readFile(filePath, 'utf-8');
       const data = JSON.parse(fileContent) as OrgIntelligence;
       
@@ -123,6 +152,84 @@ class OrgIntelligenceService {
     }
   }
 
+  private getFilePath(orgId: string): string {
+    return path.join(this.ORG_INTEL_DIR, `${orgId}.json`);
+  }
+
+  /**
+   * Phase 12T: Whether an org ID can name an intelligence file (no path separators or dots)
+   */
+  isValidOrgId(orgId: string): boolean {
+    return ORG_INTEL_ID_PATTERN.test(orgId);
+  }
+
+  /**
+   * Phase 12T: The org's own intelligence file, or null when it has none (it may still be
+   * served the default)
+   */
+  async getStoredOrgIntelligence(orgId: string): Promise<OrgIntelligence | null> {
+    return this.loadFromFile(orgId);
+  }
+
+  /**
+   * Phase 12T: Check intelligence against the schema generated from types/orgIntelligence.ts
+   */
+  validateOrgIntelligence(data: any): OrgIntelligenceValidationResult {
+    if (!this.validateSchema) {
+      this.validateSchema = new Ajv({ allErrors: true, strict: false }).compile(orgIntelligenceSchema);
+    }
+
+    if (this.validateSchema(data)) {
+      return { valid: true, errors: [] };
+    }
+    return {
+      valid: false,
+      errors: (this.validateSchema.errors || []).map(error => `${error.instancePath || '/'} ${error.message}`)
+    };
+  }
+
+  /**
+   * Phase 12T: Replace the org's intelligence file. Nothing is saved when the data doesn't
+   * match the schema; the result carries the errors. The org's cached intelligence is
+   * dropped, so the next action sees the new version.
+   */
+  async saveOrgIntelligence(orgId: string, data: OrgIntelligence): Promise<OrgIntelligenceSaveResult> {
+    if (!this.isValidOrgId(orgId)) {
+      throw new Error(`Invalid org ID for org intelligence: ${orgId}`);
+    }
+
+    const validation = this.validateOrgIntelligence(data);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const filePath = this.getFilePath(orgId);
+    await withFileLock(filePath, () => writeFileAtomic(filePath, JSON.stringify(data, null, 2)));
+    this.clearCache(orgId);
+
+    logger.info(`Saved org intelligence for org ${orgId}`, { version: this.getIntelligenceVersion(data) });
+    return { valid: true, errors: [], data };
+  }
+
+  /**
+   * Phase 12T: Update some sections of the org's intelligence. Array sections are replaced
+   * and object sections (companyIdentity, icp, messagingRules) have their fields merged.
+   * Starts from the org's file, or from the intelligence it is served now when it has none,
+   * or from an empty document.
+   */
+  async patchOrgIntelligence(orgId: string, patch: Partial<OrgIntelligence>): Promise<OrgIntelligenceSaveResult> {
+    const base = (await this.getStoredOrgIntelligence(orgId)) || (await this.getOrgIntelligence(orgId)).data || emptyOrgIntelligence;
+    const merged: Record<string, any> = { ...base };
+
+    for (const [section, value] of Object.entries(patch)) {
+      merged[section] = OBJECT_SECTIONS.includes(section) && value && typeof value === 'object' && !Array.isArray(value)
+        ? { ...(base as Record<string, any>)[section], ...value }
+        : value;
+    }
+
+    return this.saveOrgIntelligence(orgId, merged as OrgIntelligence);
+  }
+
   /**
    * Check if this is a known org with default intelligence
    */
@@ -143,6 +250,20 @@ class OrgIntelligenceService {
     }
   }
 
+  /**
+   * Phase 12E: Content hash of the intelligence, so results built from an older version can be told apart
+   */
+  getIntelligenceVersion(intelligence: OrgIntelligence | null): string {
+    if (!intelligence) return 'none';
+
+    let version = this.versions.get(intelligence);
+    if (!version) {
+      version = crypto.createHash('sha256').update(JSON.stringify(intelligence)).digest('hex').substring(0, 16);
+      this.versions.set(intelligence, version);
+    }
+    return version;
+  }
+
   /**
    * Get a subset of intelligence for prompt templates
    * This creates a simplified version optimized for LLM consumption
@@ -159,6 +280,31 @@ class OrgIntelligenceService {
     
     return orgIntelligencePromptMapper.mapForPrompt(intelligence) || {};
   }
+
+  /**
+   * Phase 12U: Intelligence for an action's prompt with the items most relevant to the
+   * payload (title, fields, history, visible text) chosen by the retrieval index, plus
+   * which items were chosen
+   */
+  selectIntelligenceForPrompt(
+    intelligence: OrgIntelligence | null,
+    actionName: string,
+    payload: any
+  ): { intelligence: Record<string, any> | null; injectedItems: InjectedIntelligenceItem[] } {
+    if (!intelligence) {
+      return { intelligence: null, injectedItems: [] };
+    }
+
+    const query = orgIntelligenceRetriever.buildQuery(payload);
+    const injectedItems: InjectedIntelligenceItem[] = [];
+    const pick: IntelligenceItemPicker = (section, _items, max) =>
+      orgIntelligenceRetriever.select(intelligence, section, query, max, injectedItems);
+
+    return {
+      intelligence: orgIntelligencePromptMapper.mapForAction(intelligence, actionName, pick) || {},
+      injectedItems,
+    };
+  }
   
   /**
    * Score how well a context matches the ICP
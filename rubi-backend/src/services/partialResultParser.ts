@@ -0,0 +1,148 @@
+/**
+ * Phase 12A: Partial Result Parser
+ * Recovers the top-level fields of a JSON object while an LLM is still streaming it,
+ * so the drawer can render completed (or in-progress) fields before the final result.
+ */
+
+interface ScanState {
+  closers: string[];
+  inString: boolean;
+  commaPositions: number[];
+  endIndex: number;
+}
+
+/**
+ * Walk the text and record open containers, string state and top-level-safe cut points
+ */
+function scan(text: string): ScanState {
+  const closers: string[] = [];
+  const commaPositions: number[] = [];
+  let inString = false;
+  let escaped = false;
+  let endIndex = -1;
+
+  for (let i = 0; i < text.length && endIndex === -1; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      closers.push('}');
+    } else if (char === '[') {
+      closers.push(']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+      if (closers.length === 0) {
+        endIndex = i;
+      }
+    } else if (char === ',') {
+      commaPositions.push(i);
+    }
+  }
+
+  return { closers, inString, commaPositions, endIndex };
+}
+
+/**
+ * Close any open string and containers and try to parse the result
+ */
+function tryClose(text: string): any {
+  const state = scan(text);
+  let candidate = text;
+
+  if (state.inString) {
+    // Drop a dangling escape so the closing quote is not swallowed
+    candidate = candidate.replace(/\\+$/, match => (match.length % 2 === 0 ? match : match.slice(1)));
+    candidate += '"';
+  }
+
+  candidate = candidate.replace(/[\s,:]+$/, '');
+  candidate += state.closers.slice().reverse().join('');
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parse an incomplete JSON object. Returns null until at least one field can be recovered.
+ */
+export function parsePartialJson(text: string): Record<string, any> | null {
+  // Skip markdown fences and any preamble before the opening brace
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+  let body = text.slice(start);
+
+  // Ignore anything after the object closes, such as a trailing code fence
+  const { endIndex } = scan(body);
+  if (endIndex !== -1) {
+    body = body.slice(0, endIndex + 1);
+  }
+
+  const direct = tryClose(body);
+  if (direct && typeof direct === 'object' && !Array.isArray(direct)) {
+    return Object.keys(direct).length > 0 ? direct : null;
+  }
+
+  // Fall back to the last few comma boundaries, discarding the incomplete tail
+  const { commaPositions } = scan(body);
+  for (let i = commaPositions.length - 1; i >= Math.max(0, commaPositions.length - 3); i--) {
+    const parsed = tryClose(body.slice(0, commaPositions[i]));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return Object.keys(parsed).length > 0 ? parsed : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Accumulates streamed deltas and reports the partial object only when it changes
+ */
+export class PartialResultTracker {
+  private buffer = '';
+  private lastSnapshot = '';
+
+  /**
+   * Append a delta; returns the updated partial fields, or null if nothing new was recovered
+   */
+  push(delta: string): Record<string, any> | null {
+    this.buffer += delta;
+
+    const partial = parsePartialJson(this.buffer);
+    if (!partial) {
+      return null;
+    }
+
+    const snapshot = JSON.stringify(partial);
+    if (snapshot === this.lastSnapshot) {
+      return null;
+    }
+
+    this.lastSnapshot = snapshot;
+    return partial;
+  }
+
+  /**
+   * Discard accumulated text, e.g. when a handler issues a retry prompt
+   */
+  reset(): void {
+    this.buffer = '';
+    this.lastSnapshot = '';
+  }
+}
@@ -0,0 +1,78 @@
+import { piiRedactor, PiiRedactionPolicy } from './piiRedactor';
+import { OrgConfig } from '../types/orgConfig';
+
+const allDetectors: PiiRedactionPolicy = { detectors: ['email', 'phone', 'address'], customPatterns: [] };
+
+describe('PiiRedactor', () => {
+  describe('getPolicy', () => {
+    it('is off without settings or when disabled', () => {
+      expect(piiRedactor.getPolicy(null, 'summarize')).toBeNull();
+      expect(piiRedactor.getPolicy({ pii_redaction: { enabled: false } } as OrgConfig, 'summarize')).toBeNull();
+    });
+
+    it('lets an action entry override the org settings field by field', () => {
+      const orgConfig = {
+        pii_redaction: {
+          enabled: true,
+          detectors: ['email'],
+          perAction: {
+            draft_email: { enabled: false },
+            summarize: { detectors: ['phone'] },
+          },
+        },
+      } as unknown as OrgConfig;
+
+      expect(piiRedactor.getPolicy(orgConfig, 'analyze')).toEqual({ detectors: ['email'], customPatterns: [] });
+      expect(piiRedactor.getPolicy(orgConfig, 'summarize')).toEqual({ detectors: ['phone'], customPatterns: [] });
+      expect(piiRedactor.getPolicy(orgConfig, 'draft_email')).toBeNull();
+    });
+  });
+
+  describe('redaction sessions', () => {
+    it('replaces each value with a stable placeholder and restores model output', () => {
+      const session = piiRedactor.createSession();
+      const redacted = session.redact(
+        'Mail jane.doe@example.com or call +1 (415) 555-0134. Again: jane.doe@example.com, office at 1200 Market Street, Suite 400.',
+        allDetectors
+      );
+
+      expect(redacted).toBe('Mail [EMAIL_1] or call [PHONE_1]. Again: [EMAIL_1], office at [ADDRESS_1].');
+      expect(session.getDetails()).toEqual({ total: 3, counts: { email: 1, phone: 1, address: 1 } });
+
+      expect(session.restore({ contact: '[EMAIL_1]', notes: ['Call [PHONE_1]'], score: 3 })).toEqual({
+        contact: 'jane.doe@example.com',
+        notes: ['Call +1 (415) 555-0134'],
+        score: 3,
+      });
+    });
+
+    it('leaves amounts, short numbers and ISO timestamps alone', () => {
+      const session = piiRedactor.createSession();
+      const text = 'Deal worth 1250000 closes 2026-03-01 10:30:00, ticket 4411.';
+
+      expect(session.redact(text, allDetectors)).toBe(text);
+      expect(session.getDetails().total).toBe(0);
+    });
+
+    it('runs custom patterns before the built-in detectors', () => {
+      const session = piiRedactor.createSession();
+      const policy: PiiRedactionPolicy = {
+        detectors: ['phone'],
+        customPatterns: [{ name: 'account_number', pattern: 'ACCT-\\d{10}' }],
+      };
+
+      expect(session.redact('Account ACCT-4155550134 on file', policy)).toBe('Account [ACCOUNT_NUMBER_1] on file');
+      expect(session.getDetails().counts).toEqual({ account_number: 1 });
+    });
+
+    it('restores placeholders split across stream deltas', () => {
+      const session = piiRedactor.createSession();
+      session.redact('jane.doe@example.com', allDetectors);
+      const restorer = session.createStreamRestorer();
+
+      const output = ['Write to [EM', 'AIL_', '1] today', ' [partial'].map(delta => restorer.push(delta)).join('') + restorer.flush();
+
+      expect(output).toBe('Write to jane.doe@example.com today [partial');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Phase 12V: PII Redaction
+ *
+ * Rendered prompts can carry emails, phone numbers and street addresses scraped from the page.
+ * When an org turns redaction on, each value is replaced with a placeholder (`[EMAIL_1]`,
+ * `[PHONE_2]`, `[ADDRESS_1]`, `[ACCOUNT_NUMBER_1]` for a custom pattern) before the prompt
+ * goes to a provider, and the real values are put back into the model's output before it is
+ * validated and returned.
+ *
+ * A session holds the placeholder-to-value mapping for one action request. It is shared by
+ * pipeline steps and schema repair re-prompts, so a value keeps the same placeholder across
+ * every call the action makes. Values are never logged or written anywhere.
+ */
+
+import { OrgConfig, PII_DETECTORS, PiiCustomPattern, PiiDetector, PiiRedactionSettings } from '../types/orgConfig';
+import { PiiRedactionDetails } from '../types/metadata';
+
+export interface PiiRedactionPolicy {
+  detectors: PiiDetector[];
+  customPatterns: PiiCustomPattern[];
+}
+
+interface RedactionRule {
+  // Placeholder prefix, and the key counts are reported under
+  label: string;
+  countKey: string;
+  pattern: RegExp;
+  accept?: (match: string) => boolean;
+}
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// Optional country code and area code in parentheses, then two to five digit groups
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,5}(?:[ .-]\d{2,5}){1,4}(?![\w])/g;
+const MIN_PHONE_DIGITS = 10;
+const MAX_PHONE_DIGITS = 15;
+
+const STREET_SUFFIXES = [
+  'Street', 'St', 'Avenue', 'Ave', 'Road', 'Rd', 'Boulevard', 'Blvd', 'Lane', 'Ln', 'Drive', 'Dr',
+  'Court', 'Ct', 'Way', 'Place', 'Pl', 'Parkway', 'Pkwy', 'Circle', 'Cir', 'Highway', 'Hwy',
+  'Terrace', 'Ter', 'Square', 'Sq', 'Trail', 'Trl',
+];
+
+// US-style street line: house number, up to five capitalized or ordinal words, a street
+// suffix, an optional direction and an optional suite or unit
+const ADDRESS_PATTERN = new RegExp(
+  '\\b\\d{1,6}(?:\\s+(?:[A-Z][A-Za-z\'-]*|\\d+(?:st|nd|rd|th))){1,5}' +
+  `\\s+(?:${STREET_SUFFIXES.join('|')})\\b\\.?` +
+  '(?:\\s+(?:N|S|E|W|NE|NW|SE|SW)\\b)?' +
+  '(?:,?\\s+(?:Suite|Ste\\.?|Apt\\.?|Unit|#)\\s*[A-Za-z0-9-]+)?',
+  'g'
+);
+
+const PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+// Longest trailing `[...` a stream restorer holds back waiting for the closing bracket
+const MAX_PLACEHOLDER_LENGTH = 64;
+
+/**
+ * Phone candidates need 10-15 digits and some phone punctuation, so plain numbers, amounts
+ * and ISO dates followed by a time aren't redacted
+ */
+function isPhoneNumber(match: string): boolean {
+  const digits = match.replace(/\D/g, '').length;
+  if (digits < MIN_PHONE_DIGITS || digits > MAX_PHONE_DIGITS) {
+    return false;
+  }
+  if (/^\d{4}-\d{2}-\d{2}\b/.test(match)) {
+    return false;
+  }
+  return /[\s().+-]/.test(match);
+}
+
+function buildRules(policy: PiiRedactionPolicy): RedactionRule[] {
+  // Custom patterns run first so an org's own formats win over the generic detectors
+  const rules: RedactionRule[] = policy.customPatterns.map(custom => ({
+    label: custom.name.toUpperCase(),
+    countKey: custom.name,
+    pattern: new RegExp(custom.pattern, `g${custom.flags || ''}`),
+  }));
+
+  if (policy.detectors.includes('email')) {
+    rules.push({ label: 'EMAIL', countKey: 'email', pattern: EMAIL_PATTERN });
+  }
+  if (policy.detectors.includes('phone')) {
+    rules.push({ label: 'PHONE', countKey: 'phone', pattern: PHONE_PATTERN, accept: isPhoneNumber });
+  }
+  if (policy.detectors.includes('address')) {
+    rules.push({ label: 'ADDRESS', countKey: 'address', pattern: ADDRESS_PATTERN });
+  }
+  return rules;
+}
+
+export class PiiRedactionSession {
+  // Placeholder by `label:value`, and the value behind each placeholder
+  private placeholders = new Map<string, string>();
+  private values = new Map<string, string>();
+  private labelCounts = new Map<string, number>();
+  private counts: Record<string, number> = {};
+
+  /**
+   * `text` with every match of the policy's detectors replaced by its placeholder
+   */
+  redact(text: string, policy: PiiRedactionPolicy): string {
+    let redacted = text;
+    for (const rule of buildRules(policy)) {
+      redacted = redacted.replace(rule.pattern, match => {
+        if (!match || (rule.accept && !rule.accept(match))) {
+          return match;
+        }
+        return this.placeholderFor(rule, match);
+      });
+    }
+    return redacted;
+  }
+
+  /**
+   * Copy of `value` with placeholders in every string put back to the real values; objects
+   * and arrays are walked, so structured model output is restored field by field
+   */
+  restore<T>(value: T): T {
+    if (this.values.size === 0) {
+      return value;
+    }
+    return this.restoreValue(value);
+  }
+
+  /**
+   * Restores streamed text delta by delta. A placeholder split across deltas is held back
+   * until its closing bracket arrives; `flush` returns whatever is still held.
+   */
+  createStreamRestorer(): { push(delta: string): string; flush(): string; reset(): void } {
+    let pending = '';
+    return {
+      push: (delta: string) => {
+        const text = pending + delta;
+        const open = text.lastIndexOf('[');
+        const tail = open === -1 ? '' : text.substring(open);
+        if (tail && tail.length < MAX_PLACEHOLDER_LENGTH && /^\[[A-Z0-9_]*$/.test(tail)) {
+          pending = tail;
+          return this.restoreText(text.substring(0, open));
+        }
+        pending = '';
+        return this.restoreText(text);
+      },
+      flush: () => {
+        const text = pending;
+        pending = '';
+        return this.restoreText(text);
+      },
+      reset: () => {
+        pending = '';
+      },
+    };
+  }
+
+  /**
+   * Distinct values redacted so far, by detector or custom pattern name
+   */
+  getDetails(): PiiRedactionDetails {
+    return {
+      total: this.values.size,
+      counts: { ...this.counts },
+    };
+  }
+
+  private placeholderFor(rule: RedactionRule, value: string): string {
+    const key = `${rule.label}:${value}`;
+    let placeholder = this.placeholders.get(key);
+    if (!placeholder) {
+      const next = (this.labelCounts.get(rule.label) || 0) + 1;
+      this.labelCounts.set(rule.label, next);
+      placeholder = `[${rule.label}_${next}]`;
+      this.placeholders.set(key, placeholder);
+      this.values.set(placeholder, value);
+      this.counts[rule.countKey] = (this.counts[rule.countKey] || 0) + 1;
+    }
+    return placeholder;
+  }
+
+  private restoreText(text: string): string {
+    if (this.values.size === 0 || !text.includes('[')) {
+      return text;
+    }
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => this.values.get(placeholder) ?? placeholder);
+  }
+
+  private restoreValue(value: any): any {
+    if (typeof value === 'string') {
+      return this.restoreText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restoreValue(item));
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreValue(item)]));
+    }
+    return value;
+  }
+}
+
+export class PiiRedactor {
+  /**
+   * Detectors and custom patterns for an action, or null when redaction is off for it.
+   * An action's perAction entry overrides the org-wide settings field by field.
+   */
+  getPolicy(orgConfig: OrgConfig | null | undefined, actionName: string): PiiRedactionPolicy | null {
+    const config = orgConfig?.pii_redaction;
+    if (!config) {
+      return null;
+    }
+
+    const override: PiiRedactionSettings = config.perAction?.[actionName] || {};
+    if (!(override.enabled ?? config.enabled ?? false)) {
+      return null;
+    }
+
+    const policy: PiiRedactionPolicy = {
+      detectors: override.detectors ?? config.detectors ?? PII_DETECTORS,
+      customPatterns: override.customPatterns ?? config.customPatterns ?? [],
+    };
+    return policy.detectors.length > 0 || policy.customPatterns.length > 0 ? policy : null;
+  }
+
+  /**
+   * New placeholder mapping for one action request
+   */
+  createSession(): PiiRedactionSession {
+    return new PiiRedactionSession();
+  }
+}
+
+export const piiRedactor = new PiiRedactor();
@@ -0,0 +1,344 @@
+/**
+ * Phase 12L: Pipeline Executor
+ *
+ * Loads pipeline definitions from `pipelines/*.yaml` and runs them as DAGs of registered
+ * actions. Each step starts as soon as the steps it depends on have finished, so
+ * independent steps run in parallel. Steps run through utilities bound to their own action
+ * (model chain, schema, org intelligence mapping) but every LLM call is recorded against
+ * the pipeline's request, so the pipeline is one action for usage limits and spend.
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import * as yaml from 'js-yaml';
+import {
+  ActionResponse,
+  ActionUtilities,
+  AuthenticatedRequestContext,
+  NormalizedRubiContextPayload,
+  PipelineDefinition,
+  PipelineStepDefinition,
+  PipelineStepDetails,
+} from '../types';
+import { logger } from '../logging/logger';
+
+/**
+ * The parts of the action registry a pipeline needs to run its steps
+ */
+export interface PipelineStepRunner {
+  validatePayloadForAction(
+    actionName: string,
+    payload: NormalizedRubiContextPayload
+  ): { valid: boolean; errors?: string[] };
+  execute(
+    actionName: string,
+    payload: NormalizedRubiContextPayload,
+    utilities: ActionUtilities,
+    authContext?: AuthenticatedRequestContext
+  ): Promise<ActionResponse>;
+}
+
+const STEP_REFERENCE = /^steps\.([A-Za-z0-9_-]+)(?:\.(.+))?$/;
+const PAYLOAD_REFERENCE = /^payload\.(.+)$/;
+
+export class PipelineExecutor {
+  private pipelines: Map<string, PipelineDefinition> = new Map();
+  private pipelineDir: string;
+
+  constructor(pipelineDir: string = path.join(process.cwd(), 'pipelines')) {
+    this.pipelineDir = pipelineDir;
+  }
+
+  /**
+   * Load and validate every pipeline definition. Invalid files are logged and skipped.
+   */
+  async loadAllPipelines(): Promise<void> {
+    let files: string[];
+    try {
+      files = (await fs.readdir(this.pipelineDir)).filter(f => f.endsWith('.yaml') || f.endsWith('.yml'));
+    } catch {
+      logger.debug(`No pipelines directory at ${this.pipelineDir}`);
+      return;
+    }
+
+    for (const file of files) {
+      try {
+        const content = await fs.readFile(path.join(this.pipelineDir, file), 'utf-8');
+        const definition = yaml.load(content) as PipelineDefinition;
+        this.validateDefinition(definition);
+        this.pipelines.set(definition.id, definition);
+      } catch (error) {
+        logger.error(`Failed to load pipeline ${file}`, {
+          error: error instanceof Error ? error.message : error,
+        });
+      }
+    }
+  }
+
+  getLoadedPipelines(): PipelineDefinition[] {
+    return Array.from(this.pipelines.values());
+  }
+
+  /**
+   * Steps a step waits for: its explicit dependsOn plus every step its inputs read
+   */
+  getDependencies(step: PipelineStepDefinition): string[] {
+    const dependencies = new Set(step.dependsOn || []);
+    for (const source of Object.values(step.inputs || {})) {
+      const match = typeof source === 'string' ? source.match(STEP_REFERENCE) : null;
+      if (match) {
+        dependencies.add(match[1]);
+      }
+    }
+    return Array.from(dependencies);
+  }
+
+  validateDefinition(definition: PipelineDefinition): void {
+    if (!definition || !definition.id || !definition.version || !definition.name) {
+      throw new Error('Pipeline must have id, version and name');
+    }
+    if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+      throw new Error(`Pipeline ${definition.id} has no steps`);
+    }
+
+    const stepIds = new Set<string>();
+    for (const step of definition.steps) {
+      if (!step.id || !step.action) {
+        throw new Error(`Pipeline ${definition.id} has a step without id or action`);
+      }
+      if (stepIds.has(step.id)) {
+        throw new Error(`Pipeline ${definition.id} has duplicate step ${step.id}`);
+      }
+      stepIds.add(step.id);
+    }
+
+    for (const step of definition.steps) {
+      for (const dependency of this.getDependencies(step)) {
+        if (!stepIds.has(dependency)) {
+          throw new Error(`Pipeline ${definition.id} step ${step.id} depends on unknown step ${dependency}`);
+        }
+      }
+    }
+
+    for (const source of Object.values(definition.output || {})) {
+      const match = source.match(STEP_REFERENCE);
+      if (match && !stepIds.has(match[1])) {
+        throw new Error(`Pipeline ${definition.id} output reads unknown step ${match[1]}`);
+      }
+    }
+
+    // Depth-first search for cycles
+    const steps = new Map(definition.steps.map(step => [step.id, step]));
+    const state = new Map<string, 'visiting' | 'done'>();
+    const visit = (id: string, trail: string[]): void => {
+      if (state.get(id) === 'done') {
+        return;
+      }
+      if (state.get(id) === 'visiting') {
+        throw new Error(`Pipeline ${definition.id} has a dependency cycle: ${[...trail, id].join(' → ')}`);
+      }
+      state.set(id, 'visiting');
+      for (const dependency of this.getDependencies(steps.get(id)!)) {
+        visit(dependency, [...trail, id]);
+      }
+      state.set(id, 'done');
+    };
+    definition.steps.forEach(step => visit(step.id, []));
+  }
+
+  /**
+   * Run a pipeline's steps and assemble its output
+   */
+  async run(
+    definition: PipelineDefinition,
+    payload: NormalizedRubiContextPayload,
+    utilities: ActionUtilities,
+    runner: PipelineStepRunner,
+    authContext?: AuthenticatedRequestContext
+  ): Promise<ActionResponse> {
+    const startTime = Date.now();
+    const steps = new Map(definition.steps.map(step => [step.id, step]));
+    const details = new Map<string, PipelineStepDetails>();
+    const outputs: Record<string, any> = {};
+    const runs = new Map<string, Promise<PipelineStepDetails>>();
+
+    const blockedActions: string[] = (authContext as any)?.orgConfig?.blockedActions || [];
+
+    const start = (step: PipelineStepDefinition): Promise<PipelineStepDetails> => {
+      if (!runs.has(step.id)) {
+        runs.set(step.id, (async () => {
+          const dependsOn = this.getDependencies(step);
+          const dependencyResults = await Promise.all(dependsOn.map(id => start(steps.get(id)!)));
+          const detail: PipelineStepDetails = {
+            id: step.id,
+            action: step.action,
+            status: 'skipped',
+            dependsOn,
+            optional: step.optional === true,
+            llmCalls: 0,
+            tokensUsed: 0,
+            costUsd: 0,
+          };
+          details.set(step.id, detail);
+
+          // Optional dependencies only have to finish; their missing output reads as undefined
+          const unmet = dependencyResults.find(result => result.status !== 'succeeded' && !result.optional);
+          if (unmet) {
+            detail.error = `Dependency ${unmet.id} ${unmet.status}`;
+            return detail;
+          }
+
+          if (blockedActions.includes(step.action)) {
+            detail.status = 'failed';
+            detail.error = `Action ${step.action} is blocked for this organization`;
+            return detail;
+          }
+
+          await this.runStep(step, detail, payload, outputs, utilities, runner, authContext, startTime);
+          return detail;
+        })());
+      }
+      return runs.get(step.id)!;
+    };
+
+    await Promise.all(definition.steps.map(start));
+
+    const stepDetails = definition.steps.map(step => details.get(step.id)!);
+    const durationMs = Date.now() - startTime;
+    utilities.recordPipeline({ pipelineId: definition.id, version: definition.version, durationMs, steps: stepDetails });
+
+    const tokensUsed = stepDetails.reduce((total, step) => total + step.tokensUsed, 0);
+    const lastSucceeded = [...stepDetails].reverse().find(step => step.status === 'succeeded');
+    const metadata = {
+      tokensUsed,
+      modelUsed: lastSucceeded?.modelUsed,
+      providerUsed: lastSucceeded?.providerUsed,
+      duration: durationMs,
+    };
+
+    const failedStep = stepDetails.find(step => step.status === 'failed' && !step.optional);
+    if (failedStep) {
+      logger.warn(`Pipeline ${definition.id} failed at step ${failedStep.id}`, { error: failedStep.error });
+      return {
+        success: false,
+        error: `Pipeline step ${failedStep.id} (${failedStep.action}) failed: ${failedStep.error}`,
+        // Whatever the earlier steps produced, for clients that can show partial results
+        data: this.buildOutput(definition, payload, outputs),
+        metadata,
+      };
+    }
+
+    return {
+      success: true,
+      data: this.buildOutput(definition, payload, outputs),
+      metadata,
+    };
+  }
+
+  private async runStep(
+    step: PipelineStepDefinition,
+    detail: PipelineStepDetails,
+    payload: NormalizedRubiContextPayload,
+    outputs: Record<string, any>,
+    utilities: ActionUtilities,
+    runner: PipelineStepRunner,
+    authContext: AuthenticatedRequestContext | undefined,
+    pipelineStart: number
+  ): Promise<void> {
+    const stepPayload = this.buildStepPayload(step, payload, outputs);
+    const validation = runner.validatePayloadForAction(step.action, stepPayload);
+    if (!validation.valid) {
+      detail.status = 'failed';
+      detail.error = `Invalid payload: ${validation.errors?.join(', ')}`;
+      return;
+    }
+
+    const stepUtilities = utilities.forAction(step.action, (_response, costUsd) => {
+      detail.llmCalls++;
+      detail.costUsd += costUsd;
+    });
+
+    const stepStart = Date.now();
+    detail.startOffsetMs = stepStart - pipelineStart;
+    const result = await runner.execute(step.action, stepPayload, stepUtilities, authContext);
+    detail.durationMs = Date.now() - stepStart;
+    detail.tokensUsed = result.metadata?.tokensUsed || 0;
+    detail.providerUsed = result.metadata?.providerUsed;
+    detail.modelUsed = result.metadata?.modelUsed;
+
+    if (result.success) {
+      detail.status = 'succeeded';
+      outputs[step.id] = result.data;
+    } else {
+      detail.status = 'failed';
+      detail.error = result.error || 'Step failed';
+    }
+  }
+
+  private buildStepPayload(
+    step: PipelineStepDefinition,
+    payload: NormalizedRubiContextPayload,
+    outputs: Record<string, any>
+  ): NormalizedRubiContextPayload {
+    const stepPayload = JSON.parse(JSON.stringify(payload));
+    for (const [target, source] of Object.entries(step.inputs || {})) {
+      const value = this.resolveSource(source, payload, outputs);
+      if (value !== undefined) {
+        setPath(stepPayload, target, value);
+      }
+    }
+    return stepPayload;
+  }
+
+  private buildOutput(
+    definition: PipelineDefinition,
+    payload: NormalizedRubiContextPayload,
+    outputs: Record<string, any>
+  ): Record<string, any> {
+    if (!definition.output) {
+      return { ...outputs };
+    }
+
+    const result: Record<string, any> = {};
+    for (const [key, source] of Object.entries(definition.output)) {
+      result[key] = this.resolveSource(source, payload, outputs);
+    }
+    return result;
+  }
+
+  private resolveSource(source: any, payload: NormalizedRubiContextPayload, outputs: Record<string, any>): any {
+    if (typeof source !== 'string') {
+      return source;
+    }
+
+    const stepMatch = source.match(STEP_REFERENCE);
+    if (stepMatch) {
+      return stepMatch[2] ? getPath(outputs[stepMatch[1]], stepMatch[2]) : outputs[stepMatch[1]];
+    }
+
+    const payloadMatch = source.match(PAYLOAD_REFERENCE);
+    if (payloadMatch) {
+      return getPath(payload, payloadMatch[1]);
+    }
+
+    return source;
+  }
+}
+
+function getPath(data: any, path: string): any {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function setPath(data: any, path: string, value: any): void {
+  const keys = path.split('.');
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+export const pipelineExecutor = new PipelineExecutor();
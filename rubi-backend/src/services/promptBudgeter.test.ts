@@ -0,0 +1,83 @@
+import { promptBudgeter, PromptBudgetOptions } from './promptBudgeter';
+import { tokenEstimator } from '../providers/tokenEstimator';
+import { PromptTemplate } from '../types';
+
+const template = {
+  id: 'budget_test',
+  version: '1.0.0',
+  model: { provider: 'openai', name: 'gpt-4' },
+  userPrompt: 'Title: {{title}}\nHistory: {{history}}\nPage: {{visibleText}}',
+  variables: ['title', 'history', 'visibleText'],
+} as unknown as PromptTemplate;
+
+// The org cap is the tightest limit here, so the budget is 600 prompt tokens
+const options: PromptBudgetOptions = {
+  provider: 'openai',
+  model: 'gpt-4',
+  outputTokens: 2000,
+  maxPromptTokens: 600,
+};
+
+describe('PromptBudgeter', () => {
+  it('budgets the context window less the completion reserve, capped by the org limit', () => {
+    expect(promptBudgeter.getBudget({ ...options, maxPromptTokens: undefined })).toEqual({
+      contextWindow: 8192,
+      budgetTokens: Math.floor((8192 - 2000) * 0.9),
+    });
+    expect(promptBudgeter.getBudget(options).budgetTokens).toBe(600);
+  });
+
+  it('leaves a prompt that fits untouched', () => {
+    const { prompt, report } = promptBudgeter.render(template, { title: 'Acme renewal', visibleText: 'Short page' }, options);
+
+    expect(prompt).toBe('Title: Acme renewal\nHistory: \nPage: Short page');
+    expect(report).toMatchObject({ withinBudget: true, trimmedSections: [] });
+  });
+
+  it('truncates visible page text first, without changing the caller data', () => {
+    const data = { title: 'Acme renewal', visibleText: 'page text '.repeat(400) };
+
+    const { prompt, report } = promptBudgeter.render(template, data, options);
+
+    expect(report.withinBudget).toBe(true);
+    expect(report.finalTokens).toBeLessThanOrEqual(600);
+    expect(report.trimmedSections).toEqual([
+      expect.objectContaining({ section: 'visibleText', strategy: 'truncated' }),
+    ]);
+    expect(prompt).toContain('Title: Acme renewal');
+    expect(prompt).toContain('[truncated]');
+    expect(data.visibleText).toHaveLength(4000);
+  });
+
+  it('drops the oldest history entries once the page text is gone', () => {
+    const history = Array.from({ length: 8 }, (_, index) => ({
+      timestamp: `2026-01-0${index + 1}T09:00:00Z`,
+      note: `entry-${index + 1} ${'detail '.repeat(50)}`,
+    }));
+
+    const { prompt, report } = promptBudgeter.render(template, { title: 'Acme', visibleText: 'page '.repeat(60), history }, options);
+
+    expect(report.withinBudget).toBe(true);
+    expect(report.trimmedSections.map(section => section.section)).toEqual(['visibleText', 'history']);
+    expect(prompt).toContain('entry-8');
+    expect(prompt).not.toContain('entry-1 ');
+  });
+
+  describe('fit', () => {
+    it('joins sections that fit as they are', () => {
+      expect(promptBudgeter.fit(['Prompt', 'Fix it', 'Previous output'], [2, 0], options)).toBe('Prompt\n\nFix it\n\nPrevious output');
+    });
+
+    it('trims sections in the given order until the prompt fits', () => {
+      const prompt = promptBudgeter.fit(
+        ['A'.repeat(2400), 'Return corrected JSON only.', 'B'.repeat(4000), 'Validation errors'],
+        [2, 0],
+        options
+      );
+
+      expect(tokenEstimator.estimate(prompt, 'openai')).toBeLessThanOrEqual(600);
+      expect(prompt).not.toContain('B');
+      expect(prompt).toMatch(/^A+ \[truncated\]\n\nReturn corrected JSON only\.\n\nValidation errors$/);
+    });
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Phase 12H: Prompt Budgeter
+ *
+ * Renders an action's prompt template and, when the result would not fit the target
+ * model's context window (after reserving room for the completion) or the org's prompt
+ * token limit, trims the lowest-priority template data and renders again. Sections are
+ * trimmed in this order: raw visible page text, older history entries, long org
+ * intelligence blocks and finally oversized extracted fields.
+ */
+
+import { PromptTemplate, LLMProvider } from '../types';
+import { PromptBudgetDetails, TrimmedPromptSection } from '../types/metadata';
+import { templateEngine } from '../templates/template-engine';
+import { tokenEstimator } from '../providers/tokenEstimator';
+import { logger } from '../logging/logger';
+
+export interface PromptBudgetOptions {
+  provider: LLMProvider | null;
+  model: string | null;
+  // Completion tokens to leave room for
+  outputTokens: number;
+  systemPrompt?: string;
+  // Org limit on prompt tokens (limits.maxPromptTokensPerAction)
+  maxPromptTokens?: number;
+}
+
+type SectionName = TrimmedPromptSection['section'];
+
+interface TrimStep {
+  section: SectionName;
+  strategy: TrimmedPromptSection['strategy'];
+  // Mutates the working data; returns false when there is nothing left for this step to trim
+  apply: (data: any, overflowTokens: number, provider: LLMProvider | null) => boolean;
+}
+
+const SECTION_PATHS: Record<SectionName, string[]> = {
+  visibleText: ['visibleText', 'context.data.visibleText'],
+  history: ['history', 'context.data.history'],
+  orgIntelligence: ['orgIntelligence'],
+  fields: ['fields', 'context.data'],
+};
+
+// Estimates are heuristic, so budget against 90% of the window
+const SAFETY_FACTOR = 0.9;
+const MIN_PROMPT_BUDGET = 512;
+const MIN_VISIBLE_TEXT_CHARS = 200;
+const ORG_INTELLIGENCE_TEXT_CHARS = 280;
+const FIELD_TEXT_CHARS = 500;
+const TRUNCATION_MARKER = ' [truncated]';
+
+const TRIM_STEPS: TrimStep[] = [
+  { section: 'visibleText', strategy: 'truncated', apply: trimVisibleText },
+  { section: 'history', strategy: 'oldestDropped', apply: dropOldestHistory },
+  { section: 'orgIntelligence', strategy: 'condensed', apply: data => condenseStrings(data.orgIntelligence, ORG_INTELLIGENCE_TEXT_CHARS) },
+  { section: 'orgIntelligence', strategy: 'condensed', apply: data => capLists(data.orgIntelligence, 3) },
+  { section: 'orgIntelligence', strategy: 'condensed', apply: data => capLists(data.orgIntelligence, 1) },
+  { section: 'fields', strategy: 'truncated', apply: trimFields },
+];
+
+export class PromptBudgeter {
+  /**
+   * Token budget for the rendered user prompt
+   */
+  getBudget(options: PromptBudgetOptions): { contextWindow: number; budgetTokens: number } {
+    const contextWindow = tokenEstimator.getContextWindow(options.provider, options.model);
+    const systemTokens = tokenEstimator.estimate(options.systemPrompt, options.provider);
+    let budgetTokens = Math.floor((contextWindow - options.outputTokens) * SAFETY_FACTOR) - systemTokens;
+
+    if (options.maxPromptTokens && options.maxPromptTokens > 0) {
+      budgetTokens = Math.min(budgetTokens, options.maxPromptTokens);
+    }
+
+    return { contextWindow, budgetTokens: Math.max(budgetTokens, MIN_PROMPT_BUDGET) };
+  }
+
+  /**
+   * Render the template within budget, reporting any sections that had to be trimmed
+   */
+  render(
+    template: PromptTemplate,
+    data: any,
+    options: PromptBudgetOptions
+  ): { prompt: string; report: PromptBudgetDetails } {
+    const { contextWindow, budgetTokens } = this.getBudget(options);
+    let prompt = templateEngine.renderTemplate(template, data);
+    const originalTokens = tokenEstimator.estimate(prompt, options.provider);
+    let tokens = originalTokens;
+
+    const trimmed: TrimmedPromptSection[] = [];
+
+    if (tokens > budgetTokens) {
+      // Trim a copy; the handler's payload is also used for caching and logging
+      const working = JSON.parse(JSON.stringify(data));
+      let stepIndex = 0;
+
+      while (tokens > budgetTokens && stepIndex < TRIM_STEPS.length) {
+        const step = TRIM_STEPS[stepIndex];
+        const before = this.measureSection(working, step.section, options.provider);
+
+        if (!step.apply(working, tokens - budgetTokens, options.provider)) {
+          stepIndex++;
+          continue;
+        }
+
+        prompt = templateEngine.renderTemplate(template, working);
+        tokens = tokenEstimator.estimate(prompt, options.provider);
+
+        const after = this.measureSection(working, step.section, options.provider);
+        const existing = trimmed.find(entry => entry.section === step.section);
+        if (existing) {
+          existing.tokensAfter = after;
+        } else {
+          trimmed.push({ section: step.section, strategy: step.strategy, tokensBefore: before, tokensAfter: after });
+        }
+      }
+
+      logger.info(`Prompt for ${template.id} trimmed to fit token budget`, {
+        model: options.model,
+        budgetTokens,
+        originalTokens,
+        finalTokens: tokens,
+        trimmedSections: trimmed.map(entry => entry.section),
+      });
+    }
+
+    return {
+      prompt,
+      report: {
+        provider: options.provider,
+        model: options.model,
+        contextWindow,
+        budgetTokens,
+        originalTokens,
+        finalTokens: tokens,
+        withinBudget: tokens <= budgetTokens,
+        trimmedSections: trimmed,
+      },
+    };
+  }
+
+  /**
+   * Phase 12I: Join already-rendered prompt sections within budget, truncating the sections at
+   * the `trimmable` indexes in that order (down to nothing if need be) while over it
+   */
+  fit(sections: string[], trimmable: number[], options: PromptBudgetOptions): string {
+    const { budgetTokens } = this.getBudget(options);
+    const working = [...sections];
+    const join = () => working.filter(Boolean).join('\n\n');
+    const originalTokens = tokenEstimator.estimate(join(), options.provider);
+    let tokens = originalTokens;
+
+    for (const index of trimmable) {
+      if (tokens <= budgetTokens) {
+        break;
+      }
+      const text = working[index] || '';
+      const keepChars = text.length - tokenEstimator.charsForTokens(tokens - budgetTokens, options.provider) - TRUNCATION_MARKER.length;
+      working[index] = keepChars > 0 ? text.substring(0, keepChars) + TRUNCATION_MARKER : '';
+      tokens = tokenEstimator.estimate(join(), options.provider);
+    }
+
+    if (tokens < originalTokens) {
+      logger.info('Prompt trimmed to fit token budget', {
+        model: options.model,
+        budgetTokens,
+        originalTokens,
+        finalTokens: tokens,
+      });
+    }
+
+    return join();
+  }
+
+  private measureSection(data: any, section: SectionName, provider: LLMProvider | null): number {
+    return SECTION_PATHS[section].reduce((total, path) => {
+      const value = getPath(data, path);
+      if (value === undefined || value === null) {
+        return total;
+      }
+      return total + tokenEstimator.estimate(typeof value === 'string' ? value : JSON.stringify(value), provider);
+    }, 0);
+  }
+}
+
+function getPath(data: any, path: string): any {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function setPath(data: any, path: string, value: any): void {
+  const keys = path.split('.');
+  const parent = keys.length === 1 ? data : getPath(data, keys.slice(0, -1).join('.'));
+  if (parent && typeof parent === 'object') {
+    parent[keys[keys.length - 1]] = value;
+  }
+}
+
+// Cut the longest visible text by roughly the overflow, dropping it once little is left
+function trimVisibleText(data: any, overflowTokens: number, provider: LLMProvider | null): boolean {
+  const path = SECTION_PATHS.visibleText
+    .filter(candidate => typeof getPath(data, candidate) === 'string' && getPath(data, candidate).length > 0)
+    .sort((a, b) => getPath(data, b).length - getPath(data, a).length)[0];
+
+  if (!path) {
+    return false;
+  }
+
+  const text: string = getPath(data, path).replace(TRUNCATION_MARKER, '');
+  const keepChars = text.length - tokenEstimator.charsForTokens(overflowTokens, provider) - TRUNCATION_MARKER.length;
+  setPath(data, path, keepChars < MIN_VISIBLE_TEXT_CHARS ? '' : text.substring(0, keepChars) + TRUNCATION_MARKER);
+  return true;
+}
+
+// Remove the oldest history entry (by timestamp when entries have one, otherwise the first)
+function dropOldestHistory(data: any): boolean {
+  const history = SECTION_PATHS.history
+    .map(path => getPath(data, path))
+    .find(value => Array.isArray(value) && value.length > 0) as any[] | undefined;
+
+  if (!history) {
+    return false;
+  }
+
+  let oldestIndex = 0;
+  history.forEach((entry, index) => {
+    const time = Date.parse(entry?.timestamp || entry?.date || '');
+    const oldest = Date.parse(history[oldestIndex]?.timestamp || history[oldestIndex]?.date || '');
+    if (!isNaN(time) && (isNaN(oldest) || time < oldest)) {
+      oldestIndex = index;
+    }
+  });
+
+  history.splice(oldestIndex, 1);
+  return true;
+}
+
+function condenseStrings(value: any, maxChars: number): boolean {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+
+  let changed = false;
+  for (const key of Object.keys(value)) {
+    const child = value[key];
+    if (typeof child === 'string' && child.length > maxChars + TRUNCATION_MARKER.length) {
+      value[key] = child.substring(0, maxChars) + TRUNCATION_MARKER;
+      changed = true;
+    } else if (child && typeof child === 'object') {
+      changed = condenseStrings(child, maxChars) || changed;
+    }
+  }
+  return changed;
+}
+
+function capLists(value: any, maxItems: number): boolean {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+
+  let changed = false;
+  if (Array.isArray(value) && value.length > maxItems) {
+    value.splice(maxItems);
+    changed = true;
+  }
+  for (const child of Object.values(value)) {
+    changed = capLists(child, maxItems) || changed;
+  }
+  return changed;
+}
+
+function trimFields(data: any): boolean {
+  let changed = false;
+  for (const path of SECTION_PATHS.fields) {
+    const fields = getPath(data, path);
+    if (!fields || typeof fields !== 'object') {
+      continue;
+    }
+    for (const key of Object.keys(fields)) {
+      // Visible text and history are budgeted by their own steps
+      if (key === 'visibleText' || key === 'history') {
+        continue;
+      }
+      if (typeof fields[key] === 'string' && fields[key].length > FIELD_TEXT_CHARS + TRUNCATION_MARKER.length) {
+        fields[key] = fields[key].substring(0, FIELD_TEXT_CHARS) + TRUNCATION_MARKER;
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+export const promptBudgeter = new PromptBudgeter();
@@ -0,0 +1,113 @@
+/**
+ * Phase 12W: Prompt Injection Screening
+ *
+ * Page titles, extracted fields, history and visible text come from arbitrary web pages and
+ * are rendered straight into prompt templates. Before rendering, page-sourced strings are
+ * screened for text that addresses the model rather than describing the page ("ignore
+ * previous instructions", "you are now...", chat role markers, model control tokens) and
+ * for attempts to close the `<page_data>` block templates wrap page content in. Matches are
+ * replaced with a neutral marker and reported as findings; the rest of the text is kept.
+ */
+
+import { PromptInjectionFinding } from '../types/metadata';
+
+export interface PromptInjectionScreenResult<T> {
+  data: T;
+  findings: PromptInjectionFinding[];
+}
+
+interface ScreeningRule {
+  name: string;
+  pattern: RegExp;
+}
+
+// Payload keys that carry page content; everything under them is screened
+const PAGE_SOURCED_KEYS = ['url', 'title', 'fields', 'visibleText', 'history', 'context'];
+const MAX_SCREEN_DEPTH = 6;
+const NEUTRALIZED_MARKER = '[filtered]';
+
+const SCREENING_RULES: ScreeningRule[] = [
+  {
+    name: 'ignoreInstructions',
+    pattern: /\b(?:ignore|disregard|forget|override|bypass)\s+(?:(?:all|any|every|the|your|my|of|these|those)\s+)*(?:previous|prior|above|earlier|preceding|system|original|initial|existing)\s+(?:instructions?|prompts?|rules|directions|guidelines|guardrails|context|messages?)\b/gi,
+  },
+  {
+    name: 'newInstructions',
+    pattern: /\b(?:new|updated|revised|real|actual)\s+(?:system\s+)?instructions?\s*:/gi,
+  },
+  {
+    name: 'roleOverride',
+    pattern: /\b(?:from\s+now\s+on,?\s+)?you\s+(?:are|will|must)\s+now\s+(?:act|behave|respond|reply|pretend|roleplay|operate|answer)\b|\b(?:pretend|roleplay)\s+(?:to\s+be|you\s+are|as)\s+(?:an?\s+)?(?:different|unrestricted|jailbroken|new)\b/gi,
+  },
+  {
+    name: 'promptExfiltration',
+    pattern: /\b(?:reveal|print|show|repeat|output|leak|disclose)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|hidden\s+prompt|initial\s+prompt|original\s+prompt|instructions)\b/gi,
+  },
+  {
+    // A line that poses as a chat turn
+    name: 'roleMarker',
+    pattern: /^[ \t]*(?:system|assistant|developer)[ \t]*:/gim,
+  },
+  {
+    name: 'controlToken',
+    pattern: /<\|[a-z_]+\|>|\[\/?INST\]|<<\/?SYS>>/gi,
+  },
+  {
+    name: 'dataBlockEscape',
+    pattern: /<\s*\/?\s*page_data\b[^>]*>/gi,
+  },
+];
+
+export class PromptInjectionScreen {
+  /**
+   * Copy of template data with instruction-like text in its page-sourced fields neutralized.
+   * Fields outside PAGE_SOURCED_KEYS (org intelligence, user and org settings) are untouched.
+   */
+  screen<T extends Record<string, any>>(data: T): PromptInjectionScreenResult<T> {
+    const findings: PromptInjectionFinding[] = [];
+    if (!data || typeof data !== 'object') {
+      return { data, findings };
+    }
+
+    const screened: Record<string, any> = { ...data };
+    for (const key of PAGE_SOURCED_KEYS) {
+      if (screened[key] !== undefined) {
+        screened[key] = this.screenValue(screened[key], key, 0, findings);
+      }
+    }
+    return { data: screened as T, findings };
+  }
+
+  /**
+   * `text` with every rule match replaced; rules that matched are appended to `findings`
+   */
+  screenText(text: string, field: string, findings: PromptInjectionFinding[]): string {
+    let screened = text;
+    for (const rule of SCREENING_RULES) {
+      rule.pattern.lastIndex = 0;
+      if (!rule.pattern.test(screened)) {
+        continue;
+      }
+      screened = screened.replace(rule.pattern, NEUTRALIZED_MARKER);
+      findings.push({ field, rule: rule.name });
+    }
+    return screened;
+  }
+
+  private screenValue(value: any, path: string, depth: number, findings: PromptInjectionFinding[]): any {
+    if (typeof value === 'string') {
+      return this.screenText(value, path, findings);
+    }
+    if (depth >= MAX_SCREEN_DEPTH || !value || typeof value !== 'object') {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.screenValue(item, `${path}[${index}]`, depth + 1, findings));
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, this.screenValue(item, `${path}.${key}`, depth + 1, findings)])
+    );
+  }
+}
+
+export const promptInjectionScreen = new PromptInjectionScreen();
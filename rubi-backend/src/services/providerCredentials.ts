@@ -0,0 +1,178 @@
+/**
+ * Phase 12X: Org Provider Credentials
+ *
+ * Orgs can bring their own provider API keys so their LLM calls bill to their own accounts.
+ * Keys are encrypted with AES-256-GCM under the server master key (PROVIDER_KEYS_MASTER_KEY,
+ * 32 bytes as hex or base64) before they are stored in the org config. The org ID and
+ * provider are bound in as associated data, so a ciphertext copied to another org or provider
+ * won't decrypt.
+ *
+ * Decrypted keys are kept in memory only, for the orchestrator. Admin responses carry the
+ * key's last four characters and never the key or its ciphertext.
+ */
+
+import * as crypto from 'crypto';
+import { BYOK_PROVIDERS, ByokProvider, OrgConfig, StoredProviderCredential } from '../types/orgConfig';
+import { logger } from '../logging/logger';
+
+export interface ProviderCredential {
+  apiKey: string;
+  endpoint?: string;
+  apiVersion?: string;
+}
+
+export type OrgProviderCredentials = Partial<Record<ByokProvider, ProviderCredential>>;
+
+// What admins see of a stored key
+export interface ProviderKeySummary {
+  provider: ByokProvider;
+  configured: boolean;
+  keyHint?: string;
+  endpoint?: string;
+  apiVersion?: string;
+  updatedAt?: string;
+}
+
+const MASTER_KEY_ENV = 'PROVIDER_KEYS_MASTER_KEY';
+const CIPHER = 'aes-256-gcm';
+const CIPHERTEXT_VERSION = 'v1';
+const IV_BYTES = 12;
+const MASTER_KEY_BYTES = 32;
+const KEY_HINT_LENGTH = 4;
+
+export class ProviderCredentialService {
+  // Plaintext keys by ciphertext, so each stored key is decrypted once per process
+  private decrypted = new Map<string, string>();
+  // Ciphertexts that failed to decrypt, logged once each
+  private undecryptable = new Set<string>();
+  private masterKeyWarningLogged = false;
+
+  /**
+   * Whether PROVIDER_KEYS_MASTER_KEY holds a usable 32-byte key
+   */
+  isConfigured(): boolean {
+    return this.getMasterKey() !== null;
+  }
+
+  /**
+   * Encrypted, storable form of a key. Throws when no master key is configured.
+   */
+  createCredential(orgId: string, provider: ByokProvider, input: ProviderCredential): StoredProviderCredential {
+    const masterKey = this.getMasterKey();
+    if (!masterKey) {
+      throw new Error(`${MASTER_KEY_ENV} is not configured`);
+    }
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, masterKey, iv);
+    cipher.setAAD(Buffer.from(`${orgId}:${provider}`));
+    const encrypted = Buffer.concat([cipher.update(input.apiKey, 'utf-8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return {
+      encryptedApiKey: [CIPHERTEXT_VERSION, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':'),
+      keyHint: input.apiKey.slice(-KEY_HINT_LENGTH),
+      endpoint: input.endpoint,
+      apiVersion: input.apiVersion,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * The org's decrypted keys by provider, or undefined when it has none. Keys that can't be
+   * decrypted (no or a different master key) are left out, so those calls use platform keys.
+   */
+  resolve(orgConfig: OrgConfig | null | undefined): OrgProviderCredentials | undefined {
+    const stored = orgConfig?.provider_credentials;
+    if (!stored || Object.keys(stored).length === 0) {
+      return undefined;
+    }
+
+    const credentials: OrgProviderCredentials = {};
+    for (const [provider, credential] of Object.entries(stored) as Array<[ByokProvider, StoredProviderCredential]>) {
+      const apiKey = this.decrypt(credential.encryptedApiKey, orgConfig!.orgId, provider);
+      if (apiKey) {
+        credentials[provider] = { apiKey, endpoint: credential.endpoint, apiVersion: credential.apiVersion };
+      }
+    }
+    return Object.keys(credentials).length > 0 ? credentials : undefined;
+  }
+
+  /**
+   * Every provider with whether the org has a key for it
+   */
+  describe(orgConfig: OrgConfig | null | undefined): ProviderKeySummary[] {
+    return BYOK_PROVIDERS.map(provider => {
+      const credential = orgConfig?.provider_credentials?.[provider];
+      return credential
+        ? { provider, configured: true, keyHint: credential.keyHint, endpoint: credential.endpoint, apiVersion: credential.apiVersion, updatedAt: credential.updatedAt }
+        : { provider, configured: false };
+    });
+  }
+
+  /**
+   * Copy of an org (or version snapshot) for API responses, with ciphertexts left out
+   */
+  mask<T extends Record<string, any> | null>(org: T): T {
+    if (!org?.provider_credentials) {
+      return org;
+    }
+    const masked = Object.fromEntries(
+      Object.entries(org.provider_credentials).map(([provider, credential]) => {
+        const { encryptedApiKey, ...summary } = credential as StoredProviderCredential;
+        return [provider, summary];
+      })
+    );
+    return { ...org, provider_credentials: masked };
+  }
+
+  private decrypt(encryptedApiKey: string, orgId: string, provider: ByokProvider): string | null {
+    const cached = this.decrypted.get(encryptedApiKey);
+    if (cached) {
+      return cached;
+    }
+
+    const masterKey = this.getMasterKey();
+    if (!masterKey) {
+      return null;
+    }
+
+    try {
+      const [version, iv, tag, data] = encryptedApiKey.split(':');
+      if (version !== CIPHERTEXT_VERSION || !iv || !tag || !data) {
+        throw new Error('Unrecognized ciphertext format');
+      }
+      const decipher = crypto.createDecipheriv(CIPHER, masterKey, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(`${orgId}:${provider}`));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      const apiKey = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf-8');
+      this.decrypted.set(encryptedApiKey, apiKey);
+      return apiKey;
+    } catch {
+      if (!this.undecryptable.has(encryptedApiKey)) {
+        this.undecryptable.add(encryptedApiKey);
+        logger.error(`Could not decrypt the ${provider} key for org ${orgId}; platform keys will be used`, { orgId, provider });
+      }
+      return null;
+    }
+  }
+
+  private getMasterKey(): Buffer | null {
+    const value = process.env[MASTER_KEY_ENV];
+    if (!value) {
+      return null;
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== MASTER_KEY_BYTES) {
+      if (!this.masterKeyWarningLogged) {
+        this.masterKeyWarningLogged = true;
+        logger.error(`${MASTER_KEY_ENV} must be ${MASTER_KEY_BYTES} bytes as hex or base64; org provider keys are disabled`);
+      }
+      return null;
+    }
+    return key;
+  }
+}
+
+export const providerCredentials = new ProviderCredentialService();
@@ -0,0 +1,191 @@
+/**
+ * Phase 12O: Usage Counter Stores
+ *
+ * Usage limits and spend budgets are kept as counters scoped to a period (a day or a
+ * month). A counter whose period has changed counts from zero again. The limiter only
+ * talks to the UsageCounterStore interface, so a shared store (Redis, a database) can be
+ * swapped in for deployments that scale out across hosts.
+ *
+ * - `memory`: process-local; resets on restart and is per-instance
+ * - `file`: a JSON file updated under an exclusive lock file, so increments are atomic
+ *   across every process that shares the file. Counts survive restarts, but instances only
+ *   share limits when they all reach the same file: several processes on one host, or hosts
+ *   mounting one shared volume whose filesystem honours exclusive creates. Instances with
+ *   their own disks each count separately and need a shared store instead.
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { logger } from '../logging/logger';
+import { withFileLock, writeFileAtomic } from './fileLock';
+
+export interface CounterRef {
+  key: string;
+  period: string;
+}
+
+export interface CounterUpdate extends CounterRef {
+  amount: number;
+}
+
+// Phase 12O: An increment the counter must not be taken past (unset for no limit)
+export interface LimitedCounterUpdate extends CounterUpdate {
+  limit?: number;
+}
+
+export interface StoredCounter extends CounterRef {
+  value: number;
+  lastUpdated: number;
+}
+
+export interface UsageCounterStore {
+  readonly kind: string;
+  /**
+   * Atomically add each update's amount to its counter (starting from zero when the counter's
+   * period changed) and return the new values in order
+   */
+  increment(updates: CounterUpdate[]): Promise<number[]>;
+  /**
+   * Atomically apply every update, unless one would take its counter past its limit; then
+   * nothing is applied. Returns the index of that update, or null when all were applied.
+   */
+  incrementWithinLimits(updates: LimitedCounterUpdate[]): Promise<number | null>;
+  // Current values in order; 0 for missing counters or counters from another period
+  get(refs: CounterRef[]): Promise<number[]>;
+  // Counters whose key starts with the prefix
+  list(prefix: string): Promise<StoredCounter[]>;
+  delete(keys: string[]): Promise<void>;
+}
+
+type CounterMap = Record<string, { value: number; period: string; lastUpdated: number }>;
+
+function applyUpdates(counters: CounterMap, updates: CounterUpdate[]): number[] {
+  const now = Date.now();
+  return updates.map(({ key, period, amount }) => {
+    const counter = counters[key];
+    const value = (counter && counter.period === period ? counter.value : 0) + amount;
+    counters[key] = { value, period, lastUpdated: now };
+    return value;
+  });
+}
+
+function applyUpdatesWithinLimits(counters: CounterMap, updates: LimitedCounterUpdate[]): number | null {
+  const current = readCounters(counters, updates);
+  const exceeded = updates.findIndex((update, i) => typeof update.limit === 'number' && current[i] + update.amount > update.limit);
+  if (exceeded !== -1) {
+    return exceeded;
+  }
+  applyUpdates(counters, updates);
+  return null;
+}
+
+function readCounters(counters: CounterMap, refs: CounterRef[]): number[] {
+  return refs.map(({ key, period }) => (counters[key]?.period === period ? counters[key].value : 0));
+}
+
+function listCounters(counters: CounterMap, prefix: string): StoredCounter[] {
+  return Object.entries(counters)
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, counter]) => ({ key, ...counter }));
+}
+
+function deleteCounters(counters: CounterMap, keys: string[]): void {
+  for (const key of keys) {
+    delete counters[key];
+  }
+}
+
+export class MemoryUsageCounterStore implements UsageCounterStore {
+  readonly kind = 'memory';
+  private counters: CounterMap = {};
+
+  async increment(updates: CounterUpdate[]): Promise<number[]> {
+    return applyUpdates(this.counters, updates);
+  }
+
+  async incrementWithinLimits(updates: LimitedCounterUpdate[]): Promise<number | null> {
+    return applyUpdatesWithinLimits(this.counters, updates);
+  }
+
+  async get(refs: CounterRef[]): Promise<number[]> {
+    return readCounters(this.counters, refs);
+  }
+
+  async list(prefix: string): Promise<StoredCounter[]> {
+    return listCounters(this.counters, prefix);
+  }
+
+  async delete(keys: string[]): Promise<void> {
+    deleteCounters(this.counters, keys);
+  }
+}
+
+export class FileUsageCounterStore implements UsageCounterStore {
+  readonly kind = 'file';
+  private filePath: string;
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+  }
+
+  async increment(updates: CounterUpdate[]): Promise<number[]> {
+    return this.update(counters => applyUpdates(counters, updates));
+  }
+
+  // The limits are checked and the counts added under one hold of the lock
+  async incrementWithinLimits(updates: LimitedCounterUpdate[]): Promise<number | null> {
+    return this.update(counters => applyUpdatesWithinLimits(counters, updates));
+  }
+
+  // Reads need no lock: the file is only ever replaced by rename
+  async get(refs: CounterRef[]): Promise<number[]> {
+    return readCounters(await this.read(), refs);
+  }
+
+  async list(prefix: string): Promise<StoredCounter[]> {
+    return listCounters(await this.read(), prefix);
+  }
+
+  async delete(keys: string[]): Promise<void> {
+    await this.update(counters => deleteCounters(counters, keys));
+  }
+
+  private async read(): Promise<CounterMap> {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      return parsed.counters || {};
+    } catch (error) {
+      if ((error as any).code !== 'ENOENT') {
+        logger.error('Failed to read usage counters', { error: error instanceof Error ? error.message : error });
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Read-modify-write the counters while holding the lock file
+   */
+  private update<T>(mutate: (counters: CounterMap) => T): Promise<T> {
+    return withFileLock(this.filePath, async () => {
+      const counters = await this.read();
+      const result = mutate(counters);
+      await writeFileAtomic(this.filePath, JSON.stringify({ version: '1.0.0', counters }));
+      return result;
+    });
+  }
+}
+
+/**
+ * Store selected by USAGE_STORE (`file` or `memory`)
+ */
+export function createUsageCounterStore(): UsageCounterStore {
+  const kind = process.env.USAGE_STORE || 'file';
+
+  if (kind === 'memory') {
+    return new MemoryUsageCounterStore();
+  }
+  if (kind !== 'file') {
+    logger.warn(`Unknown USAGE_STORE "${kind}", using file`);
+  }
+  return new FileUsageCounterStore(process.env.USAGE_STORE_FILE || path.join(process.cwd(), 'data', 'usage-counters.json'));
+}
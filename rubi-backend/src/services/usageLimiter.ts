@@ -1,134 +1,263 @@
 import { ExecutionContext } from '../types/execution';
 import { OrgConfig } from '../types/orgConfig';
+import { logger } from '../logging/logger';
+import { CounterRef, LimitedCounterUpdate, UsageCounterStore, createUsageCounterStore } from './usageCounterStore';
 
-interface UsageCounter {
-  count: number;
-  date: string;
-  lastUpdated: number;
+export interface SpendLimitDetails {
+  period: 'daily' | 'monthly';
+  spentUsd: number;
+  limitUsd: number;
 }
 
-interface UsageCheckResult {
+export interface UsageCheckResult {
   allowed: boolean;
   reason?: string;
+  // Phase 12J: Set when reason is spend_limit_exceeded
+  spendLimit?: SpendLimitDetails;
+  // Phase 12O: Set by reserveAction when the action was counted
+  reservation?: UsageReservation;
+}
+
+// Phase 12O: Daily action counts taken by reserveAction, given back by releaseReservation
+export interface UsageReservation {
+  updates: LimitedCounterUpdate[];
+}
+
+// Phase 12O: Usage against one limit; limit and remaining are unset when the org has no limit
+export interface QuotaUsage {
+  used: number;
+  limit?: number;
+  remaining?: number;
+}
+
+export interface UsageQuota {
+  date: string;
+  month: string;
+  // When the daily counters start over (next local midnight)
+  resetsAt: string;
+  actions: {
+    org: QuotaUsage;
+    user?: QuotaUsage;
+  };
+  spendUsd: {
+    daily: QuotaUsage;
+    monthly: QuotaUsage;
+  };
 }
 
 export class UsageLimiter {
-  private orgCounters: Map<string, UsageCounter> = new Map();
-  private userCounters: Map<string, UsageCounter> = new Map();
-  private readonly TTL_HOURS = 24;
+  // Phase 12O: Counters live in a pluggable store so limits survive restarts and are shared across instances
+  private store: UsageCounterStore;
+  private lastPrunedDate: string | null = null;
+  
+  constructor(store: UsageCounterStore = createUsageCounterStore()) {
+    this.store = store;
+  }
   
-  checkActionAllowed(context: ExecutionContext & { orgConfig?: OrgConfig }): UsageCheckResult {
+  getStoreKind(): string {
+    return this.store.kind;
+  }
+  
+  // Phase 12M: actionCount is how many actions the request will run (a batch runs several);
+  // the daily action limits must have room for all of them. Nothing is counted here; each
+  // action is counted by reserveAction when it runs.
+  async checkActionAllowed(context: ExecutionContext & { orgConfig?: OrgConfig; actionCount?: number }): Promise<UsageCheckResult> {
     const { orgId, userId, orgConfig } = context;
+    const actionCount = context.actionCount ?? 1;
     
     if (!orgConfig) {
       return { allowed: true, reason: 'orgConfigMissing' };
     }
     
-    if (orgConfig.enabled === false) {
-      return { allowed: false, reason: 'org_disabled' };
+    const blocked = this.checkOrgPolicy(context, orgConfig);
+    if (blocked) {
+      return blocked;
     }
     
-    if (orgConfig.browser_extension_enabled === false) {
-      return { allowed: false, reason: 'extension_disabled' };
-    }
+    const today = this.getCurrentDateString();
+    const [orgCount, userCount] = await this.store.get([
+      { key: this.orgActionsKey(orgId), period: today },
+      { key: this.userActionsKey(orgId, userId || ''), period: today },
+    ]);
     
-    if (orgConfig.allowed_domains) {
-      const currentDomain = this.extractDomainFromContext(context);
-      if (currentDomain && !orgConfig.allowed_domains.includes(currentDomain)) {
-        return { allowed: false, reason: 'domain_not_allowed' };
-      }
+    if (orgConfig.max_daily_actions_per_org && orgCount + actionCount > orgConfig.max_daily_actions_per_org) {
+      return { allowed: false, reason: 'org_daily_limit_exceeded' };
     }
     
-    const today = this.getCurrentDateString();
-    
-    if (orgConfig.max_daily_actions_per_org) {
-      const orgKey = `${orgId}:${today}`;
-      const orgUsage = this.getOrCreateCounter(this.orgCounters, orgKey, today);
-      
-      if (orgUsage.count >= orgConfig.max_daily_actions_per_org) {
-        return { allowed: false, reason: 'org_daily_limit_exceeded' };
-      }
+    if (orgConfig.max_daily_actions_per_user && userId && userCount + actionCount > orgConfig.max_daily_actions_per_user) {
+      return { allowed: false, reason: 'user_daily_limit_exceeded' };
     }
     
-    if (orgConfig.max_daily_actions_per_user && userId) {
-      const userKey = `${orgId}:${userId}:${today}`;
-      const userUsage = this.getOrCreateCounter(this.userCounters, userKey, today);
-      
-      if (userUsage.count >= orgConfig.max_daily_actions_per_user) {
-        return { allowed: false, reason: 'user_daily_limit_exceeded' };
-      }
+    // Phase 12J: Spend budgets are checked before the call, so the last call may overshoot by its own cost
+    const spendLimit = await this.findExceededSpendLimit(orgId, orgConfig);
+    if (spendLimit) {
+      return { allowed: false, reason: 'spend_limit_exceeded', spendLimit };
     }
     
     return { allowed: true };
   }
   
-  incrementUsage(context: ExecutionContext & { orgConfig?: OrgConfig }): void {
+  /**
+   * Phase 12O: checkActionAllowed for one action that also counts it. The daily limits are
+   * checked and the counts added in one atomic store update, so concurrent requests can't all
+   * pass on the same remaining quota. Counted even when the org sets no limit, so
+   * GET /api/actions/usage reports real usage; release the reservation if the action fails.
+   */
+  async reserveAction(context: ExecutionContext & { orgConfig?: OrgConfig }): Promise<UsageCheckResult> {
     const { orgId, userId, orgConfig } = context;
     
     if (!orgConfig) {
-      return;
+      return { allowed: true, reason: 'orgConfigMissing' };
+    }
+    
+    const blocked = this.checkOrgPolicy(context, orgConfig);
+    if (blocked) {
+      return blocked;
+    }
+    
+    const spendLimit = await this.findExceededSpendLimit(orgId, orgConfig);
+    if (spendLimit) {
+      return { allowed: false, reason: 'spend_limit_exceeded', spendLimit };
     }
     
     const today = this.getCurrentDateString();
+    const updates: LimitedCounterUpdate[] = [
+      { key: this.orgActionsKey(orgId), period: today, amount: 1, limit: orgConfig.max_daily_actions_per_org || undefined },
+    ];
+    if (userId) {
+      updates.push({ key: this.userActionsKey(orgId, userId), period: today, amount: 1, limit: orgConfig.max_daily_actions_per_user || undefined });
+    }
     
-    if (orgConfig.max_daily_actions_per_org) {
-      const orgKey = `${orgId}:${today}`;
-      const orgUsage = this.getOrCreateCounter(this.orgCounters, orgKey, today);
-      orgUsage.count++;
-      orgUsage.lastUpdated = Date.now();
+    const exceeded = await this.store.incrementWithinLimits(updates);
+    if (exceeded !== null) {
+      return { allowed: false, reason: exceeded === 0 ? 'org_daily_limit_exceeded' : 'user_daily_limit_exceeded' };
+    }
+    
+    try {
+      await this.pruneExpiredCounters(today);
+    } catch (error) {
+      logger.error('Failed to prune usage counters', { orgId, error: error instanceof Error ? error.message : error });
     }
     
-    if (orgConfig.max_daily_actions_per_user && userId) {
-      const userKey = `${orgId}:${userId}:${today}`;
-      const userUsage = this.getOrCreateCounter(this.userCounters, userKey, today);
-      userUsage.count++;
-      userUsage.lastUpdated = Date.now();
+    return { allowed: true, reservation: { updates } };
+  }
+  
+  /**
+   * Phase 12O: Give back the counts of a reserved action that did not succeed
+   */
+  async releaseReservation(reservation: UsageReservation): Promise<void> {
+    // Counters from an earlier day have already started over
+    if (reservation.updates[0]?.period !== this.getCurrentDateString()) {
+      return;
     }
     
-    this.cleanupOldCounters();
+    try {
+      await this.store.increment(reservation.updates.map(({ key, period, amount }) => ({ key, period, amount: -amount })));
+    } catch (error) {
+      logger.error('Failed to release usage reservation', { error: error instanceof Error ? error.message : error });
+    }
   }
   
-  private getOrCreateCounter(
-    counters: Map<string, UsageCounter>,
-    key: string,
-    date: string
-  ): UsageCounter {
-    let counter = counters.get(key);
+  // Org switches and the allowed domains, which no counter affects
+  private checkOrgPolicy(context: ExecutionContext, orgConfig: OrgConfig): UsageCheckResult | null {
+    if (orgConfig.enabled === false) {
+      return { allowed: false, reason: 'org_disabled' };
+    }
     
-    if (!counter || counter.date !== date) {
-      counter = {
-        count: 0,
-        date: date,
-        lastUpdated: Date.now()
-      };
-      counters.set(key, counter);
+    if (orgConfig.browser_extension_enabled === false) {
+      return { allowed: false, reason: 'extension_disabled' };
     }
     
-    return counter;
+    if (orgConfig.allowed_domains) {
+      const currentDomain = this.extractDomainFromContext(context);
+      if (currentDomain && !orgConfig.allowed_domains.includes(currentDomain)) {
+        return { allowed: false, reason: 'domain_not_allowed' };
+      }
+    }
+    
+    return null;
   }
   
-  private getCurrentDateString(): string {
-    const now = new Date();
-    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  /**
+   * Phase 12J: Add an LLM call's dollar cost to the org, user and action spend totals
+   */
+  async recordSpend(entry: { orgId: string; userId?: string; actionName: string; costUsd: number }): Promise<void> {
+    if (!entry.costUsd || entry.costUsd <= 0) {
+      return;
+    }
+    
+    const scopes = [`org:${entry.orgId}`, `action:${entry.orgId}:${entry.actionName}`];
+    if (entry.userId) {
+      scopes.push(`user:${entry.orgId}:${entry.userId}`);
+    }
+    
+    const today = this.getCurrentDateString();
+    const month = this.getCurrentMonthString();
+    try {
+      await this.store.increment(scopes.flatMap(scope => [
+        { key: `spend:day:${scope}`, period: today, amount: entry.costUsd },
+        { key: `spend:month:${scope}`, period: month, amount: entry.costUsd },
+      ]));
+    } catch (error) {
+      logger.error('Failed to record spend', { orgId: entry.orgId, error: error instanceof Error ? error.message : error });
+    }
+  }
+  
+  private orgActionsKey(orgId: string): string {
+    return `actions:org:${orgId}`;
   }
   
-  private cleanupOldCounters(): void {
-    const now = Date.now();
-    const ttlMs = this.TTL_HOURS * 60 * 60 * 1000;
+  private userActionsKey(orgId: string, userId: string): string {
+    return `actions:user:${orgId}:${userId}`;
+  }
+  
+  private async findExceededSpendLimit(orgId: string, orgConfig: OrgConfig): Promise<SpendLimitDetails | null> {
+    if (typeof orgConfig.max_daily_spend_usd !== 'number' && typeof orgConfig.max_monthly_spend_usd !== 'number') {
+      return null;
+    }
     
-    for (const [key, counter] of this.orgCounters.entries()) {
-      if (now - counter.lastUpdated > ttlMs) {
-        this.orgCounters.delete(key);
-      }
+    const [dailySpend, monthlySpend] = await this.store.get(this.orgSpendRefs(orgId));
+    const limits: Array<{ period: SpendLimitDetails['period']; limitUsd?: number; spentUsd: number }> = [
+      { period: 'daily', limitUsd: orgConfig.max_daily_spend_usd, spentUsd: dailySpend },
+      { period: 'monthly', limitUsd: orgConfig.max_monthly_spend_usd, spentUsd: monthlySpend },
+    ];
+    
+    const exceeded = limits.find(limit => typeof limit.limitUsd === 'number' && limit.spentUsd >= limit.limitUsd);
+    return exceeded ? { period: exceeded.period, spentUsd: exceeded.spentUsd, limitUsd: exceeded.limitUsd as number } : null;
+  }
+  
+  private orgSpendRefs(orgId: string): CounterRef[] {
+    return [
+      { key: `spend:day:org:${orgId}`, period: this.getCurrentDateString() },
+      { key: `spend:month:org:${orgId}`, period: this.getCurrentMonthString() },
+    ];
+  }
+  
+  // Counters expire with their period: action counts after the day, spend totals after the month
+  private async pruneExpiredCounters(today: string): Promise<void> {
+    if (this.lastPrunedDate === today) {
+      return;
     }
+    this.lastPrunedDate = today;
     
-    for (const [key, counter] of this.userCounters.entries()) {
-      if (now - counter.lastUpdated > ttlMs) {
-        this.userCounters.delete(key);
-      }
+    const activePeriods = [today, this.getCurrentMonthString()];
+    const counters = [...await this.store.list('actions:'), ...await this.store.list('spend:')];
+    const expired = counters.filter(counter => !activePeriods.includes(counter.period)).map(counter => counter.key);
+    if (expired.length > 0) {
+      await this.store.delete(expired);
+      logger.debug('Pruned expired usage counters', { removed: expired.length });
     }
   }
   
+  private getCurrentMonthString(): string {
+    return this.getCurrentDateString().substring(0, 7);
+  }
+  
+  private getCurrentDateString(): string {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  }
+  
   private extractDomainFromContext(context: ExecutionContext): string | null {
     if (!context.payload?.url) {
       return null;
@@ -142,29 +271,107 @@ export class UsageLimiter {
     }
   }
   
-  getUsageStats(orgId: string, userId?: string): {
+  async getUsageStats(orgId: string, userId?: string): Promise<{
     orgUsage?: number;
     userUsage?: number;
     date: string;
-  } {
+  }> {
     const today = this.getCurrentDateString();
-    const result: any = { date: today };
+    const [orgUsage, userUsage] = await this.store.get([
+      { key: this.orgActionsKey(orgId), period: today },
+      { key: this.userActionsKey(orgId, userId || ''), period: today },
+    ]);
     
-    const orgKey = `${orgId}:${today}`;
-    const orgCounter = this.orgCounters.get(orgKey);
-    if (orgCounter) {
-      result.orgUsage = orgCounter.count;
-    }
+    return {
+      date: today,
+      orgUsage,
+      userUsage: userId ? userUsage : undefined,
+    };
+  }
+  
+  /**
+   * Phase 12O: Today's action counts and this period's spend against the org's limits
+   */
+  async getQuota(orgId: string, userId: string | undefined, orgConfig: OrgConfig | null | undefined): Promise<UsageQuota> {
+    const date = this.getCurrentDateString();
+    const [orgActions, userActions, dailySpend, monthlySpend] = await this.store.get([
+      { key: this.orgActionsKey(orgId), period: date },
+      { key: this.userActionsKey(orgId, userId || ''), period: date },
+      ...this.orgSpendRefs(orgId),
+    ]);
     
-    if (userId) {
-      const userKey = `${orgId}:${userId}:${today}`;
-      const userCounter = this.userCounters.get(userKey);
-      if (userCounter) {
-        result.userUsage = userCounter.count;
+    const quota = (used: number, limit?: number): QuotaUsage => typeof limit === 'number'
+      ? { used, limit, remaining: Math.max(0, limit - used) }
+      : { used };
+    
+    const midnight = new Date();
+    midnight.setHours(24, 0, 0, 0);
+    
+    return {
+      date,
+      month: this.getCurrentMonthString(),
+      resetsAt: midnight.toISOString(),
+      actions: {
+        org: quota(orgActions, orgConfig?.max_daily_actions_per_org),
+        user: userId ? quota(userActions, orgConfig?.max_daily_actions_per_user) : undefined,
+      },
+      spendUsd: {
+        daily: quota(dailySpend, orgConfig?.max_daily_spend_usd),
+        monthly: quota(monthlySpend, orgConfig?.max_monthly_spend_usd),
+      },
+    };
+  }
+  
+  /**
+   * Phase 12J: Today's and this month's spend for an org, broken down by user and action
+   */
+  async getSpendStats(orgId: string): Promise<{
+    date: string;
+    month: string;
+    dailyUsd: number;
+    monthlyUsd: number;
+    byUser: Record<string, { dailyUsd: number; monthlyUsd: number }>;
+    byAction: Record<string, { dailyUsd: number; monthlyUsd: number }>;
+  }> {
+    const date = this.getCurrentDateString();
+    const month = this.getCurrentMonthString();
+    const byUser: Record<string, { dailyUsd: number; monthlyUsd: number }> = {};
+    const byAction: Record<string, { dailyUsd: number; monthlyUsd: number }> = {};
+    let dailyUsd = 0;
+    let monthlyUsd = 0;
+    
+    for (const counter of await this.store.list('spend:')) {
+      const match = counter.key.match(/^spend:(day|month):(org|user|action):(.+)$/);
+      if (!match || counter.period !== (match[1] === 'day' ? date : month)) {
+        continue;
+      }
+      
+      if (match[2] === 'org') {
+        if (match[3] === orgId) {
+          if (match[1] === 'day') {
+            dailyUsd = counter.value;
+          } else {
+            monthlyUsd = counter.value;
+          }
+        }
+        continue;
+      }
+      
+      if (!match[3].startsWith(`${orgId}:`)) {
+        continue;
+      }
+      
+      const bucket = match[2] === 'user' ? byUser : byAction;
+      const name = match[3].substring(orgId.length + 1);
+      const totals = bucket[name] || (bucket[name] = { dailyUsd: 0, monthlyUsd: 0 });
+      if (match[1] === 'day') {
+        totals.dailyUsd = counter.value;
+      } else {
+        totals.monthlyUsd = counter.value;
       }
     }
     
-    return result;
+    return { date, month, dailyUsd, monthlyUsd, byUser, byAction };
   }
 }
 
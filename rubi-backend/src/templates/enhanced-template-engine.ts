@@ -421,7 +421,7 @@ export class EnhancedTemplateEngine {
     }
 
     // Updated to include google
-    const validProviders = ['openai', 'anthropic', 'azure-openai', 'google'];
+    const validProviders = ['openai', 'anthropic', 'azure-openai', 'google', 'openai-compatible', 'mock'];
     if (!validProviders.includes(template.model.provider) && 
         !template.model.fallbackProviders) {
       throw new Error(`Invalid provider: ${template.model.provider}`);
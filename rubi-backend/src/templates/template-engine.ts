@@ -59,7 +59,8 @@ export class TemplateEngine {
   }
 
   renderTemplate(template: PromptTemplate, payload: NormalizedRubiContextPayload): string {
-    let rendered = template.userPrompt;
+    // Iterators first, so `{{this.x}}` in their bodies resolves against each item rather than the payload
+    let rendered = this.processIterators(template.userPrompt, payload);
     
     const variables = this.extractVariables(rendered);
     
@@ -70,7 +71,6 @@ export class TemplateEngine {
     }
 
     rendered = this.processConditionals(rendered, payload);
-    rendered = this.processIterators(rendered, payload);
 
     return rendered;
   }
@@ -121,24 +121,78 @@ export class TemplateEngine {
     });
   }
 
-  private processIterators(template: string, payload: any): string {
-    const regex = /\{\{#each\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\}\}/g;
-    
-    return template.replace(regex, (match, listPath, itemTemplate) => {
-      const list = this.resolveVariable(listPath.trim(), payload);
-      
-      if (!Array.isArray(JSON.parse(list))) {
-        return '';
+  // Phase 12U: Nested blocks are matched by depth; in a body, `this` is the item (or object
+  // value), `@index` its position and `@key` its key when iterating an object
+  private processIterators(template: string, payload: any, scope?: { item: any; index: number; key?: string }): string {
+    const open = /\{\{#each\s+([^}]+)\}\}/g;
+    let output = '';
+    let cursor = 0;
+    let match;
+
+    while ((match = open.exec(template)) !== null) {
+      const bodyStart = match.index + match[0].length;
+      const bodyEnd = this.findBlockEnd(template, bodyStart);
+      if (bodyEnd === -1) {
+        break;
       }
 
-      const items = JSON.parse(list);
-      return items.map((item: any, index: number) => {
-        let rendered = itemTemplate;
-        rendered = rendered.replace(/\{\{this\}\}/g, JSON.stringify(item));
-        rendered = rendered.replace(/\{\{@index\}\}/g, String(index));
-        return rendered;
+      const list = this.resolveScoped(match[1].trim(), payload, scope);
+      const entries: Array<[string | undefined, any]> = Array.isArray(list)
+        ? list.map(item => [undefined, item])
+        : list && typeof list === 'object' ? Object.entries(list) : [];
+      const body = template.substring(bodyStart, bodyEnd);
+
+      output += template.substring(cursor, match.index);
+      output += entries.map(([key, item], index) => {
+        const itemScope = { item, index, key };
+        return this.processIterators(body, payload, itemScope)
+          .replace(/\{\{(this(?:\.[^}]+)?|@index|@key)\}\}/g, (_, path) => this.formatValue(this.resolveScoped(path, payload, itemScope)));
       }).join('');
-    });
+
+      cursor = bodyEnd + '{{/each}}'.length;
+      open.lastIndex = cursor;
+    }
+
+    return output + template.substring(cursor);
+  }
+
+  private findBlockEnd(template: string, from: number): number {
+    const tags = /\{\{(#each\s[^}]*|\/each)\}\}/g;
+    tags.lastIndex = from;
+    let depth = 1;
+    let tag;
+
+    while ((tag = tags.exec(template)) !== null) {
+      depth += tag[1] === '/each' ? -1 : 1;
+      if (depth === 0) {
+        return tag.index;
+      }
+    }
+    return -1;
+  }
+
+  private resolveScoped(path: string, payload: any, scope?: { item: any; index: number; key?: string }): any {
+    if (scope && path === '@index') return scope.index;
+    if (scope && path === '@key') return scope.key;
+
+    const parts = path.split('.');
+    let value: any = payload;
+    if (scope && parts[0] === 'this') {
+      value = scope.item;
+      parts.shift();
+    }
+
+    for (const part of parts) {
+      value = value && typeof value === 'object' ? value[part] : undefined;
+    }
+    return value;
+  }
+
+  private formatValue(value: any): string {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
   }
 
   private validateTemplate(template: PromptTemplate): void {
@@ -150,7 +204,7 @@ export class TemplateEngine {
       throw new Error('Invalid template: missing model configuration');
     }
 
-    const validProviders = ['openai', 'anthropic', 'azure-openai'];
+    const validProviders = ['openai', 'anthropic', 'azure-openai', 'google', 'openai-compatible', 'mock'];
     if (!validProviders.includes(template.model.provider)) {
       throw new Error(`Invalid provider: ${template.model.provider}`);
     }
@@ -0,0 +1,56 @@
+/**
+ * Phase 12Y: Admin User Types
+ *
+ * Admin panel users live in the admin user store rather than in env vars. Each has one role:
+ *
+ * - `superadmin`: every org, plus creating, deleting and restoring orgs and managing admin users
+ * - `org_admin`: reads and edits the orgs in `orgIds`
+ * - `viewer`: reads the orgs in `orgIds`
+ *
+ * `orgIds: ['*']` scopes an org admin or viewer to every org.
+ */
+
+export type AdminRole = 'superadmin' | 'org_admin' | 'viewer';
+
+export const ADMIN_ROLES: AdminRole[] = ['superadmin', 'org_admin', 'viewer'];
+
+export const ALL_ORGS = '*';
+
+export type AdminUserStatus = 'invited' | 'active' | 'disabled';
+
+/**
+ * A one-time invite or password reset token. Only its SHA-256 hash is stored; the token
+ * itself is returned once, when it is issued.
+ */
+export interface AdminUserToken {
+  hash: string;
+  purpose: 'invite' | 'reset';
+  expiresAt: string;
+}
+
+export interface AdminUser {
+  // Login name; also the adminId recorded in audit entries and org versions
+  username: string;
+  email: string;
+  role: AdminRole;
+  // Orgs an org_admin or viewer may access; empty for superadmins
+  orgIds: string[];
+  status: AdminUserStatus;
+  // `scrypt$N$r$p$salt$hash`; absent until an invite is accepted
+  passwordHash?: string;
+  // Bumped whenever the password changes; session tokens carrying an older value are rejected
+  tokenVersion?: number;
+  pendingToken?: AdminUserToken;
+  createdAt: string;
+  updatedAt: string;
+  createdBy?: string;
+  lastLoginAt?: string;
+}
+
+/**
+ * An admin user as the API returns it, without the password hash or token
+ */
+export type AdminUserSummary = Omit<AdminUser, 'passwordHash' | 'pendingToken'> & {
+  // Expiry of an outstanding invite or reset token
+  pendingTokenExpiresAt?: string;
+};
@@ -0,0 +1,43 @@
+/**
+ * Phase 12Q: Admin Audit Log Types
+ *
+ * Every admin mutation of an organization is recorded with who made it, when, and a
+ * field-level diff of the org config before and after.
+ */
+
+export type AdminAuditAction = 'org_created' | 'org_updated' | 'org_soft_deleted' | 'org_hard_deleted' | 'org_restored' | 'org_rolled_back' | 'org_intelligence_updated' | 'org_provider_key_updated' | 'org_provider_key_removed';
+
+/**
+ * One changed field. `path` is dotted for nested objects (e.g. `limits.maxDailyActionsPerUser`);
+ * arrays are compared whole. `before` is absent for added fields and `after` for removed ones.
+ */
+export interface AdminAuditFieldChange {
+  path: string;
+  before?: any;
+  after?: any;
+}
+
+export interface AdminAuditEntry {
+  id: string;
+  timestamp: string;
+  adminId: string;
+  adminEmail?: string;
+  adminRole?: string;
+  action: AdminAuditAction;
+  orgId: string;
+  requestId?: string;
+  changes: AdminAuditFieldChange[];
+}
+
+export interface AdminAuditQuery {
+  orgId?: string;
+  adminId?: string;
+  action?: AdminAuditAction;
+  // Phase 12Y: only entries for these orgs, for admins scoped to a set of orgs
+  orgIds?: string[];
+  // ISO timestamps, inclusive
+  from?: string;
+  to?: string;
+  limit?: number;
+  offset?: number;
+}
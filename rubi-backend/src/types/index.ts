@@ -1,3 +1,5 @@
+import type { LLMExecutionDetails, PipelineExecutionDetails, SchemaRepairReport } from './metadata';
+
 export interface NormalizedRubiContextPayload {
   url: string;
   platform: string;
@@ -41,9 +43,29 @@ export interface PromptTemplate {
   outputFormat?: 'json' | 'text';
   retryPrompt?: string;
   metadata?: Record<string, any>;
+  // Phase 12K: Present when the template defines an action handled by the generic template handler
+  action?: TemplateActionMetadata;
+}
+
+/**
+ * Phase 12K: Action declared in a prompt template's `action` block
+ */
+export interface TemplateActionMetadata {
+  description?: string;
+  // JSON schema name in schemas/ (defaults to the template id)
+  schema?: string;
+  requiresAuth?: boolean;
+  rateLimit?: {
+    windowMs: number;
+    max: number;
+  };
+  // Payload paths (e.g. visibleText, context.data.subject) that must be non-empty
+  requiredFields?: string[];
+  // Fields added to the validated output; see TEMPLATE_ENRICHMENTS
+  enrich?: string[];
 }
 
-export type LLMProvider = 'openai' | 'anthropic' | 'azure-openai' | 'google';
+export type LLMProvider = 'openai' | 'anthropic' | 'azure-openai' | 'google' | 'openai-compatible' | 'mock';
 
 export interface LLMConfig {
   provider: LLMProvider;
@@ -59,6 +81,10 @@ export interface LLMConfig {
   responseFormat?: { type: 'json_object' } | undefined;
   endpoint?: string;
   apiVersion?: string;
+  // Phase 12B: Transport-level retries inside a single provider call
+  maxRetries?: number;
+  // Phase 12B: Aborted by the orchestrator when the attempt times out
+  abortSignal?: AbortSignal;
 }
 
 export interface LLMResponse {
@@ -74,8 +100,13 @@ export interface LLMResponse {
   provider: LLMProvider;
   duration?: number;
   metadata?: Record<string, any>;
+  // Phase 12C: Set by LLMOrchestrator; describes the provider chain behind this response
+  execution?: LLMExecutionDetails;
 }
 
+// Phase 12A: Receives incremental completion text from a streaming provider call
+export type LLMStreamHandler = (delta: string) => void;
+
 export interface ActionDefinition {
   name: string;
   description: string;
@@ -87,6 +118,10 @@ export interface ActionDefinition {
     windowMs: number;
     max: number;
   };
+  // Phase 12K: Payload paths that must be non-empty for this action
+  requiredFields?: string[];
+  // Phase 12L: Set when the action runs a pipeline of other actions
+  pipeline?: PipelineDefinition;
 }
 
 // Import AuthenticatedRequestContext from identity
@@ -95,6 +130,8 @@ import { AuthenticatedRequestContext } from './identity';
 // Import ActionExecutionMetadata from execution
 import { ActionExecutionMetadata } from './execution';
 
+import { PipelineDefinition } from './pipeline';
+
 // Re-export for convenience
 export { AuthenticatedRequestContext, ActionExecutionMetadata };
 
@@ -108,6 +145,20 @@ export interface ActionUtilities {
   renderPrompt: (template: PromptTemplate, payload: NormalizedRubiContextPayload) => string;
   callLLM: (prompt: string, config: Partial<LLMConfig>) => Promise<LLMResponse>;
   validateSchema: (data: any, schemaPath: string) => ValidationResult;
+  // Phase 12I: Validate, repairing invalid output (local fixes, re-prompts, schema fallback)
+  validateWithRepair: (
+    data: any,
+    schemaName: string,
+    context: { template: PromptTemplate; prompt: string; llmConfig: Partial<LLMConfig> }
+  ) => Promise<SchemaRepairResult>;
+  // Phase 12L: Utilities bound to another action for a pipeline step. Calls share this
+  // request's usage and cost accounting; onLLMCall sees each call the step makes.
+  forAction: (
+    actionName: string,
+    onLLMCall?: (response: LLMResponse, costUsd: number) => void
+  ) => ActionUtilities;
+  // Phase 12L: Report per-step pipeline execution in executionMetadata
+  recordPipeline: (details: PipelineExecutionDetails) => void;
   logger: Logger;
 }
 
@@ -131,6 +182,17 @@ export interface ValidationResult {
   data?: any;
 }
 
+/**
+ * Phase 12I: Outcome of the schema repair loop
+ */
+export interface SchemaRepairResult extends ValidationResult {
+  // Tokens spent on re-prompts, on top of the original call
+  tokensUsed: number;
+  // The re-prompt response whose output was accepted, if any
+  repairResponse?: LLMResponse;
+  report: SchemaRepairReport;
+}
+
 export interface Logger {
   info: (message: string, meta?: any) => void;
   error: (message: string, error?: any) => void;
@@ -192,4 +254,13 @@ export * from './identity';
 export * from './metadata';
 
 // Export all execution types from execution.ts
-export * from './execution';
\ No newline at end of file
+export * from './execution';
+
+// Export all pipeline types from pipeline.ts
+export * from './pipeline';
+// Export all async job types from jobs.ts
+export * from './jobs';
+// Export all admin audit types from audit.ts
+export * from './audit';
+// Export all admin user types from adminUser.ts
+export * from './adminUser';
@@ -0,0 +1,65 @@
+/**
+ * Phase 12N: Asynchronous Action Job Types
+ *
+ * Long analyses can run as jobs: the submit request returns a job ID at once and the
+ * client polls for the result, which is also pushed to the org's webhook when configured.
+ */
+
+import { ActionExecutionMetadata } from './metadata';
+
+export type ActionJobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+
+/**
+ * Outcome of one action run: the body the execute route returns, plus its HTTP status
+ */
+export interface ActionRunResult {
+  statusCode: number;
+  success: boolean;
+  data?: any;
+  error?: string;
+  code?: string;
+  // Payload validation errors, when statusCode is 400
+  details?: string[];
+  // Seconds until the action may run again, when statusCode is 429
+  retryAfterSeconds?: number;
+  metadata?: Record<string, any>;
+  executionMetadata?: ActionExecutionMetadata;
+}
+
+export interface ActionJobWebhookDelivery {
+  status: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  lastAttemptAt?: string;
+  deliveredAt?: string;
+  lastError?: string;
+}
+
+export interface ActionJob {
+  jobId: string;
+  actionName: string;
+  // Only the submitting org (and user, when known) can read the job
+  orgId: string;
+  userId?: string;
+  requestId?: string;
+  status: ActionJobStatus;
+  createdAt: string;
+  startedAt?: string;
+  completedAt?: string;
+  // Set once the job has finished
+  result?: ActionRunResult;
+  webhook?: ActionJobWebhookDelivery;
+}
+
+/**
+ * Body POSTed to an org's `job_webhook_url` when one of its jobs finishes
+ */
+export interface ActionJobWebhookEvent {
+  event: 'action_job.completed';
+  jobId: string;
+  actionName: string;
+  orgId: string;
+  userId?: string;
+  status: ActionJobStatus;
+  completedAt: string;
+  result: ActionRunResult;
+}
@@ -20,6 +20,33 @@ export interface ActionExecutionMetadata {
   modelPrimary: string | null;
   modelFinal: string | null;
   providerFallbackOccurred: boolean;
+  // Phase 12B: Every provider call made for this action, in order
+  providerAttempts?: ProviderExecutionDetails[];
+  // Phase 12D: Providers skipped because their circuit breaker was open
+  providersSkipped?: SkippedProviderDetails[];
+  
+  // Phase 12E: Whether the result was served from the action result cache
+  cacheHit: boolean;
+  cacheAgeSeconds?: number;
+  
+  // Phase 12I: Stages the schema repair loop went through for the action's output
+  schemaRepair?: SchemaRepairReport;
+  
+  // Phase 12H: Prompt token budget and the template sections trimmed to meet it
+  promptBudget?: PromptBudgetDetails;
+  
+  // Phase 12L: Per-step status, timing and cost when the action is a pipeline
+  pipeline?: PipelineExecutionDetails;
+  
+  // Phase 12U: Org intelligence items retrieved into the prompt, most relevant first per section
+  orgIntelligenceItems?: InjectedIntelligenceItem[];
+  
+  // Phase 12W: Instruction-like text found (and neutralized) in page-sourced fields
+  promptInjectionSuspected: boolean;
+  promptInjectionFindings?: PromptInjectionFinding[];
+  
+  // Phase 12V: PII replaced with placeholders before prompts were sent to the provider
+  piiRedaction?: PiiRedactionDetails;
   
   // Configuration sources
   orgConfigSource: 'moodle' | 'json' | 'default' | 'none' | 'unknown';
@@ -37,6 +64,8 @@ export interface ActionExecutionMetadata {
   duration?: number;
   tokensUsed?: number;
   attemptCount?: number;
+  // Phase 12J: Dollar cost of every LLM call made for this action
+  costUsd?: number;
   
   // Additional context
   timestamp: string;
@@ -50,6 +79,15 @@ export interface ActionExecutionMetadata {
     limitsApplied?: {
       maxDailyOrg?: number;
       maxDailyUser?: number;
+      // Phase 12J: Org spend budgets in USD
+      maxDailySpendUsd?: number;
+      maxMonthlySpendUsd?: number;
+    };
+    // Phase 12J: The budget that blocked the action when reason is spend_limit_exceeded
+    spendLimit?: {
+      period: 'daily' | 'monthly';
+      spentUsd: number;
+      limitUsd: number;
     };
   };
 }
@@ -64,6 +102,142 @@ export interface ProviderExecutionDetails {
   error?: string;
   duration: number;
   tokensUsed?: number;
+  // Phase 12B: 1-based try number against this provider, and whether the call hit its timeout
+  attempt?: number;
+  timedOut?: boolean;
+  // Phase 12X: Whether the call used the org's own provider key or the platform's
+  keySource?: ProviderKeySource;
+}
+
+/**
+ * Phase 12C: Provider chain summary returned with every orchestrator call, so concurrent
+ * requests never read each other's execution details
+ */
+export interface LLMExecutionDetails {
+  providerPrimary: LLMProvider | null;
+  providerFinal: LLMProvider | 'none';
+  modelPrimary: string | null;
+  modelFinal: string | null;
+  fallbackOccurred: boolean;
+  attemptCount: number;
+  attempts: ProviderExecutionDetails[];
+  // Phase 12D: Chain entries not tried because their circuit was open
+  skippedProviders?: SkippedProviderDetails[];
+  // Phase 12X: Key the successful attempt was made with
+  keySourceFinal?: ProviderKeySource;
+}
+
+/**
+ * Phase 12X: Whose API key a provider call was billed to
+ */
+export type ProviderKeySource = 'org' | 'platform';
+
+/**
+ * Phase 12D: A provider the orchestrator avoided, and why
+ */
+export interface SkippedProviderDetails {
+  provider: LLMProvider;
+  model: string;
+  reason: string;
+}
+
+/**
+ * Phase 12H: How the rendered prompt was fitted to the model's context window and org limits
+ */
+export interface PromptBudgetDetails {
+  provider: LLMProvider | null;
+  model: string | null;
+  contextWindow: number;
+  budgetTokens: number;
+  // Estimated tokens before and after trimming
+  originalTokens: number;
+  finalTokens: number;
+  withinBudget: boolean;
+  trimmedSections: TrimmedPromptSection[];
+}
+
+export interface TrimmedPromptSection {
+  section: 'visibleText' | 'history' | 'orgIntelligence' | 'fields';
+  strategy: 'truncated' | 'oldestDropped' | 'condensed';
+  tokensBefore: number;
+  tokensAfter: number;
+}
+
+/**
+ * Phase 12U: One org intelligence item put into a prompt. `score` is its retrieval score
+ * against the page; 0 means it was added in document order to fill the section.
+ */
+export interface InjectedIntelligenceItem {
+  section: 'valuePropositions' | 'differentiators' | 'buyerPersonas' | 'competitiveLandscape' | 'strategicNarratives' | 'objectionLibrary' | 'successStories';
+  // Position in the section's array
+  index: number;
+  label: string;
+  score: number;
+}
+
+/**
+ * Phase 12W: One screening rule that matched one page-sourced field
+ */
+export interface PromptInjectionFinding {
+  // Dotted path in the action payload, e.g. `fields.about` or `history[2].content`
+  field: string;
+  rule: string;
+}
+
+/**
+ * Phase 12V: Distinct values redacted from the action's prompts, by detector. Custom
+ * patterns are counted under their configured names. The values themselves aren't recorded.
+ */
+export interface PiiRedactionDetails {
+  total: number;
+  counts: Record<string, number>;
+}
+
+/**
+ * Phase 12I: How LLM output was brought into line with the action's schema
+ */
+export interface SchemaRepairReport {
+  schemaName: string;
+  // valid: as returned; corrected: local fixes; reprompted: model fixed it; fallback: schema defaults
+  outcome: 'valid' | 'corrected' | 'reprompted' | 'fallback' | 'invalid';
+  stages: SchemaRepairStage[];
+}
+
+export interface SchemaRepairStage {
+  stage: 'validate' | 'local_correction' | 'reprompt' | 'fallback';
+  success: boolean;
+  attempt?: number;
+  errors?: string[];
+  provider?: LLMProvider;
+  model?: string;
+  tokensUsed?: number;
+}
+
+/**
+ * Phase 12L: How a pipeline's steps ran
+ */
+export interface PipelineExecutionDetails {
+  pipelineId: string;
+  version: string;
+  durationMs: number;
+  steps: PipelineStepDetails[];
+}
+
+export interface PipelineStepDetails {
+  id: string;
+  action: string;
+  status: 'succeeded' | 'failed' | 'skipped';
+  dependsOn: string[];
+  optional: boolean;
+  // Milliseconds after the pipeline started; unset for skipped steps
+  startOffsetMs?: number;
+  durationMs?: number;
+  llmCalls: number;
+  tokensUsed: number;
+  costUsd: number;
+  providerUsed?: LLMProvider;
+  modelUsed?: string;
+  error?: string;
 }
 
 /**
@@ -1,3 +1,245 @@
+// Phase 12G: Providers an org can choose in modelPreferences
+export type OrgModelProvider = 'openai' | 'anthropic' | 'google' | 'openai-compatible' | 'mock';
+
+export const ORG_MODEL_PROVIDERS: OrgModelProvider[] = ['openai', 'anthropic', 'google', 'openai-compatible', 'mock'];
+
+/**
+ * First unknown provider in modelPreferences (default or per-action), or null when all are valid
+ */
+export function findInvalidModelProvider(modelPreferences: any): string | null {
+  const providers = [
+    modelPreferences?.defaultProvider,
+    ...Object.values(modelPreferences?.perAction || {}).map((entry: any) => entry?.provider),
+  ].filter(provider => provider !== undefined);
+
+  const invalid = providers.find(provider => !ORG_MODEL_PROVIDERS.includes(provider));
+  return invalid === undefined ? null : String(invalid);
+}
+
+/**
+ * Phase 12E: First limits.resultCacheTtlSeconds entry that is not a non-negative number of
+ * seconds, the map itself when it is not an object, or null
+ */
+export function findInvalidResultCacheTtl(limits: any): string | null {
+  const ttls = limits?.resultCacheTtlSeconds;
+  if (ttls === undefined) {
+    return null;
+  }
+  if (!ttls || typeof ttls !== 'object' || Array.isArray(ttls)) {
+    return 'resultCacheTtlSeconds';
+  }
+  const invalid = Object.keys(ttls).find(actionName => typeof ttls[actionName] !== 'number' || ttls[actionName] < 0);
+  return invalid === undefined ? null : invalid;
+}
+
+/**
+ * Phase 12J: First spend budget field that is set but not a non-negative number, or null
+ */
+export function findInvalidSpendLimit(config: any): string | null {
+  const fields = ['max_daily_spend_usd', 'max_monthly_spend_usd'];
+  const invalid = fields.find(field =>
+    config?.[field] !== undefined && (typeof config[field] !== 'number' || config[field] < 0)
+  );
+  return invalid || null;
+}
+
+/**
+ * Phase 12N: Whether a job webhook URL is an absolute http(s) URL
+ */
+export function isValidWebhookUrl(url: any): boolean {
+  if (typeof url !== 'string') {
+    return false;
+  }
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Phase 12P: Sliding-window rate limit for one action. maxPerUser replaces the action's own
+ * limit; maxPerOrg adds a cap across the org's users. windowMs defaults to the action's window.
+ */
+export interface ActionRateLimitOverride {
+  windowMs?: number;
+  maxPerUser?: number;
+  maxPerOrg?: number;
+}
+
+/**
+ * Phase 12P: First actionRateLimits entry with a non-positive or non-numeric value, or null
+ */
+export function findInvalidActionRateLimit(limits: any): string | null {
+  const overrides = limits?.actionRateLimits;
+  if (overrides === undefined) {
+    return null;
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'actionRateLimits';
+  }
+
+  for (const [actionName, override] of Object.entries(overrides as Record<string, any>)) {
+    const fields = ['windowMs', 'maxPerUser', 'maxPerOrg'];
+    const invalid = !override || typeof override !== 'object' || fields.some(field =>
+      override[field] !== undefined && (typeof override[field] !== 'number' || override[field] <= 0)
+    );
+    if (invalid) {
+      return actionName;
+    }
+  }
+  return null;
+}
+
+// Phase 12X: Providers an org can bring its own API key for
+export type ByokProvider = 'openai' | 'anthropic' | 'azure-openai' | 'google' | 'openai-compatible';
+
+export const BYOK_PROVIDERS: ByokProvider[] = ['openai', 'anthropic', 'azure-openai', 'google', 'openai-compatible'];
+
+/**
+ * Phase 12X: An org's own API key for one provider, AES-256-GCM encrypted under the server
+ * master key (PROVIDER_KEYS_MASTER_KEY). Set through the provider key admin endpoints; the
+ * key itself is never returned by the API.
+ */
+export interface StoredProviderCredential {
+  encryptedApiKey: string;
+  // Last four characters of the key, so admins can tell keys apart
+  keyHint: string;
+  // azure-openai and openai-compatible: the org's own endpoint (defaults to the platform's)
+  endpoint?: string;
+  // azure-openai only
+  apiVersion?: string;
+  updatedAt: string;
+}
+
+/**
+ * Phase 12X: First invalid provider_credentials entry, or null
+ */
+export function findInvalidProviderCredentials(credentials: any): string | null {
+  if (credentials === undefined) {
+    return null;
+  }
+  if (!credentials || typeof credentials !== 'object' || Array.isArray(credentials)) {
+    return 'provider_credentials';
+  }
+  for (const [provider, credential] of Object.entries<any>(credentials)) {
+    const path = `provider_credentials.${provider}`;
+    if (!BYOK_PROVIDERS.includes(provider as ByokProvider) || !credential || typeof credential !== 'object') {
+      return path;
+    }
+    if (typeof credential.encryptedApiKey !== 'string' || !credential.encryptedApiKey.startsWith('v1:')) {
+      return `${path}.encryptedApiKey`;
+    }
+    if (credential.endpoint !== undefined && !isValidWebhookUrl(credential.endpoint)) {
+      return `${path}.endpoint`;
+    }
+  }
+  return null;
+}
+
+// Phase 12V: Built-in PII detectors for prompt redaction
+export type PiiDetector = 'email' | 'phone' | 'address';
+
+export const PII_DETECTORS: PiiDetector[] = ['email', 'phone', 'address'];
+
+/**
+ * Phase 12V: Org-specific value to redact, e.g. `{ name: 'account_number', pattern: 'ACCT-\\d{6}' }`.
+ * Matches become `[ACCOUNT_NUMBER_1]` placeholders.
+ */
+export interface PiiCustomPattern {
+  name: string;
+  pattern: string;
+  // RegExp flags besides g (i, m, s, u)
+  flags?: string;
+}
+
+export interface PiiRedactionSettings {
+  enabled?: boolean;
+  // Defaults to every built-in detector
+  detectors?: PiiDetector[];
+  customPatterns?: PiiCustomPattern[];
+}
+
+/**
+ * Phase 12V: PII redaction for prompts. perAction entries override the org-wide settings
+ * field by field for one action.
+ */
+export interface PiiRedactionConfig extends PiiRedactionSettings {
+  perAction?: { [actionName: string]: PiiRedactionSettings };
+}
+
+/**
+ * Phase 12V: Path of the first invalid pii_redaction setting, or null
+ */
+export function findInvalidPiiRedaction(redaction: any): string | null {
+  if (redaction === undefined) {
+    return null;
+  }
+  if (!redaction || typeof redaction !== 'object' || Array.isArray(redaction)) {
+    return 'pii_redaction';
+  }
+
+  const findInvalidSettings = (settings: any, path: string): string | null => {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return path;
+    }
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+      return `${path}.enabled`;
+    }
+    if (settings.detectors !== undefined &&
+      (!Array.isArray(settings.detectors) || settings.detectors.some((detector: any) => !PII_DETECTORS.includes(detector)))) {
+      return `${path}.detectors`;
+    }
+    if (settings.customPatterns !== undefined) {
+      if (!Array.isArray(settings.customPatterns)) {
+        return `${path}.customPatterns`;
+      }
+      const index = settings.customPatterns.findIndex((custom: any) => !isValidPiiCustomPattern(custom));
+      if (index !== -1) {
+        return `${path}.customPatterns[${index}]`;
+      }
+    }
+    return null;
+  };
+
+  const invalid = findInvalidSettings(redaction, 'pii_redaction');
+  if (invalid) {
+    return invalid;
+  }
+  if (redaction.perAction !== undefined) {
+    if (!redaction.perAction || typeof redaction.perAction !== 'object' || Array.isArray(redaction.perAction)) {
+      return 'pii_redaction.perAction';
+    }
+    for (const [actionName, settings] of Object.entries(redaction.perAction)) {
+      const invalidAction = findInvalidSettings(settings, `pii_redaction.perAction.${actionName}`);
+      if (invalidAction) {
+        return invalidAction;
+      }
+    }
+  }
+  return null;
+}
+
+function isValidPiiCustomPattern(custom: any): boolean {
+  if (!custom || typeof custom.name !== 'string' || typeof custom.pattern !== 'string') {
+    return false;
+  }
+  // Names become placeholder labels, so they can't reuse a built-in detector's
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(custom.name) || PII_DETECTORS.includes(custom.name.toLowerCase())) {
+    return false;
+  }
+  if (custom.flags !== undefined && (typeof custom.flags !== 'string' || !/^[imsu]*$/.test(custom.flags))) {
+    return false;
+  }
+  try {
+    new RegExp(custom.pattern, custom.flags);
+    return custom.pattern.length > 0;
+  } catch {
+    return false;
+  }
+}
+
 export interface OrgConfig {
   orgId: string;
   orgName: string;
@@ -7,10 +249,10 @@ export interface OrgConfig {
   blockedActions?: string[];
   
   modelPreferences: {
-    defaultProvider: 'openai' | 'anthropic' | 'google';
+    defaultProvider: OrgModelProvider;
     perAction?: {
       [actionName: string]: {
-        provider?: 'openai' | 'anthropic' | 'google';
+        provider?: OrgModelProvider;
         model?: string;
       };
     };
@@ -35,17 +277,59 @@ export interface OrgConfig {
     maxActionsPerPage?: number;
     maxActionsPerSession?: number;
     maxTokensPerAction?: number;
+    // Phase 12H: Cap on estimated prompt tokens; longer prompts are trimmed before the LLM call
+    maxPromptTokensPerAction?: number;
+    // Phase 12E: Result cache TTL in seconds per action name ('default' covers the rest); 0 disables caching
+    resultCacheTtlSeconds?: { [actionName: string]: number };
+    // Phase 12P: Per-action rate limits ('default' covers the rest), overriding each action's own
+    actionRateLimits?: { [actionName: string]: ActionRateLimitOverride };
   };
   
   enabled?: boolean;
   browser_extension_enabled?: boolean;
   max_daily_actions_per_org?: number;
   max_daily_actions_per_user?: number;
+  // Phase 12J: Org LLM spend budgets in USD; actions are blocked once the day's or month's spend reaches them
+  max_daily_spend_usd?: number;
+  max_monthly_spend_usd?: number;
   allowed_domains?: string[];
+  // Phase 12N: Receives a POST when one of the org's async action jobs finishes
+  job_webhook_url?: string;
+  // Phase 12N: When set, webhook bodies are signed with HMAC-SHA256 in X-Rubi-Signature
+  job_webhook_secret?: string;
+  // Phase 12V: Replace PII in prompts with placeholders before they are sent to an LLM provider
+  pii_redaction?: PiiRedactionConfig;
+  // Phase 12X: The org's own provider API keys, used instead of the platform's
+  provider_credentials?: Partial<Record<ByokProvider, StoredProviderCredential>>;
 }
 
 export interface OrgConfigWithDefaults extends OrgConfig {
   createdAt: Date;
   updatedAt: Date;
   active: boolean;
-}
\ No newline at end of file
+}
+/**
+ * Phase 12R: Who saved an org config version (an admin, or 'system' for saves made by the backend)
+ */
+export interface OrgConfigAuthor {
+  adminId: string;
+  email?: string;
+}
+
+export type OrgConfigChange = 'imported' | 'created' | 'updated' | 'soft_deleted' | 'restored' | 'rolled_back';
+
+/**
+ * Phase 12R: Immutable snapshot of an org config, written on every save
+ */
+export interface OrgConfigVersion {
+  orgId: string;
+  // 1 for the first save, then increasing by one
+  version: number;
+  createdAt: string;
+  author: OrgConfigAuthor;
+  change: OrgConfigChange;
+  // For rollbacks, the version that was restored
+  rolledBackFrom?: number;
+  // The org config as saved, with dates as ISO strings
+  config: Record<string, any>;
+}
@@ -0,0 +1,42 @@
+/**
+ * Phase 12L: Action Pipeline Types
+ *
+ * A pipeline is a named DAG of registered actions, loaded from `pipelines/*.yaml` and
+ * exposed as an action of its own.
+ */
+
+export interface PipelineDefinition {
+  id: string;
+  version: string;
+  name: string;
+  description?: string;
+  requiresAuth?: boolean;
+  rateLimit?: {
+    windowMs: number;
+    max: number;
+  };
+  // Payload paths that must be non-empty before any step runs
+  requiredFields?: string[];
+  steps: PipelineStepDefinition[];
+  /**
+   * Pipeline result: output key → source reference. Defaults to every successful
+   * step's data keyed by step id.
+   */
+  output?: Record<string, string>;
+}
+
+export interface PipelineStepDefinition {
+  id: string;
+  // A registered, non-pipeline action
+  action: string;
+  // Steps that must finish first, in addition to those referenced by `inputs`
+  dependsOn?: string[];
+  /**
+   * Step payload path → source. Sources are `payload.<path>` (the pipeline's payload),
+   * `steps.<stepId>[.<path>]` (an earlier step's output data) or a literal value.
+   * Each step starts from a copy of the pipeline payload.
+   */
+  inputs?: Record<string, any>;
+  // When true, a failure doesn't fail the pipeline; dependents run without this step's output
+  optional?: boolean;
+}
@@ -3,6 +3,9 @@
  * 
  * This script verifies that the Rubi session binding implementation
  * maintains full backward compatibility with existing behavior.
+ *
+ * No provider keys are needed when the backend runs with LLM_MOCK_MODE=replay
+ * (`npm run dev:mock`); action calls are then served from fixtures/llm or the schemas.
  */
 
 const fetch = require('node-fetch');
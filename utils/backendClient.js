@@ -40,9 +40,24 @@ const BACKEND_CONFIG = {
   
   // Retry configuration
   maxRetries: 2,
-  retryDelayMs: 1000
+  retryDelayMs: 1000,
+  
+  // Phase 12A: Streaming execution settings
+  streamingEnabled: true, // Use the SSE execute endpoint when the caller can render partials
+  streamIdleTimeoutMs: 30000, // Abort a stream that stops sending events for this long
+  
+  // Phase 12M: Run an experience's default actions in one batch request
+  batchEnabled: true,
+  
+  // Phase 12N: Long analyses run as async jobs and are polled for their result
+  jobActions: ['get_dashboard_insights'],
+  jobPollIntervalMs: 2000,
+  jobMaxWaitMs: 600000 // 10 minutes
 };
 
+// Phase 12N: chrome.storage key for jobs still being polled
+const PENDING_JOBS_STORAGE_KEY = 'rubiPendingJobs';
+
 // Phase 9C: Authentication state management with identity
 const authState = {
   currentToken: null,
@@ -569,13 +584,69 @@ async function getAuthHeaders() {
   return headers;
 }
 
+/**
+ * PHASE 9C: Copy the payload and attach the current identity, loading it if needed
+ * 
+ * @param {Object} payload - Action payload
+ * @returns {Promise<Object>} Payload with identity context
+ */
+async function enhancePayloadWithIdentity(payload) {
+  const enhancedPayload = { ...payload };
+  
+  // Try to get current identity if not already loaded
+  if (!authState.currentIdentity && window.RubiSessionBridge) {
+    try {
+      authState.currentIdentity = await window.RubiSessionBridge.getCurrentIdentity();
+      if (authState.currentIdentity) {
+        console.log('[Rubi Backend] Loaded identity for request:', {
+          userId: authState.currentIdentity.userId,
+          orgName: authState.currentIdentity.orgName,
+          planTier: authState.currentIdentity.planTier
+        });
+      }
+    } catch (error) {
+      console.warn('[Rubi Backend] Could not load identity:', error);
+    }
+  }
+  
+  // Add identity to payload if available
+  if (authState.currentIdentity) {
+    enhancedPayload.identity = authState.currentIdentity;
+    console.log('[Rubi Backend] Including identity context in action request');
+  } else {
+    console.log('[Rubi Backend] No identity available - proceeding without personalization');
+  }
+  
+  return enhancedPayload;
+}
+
+/**
+ * Result for an action refused by its per-action rate limit (HTTP 429)
+ * Phase 12P: The wait comes from the Retry-After header, or the body when the header is missing
+ * 
+ * @param {Response} response - The 429 response
+ * @param {Object} errorBody - Its parsed JSON body
+ * @returns {Object} Failed result carrying retryAfterSeconds
+ */
+function buildRateLimitResult(response, errorBody) {
+  const retryAfterSeconds = parseInt(response.headers.get('Retry-After'), 10) || errorBody.retryAfterSeconds || 60;
+  return {
+    success: false,
+    error: errorBody.error || 'Rate limit reached for this action',
+    code: 'ACTION_RATE_LIMITED',
+    retryAfterSeconds,
+    statusCode: 429,
+    source: 'backend'
+  };
+}
+
 /**
  * Execute an action on the backend with identity context
  * PHASE 9C: Enhanced to include full identity in requests
  * 
  * @param {string} actionName - Name of the action to execute
  * @param {Object} payload - Normalized Rubi context payload
- * @param {Object} options - Optional configuration overrides
+ * @param {Object} options - Optional configuration overrides (bypassCache: true forces a fresh result)
  * @returns {Promise<{success: boolean, data?: any, error?: string, statusCode?: number, source: string}>}
  */
 async function executeAction(actionName, payload, options = {}) {
@@ -609,31 +680,7 @@ async function executeAction(actionName, payload, options = {}) {
     }
     
     // PHASE 9C: Enhance payload with identity context
-    const enhancedPayload = { ...payload };
-    
-    // Try to get current identity if not already loaded
-    if (!authState.currentIdentity && window.RubiSessionBridge) {
-      try {
-        authState.currentIdentity = await window.RubiSessionBridge.getCurrentIdentity();
-        if (authState.currentIdentity) {
-          console.log('[Rubi Backend] Loaded identity for request:', {
-            userId: authState.currentIdentity.userId,
-            orgName: authState.currentIdentity.orgName,
-            planTier: authState.currentIdentity.planTier
-          });
-        }
-      } catch (error) {
-        console.warn('[Rubi Backend] Could not load identity:', error);
-      }
-    }
-    
-    // Add identity to payload if available
-    if (authState.currentIdentity) {
-      enhancedPayload.identity = authState.currentIdentity;
-      console.log('[Rubi Backend] Including identity context in action request');
-    } else {
-      console.log('[Rubi Backend] No identity available - proceeding without personalization');
-    }
+    const enhancedPayload = await enhancePayloadWithIdentity(payload);
     
     // Phase 10B: Use new action endpoint
     const url = `${config.baseUrl}/api/actions/execute`;
@@ -641,7 +688,9 @@ async function executeAction(actionName, payload, options = {}) {
     const body = JSON.stringify({ 
       action: actionName,
       context: enhancedPayload,
-      identityToken: window.RubiSessionBridge?.getIdentityJwt() || null
+      identityToken: window.RubiSessionBridge?.getIdentityJwt() || null,
+      // Phase 12E: Skip the backend result cache (drawer refresh)
+      bypassCache: config.bypassCache === true
     });
     
     // Create abort controller for timeout
@@ -698,6 +747,13 @@ async function executeAction(actionName, payload, options = {}) {
           }
         }
         
+        // Phase 12P: Rate limited; retrying straight away would be refused again
+        if (response.status === 429) {
+          const errorBody = await response.json().catch(() => ({}));
+          console.warn(`[Rubi Backend] Action ${actionName} is rate limited`);
+          return buildRateLimitResult(response, errorBody);
+        }
+        
         // Handle HTTP errors
         if (!response.ok) {
           const errorBody = await response.text().catch(() => 'No error details');
@@ -788,6 +844,559 @@ async function executeAction(actionName, payload, options = {}) {
   }
 }
 
+/**
+ * Phase 12A: Execute an action over the streaming endpoint (Server-Sent Events)
+ * Invokes handlers as provider tokens and partial schema fields arrive, then resolves
+ * with the same shape as executeAction once the final validated result is received.
+ * 
+ * @param {string} actionName - Name of the action to execute
+ * @param {Object} payload - Action payload
+ * @param {Object} handlers - Optional { onToken(delta), onPartial(fields), onAttempt(attempt) }
+ * @param {Object} options - Request options (overrides BACKEND_CONFIG)
+ * @returns {Promise<Object>} Response object with success, data, and error fields
+ */
+async function executeActionStream(actionName, payload, handlers = {}, options = {}) {
+  const startTime = Date.now();
+  const config = { ...BACKEND_CONFIG, ...options };
+  
+  console.log(`[Rubi Backend] Streaming action: ${actionName}`);
+  
+  if (!actionName || typeof actionName !== 'string') {
+    return { success: false, error: 'Invalid action name', source: 'backend' };
+  }
+  
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload', source: 'backend' };
+  }
+  
+  const controller = new AbortController();
+  let idleTimeoutId = null;
+  const resetIdleTimeout = () => {
+    clearTimeout(idleTimeoutId);
+    idleTimeoutId = setTimeout(() => controller.abort(), config.streamIdleTimeoutMs);
+  };
+  
+  try {
+    const headers = await getAuthHeaders();
+    
+    if (!headers['Authorization'] && !headers['X-Rubi-Dev-Bypass']) {
+      const error = 'Authentication required but not available';
+      console.error(`[Rubi Backend] ${error}`);
+      return { success: false, error, source: 'backend' };
+    }
+    
+    const enhancedPayload = await enhancePayloadWithIdentity(payload);
+    
+    const url = `${config.baseUrl}/api/actions/${encodeURIComponent(actionName)}/execute/stream`;
+    const body = JSON.stringify({
+      payload: enhancedPayload,
+      identityToken: window.RubiSessionBridge?.getIdentityJwt() || null,
+      bypassCache: config.bypassCache === true
+    });
+    
+    resetIdleTimeout();
+    
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { ...headers, 'Accept': 'text/event-stream' },
+      body,
+      signal: controller.signal
+    });
+    
+    // Policy blocks and validation errors are answered with JSON before the stream opens
+    if (response.status === 403) {
+      const errorBody = await response.json().catch(() => ({ error: 'Action disabled' }));
+      if (errorBody.code === 'ACTION_DISABLED_BY_POLICY') {
+        console.warn(`[Rubi Backend] Action ${actionName} is disabled by org policy`);
+        return {
+          success: false,
+          error: errorBody.error || 'This action has been disabled by your organization',
+          code: 'ACTION_DISABLED_BY_POLICY',
+          executionMetadata: errorBody.executionMetadata,
+          statusCode: 403,
+          source: 'backend'
+        };
+      }
+    }
+    
+    if (response.status === 429) {
+      const errorBody = await response.json().catch(() => ({}));
+      console.warn(`[Rubi Backend] Action ${actionName} is rate limited`);
+      return buildRateLimitResult(response, errorBody);
+    }
+    
+    if (!response.ok || !response.body) {
+      const errorBody = await response.text().catch(() => 'No error details');
+      const error = `HTTP ${response.status}: ${errorBody}`;
+      console.error(`[Rubi Backend] Streaming action failed: ${actionName} - ${error}`);
+      return { success: false, error, statusCode: response.status, source: 'backend' };
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finalResult = null;
+    let streamError = null;
+    
+    const dispatchEvent = (rawEvent) => {
+      let eventName = 'message';
+      let dataText = '';
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          eventName = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataText += line.slice(5).trim();
+        }
+      });
+      
+      if (!dataText) return;
+      
+      let data;
+      try {
+        data = JSON.parse(dataText);
+      } catch (parseError) {
+        console.warn('[Rubi Backend] Ignoring malformed stream event:', eventName);
+        return;
+      }
+      
+      try {
+        switch (eventName) {
+          case 'token':
+            handlers.onToken?.(data.delta);
+            break;
+          case 'partial':
+            handlers.onPartial?.(data.fields);
+            break;
+          case 'attempt':
+            handlers.onAttempt?.(data.attempt);
+            break;
+          case 'result':
+            finalResult = data;
+            break;
+          case 'error':
+            streamError = data.error || 'Stream failed';
+            break;
+        }
+      } catch (handlerError) {
+        console.warn(`[Rubi Backend] Stream handler for ${eventName} threw:`, handlerError);
+      }
+    };
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      resetIdleTimeout();
+      buffer += decoder.decode(value, { stream: true });
+      
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) >= 0) {
+        dispatchEvent(buffer.slice(0, separatorIndex));
+        buffer = buffer.slice(separatorIndex + 2);
+      }
+    }
+    if (buffer.trim()) {
+      dispatchEvent(buffer);
+    }
+    
+    clearTimeout(idleTimeoutId);
+    const elapsedMs = Date.now() - startTime;
+    
+    if (!finalResult) {
+      const error = streamError || 'Stream ended without a result';
+      console.error(`[Rubi Backend] ${error} for action: ${actionName}`);
+      return { success: false, error, source: 'backend' };
+    }
+    
+    console.log(`[Rubi Backend] Streamed action finished: ${actionName} (${elapsedMs}ms)`);
+    
+    return {
+      success: finalResult.success,
+      data: finalResult,
+      error: finalResult.success ? undefined : finalResult.error,
+      executionMetadata: finalResult.executionMetadata,
+      statusCode: response.status,
+      source: 'backend',
+      streamed: true
+    };
+  } catch (error) {
+    clearTimeout(idleTimeoutId);
+    
+    if (error.name === 'AbortError') {
+      const timeoutError = `Stream idle for more than ${config.streamIdleTimeoutMs}ms`;
+      console.error(`[Rubi Backend] ${timeoutError} for action: ${actionName}`);
+      return { success: false, error: timeoutError, source: 'backend' };
+    }
+    
+    console.error(`[Rubi Backend] Streaming error for action: ${actionName}`, error);
+    return {
+      success: false,
+      error: error.message || 'Unexpected error',
+      source: 'backend'
+    };
+  }
+}
+
+/**
+ * Phase 12M: Run several actions on one payload with a single backend request
+ * The backend resolves auth, org policy and org intelligence once and runs the actions
+ * concurrently. Each per-action entry has the same shape executeAction resolves with.
+ * 
+ * @param {string[]} actionNames - Actions to run
+ * @param {Object} payload - Normalized Rubi context payload shared by every action
+ * @param {Object} options - Request options (overrides BACKEND_CONFIG; bypassCache: true forces fresh results)
+ * @returns {Promise<{success: boolean, results?: Object, error?: string, statusCode?: number, source: string}>}
+ *          results maps each action name to its response
+ */
+async function executeBatch(actionNames, payload, options = {}) {
+  const startTime = Date.now();
+  const config = { ...BACKEND_CONFIG, ...options };
+  
+  console.log(`[Rubi Backend] Executing batch: ${actionNames.join(', ')}`);
+  
+  if (!Array.isArray(actionNames) || actionNames.length === 0) {
+    return { success: false, error: 'Invalid action names', source: 'backend' };
+  }
+  
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload', source: 'backend' };
+  }
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+  
+  try {
+    const headers = await getAuthHeaders();
+    
+    if (!headers['Authorization'] && !headers['X-Rubi-Dev-Bypass']) {
+      clearTimeout(timeoutId);
+      const error = 'Authentication required but not available';
+      console.error(`[Rubi Backend] ${error}`);
+      return { success: false, error, source: 'backend' };
+    }
+    
+    const enhancedPayload = await enhancePayloadWithIdentity(payload);
+    
+    const response = await fetch(`${config.baseUrl}/api/actions/batch`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        actions: actionNames,
+        context: enhancedPayload,
+        identityToken: window.RubiSessionBridge?.getIdentityJwt() || null,
+        bypassCache: config.bypassCache === true
+      }),
+      signal: controller.signal
+    });
+    
+    clearTimeout(timeoutId);
+    
+    // An org-level policy block applies to the whole batch
+    if (response.status === 403) {
+      const errorBody = await response.json().catch(() => ({ error: 'Action disabled' }));
+      if (errorBody.code === 'ACTION_DISABLED_BY_POLICY') {
+        console.warn('[Rubi Backend] Batch is disabled by org policy');
+        return {
+          success: false,
+          error: errorBody.error || 'This action has been disabled by your organization',
+          code: 'ACTION_DISABLED_BY_POLICY',
+          executionMetadata: errorBody.executionMetadata,
+          statusCode: 403,
+          source: 'backend'
+        };
+      }
+    }
+    
+    if (!response.ok) {
+      const errorBody = await response.text().catch(() => 'No error details');
+      const error = `HTTP ${response.status}: ${errorBody}`;
+      console.error(`[Rubi Backend] Batch failed - ${error}`);
+      return { success: false, error, statusCode: response.status, source: 'backend' };
+    }
+    
+    const body = await response.json();
+    const results = {};
+    (body.results || []).forEach(entry => {
+      results[entry.actionName] = entry.success
+        ? { success: true, data: entry, statusCode: entry.statusCode, source: 'backend' }
+        : {
+            success: false,
+            error: entry.error || `HTTP ${entry.statusCode}`,
+            code: entry.code,
+            retryAfterSeconds: entry.retryAfterSeconds,
+            executionMetadata: entry.executionMetadata,
+            statusCode: entry.statusCode,
+            source: 'backend'
+          };
+    });
+    
+    console.log(`[Rubi Backend] Batch finished: ${body.metadata?.succeeded || 0}/${actionNames.length} succeeded (${Date.now() - startTime}ms)`);
+    
+    return { success: true, results, statusCode: response.status, source: 'backend' };
+  } catch (error) {
+    clearTimeout(timeoutId);
+    
+    if (error.name === 'AbortError') {
+      const timeoutError = `Request timeout after ${config.timeoutMs}ms`;
+      console.error(`[Rubi Backend] ${timeoutError} for batch`);
+      return { success: false, error: timeoutError, source: 'backend' };
+    }
+    
+    console.error('[Rubi Backend] Batch error:', error);
+    return {
+      success: false,
+      error: error.message || 'Unexpected error',
+      source: 'backend'
+    };
+  }
+}
+
+/**
+ * Phase 12N: Read the pending jobs saved in chrome.storage, keyed by job ID
+ * 
+ * @returns {Promise<Object>}
+ */
+async function getPendingJobs() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+    return {};
+  }
+  
+  return new Promise((resolve) => {
+    chrome.storage.local.get([PENDING_JOBS_STORAGE_KEY], (result) => {
+      resolve(result[PENDING_JOBS_STORAGE_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Phase 12N: Add (entry) or remove (null) a pending job in chrome.storage
+ * 
+ * @param {string} jobId - Job ID
+ * @param {Object|null} entry - { actionName, url, submittedAt }
+ */
+async function savePendingJob(jobId, entry) {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+    return;
+  }
+  
+  const pendingJobs = await getPendingJobs();
+  if (entry) {
+    pendingJobs[jobId] = entry;
+  } else {
+    delete pendingJobs[jobId];
+  }
+  
+  await new Promise((resolve) => {
+    chrome.storage.local.set({ [PENDING_JOBS_STORAGE_KEY]: pendingJobs }, resolve);
+  });
+}
+
+/**
+ * Phase 12N: Queue an action as an async job on the backend
+ * Policy and unknown-action errors come back here; everything else is reported by the job.
+ * 
+ * @param {string} actionName - Action to run
+ * @param {Object} payload - Normalized Rubi context payload
+ * @param {Object} options - Request options (overrides BACKEND_CONFIG; bypassCache: true forces a fresh result)
+ * @returns {Promise<{success: boolean, jobId?: string, status?: string, error?: string, statusCode?: number, source: string}>}
+ */
+async function submitActionJob(actionName, payload, options = {}) {
+  const config = { ...BACKEND_CONFIG, ...options };
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+  
+  try {
+    const headers = await getAuthHeaders();
+    
+    if (!headers['Authorization'] && !headers['X-Rubi-Dev-Bypass']) {
+      clearTimeout(timeoutId);
+      const error = 'Authentication required but not available';
+      console.error(`[Rubi Backend] ${error}`);
+      return { success: false, error, source: 'backend' };
+    }
+    
+    const enhancedPayload = await enhancePayloadWithIdentity(payload);
+    
+    const response = await fetch(`${config.baseUrl}/api/actions/jobs`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        action: actionName,
+        context: enhancedPayload,
+        identityToken: window.RubiSessionBridge?.getIdentityJwt() || null,
+        bypassCache: config.bypassCache === true
+      }),
+      signal: controller.signal
+    });
+    
+    const body = await response.json().catch(() => ({}));
+    clearTimeout(timeoutId);
+    
+    if (response.status === 429) {
+      console.warn(`[Rubi Backend] Job submission for ${actionName} is rate limited`);
+      return buildRateLimitResult(response, body);
+    }
+    
+    if (!response.ok) {
+      console.warn(`[Rubi Backend] Job submission failed for ${actionName}: HTTP ${response.status}`);
+      return {
+        success: false,
+        error: body.error || `HTTP ${response.status}`,
+        code: body.code,
+        executionMetadata: body.executionMetadata,
+        statusCode: response.status,
+        source: 'backend'
+      };
+    }
+    
+    console.log(`[Rubi Backend] Job ${body.jobId} queued for ${actionName}`);
+    return { success: true, jobId: body.jobId, status: body.status, statusCode: response.status, source: 'backend' };
+  } catch (error) {
+    clearTimeout(timeoutId);
+    
+    if (error.name === 'AbortError') {
+      const timeoutError = `Request timeout after ${config.timeoutMs}ms`;
+      console.error(`[Rubi Backend] ${timeoutError} for job submission: ${actionName}`);
+      return { success: false, error: timeoutError, source: 'backend' };
+    }
+    
+    console.error('[Rubi Backend] Job submission error:', error);
+    return { success: false, error: error.message || 'Unexpected error', source: 'backend' };
+  }
+}
+
+/**
+ * Phase 12N: Fetch an async job's status, and its result once finished
+ * 
+ * @param {string} jobId - Job ID returned by submitActionJob
+ * @returns {Promise<{success: boolean, job?: Object, error?: string, statusCode?: number}>}
+ */
+async function getActionJob(jobId) {
+  try {
+    const headers = await getAuthHeaders();
+    const response = await fetch(`${BACKEND_CONFIG.baseUrl}/api/actions/jobs/${encodeURIComponent(jobId)}`, {
+      method: 'GET',
+      headers
+    });
+    
+    const body = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+      return { success: false, error: body.error || `HTTP ${response.status}`, statusCode: response.status };
+    }
+    
+    return { success: true, job: body.job, statusCode: response.status };
+  } catch (error) {
+    return { success: false, error: error.message || 'Network error' };
+  }
+}
+
+/**
+ * Phase 12N: Run an action in job mode and wait for its result
+ * Long analyses can outlast browser and proxy request timeouts, so the backend queues them
+ * and this polls for the outcome. The job ID is saved in chrome.storage until it finishes,
+ * so running the same action on the same page again (e.g. after the extension restarts)
+ * resumes polling that job instead of starting another.
+ * 
+ * @param {string} actionName - Action to run
+ * @param {Object} payload - Normalized Rubi context payload
+ * @param {Object} options - Request options (overrides BACKEND_CONFIG); onJobStatus(job) is called on each poll
+ * @returns {Promise<Object>} Same shape executeAction resolves with
+ */
+async function executeActionAsJob(actionName, payload, options = {}) {
+  const config = { ...BACKEND_CONFIG, ...options };
+  const pageUrl = payload?.url || null;
+  
+  // Resume a job for this action and page that is still within its wait window
+  const pendingJobs = await getPendingJobs();
+  let jobId = options.bypassCache ? null : Object.keys(pendingJobs).find(id =>
+    pendingJobs[id].actionName === actionName &&
+    pendingJobs[id].url === pageUrl &&
+    Date.now() - pendingJobs[id].submittedAt < config.jobMaxWaitMs
+  );
+  
+  if (jobId) {
+    console.log(`[Rubi Backend] Resuming job ${jobId} for ${actionName}`);
+  } else {
+    const submitted = await submitActionJob(actionName, payload, options);
+    if (!submitted.success) {
+      return submitted;
+    }
+    jobId = submitted.jobId;
+    await savePendingJob(jobId, { actionName, url: pageUrl, submittedAt: Date.now() });
+  }
+  
+  const startTime = Date.now();
+  while (Date.now() - startTime < config.jobMaxWaitMs) {
+    const polled = await getActionJob(jobId);
+    
+    if (!polled.success) {
+      // The job expired or belongs to another session; it will never finish
+      if (polled.statusCode === 404) {
+        await savePendingJob(jobId, null);
+        return { success: false, error: 'Job not found', statusCode: 404, source: 'backend' };
+      }
+      console.warn(`[Rubi Backend] Job ${jobId} poll failed: ${polled.error}`);
+    } else {
+      const job = polled.job;
+      if (typeof options.onJobStatus === 'function') {
+        options.onJobStatus(job);
+      }
+      
+      if (job.status === 'succeeded' || job.status === 'failed') {
+        await savePendingJob(jobId, null);
+        console.log(`[Rubi Backend] Job ${jobId} ${job.status} for ${actionName}`);
+        
+        const result = job.result || {};
+        return job.status === 'succeeded'
+          ? { success: true, data: result, statusCode: result.statusCode, source: 'backend' }
+          : {
+              success: false,
+              error: result.error || 'Job failed',
+              code: result.code,
+              executionMetadata: result.executionMetadata,
+              statusCode: result.statusCode,
+              source: 'backend'
+            };
+      }
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, config.jobPollIntervalMs));
+  }
+  
+  // Leave the job saved; a later run on this page picks it back up
+  const error = `Job ${jobId} did not finish within ${config.jobMaxWaitMs}ms`;
+  console.error(`[Rubi Backend] ${error}`);
+  return { success: false, error, source: 'backend' };
+}
+
+/**
+ * Phase 12O: Fetch today's usage and remaining quota for this org and user
+ * 
+ * @returns {Promise<Object|null>} Usage from GET /api/actions/usage, or null if unavailable
+ */
+async function fetchUsage() {
+  try {
+    const headers = await getAuthHeaders();
+    const response = await fetch(`${BACKEND_CONFIG.baseUrl}/api/actions/usage`, {
+      method: 'GET',
+      headers
+    });
+    
+    if (!response.ok) {
+      console.warn(`[Rubi Backend] Usage request failed: HTTP ${response.status}`);
+      return null;
+    }
+    
+    const body = await response.json();
+    return body.data || null;
+  } catch (error) {
+    console.warn('[Rubi Backend] Failed to fetch usage:', error.message);
+    return null;
+  }
+}
+
 /**
  * Check if backend is configured and reachable
  * 
@@ -929,6 +1538,16 @@ async function clearAuth() {
 if (typeof window !== 'undefined') {
   window.RubiBackendClient = {
     executeAction,
+    // Phase 12A: Streaming execution
+    executeActionStream,
+    // Phase 12M: Batch execution
+    executeBatch,
+    // Phase 12N: Async job mode
+    executeActionAsJob,
+    submitActionJob,
+    getActionJob,
+    // Phase 12O: Usage and remaining quota
+    fetchUsage,
     isBackendAvailable,
     updateConfig,
     getConfig,
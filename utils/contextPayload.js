@@ -10,11 +10,12 @@
  *
  * @param {Object} extractorResult - Result from linkedinExtractor or salesforceExtractor
  * @param {Object} options - Options for payload building
- * @param {number} options.maxVisibleTextLength - Maximum length for visibleText (default 5000)
+ * @param {number} options.maxVisibleTextLength - Maximum length for visibleText (default 20000).
+ *   The backend trims visibleText further to fit each model's context window and org token limits.
  * @returns {Object} Normalized Rubi Context Payload
  */
 function buildRubiContextPayload(extractorResult, options = {}) {
-  const { maxVisibleTextLength = 5000 } = options;
+  const { maxVisibleTextLength = 20000 } = options;
 
   // Safely get window.location.href and document.title
   let url = '';